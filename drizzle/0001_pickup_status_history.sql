@@ -0,0 +1,18 @@
+CREATE TABLE "pickup_status_history" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"pickup_request_id" uuid NOT NULL,
+	"from_status" "pickup_status",
+	"to_status" "pickup_status" NOT NULL,
+	"actor_id" uuid,
+	"actor_role" varchar(50) NOT NULL,
+	"reason" text,
+	"latitude" varchar(50),
+	"longitude" varchar(50),
+	"metadata" jsonb DEFAULT '{}'::jsonb,
+	"created_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD COLUMN "last_status_change_id" uuid;--> statement-breakpoint
+ALTER TABLE "pickup_status_history" ADD CONSTRAINT "pickup_status_history_pickup_request_id_pickup_requests_id_fk" FOREIGN KEY ("pickup_request_id") REFERENCES "public"."pickup_requests"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "pickup_status_history" ADD CONSTRAINT "pickup_status_history_actor_id_users_id_fk" FOREIGN KEY ("actor_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "pickup_status_history_pickup_request_id_idx" ON "pickup_status_history" USING btree ("pickup_request_id","created_at");
\ No newline at end of file
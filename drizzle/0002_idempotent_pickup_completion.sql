@@ -0,0 +1,10 @@
+-- Cancel duplicate pickup payouts left by double-submitted completions so the unique index can be built
+UPDATE "transactions" SET "status" = 'cancelled', "metadata" = coalesce("metadata", '{}'::jsonb) || '{"cancelledReason": "duplicate pickup payout"}'::jsonb, "updated_at" = now()
+WHERE "type" = 'pickup_payment' AND "status" <> 'cancelled' AND "pickup_request_id" IS NOT NULL AND "id" NOT IN (
+	SELECT DISTINCT ON ("pickup_request_id") "id" FROM "transactions"
+	WHERE "type" = 'pickup_payment' AND "status" <> 'cancelled' AND "pickup_request_id" IS NOT NULL
+	ORDER BY "pickup_request_id", "created_at"
+);--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD COLUMN "completion_key" varchar(255);--> statement-breakpoint
+CREATE UNIQUE INDEX "transactions_pickup_payment_unique" ON "transactions" USING btree ("pickup_request_id") WHERE "transactions"."type" = 'pickup_payment' and "transactions"."status" <> 'cancelled';--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD CONSTRAINT "pickup_requests_completion_key_unique" UNIQUE("completion_key");
\ No newline at end of file
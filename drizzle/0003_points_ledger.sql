@@ -0,0 +1,28 @@
+CREATE TYPE "public"."points_entry_type" AS ENUM('earn', 'redeem', 'expire', 'adjust', 'reverse');--> statement-breakpoint
+CREATE TABLE "points_ledger" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"user_id" uuid NOT NULL,
+	"entry_type" "points_entry_type" NOT NULL,
+	"available_delta" integer NOT NULL,
+	"total_delta" integer DEFAULT 0 NOT NULL,
+	"pickup_request_id" uuid,
+	"redemption_id" uuid,
+	"admin_id" uuid,
+	"reverses_entry_id" uuid,
+	"idempotency_key" varchar(255),
+	"description" text,
+	"metadata" jsonb DEFAULT '{}'::jsonb,
+	"created_at" timestamp DEFAULT now(),
+	CONSTRAINT "points_ledger_idempotency_key_unique" UNIQUE("idempotency_key")
+);
+--> statement-breakpoint
+ALTER TABLE "points_ledger" ADD CONSTRAINT "points_ledger_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "points_ledger" ADD CONSTRAINT "points_ledger_pickup_request_id_pickup_requests_id_fk" FOREIGN KEY ("pickup_request_id") REFERENCES "public"."pickup_requests"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "points_ledger" ADD CONSTRAINT "points_ledger_redemption_id_reward_redemptions_id_fk" FOREIGN KEY ("redemption_id") REFERENCES "public"."reward_redemptions"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "points_ledger" ADD CONSTRAINT "points_ledger_admin_id_users_id_fk" FOREIGN KEY ("admin_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "points_ledger_user_id_idx" ON "points_ledger" USING btree ("user_id","created_at");--> statement-breakpoint
+-- Open each existing balance with a single adjustment so ledger sums match the cached totals
+INSERT INTO "points_ledger" ("user_id", "entry_type", "available_delta", "total_delta", "idempotency_key", "description", "metadata")
+SELECT "id", 'adjust', coalesce("available_points", 0), coalesce("total_points", 0), 'opening-balance:' || "id", 'Opening balance migrated from cached totals', '{"migration": true}'::jsonb
+FROM "users"
+WHERE coalesce("available_points", 0) <> 0 OR coalesce("total_points", 0) <> 0;
@@ -0,0 +1,52 @@
+CREATE TABLE "waste_categories" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"waste_type" "waste_type" NOT NULL,
+	"name" varchar(255) NOT NULL,
+	"description" text,
+	"icon" text,
+	"color" varchar(20),
+	"is_active" boolean DEFAULT true,
+	"recycling_tips" jsonb DEFAULT '[]'::jsonb,
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now(),
+	CONSTRAINT "waste_categories_waste_type_unique" UNIQUE("waste_type")
+);
+--> statement-breakpoint
+CREATE TABLE "waste_category_rates" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"category_id" uuid NOT NULL,
+	"points_per_kg" numeric(10, 2) NOT NULL,
+	"cash_per_kg" numeric(10, 2) DEFAULT '0.00' NOT NULL,
+	"effective_from" timestamp DEFAULT now() NOT NULL,
+	"created_by" uuid,
+	"created_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD COLUMN "waste_category_rate_id" uuid;--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD COLUMN "points_per_kg" numeric(10, 2);--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD COLUMN "cash_per_kg" numeric(10, 2);--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD COLUMN "cash_value" numeric(10, 2);--> statement-breakpoint
+ALTER TABLE "waste_category_rates" ADD CONSTRAINT "waste_category_rates_category_id_waste_categories_id_fk" FOREIGN KEY ("category_id") REFERENCES "public"."waste_categories"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "waste_category_rates" ADD CONSTRAINT "waste_category_rates_created_by_users_id_fk" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "waste_category_rates_category_id_idx" ON "waste_category_rates" USING btree ("category_id","effective_from");--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD CONSTRAINT "pickup_requests_waste_category_rate_id_waste_category_rates_id_fk" FOREIGN KEY ("waste_category_rate_id") REFERENCES "public"."waste_category_rates"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+-- One category per waste type at the 10 points per kg that was previously hard-coded
+INSERT INTO "waste_categories" ("waste_type", "name", "description", "color", "recycling_tips") VALUES
+	('plastic', 'Plastic', 'Plastic bottles, containers, bags, and packaging materials', '#22c55e', '["Clean containers before disposal", "Remove labels when possible", "Separate different plastic types"]'::jsonb),
+	('paper', 'Paper', 'Newspapers, cardboard, office paper, and magazines', '#3b82f6', '["Keep paper dry and clean", "Remove staples and clips", "Flatten cardboard boxes"]'::jsonb),
+	('metal', 'Metal', 'Aluminum cans, steel containers, and metal scraps', '#f59e0b', '["Rinse containers clean", "Remove labels when possible", "Separate aluminum from steel"]'::jsonb),
+	('glass', 'Glass', 'Glass bottles and jars', '#06b6d4', '["Rinse bottles and jars", "Remove caps and lids", "Do not mix with ceramics or window glass"]'::jsonb),
+	('electronics', 'Electronics', 'Phones, computers, batteries, and small appliances', '#8b5cf6', '["Remove personal data from devices", "Keep batteries separate", "Do not break screens or casings"]'::jsonb),
+	('organic', 'Organic', 'Food scraps, garden waste, and other compostable material', '#84cc16', '["Keep free of plastic bags", "Drain excess liquid", "Separate from other waste"]'::jsonb),
+	('mixed', 'Mixed', 'Mixed recyclable materials', '#6b7280', '["Separate materials where possible", "Keep recyclables clean and dry"]'::jsonb)
+ON CONFLICT ("waste_type") DO NOTHING;--> statement-breakpoint
+INSERT INTO "waste_category_rates" ("category_id", "points_per_kg", "cash_per_kg", "effective_from")
+SELECT "id", 10, 0, now() FROM "waste_categories";--> statement-breakpoint
+-- Existing pickups were created under the hard-coded rate
+UPDATE "pickup_requests" SET
+	"waste_category_rate_id" = "waste_category_rates"."id",
+	"points_per_kg" = "waste_category_rates"."points_per_kg",
+	"cash_per_kg" = "waste_category_rates"."cash_per_kg"
+FROM "waste_category_rates"
+JOIN "waste_categories" ON "waste_categories"."id" = "waste_category_rates"."category_id"
+WHERE "waste_categories"."waste_type" = "pickup_requests"."waste_type";
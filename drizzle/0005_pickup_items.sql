@@ -0,0 +1,23 @@
+CREATE TABLE "pickup_items" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"pickup_request_id" uuid NOT NULL,
+	"waste_type" "waste_type" NOT NULL,
+	"estimated_weight" numeric(8, 2),
+	"actual_weight" numeric(8, 2),
+	"description" text,
+	"waste_category_rate_id" uuid,
+	"points_per_kg" numeric(10, 2),
+	"cash_per_kg" numeric(10, 2),
+	"points_earned" integer DEFAULT 0,
+	"cash_value" numeric(10, 2),
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "pickup_items" ADD CONSTRAINT "pickup_items_pickup_request_id_pickup_requests_id_fk" FOREIGN KEY ("pickup_request_id") REFERENCES "public"."pickup_requests"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "pickup_items" ADD CONSTRAINT "pickup_items_waste_category_rate_id_waste_category_rates_id_fk" FOREIGN KEY ("waste_category_rate_id") REFERENCES "public"."waste_category_rates"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "pickup_items_pickup_request_id_idx" ON "pickup_items" USING btree ("pickup_request_id");--> statement-breakpoint
+-- Existing pickups become single-item pickups
+INSERT INTO "pickup_items" ("pickup_request_id", "waste_type", "estimated_weight", "actual_weight", "waste_category_rate_id", "points_per_kg", "cash_per_kg", "points_earned", "cash_value", "created_at", "updated_at")
+SELECT "id", "waste_type", "estimated_weight", "actual_weight", "waste_category_rate_id", "points_per_kg", "cash_per_kg", coalesce("points_earned", 0), "cash_value", "created_at", "updated_at"
+FROM "pickup_requests";
@@ -0,0 +1,31 @@
+CREATE TYPE "public"."pickup_schedule_frequency" AS ENUM('weekly', 'biweekly', 'monthly');--> statement-breakpoint
+CREATE TYPE "public"."pickup_schedule_status" AS ENUM('active', 'paused', 'cancelled');--> statement-breakpoint
+CREATE TABLE "pickup_schedules" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"user_id" uuid NOT NULL,
+	"status" "pickup_schedule_status" DEFAULT 'active' NOT NULL,
+	"frequency" "pickup_schedule_frequency" NOT NULL,
+	"day_of_week" integer,
+	"day_of_month" integer,
+	"preferred_time_slot" varchar(50),
+	"items" jsonb DEFAULT '[]'::jsonb NOT NULL,
+	"description" text,
+	"pickup_address" text NOT NULL,
+	"pickup_latitude" varchar(50) NOT NULL,
+	"pickup_longitude" varchar(50) NOT NULL,
+	"start_date" date NOT NULL,
+	"end_date" date,
+	"skipped_dates" jsonb DEFAULT '[]'::jsonb,
+	"next_occurrence" date,
+	"last_materialized_at" timestamp,
+	"paused_at" timestamp,
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD COLUMN "schedule_id" uuid;--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD COLUMN "scheduled_for" date;--> statement-breakpoint
+ALTER TABLE "pickup_schedules" ADD CONSTRAINT "pickup_schedules_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "pickup_schedules_status_next_occurrence_idx" ON "pickup_schedules" USING btree ("status","next_occurrence");--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD CONSTRAINT "pickup_requests_schedule_id_pickup_schedules_id_fk" FOREIGN KEY ("schedule_id") REFERENCES "public"."pickup_schedules"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX "pickup_requests_schedule_occurrence_unique" ON "pickup_requests" USING btree ("schedule_id","scheduled_for");
\ No newline at end of file
@@ -0,0 +1,23 @@
+CREATE TYPE "public"."dispatch_offer_status" AS ENUM('pending', 'accepted', 'declined', 'expired', 'withdrawn');--> statement-breakpoint
+CREATE TYPE "public"."dispatch_status" AS ENUM('offered', 'escalated', 'matched');--> statement-breakpoint
+CREATE TABLE "pickup_dispatch_offers" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"pickup_request_id" uuid NOT NULL,
+	"waste_picker_id" uuid NOT NULL,
+	"status" "dispatch_offer_status" DEFAULT 'pending' NOT NULL,
+	"score" numeric(6, 4) NOT NULL,
+	"distance" numeric(8, 2) NOT NULL,
+	"radius_km" integer NOT NULL,
+	"expires_at" timestamp NOT NULL,
+	"responded_at" timestamp,
+	"created_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD COLUMN "dispatch_status" "dispatch_status";--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD COLUMN "dispatch_radius_km" integer;--> statement-breakpoint
+ALTER TABLE "pickup_dispatch_offers" ADD CONSTRAINT "pickup_dispatch_offers_pickup_request_id_pickup_requests_id_fk" FOREIGN KEY ("pickup_request_id") REFERENCES "public"."pickup_requests"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "pickup_dispatch_offers" ADD CONSTRAINT "pickup_dispatch_offers_waste_picker_id_users_id_fk" FOREIGN KEY ("waste_picker_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX "pickup_dispatch_offers_pickup_picker_unique" ON "pickup_dispatch_offers" USING btree ("pickup_request_id","waste_picker_id");--> statement-breakpoint
+CREATE INDEX "pickup_dispatch_offers_status_expires_at_idx" ON "pickup_dispatch_offers" USING btree ("status","expires_at");--> statement-breakpoint
+-- Pickups that already have a waste picker were matched before dispatch existed
+UPDATE "pickup_requests" SET "dispatch_status" = 'matched' WHERE "waste_picker_id" IS NOT NULL;
\ No newline at end of file
@@ -0,0 +1,10 @@
+-- Coordinates were stored as text and parsed with parseFloat() before every distance check.
+-- The leading number of each value is converted the same way, so stored points and distances do not change.
+ALTER TABLE "pickup_requests" ALTER COLUMN "pickup_latitude" SET DATA TYPE double precision USING substring("pickup_latitude" from '^\s*([-+]?(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][-+]?[0-9]+)?)')::double precision;--> statement-breakpoint
+ALTER TABLE "pickup_requests" ALTER COLUMN "pickup_longitude" SET DATA TYPE double precision USING substring("pickup_longitude" from '^\s*([-+]?(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][-+]?[0-9]+)?)')::double precision;--> statement-breakpoint
+ALTER TABLE "pickup_schedules" ALTER COLUMN "pickup_latitude" SET DATA TYPE double precision USING substring("pickup_latitude" from '^\s*([-+]?(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][-+]?[0-9]+)?)')::double precision;--> statement-breakpoint
+ALTER TABLE "pickup_schedules" ALTER COLUMN "pickup_longitude" SET DATA TYPE double precision USING substring("pickup_longitude" from '^\s*([-+]?(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][-+]?[0-9]+)?)')::double precision;--> statement-breakpoint
+ALTER TABLE "users" ALTER COLUMN "latitude" SET DATA TYPE double precision USING substring("latitude" from '^\s*([-+]?(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][-+]?[0-9]+)?)')::double precision;--> statement-breakpoint
+ALTER TABLE "users" ALTER COLUMN "longitude" SET DATA TYPE double precision USING substring("longitude" from '^\s*([-+]?(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:[eE][-+]?[0-9]+)?)')::double precision;--> statement-breakpoint
+CREATE INDEX "pickup_requests_location_gist_idx" ON "pickup_requests" USING gist (point("pickup_longitude", "pickup_latitude"));--> statement-breakpoint
+CREATE INDEX "users_location_gist_idx" ON "users" USING gist (point("longitude", "latitude"));
\ No newline at end of file
@@ -0,0 +1,16 @@
+CREATE TABLE "pickup_location_pings" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"pickup_request_id" uuid NOT NULL,
+	"waste_picker_id" uuid NOT NULL,
+	"latitude" double precision NOT NULL,
+	"longitude" double precision NOT NULL,
+	"accuracy" double precision,
+	"heading" double precision,
+	"speed" double precision,
+	"recorded_at" timestamp NOT NULL,
+	"created_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "pickup_location_pings" ADD CONSTRAINT "pickup_location_pings_pickup_request_id_pickup_requests_id_fk" FOREIGN KEY ("pickup_request_id") REFERENCES "public"."pickup_requests"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "pickup_location_pings" ADD CONSTRAINT "pickup_location_pings_waste_picker_id_users_id_fk" FOREIGN KEY ("waste_picker_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "pickup_location_pings_pickup_request_id_idx" ON "pickup_location_pings" USING btree ("pickup_request_id","recorded_at");
\ No newline at end of file
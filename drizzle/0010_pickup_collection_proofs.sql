@@ -0,0 +1,35 @@
+CREATE TYPE "public"."collection_proof_status" AS ENUM('awaiting_confirmation', 'confirmed', 'disputed', 'resolved');--> statement-breakpoint
+ALTER TYPE "public"."notification_type" ADD VALUE 'collection_confirmation' BEFORE 'system_update';--> statement-breakpoint
+CREATE TABLE "pickup_collection_proofs" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"pickup_request_id" uuid NOT NULL,
+	"waste_picker_id" uuid NOT NULL,
+	"status" "collection_proof_status" DEFAULT 'awaiting_confirmation' NOT NULL,
+	"scale_photos" jsonb DEFAULT '[]'::jsonb NOT NULL,
+	"before_photos" jsonb DEFAULT '[]'::jsonb NOT NULL,
+	"after_photos" jsonb DEFAULT '[]'::jsonb NOT NULL,
+	"actual_weight" numeric(8, 2),
+	"weighed_items" jsonb DEFAULT '[]'::jsonb NOT NULL,
+	"otp_hash" varchar(64),
+	"otp_expires_at" timestamp,
+	"otp_attempts" integer DEFAULT 0 NOT NULL,
+	"confirmation_method" varchar(20),
+	"confirmed_by" uuid,
+	"confirmed_at" timestamp,
+	"dispute_reason" text,
+	"claimed_weight" numeric(8, 2),
+	"disputed_at" timestamp,
+	"resolution" varchar(20),
+	"resolution_note" text,
+	"resolved_by" uuid,
+	"resolved_at" timestamp,
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now(),
+	CONSTRAINT "pickup_collection_proofs_pickup_request_id_unique" UNIQUE("pickup_request_id")
+);
+--> statement-breakpoint
+ALTER TABLE "pickup_collection_proofs" ADD CONSTRAINT "pickup_collection_proofs_pickup_request_id_pickup_requests_id_fk" FOREIGN KEY ("pickup_request_id") REFERENCES "public"."pickup_requests"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "pickup_collection_proofs" ADD CONSTRAINT "pickup_collection_proofs_waste_picker_id_users_id_fk" FOREIGN KEY ("waste_picker_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "pickup_collection_proofs" ADD CONSTRAINT "pickup_collection_proofs_confirmed_by_users_id_fk" FOREIGN KEY ("confirmed_by") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "pickup_collection_proofs" ADD CONSTRAINT "pickup_collection_proofs_resolved_by_users_id_fk" FOREIGN KEY ("resolved_by") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "pickup_collection_proofs_status_idx" ON "pickup_collection_proofs" USING btree ("status");
\ No newline at end of file
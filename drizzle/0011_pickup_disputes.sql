@@ -0,0 +1,49 @@
+CREATE TYPE "public"."dispute_status" AS ENUM('open', 'under_review', 'resolved', 'rejected', 'withdrawn');--> statement-breakpoint
+CREATE TYPE "public"."dispute_type" AS ENUM('short_weight', 'no_show', 'cancellation', 'other');--> statement-breakpoint
+CREATE TABLE "pickup_dispute_evidence" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"dispute_id" uuid NOT NULL,
+	"uploaded_by" uuid NOT NULL,
+	"file_url" text NOT NULL,
+	"note" text,
+	"created_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+CREATE TABLE "pickup_disputes" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"pickup_request_id" uuid NOT NULL,
+	"collection_proof_id" uuid,
+	"type" "dispute_type" NOT NULL,
+	"status" "dispute_status" DEFAULT 'open' NOT NULL,
+	"opened_by" uuid NOT NULL,
+	"against_user_id" uuid NOT NULL,
+	"reason" text NOT NULL,
+	"assigned_to" uuid,
+	"assigned_at" timestamp,
+	"resolution_id" uuid,
+	"outcomes" jsonb DEFAULT '[]'::jsonb NOT NULL,
+	"resolution_note" text,
+	"resolved_by" uuid,
+	"resolved_at" timestamp,
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "waste_picker_profiles" ADD COLUMN "penalty_count" integer DEFAULT 0 NOT NULL;--> statement-breakpoint
+ALTER TABLE "pickup_dispute_evidence" ADD CONSTRAINT "pickup_dispute_evidence_dispute_id_pickup_disputes_id_fk" FOREIGN KEY ("dispute_id") REFERENCES "public"."pickup_disputes"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "pickup_dispute_evidence" ADD CONSTRAINT "pickup_dispute_evidence_uploaded_by_users_id_fk" FOREIGN KEY ("uploaded_by") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "pickup_disputes" ADD CONSTRAINT "pickup_disputes_pickup_request_id_pickup_requests_id_fk" FOREIGN KEY ("pickup_request_id") REFERENCES "public"."pickup_requests"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "pickup_disputes" ADD CONSTRAINT "pickup_disputes_collection_proof_id_pickup_collection_proofs_id_fk" FOREIGN KEY ("collection_proof_id") REFERENCES "public"."pickup_collection_proofs"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "pickup_disputes" ADD CONSTRAINT "pickup_disputes_opened_by_users_id_fk" FOREIGN KEY ("opened_by") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "pickup_disputes" ADD CONSTRAINT "pickup_disputes_against_user_id_users_id_fk" FOREIGN KEY ("against_user_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "pickup_disputes" ADD CONSTRAINT "pickup_disputes_assigned_to_users_id_fk" FOREIGN KEY ("assigned_to") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "pickup_disputes" ADD CONSTRAINT "pickup_disputes_resolved_by_users_id_fk" FOREIGN KEY ("resolved_by") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "pickup_dispute_evidence_dispute_id_idx" ON "pickup_dispute_evidence" USING btree ("dispute_id");--> statement-breakpoint
+CREATE UNIQUE INDEX "pickup_disputes_active_unique" ON "pickup_disputes" USING btree ("pickup_request_id","opened_by") WHERE "pickup_disputes"."status" in ('open', 'under_review');--> statement-breakpoint
+CREATE INDEX "pickup_disputes_status_idx" ON "pickup_disputes" USING btree ("status","created_at");--> statement-breakpoint
+-- Weight disputes opened on proofs of collection become short_weight disputes
+INSERT INTO "pickup_disputes" ("pickup_request_id", "collection_proof_id", "type", "status", "opened_by", "against_user_id", "reason", "created_at", "updated_at")
+SELECT "proof"."pickup_request_id", "proof"."id", 'short_weight', 'open', "pickup"."requester_id", "proof"."waste_picker_id", coalesce("proof"."dispute_reason", 'Weighed amounts disputed'), coalesce("proof"."disputed_at", now()), now()
+FROM "pickup_collection_proofs" "proof"
+JOIN "pickup_requests" "pickup" ON "pickup"."id" = "proof"."pickup_request_id"
+WHERE "proof"."status" = 'disputed';
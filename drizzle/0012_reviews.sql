@@ -0,0 +1,32 @@
+CREATE TABLE "reviews" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"pickup_request_id" uuid NOT NULL,
+	"reviewer_id" uuid NOT NULL,
+	"reviewee_id" uuid NOT NULL,
+	"reviewer_role" "user_role" NOT NULL,
+	"rating" integer NOT NULL,
+	"comment" text,
+	"tags" jsonb DEFAULT '[]'::jsonb NOT NULL,
+	"editable_until" timestamp NOT NULL,
+	"is_hidden" boolean DEFAULT false NOT NULL,
+	"hidden_by" uuid,
+	"hidden_at" timestamp,
+	"hidden_reason" text,
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "reviews" ADD CONSTRAINT "reviews_pickup_request_id_pickup_requests_id_fk" FOREIGN KEY ("pickup_request_id") REFERENCES "public"."pickup_requests"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "reviews" ADD CONSTRAINT "reviews_reviewer_id_users_id_fk" FOREIGN KEY ("reviewer_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "reviews" ADD CONSTRAINT "reviews_reviewee_id_users_id_fk" FOREIGN KEY ("reviewee_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "reviews" ADD CONSTRAINT "reviews_hidden_by_users_id_fk" FOREIGN KEY ("hidden_by") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX "reviews_pickup_reviewer_unique" ON "reviews" USING btree ("pickup_request_id","reviewer_id");--> statement-breakpoint
+CREATE INDEX "reviews_reviewee_idx" ON "reviews" USING btree ("reviewee_id","is_hidden","created_at");--> statement-breakpoint
+-- Ratings stored on pickups become household reviews of the waste picker
+INSERT INTO "reviews" ("pickup_request_id", "reviewer_id", "reviewee_id", "reviewer_role", "rating", "comment", "editable_until", "created_at", "updated_at")
+SELECT "id", "requester_id", "waste_picker_id", 'household', greatest(1, least(5, "rating")), "feedback", coalesce("completed_at", "updated_at", now()), coalesce("completed_at", "updated_at", now()), now()
+FROM "pickup_requests"
+WHERE "rating" IS NOT NULL AND "waste_picker_id" IS NOT NULL;--> statement-breakpoint
+UPDATE "users" SET
+  "rating" = coalesce((SELECT round(avg("reviews"."rating"), 2) FROM "reviews" WHERE "reviews"."reviewee_id" = "users"."id" AND NOT "reviews"."is_hidden"), 0),
+  "total_ratings" = (SELECT count(*) FROM "reviews" WHERE "reviews"."reviewee_id" = "users"."id" AND NOT "reviews"."is_hidden");
@@ -0,0 +1,24 @@
+CREATE TABLE "picker_time_off" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"waste_picker_id" uuid NOT NULL,
+	"starts_at" timestamp NOT NULL,
+	"ends_at" timestamp NOT NULL,
+	"reason" text,
+	"created_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "waste_picker_profiles" ADD COLUMN "max_daily_pickups" integer;--> statement-breakpoint
+ALTER TABLE "waste_picker_profiles" ADD COLUMN "is_online" boolean DEFAULT true NOT NULL;--> statement-breakpoint
+ALTER TABLE "waste_picker_profiles" ADD COLUMN "online_status_changed_at" timestamp;--> statement-breakpoint
+ALTER TABLE "picker_time_off" ADD CONSTRAINT "picker_time_off_waste_picker_id_users_id_fk" FOREIGN KEY ("waste_picker_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "picker_time_off_waste_picker_id_idx" ON "picker_time_off" USING btree ("waste_picker_id","ends_at");--> statement-breakpoint
+-- Working hours become a list of windows per day: { start, end } -> [{ start, end }], { closed: true } -> []
+UPDATE "waste_picker_profiles" SET "working_hours" = coalesce((
+  SELECT jsonb_object_agg(lower("entry"."day"), CASE
+    WHEN jsonb_typeof("entry"."hours") = 'array' THEN "entry"."hours"
+    WHEN jsonb_typeof("entry"."hours") <> 'object' OR "entry"."hours" ->> 'closed' = 'true' OR "entry"."hours" ->> 'start' IS NULL OR "entry"."hours" ->> 'end' IS NULL THEN '[]'::jsonb
+    ELSE jsonb_build_array(jsonb_build_object('start', "entry"."hours" ->> 'start', 'end', "entry"."hours" ->> 'end'))
+  END)
+  FROM jsonb_each("waste_picker_profiles"."working_hours") AS "entry"("day", "hours")
+), '{}'::jsonb)
+WHERE jsonb_typeof("working_hours") = 'object';
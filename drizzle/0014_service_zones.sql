@@ -0,0 +1,51 @@
+CREATE TABLE "service_waitlist" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"user_id" uuid NOT NULL,
+	"address" text,
+	"latitude" double precision NOT NULL,
+	"longitude" double precision NOT NULL,
+	"waste_types" jsonb DEFAULT '[]'::jsonb,
+	"notified_zone_id" uuid,
+	"notified_at" timestamp,
+	"created_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+CREATE TABLE "service_zone_pickers" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"zone_id" uuid NOT NULL,
+	"waste_picker_id" uuid NOT NULL,
+	"assigned_by" uuid,
+	"created_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+CREATE TABLE "service_zones" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"name" varchar(255) NOT NULL,
+	"description" text,
+	"boundary" jsonb NOT NULL,
+	"min_latitude" double precision NOT NULL,
+	"max_latitude" double precision NOT NULL,
+	"min_longitude" double precision NOT NULL,
+	"max_longitude" double precision NOT NULL,
+	"pricing_multiplier" numeric(5, 2) DEFAULT '1.00' NOT NULL,
+	"waste_types" jsonb DEFAULT '[]'::jsonb,
+	"is_active" boolean DEFAULT true NOT NULL,
+	"created_by" uuid,
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now(),
+	CONSTRAINT "service_zones_name_unique" UNIQUE("name")
+);
+--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD COLUMN "service_zone_id" uuid;--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD COLUMN "pricing_multiplier" numeric(5, 2);--> statement-breakpoint
+ALTER TABLE "service_waitlist" ADD CONSTRAINT "service_waitlist_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "service_waitlist" ADD CONSTRAINT "service_waitlist_notified_zone_id_service_zones_id_fk" FOREIGN KEY ("notified_zone_id") REFERENCES "public"."service_zones"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "service_zone_pickers" ADD CONSTRAINT "service_zone_pickers_zone_id_service_zones_id_fk" FOREIGN KEY ("zone_id") REFERENCES "public"."service_zones"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "service_zone_pickers" ADD CONSTRAINT "service_zone_pickers_waste_picker_id_users_id_fk" FOREIGN KEY ("waste_picker_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "service_zone_pickers" ADD CONSTRAINT "service_zone_pickers_assigned_by_users_id_fk" FOREIGN KEY ("assigned_by") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "service_zones" ADD CONSTRAINT "service_zones_created_by_users_id_fk" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "service_waitlist_user_id_idx" ON "service_waitlist" USING btree ("user_id");--> statement-breakpoint
+CREATE UNIQUE INDEX "service_zone_pickers_zone_picker_unique" ON "service_zone_pickers" USING btree ("zone_id","waste_picker_id");--> statement-breakpoint
+CREATE INDEX "service_zone_pickers_waste_picker_id_idx" ON "service_zone_pickers" USING btree ("waste_picker_id");--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD CONSTRAINT "pickup_requests_service_zone_id_service_zones_id_fk" FOREIGN KEY ("service_zone_id") REFERENCES "public"."service_zones"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "pickup_requests_service_zone_id_idx" ON "pickup_requests" USING btree ("service_zone_id");
\ No newline at end of file
@@ -0,0 +1,2 @@
+ALTER TABLE "pickup_requests" ADD COLUMN "pickup_city" varchar(100);--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD COLUMN "pickup_state" varchar(100);
\ No newline at end of file
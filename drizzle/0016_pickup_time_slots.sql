@@ -0,0 +1,34 @@
+CREATE TABLE "pickup_slot_bookings" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"time_slot_id" uuid NOT NULL,
+	"slot_date" date NOT NULL,
+	"booked_count" integer DEFAULT 0 NOT NULL,
+	"last_hold_id" uuid,
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+CREATE TABLE "pickup_time_slots" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"service_zone_id" uuid,
+	"day_of_week" integer NOT NULL,
+	"start_time" varchar(5) NOT NULL,
+	"end_time" varchar(5) NOT NULL,
+	"capacity" integer NOT NULL,
+	"is_active" boolean DEFAULT true NOT NULL,
+	"created_by" uuid,
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD COLUMN "time_slot_id" uuid;--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD COLUMN "slot_date" date;--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD COLUMN "slot_starts_at" timestamp;--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD COLUMN "slot_ends_at" timestamp;--> statement-breakpoint
+ALTER TABLE "pickup_slot_bookings" ADD CONSTRAINT "pickup_slot_bookings_time_slot_id_pickup_time_slots_id_fk" FOREIGN KEY ("time_slot_id") REFERENCES "public"."pickup_time_slots"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "pickup_time_slots" ADD CONSTRAINT "pickup_time_slots_service_zone_id_service_zones_id_fk" FOREIGN KEY ("service_zone_id") REFERENCES "public"."service_zones"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "pickup_time_slots" ADD CONSTRAINT "pickup_time_slots_created_by_users_id_fk" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX "pickup_slot_bookings_slot_date_unique" ON "pickup_slot_bookings" USING btree ("time_slot_id","slot_date");--> statement-breakpoint
+CREATE INDEX "pickup_time_slots_zone_day_idx" ON "pickup_time_slots" USING btree ("service_zone_id","day_of_week");--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD CONSTRAINT "pickup_requests_time_slot_id_pickup_time_slots_id_fk" FOREIGN KEY ("time_slot_id") REFERENCES "public"."pickup_time_slots"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "pickup_requests_status_slot_starts_at_idx" ON "pickup_requests" USING btree ("status","slot_starts_at");
\ No newline at end of file
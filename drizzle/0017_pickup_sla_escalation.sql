@@ -0,0 +1,3 @@
+ALTER TABLE "pickup_requests" ADD COLUMN "dispatch_max_radius_km" integer;--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD COLUMN "sla_stage" varchar(50);--> statement-breakpoint
+ALTER TABLE "pickup_requests" ADD COLUMN "sla_escalated_at" timestamp;
\ No newline at end of file
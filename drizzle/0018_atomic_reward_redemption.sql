@@ -0,0 +1,3 @@
+ALTER TABLE "reward_redemptions" ADD COLUMN "idempotency_key" varchar(255);--> statement-breakpoint
+ALTER TABLE "rewards" ADD COLUMN "last_redemption_id" uuid;--> statement-breakpoint
+CREATE UNIQUE INDEX "reward_redemptions_user_idempotency_key_unique" ON "reward_redemptions" USING btree ("user_id","idempotency_key");
\ No newline at end of file
@@ -0,0 +1,22 @@
+CREATE TYPE "public"."reward_fulfillment_status" AS ENUM('queued', 'processing', 'delivered', 'failed');--> statement-breakpoint
+CREATE TABLE "reward_fulfillments" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"redemption_id" uuid NOT NULL,
+	"status" "reward_fulfillment_status" DEFAULT 'queued' NOT NULL,
+	"provider" varchar(100),
+	"attempts" integer DEFAULT 0 NOT NULL,
+	"next_attempt_at" timestamp DEFAULT now(),
+	"lock_id" uuid,
+	"locked_at" timestamp,
+	"provider_reference" varchar(255),
+	"details" jsonb DEFAULT '{}'::jsonb,
+	"last_error" text,
+	"delivered_at" timestamp,
+	"failed_at" timestamp,
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now(),
+	CONSTRAINT "reward_fulfillments_redemption_id_unique" UNIQUE("redemption_id")
+);
+--> statement-breakpoint
+ALTER TABLE "reward_fulfillments" ADD CONSTRAINT "reward_fulfillments_redemption_id_reward_redemptions_id_fk" FOREIGN KEY ("redemption_id") REFERENCES "public"."reward_redemptions"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "reward_fulfillments_status_next_attempt_idx" ON "reward_fulfillments" USING btree ("status","next_attempt_at");
\ No newline at end of file
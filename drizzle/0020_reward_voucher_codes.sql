@@ -0,0 +1,19 @@
+CREATE TABLE "reward_voucher_codes" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"reward_id" uuid NOT NULL,
+	"encrypted_code" text NOT NULL,
+	"code_hash" varchar(64) NOT NULL,
+	"expires_at" timestamp,
+	"redemption_id" uuid,
+	"assigned_at" timestamp,
+	"uploaded_by" uuid,
+	"created_at" timestamp DEFAULT now(),
+	CONSTRAINT "reward_voucher_codes_redemption_id_unique" UNIQUE("redemption_id")
+);
+--> statement-breakpoint
+ALTER TABLE "rewards" ADD COLUMN "uses_voucher_codes" boolean DEFAULT false NOT NULL;--> statement-breakpoint
+ALTER TABLE "reward_voucher_codes" ADD CONSTRAINT "reward_voucher_codes_reward_id_rewards_id_fk" FOREIGN KEY ("reward_id") REFERENCES "public"."rewards"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "reward_voucher_codes" ADD CONSTRAINT "reward_voucher_codes_redemption_id_reward_redemptions_id_fk" FOREIGN KEY ("redemption_id") REFERENCES "public"."reward_redemptions"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "reward_voucher_codes" ADD CONSTRAINT "reward_voucher_codes_uploaded_by_users_id_fk" FOREIGN KEY ("uploaded_by") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX "reward_voucher_codes_reward_hash_unique" ON "reward_voucher_codes" USING btree ("reward_id","code_hash");--> statement-breakpoint
+CREATE INDEX "reward_voucher_codes_reward_redemption_idx" ON "reward_voucher_codes" USING btree ("reward_id","redemption_id");
\ No newline at end of file
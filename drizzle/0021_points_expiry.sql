@@ -0,0 +1,13 @@
+CREATE TABLE "points_expiry_warnings" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"user_id" uuid NOT NULL,
+	"ledger_entry_id" uuid NOT NULL,
+	"days_before" integer NOT NULL,
+	"created_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "points_ledger" ADD COLUMN "expires_at" timestamp;--> statement-breakpoint
+ALTER TABLE "points_expiry_warnings" ADD CONSTRAINT "points_expiry_warnings_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "points_expiry_warnings" ADD CONSTRAINT "points_expiry_warnings_ledger_entry_id_points_ledger_id_fk" FOREIGN KEY ("ledger_entry_id") REFERENCES "public"."points_ledger"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX "points_expiry_warnings_entry_days_unique" ON "points_expiry_warnings" USING btree ("ledger_entry_id","days_before");--> statement-breakpoint
+CREATE INDEX "points_ledger_expires_at_idx" ON "points_ledger" USING btree ("expires_at");
\ No newline at end of file
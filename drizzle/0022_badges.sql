@@ -0,0 +1,33 @@
+CREATE TABLE "badges" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"code" varchar(50) NOT NULL,
+	"name" varchar(100) NOT NULL,
+	"description" text,
+	"icon" varchar(255),
+	"rule" jsonb NOT NULL,
+	"bonus_points" integer DEFAULT 0 NOT NULL,
+	"is_active" boolean DEFAULT true NOT NULL,
+	"created_at" timestamp DEFAULT now(),
+	"updated_at" timestamp DEFAULT now(),
+	CONSTRAINT "badges_code_unique" UNIQUE("code")
+);
+--> statement-breakpoint
+CREATE TABLE "user_badges" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"user_id" uuid NOT NULL,
+	"badge_id" uuid NOT NULL,
+	"pickup_request_id" uuid,
+	"bonus_points" integer DEFAULT 0 NOT NULL,
+	"awarded_at" timestamp DEFAULT now()
+);
+--> statement-breakpoint
+ALTER TABLE "user_badges" ADD CONSTRAINT "user_badges_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "user_badges" ADD CONSTRAINT "user_badges_badge_id_badges_id_fk" FOREIGN KEY ("badge_id") REFERENCES "public"."badges"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "user_badges" ADD CONSTRAINT "user_badges_pickup_request_id_pickup_requests_id_fk" FOREIGN KEY ("pickup_request_id") REFERENCES "public"."pickup_requests"("id") ON DELETE no action ON UPDATE no action;--> statement-breakpoint
+CREATE UNIQUE INDEX "user_badges_user_badge_unique" ON "user_badges" USING btree ("user_id","badge_id");--> statement-breakpoint
+-- Starter badges
+INSERT INTO "badges" ("code", "name", "description", "rule", "bonus_points") VALUES
+	('first_pickup', 'First Pickup', 'Completed your first pickup', '{"type": "pickup_count", "count": 1}'::jsonb, 50),
+	('plastic_100kg', '100kg of Plastic', 'Recycled 100kg of plastic', '{"type": "weight", "kg": 100, "wasteType": "plastic"}'::jsonb, 200),
+	('four_week_streak', '4-Week Streak', 'Completed a pickup every week for 4 weeks in a row', '{"type": "weekly_streak", "weeks": 4}'::jsonb, 100)
+ON CONFLICT ("code") DO NOTHING;
@@ -0,0 +1 @@
+ALTER TYPE "public"."reward_fulfillment_status" ADD VALUE 'cancelled';
\ No newline at end of file
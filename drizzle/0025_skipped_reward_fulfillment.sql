@@ -0,0 +1 @@
+ALTER TYPE "public"."reward_fulfillment_status" ADD VALUE 'skipped';
\ No newline at end of file
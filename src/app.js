@@ -8,14 +8,25 @@ import { createServer } from 'http';
 import serverless from "serverless-http"; 
 import { Server } from 'socket.io';
 
-import { authenticateToken, requireRole } from './middleware/auth.js';
+import { authenticateToken, authenticateSocket, requireRole } from './middleware/auth.js';
+import realtimeService, { roleRoom } from './services/realtimeService.js';
+import pickupTrackingService from './services/pickupTrackingService.js';
 // import logger from './utils/logger.js';
 
 // Import and instantiate all controllers properly
 import AuthController from './controllers/authController.js';
 import UserController from './controllers/userController.js';
 import PickupController from './controllers/pickupController.js';
+import PickupScheduleController from './controllers/pickupScheduleController.js';
+import CollectionProofController from './controllers/collectionProofController.js';
+import DisputeController from './controllers/disputeController.js';
+import ReviewController from './controllers/reviewController.js';
+import AvailabilityController from './controllers/availabilityController.js';
+import ServiceZoneController from './controllers/serviceZoneController.js';
+import GeocodingController from './controllers/geocodingController.js';
+import TimeSlotController from './controllers/timeSlotController.js';
 import RewardsController from './controllers/rewardsController.js';
+import BadgeController from './controllers/badgeController.js';
 import NotificationController from './controllers/notificationController.js';
 import AnalyticsController from './controllers/analyticsController.js';
 import PaymentController from './controllers/paymentController.js';
@@ -24,7 +35,7 @@ import ReportController from './controllers/reportController.js';
 import SystemController from './controllers/systemController.js';
 import SupportController from './controllers/supportController.js';
 import RecyclingCompanyController from './controllers/recyclingCompanyController.js';
-import WasteCategoryController from './controllers/WasteCategoryController.js';
+import WasteCategoryController from './controllers/wasteCategoryController.js';
 import EnvironmentalController from './controllers/environmentalController.js';
 import AdminController from './controllers/adminController.js';
 
@@ -40,7 +51,16 @@ const paymentController = new PaymentController();
 const authController = new AuthController();
 const userController = new UserController(); 
 const pickupController = new PickupController(); 
+const pickupScheduleController = new PickupScheduleController();
+const collectionProofController = new CollectionProofController();
+const disputeController = new DisputeController();
+const reviewController = new ReviewController();
+const availabilityController = new AvailabilityController();
+const serviceZoneController = new ServiceZoneController();
+const geocodingController = new GeocodingController();
+const timeSlotController = new TimeSlotController();
 const rewardsController = new RewardsController(); 
+const badgeController = new BadgeController();
 const notificationController = new NotificationController(); 
 const analyticsController = new AnalyticsController(); 
 
@@ -57,6 +77,8 @@ const io = new Server(server, {
   }
 });
 
+realtimeService.init(io);
+
 console.log('🔌 Socket.IO configured');
 
 // Middleware
@@ -126,6 +148,8 @@ app.put('/api/users/:id', authenticateToken, requireRole(['admin']), userControl
 app.delete('/api/users/:id', authenticateToken, requireRole(['admin']), userController.deleteUserById);
 app.get('/api/users/:id/dashboard', authenticateToken, userController.getUserDashboard);
 app.get('/api/users/:id/activity', authenticateToken, userController.getUserActivity);
+app.get('/api/users/:id/points/ledger', authenticateToken, userController.getPointsLedger);
+app.get('/api/users/:id/reviews', authenticateToken, reviewController.getUserReviews);
 app.patch('/api/users/profile', authenticateToken, userController.updateProfile);
 app.patch('/api/users/waste-picker-profile', authenticateToken, requireRole(['waste_picker']), userController.updateWastePickerProfile);
 app.patch('/api/users/recycling-company-profile', authenticateToken, requireRole(['recycling_company']), userController.updateRecyclingCompanyProfile);
@@ -139,18 +163,86 @@ app.get('/api/users/leaderboard', authenticateToken, userController.getLeaderboa
 app.patch('/api/users/:id/status', authenticateToken, requireRole(['admin']), userController.updateUserStatus);
 app.delete('/api/users/account', authenticateToken, userController.deleteAccount);
 
+// ==================== AVAILABILITY ENDPOINTS ====================
+app.get('/api/availability', authenticateToken, requireRole(['waste_picker', 'admin']), availabilityController.getAvailability);
+app.put('/api/availability', authenticateToken, requireRole(['waste_picker']), availabilityController.updateSchedule);
+app.patch('/api/availability/online', authenticateToken, requireRole(['waste_picker']), availabilityController.setOnlineStatus);
+app.post('/api/availability/time-off', authenticateToken, requireRole(['waste_picker']), availabilityController.addTimeOff);
+app.delete('/api/availability/time-off/:id', authenticateToken, requireRole(['waste_picker']), availabilityController.removeTimeOff);
+
 // ==================== PICKUP MANAGEMENT ENDPOINTS ====================
 app.post('/api/pickups', authenticateToken, requireRole(['household']), pickupController.createPickupRequest);
 app.get('/api/pickups', authenticateToken, pickupController.getPickupRequests);
+app.get('/api/pickups/slots', authenticateToken, timeSlotController.getAvailableSlots);
+app.post('/api/pickups/route-plan', authenticateToken, requireRole(['waste_picker']), pickupController.planRoute);
+app.get('/api/pickups/offers', authenticateToken, requireRole(['waste_picker']), pickupController.getPickupOffers);
+app.get('/api/pickups/nearby', authenticateToken, requireRole(['waste_picker']), pickupController.getNearbyPickups);
+app.get('/api/pickups/stats', authenticateToken, pickupController.getPickupStats);
 app.get('/api/pickups/:id', authenticateToken, pickupController.getPickupRequest);
+app.get('/api/pickups/:id/history', authenticateToken, pickupController.getPickupHistory);
+app.get('/api/pickups/:id/track', authenticateToken, pickupController.getPickupTrack);
+app.post('/api/pickups/:id/location', authenticateToken, requireRole(['waste_picker']), pickupController.recordPickupLocation);
 app.put('/api/pickups/:id/accept', authenticateToken, requireRole(['waste_picker']), pickupController.acceptPickupRequest);
+app.put('/api/pickups/:id/decline', authenticateToken, requireRole(['waste_picker']), pickupController.declinePickupOffer);
 app.put('/api/pickups/:id/status', authenticateToken, pickupController.updatePickupStatus);
 app.patch('/api/pickups/:id/cancel', authenticateToken, pickupController.cancelPickupRequest);
-app.get('/api/pickups/nearby', authenticateToken, requireRole(['waste_picker']), pickupController.getNearbyPickups);
-app.get('/api/pickups/stats', authenticateToken, pickupController.getPickupStats);
+app.post('/api/pickups/:id/proof', authenticateToken, requireRole(['waste_picker']), collectionProofController.submitProof);
+app.get('/api/pickups/:id/proof', authenticateToken, collectionProofController.getProof);
+app.post('/api/pickups/:id/proof/otp', authenticateToken, requireRole(['waste_picker']), collectionProofController.resendConfirmationCode);
+app.post('/api/pickups/:id/proof/confirm', authenticateToken, requireRole(['household', 'waste_picker']), collectionProofController.confirmCollection);
+app.post('/api/pickups/:id/proof/dispute', authenticateToken, requireRole(['household']), collectionProofController.disputeCollection);
+app.post('/api/pickups/:id/reviews', authenticateToken, requireRole(['household', 'waste_picker']), reviewController.submitReview);
+app.get('/api/pickups/:id/reviews', authenticateToken, reviewController.getPickupReviews);
+app.post('/api/pickups/:id/disputes', authenticateToken, requireRole(['household', 'waste_picker']), disputeController.openDispute);
+
+// ==================== SERVICE ZONE ENDPOINTS ====================
+app.get('/api/service-zones', authenticateToken, serviceZoneController.getZones);
+app.get('/api/service-zones/lookup', authenticateToken, serviceZoneController.lookupZone);
+app.get('/api/service-zones/waitlist', authenticateToken, requireRole(['admin']), serviceZoneController.getWaitlist);
+app.get('/api/service-zones/:id', authenticateToken, serviceZoneController.getZone);
+app.post('/api/service-zones', authenticateToken, requireRole(['admin']), serviceZoneController.createZone);
+app.patch('/api/service-zones/:id', authenticateToken, requireRole(['admin']), serviceZoneController.updateZone);
+app.delete('/api/service-zones/:id', authenticateToken, requireRole(['admin']), serviceZoneController.deleteZone);
+app.post('/api/service-zones/:id/pickers', authenticateToken, requireRole(['admin']), serviceZoneController.assignPickers);
+app.delete('/api/service-zones/:id/pickers/:wastePickerId', authenticateToken, requireRole(['admin']), serviceZoneController.removePicker);
+
+// ==================== TIME SLOT ENDPOINTS ====================
+app.get('/api/time-slots', authenticateToken, requireRole(['admin']), timeSlotController.getSlots);
+app.post('/api/time-slots', authenticateToken, requireRole(['admin']), timeSlotController.createSlot);
+app.patch('/api/time-slots/:id', authenticateToken, requireRole(['admin']), timeSlotController.updateSlot);
+app.delete('/api/time-slots/:id', authenticateToken, requireRole(['admin']), timeSlotController.deleteSlot);
+
+// ==================== GEOCODING ENDPOINTS ====================
+app.get('/api/geocoding/autocomplete', geocodingController.autocomplete);
+app.get('/api/geocoding/reverse', geocodingController.reverseGeocode);
+
+// ==================== PICKUP SCHEDULE ENDPOINTS ====================
+app.get('/api/pickup-schedules', authenticateToken, pickupScheduleController.getSchedules);
+app.post('/api/pickup-schedules', authenticateToken, requireRole(['household']), pickupScheduleController.createSchedule);
+app.get('/api/pickup-schedules/:id', authenticateToken, pickupScheduleController.getSchedule);
+app.patch('/api/pickup-schedules/:id', authenticateToken, pickupScheduleController.updateSchedule);
+app.post('/api/pickup-schedules/:id/pause', authenticateToken, pickupScheduleController.pauseSchedule);
+app.post('/api/pickup-schedules/:id/resume', authenticateToken, pickupScheduleController.resumeSchedule);
+app.post('/api/pickup-schedules/:id/skip', authenticateToken, pickupScheduleController.skipOccurrence);
+app.delete('/api/pickup-schedules/:id', authenticateToken, pickupScheduleController.cancelSchedule);
+
+// ==================== DISPUTE ENDPOINTS ====================
+app.get('/api/disputes', authenticateToken, disputeController.getDisputes);
+app.get('/api/disputes/:id', authenticateToken, disputeController.getDispute);
+app.post('/api/disputes/:id/evidence', authenticateToken, disputeController.addEvidence);
+app.post('/api/disputes/:id/withdraw', authenticateToken, disputeController.withdrawDispute);
+
+// ==================== REVIEW ENDPOINTS ====================
+app.put('/api/reviews/:id', authenticateToken, reviewController.updateReview);
+
+// ==================== BADGE ENDPOINTS ====================
+app.get('/api/badges', authenticateToken, badgeController.getBadges);
+app.post('/api/badges', authenticateToken, requireRole(['admin']), badgeController.createBadge);
+app.patch('/api/badges/:id', authenticateToken, requireRole(['admin']), badgeController.updateBadge);
 
 // ==================== REWARDS ENDPOINTS ====================
 app.get('/api/rewards', authenticateToken, rewardsController.getRewards);
+app.get('/api/rewards/fulfillments', authenticateToken, requireRole(['admin']), rewardsController.getFulfillments);
 app.get('/api/rewards/:id', authenticateToken, rewardsController.getReward);
 app.post('/api/rewards/redeem', authenticateToken, rewardsController.redeemReward);
 app.get('/api/rewards/redemptions/my', authenticateToken, rewardsController.getUserRedemptions);
@@ -160,6 +252,8 @@ app.post('/api/rewards', authenticateToken, requireRole(['admin']), rewardsContr
 app.patch('/api/rewards/:id', authenticateToken, requireRole(['admin']), rewardsController.updateReward);
 app.delete('/api/rewards/:id', authenticateToken, requireRole(['admin']), rewardsController.deleteReward);
 app.get('/api/rewards/stats', authenticateToken, requireRole(['admin']), rewardsController.getRewardStats);
+app.post('/api/rewards/:id/codes', authenticateToken, requireRole(['admin']), rewardsController.uploadVoucherCodes);
+app.get('/api/rewards/:id/codes', authenticateToken, requireRole(['admin']), rewardsController.getVoucherCodeSummary);
 
 // ==================== NOTIFICATION ENDPOINTS ===================
 app.get('/api/notifications', authenticateToken, notificationController.getNotifications);
@@ -240,6 +334,7 @@ app.patch('/api/recycling-companies/:id/approve', authenticateToken, requireRole
 
 // ==================== WASTE CATEGORY ENDPOINTS ====================
 app.get('/api/waste-categories', authenticateToken, wasteCategoryController.getWasteCategories);
+app.get('/api/waste-categories/:id/rates', authenticateToken, wasteCategoryController.getWasteCategoryRates);
 app.post('/api/waste-categories', authenticateToken, requireRole(['admin']), wasteCategoryController.createWasteCategory);
 app.patch('/api/waste-categories/:id', authenticateToken, requireRole(['admin']), wasteCategoryController.updateWasteCategory);
 app.delete('/api/waste-categories/:id', authenticateToken, requireRole(['admin']), wasteCategoryController.deleteWasteCategory);
@@ -261,22 +356,79 @@ app.patch('/api/admin/users/:id/role', authenticateToken, requireRole(['admin'])
 app.post('/api/admin/maintenance', authenticateToken, requireRole(['admin']), adminController.systemMaintenance);
 app.post('/api/admin/users/bulk', authenticateToken, requireRole(['admin']), adminController.bulkUserOperations);
 app.get('/api/admin/logs',  authenticateToken, requireRole(['admin']), adminController.getSystemLogs);
+app.get('/api/admin/points/reconciliation', authenticateToken, requireRole(['admin']), adminController.getPointsReconciliation);
+app.post('/api/admin/points/reconciliation/:userId/resync', authenticateToken, requireRole(['admin']), adminController.resyncUserPoints);
+app.post('/api/admin/users/:id/points/adjust', authenticateToken, requireRole(['admin']), adminController.adjustUserPoints);
+app.post('/api/admin/points/ledger/:entryId/reverse', authenticateToken, requireRole(['admin']), adminController.reversePointsEntry);
+app.get('/api/admin/reviews', authenticateToken, requireRole(['admin']), reviewController.getReviews);
+app.patch('/api/admin/reviews/:id/hide', authenticateToken, requireRole(['admin']), reviewController.hideReview);
+app.patch('/api/admin/reviews/:id/unhide', authenticateToken, requireRole(['admin']), reviewController.unhideReview);
+app.patch('/api/admin/disputes/:id/assign', authenticateToken, requireRole(['admin']), disputeController.assignDispute);
+app.post('/api/admin/disputes/:id/resolve', authenticateToken, requireRole(['admin']), disputeController.resolveDispute);
+
+// Socket.IO authentication: every connection must send its access token in the
+// handshake (`auth: { token }` or an Authorization header)
+io.use(async (socket, next) => {
+  const user = await authenticateSocket(socket);
+  if (!user) {
+    return next(new Error('Authentication required'));
+  }
+  next();
+});
 
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-  console.log('👤 User connected:', socket.id);
-
-  socket.on('join', (userId) => {
-    socket.join(userId);
-    console.log(`👤 User ${userId} joined room`);
+  const user = socket.data.user;
+  console.log('👤 User connected:', socket.id, user.id);
+
+  // Own user room and role room; pickup updates are emitted by the server (see realtimeService)
+  socket.join([user.id, roleRoom(user.role)]);
+
+  // Join the user's own room or `pickup:<id>` for a pickup the user is a party to
+  socket.on('join', async (room, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+
+    try {
+      if (!(await realtimeService.canJoinRoom(user, room))) {
+        console.log(`⚠️  User ${user.id} denied room ${room}`);
+        return reply({ success: false, message: 'Access denied' });
+      }
+
+      socket.join(room);
+      console.log(`👤 User ${user.id} joined room ${room}`);
+      reply({ success: true, room });
+    } catch (error) {
+      console.error('Join room error:', error);
+      reply({ success: false, message: 'Failed to join room' });
+    }
   });
 
-  socket.on('location_update', (data) => {
-    socket.to(data.userId).emit('waste_picker_location', data);
+  socket.on('leave', (room) => {
+    if (String(room).startsWith('pickup:')) {
+      socket.leave(room);
+    }
   });
 
-  socket.on('pickup_status_update', (data) => {
-    io.emit('pickup_status_changed', data);
+  // Location pings from the assigned waste picker: stored on the pickup's trail and
+  // pushed to the household with an ETA (see POST /api/pickups/:id/location)
+  socket.on('location_update', async (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : (result) => {
+      if (!result.success) socket.emit('location_error', result);
+    };
+
+    try {
+      if (user.role !== 'waste_picker') {
+        return reply({ success: false, message: 'Insufficient permissions' });
+      }
+
+      const result = await pickupTrackingService.recordPing(data.pickupRequestId, user, data);
+      reply(result.success
+        ? { success: true, data: result.location }
+        : { success: false, message: result.message });
+    } catch (error) {
+      console.error('Location update error:', error);
+      reply({ success: false, message: 'Failed to record location' });
+    }
   });
 
   socket.on('disconnect', () => {
@@ -3,6 +3,7 @@ import { users, pickupRequests, transactions, notifications } from '../database/
 import { eq, and, desc, sql, between, or, like } from 'drizzle-orm';
 import bcrypt from 'bcryptjs';
 import emailService from '../services/emailService.js';
+import pointsService from '../services/pointsService.js';
 import logger from '../utils/logger.js';
 import fs from 'fs/promises';
 import path from 'path';
@@ -589,6 +590,205 @@ export default class AdminController {
     }
   }
 
+  // Get users whose cached points balances differ from the ledger (Admin only)
+  async getPointsReconciliation(req, res) {
+    try {
+      const { page = 1, limit = 50 } = req.query;
+      const offset = (page - 1) * limit;
+
+      const drifted = await pointsService.findDrift({
+        limit: parseInt(limit),
+        offset
+      });
+
+      res.json({
+        success: true,
+        data: {
+          drifted,
+          inSync: drifted.length === 0 && parseInt(page) === 1
+        },
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get points reconciliation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reconcile points balances',
+        error: error.message
+      });
+    }
+  }
+
+  // Reset a user's cached points balances to the ledger sums (Admin only)
+  async resyncUserPoints(req, res) {
+    try {
+      const { userId } = req.params;
+
+      const updatedUser = await pointsService.resyncBalance(userId);
+
+      if (!updatedUser) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      logger.info(`Admin ${req.user.id} resynced points for user ${userId}`);
+
+      res.json({
+        success: true,
+        message: 'Points balance resynced from ledger',
+        data: {
+          userId: updatedUser.id,
+          availablePoints: updatedUser.availablePoints,
+          totalPoints: updatedUser.totalPoints
+        }
+      });
+
+    } catch (error) {
+      logger.error('Resync user points error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resync points balance',
+        error: error.message
+      });
+    }
+  }
+
+  // Manually adjust a user's points (Admin only)
+  async adjustUserPoints(req, res) {
+    try {
+      const { id } = req.params;
+      const { points, reason } = req.body;
+      const pointsDelta = parseInt(points);
+
+      if (!Number.isInteger(pointsDelta) || pointsDelta === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Points must be a non-zero whole number'
+        });
+      }
+
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          message: 'A reason is required for points adjustments'
+        });
+      }
+
+      const user = await db
+        .select({ id: users.id })
+        .from(users)
+        .where(eq(users.id, id))
+        .limit(1);
+
+      if (!user.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      // A deduction may not take the balance below zero; the batch checks again
+      // so a concurrent redemption cannot slip in between
+      if (pointsDelta < 0) {
+        const available = await pointsService.getAvailablePoints(id);
+        if (available + pointsDelta < 0) {
+          return res.status(400).json({
+            success: false,
+            message: `User has only ${available} points available; deducting ${-pointsDelta} would take the balance below zero`
+          });
+        }
+      }
+
+      const [ledgerEntry] = await db.batch(pointsService.buildStatements(
+        pointsService.adjustEntry(id, pointsDelta, {
+          adminId: req.user.id,
+          description: reason
+        }),
+        pointsDelta < 0 ? pointsService.hasAvailableSql(id, -pointsDelta) : null
+      ));
+
+      if (!ledgerEntry.length) {
+        return res.status(409).json({
+          success: false,
+          message: 'The user\'s points changed meanwhile, please try again'
+        });
+      }
+
+      const entry = ledgerEntry[0];
+
+      logger.info(`Admin ${req.user.id} adjusted points for user ${id} by ${pointsDelta}`);
+
+      res.json({
+        success: true,
+        message: 'Points adjusted successfully',
+        data: entry
+      });
+
+    } catch (error) {
+      logger.error('Adjust user points error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to adjust points',
+        error: error.message
+      });
+    }
+  }
+
+  // Reverse a points ledger entry (Admin only)
+  async reversePointsEntry(req, res) {
+    try {
+      const { entryId } = req.params;
+      const { reason } = req.body;
+
+      const entry = await pointsService.getEntry(entryId);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Ledger entry not found'
+        });
+      }
+
+      if (entry.entryType === 'reverse') {
+        return res.status(400).json({
+          success: false,
+          message: 'Reversal entries cannot be reversed'
+        });
+      }
+
+      const reversal = await pointsService.reverse(entry, req.user.id, reason);
+
+      logger.info(`Admin ${req.user.id} reversed points ledger entry ${entryId}`);
+
+      res.json({
+        success: true,
+        message: 'Ledger entry reversed successfully',
+        data: reversal
+      });
+
+    } catch (error) {
+      if (error?.code === '23505' || error?.cause?.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'Ledger entry has already been reversed'
+        });
+      }
+
+      logger.error('Reverse points entry error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reverse ledger entry',
+        error: error.message
+      });
+    }
+  }
+
   // Helper method to extract date from log line
   extractDateFromLog(logLine) {
     try {
@@ -2,9 +2,11 @@ import db from '../database/connection.js';
 import { 
   users, 
   pickupRequests, 
+  pickupItems,
   transactions, 
   rewardRedemptions, 
-  analyticsData 
+  analyticsData,
+  serviceZones
 } from '../database/schema.js';
 import { eq, and, or, desc, asc, sql, between, gte, lte } from 'drizzle-orm';
 import logger from '../utils/logger.js';
@@ -109,7 +111,7 @@ export default class AnalyticsController {
   // Get pickup analytics
   async getPickupAnalytics(req, res) {
     try {
-      const { startDate, endDate, groupBy = 'day' } = req.query;
+      const { startDate, endDate, groupBy = 'day', zoneId } = req.query;
 
       let dateCondition = sql`1=1`;
       if (startDate && endDate) {
@@ -120,6 +122,11 @@ export default class AnalyticsController {
         );
       }
 
+      // Limit every breakdown to one service zone
+      if (zoneId) {
+        dateCondition = and(dateCondition, eq(pickupRequests.serviceZoneId, zoneId));
+      }
+
       // Get pickup trends
       let dateFormat;
       switch (groupBy) {
@@ -152,17 +159,20 @@ export default class AnalyticsController {
         .groupBy(dateFormat)
         .orderBy(dateFormat);
 
-      // Get waste type breakdown
+      // Get waste type breakdown from pickup line items
       const wasteTypeBreakdown = await db
         .select({
-          wasteType: pickupRequests.wasteType,
-          count: sql`count(*)`,
-          totalWeight: sql`sum(actual_weight)`,
+          wasteType: pickupItems.wasteType,
+          count: sql`count(distinct ${pickupItems.pickupRequestId})`,
+          itemCount: sql`count(*)`,
+          totalWeight: sql`sum(${pickupItems.actualWeight})`,
+          totalPoints: sql`sum(${pickupItems.pointsEarned})`,
           percentage: sql`round(count(*) * 100.0 / sum(count(*)) over(), 2)`
         })
-        .from(pickupRequests)
+        .from(pickupItems)
+        .innerJoin(pickupRequests, eq(pickupItems.pickupRequestId, pickupRequests.id))
         .where(dateCondition)
-        .groupBy(pickupRequests.wasteType)
+        .groupBy(pickupItems.wasteType)
         .orderBy(sql`count(*) desc`);
 
       // Get status distribution
@@ -193,13 +203,32 @@ export default class AnalyticsController {
         .orderBy(sql`count(*) desc`)
         .limit(10);
 
+      // Get pickups by service zone; pickups created before zones existed have no zone
+      const zoneBreakdown = await db
+        .select({
+          zoneId: pickupRequests.serviceZoneId,
+          zoneName: serviceZones.name,
+          totalPickups: sql`count(*)`,
+          completedPickups: sql`count(*) filter (where ${pickupRequests.status} = 'completed')`,
+          cancelledPickups: sql`count(*) filter (where ${pickupRequests.status} = 'cancelled')`,
+          totalWeight: sql`sum(${pickupRequests.actualWeight})`,
+          totalPoints: sql`sum(${pickupRequests.pointsEarned})`,
+          totalCashValue: sql`sum(${pickupRequests.cashValue})`
+        })
+        .from(pickupRequests)
+        .leftJoin(serviceZones, eq(pickupRequests.serviceZoneId, serviceZones.id))
+        .where(dateCondition)
+        .groupBy(pickupRequests.serviceZoneId, serviceZones.name)
+        .orderBy(sql`count(*) desc`);
+
       res.json({
         success: true,
         data: {
           trends: pickupTrends,
           wasteTypeBreakdown,
           statusDistribution,
-          topWastePickers
+          topWastePickers,
+          zoneBreakdown
         }
       });
 
@@ -439,19 +468,21 @@ export default class AnalyticsController {
         );
       }
 
-      // Calculate environmental impact metrics
+      // Calculate environmental impact metrics from the weighed line items
       const impactMetrics = await db
         .select({
-          totalWasteCollected: sql`sum(actual_weight)`,
-          totalPickups: sql`count(*) filter (where status = 'completed')`,
-          plasticWaste: sql`sum(actual_weight) filter (where waste_type = 'plastic')`,
-          paperWaste: sql`sum(actual_weight) filter (where waste_type = 'paper')`,
-          metalWaste: sql`sum(actual_weight) filter (where waste_type = 'metal')`,
-          glassWaste: sql`sum(actual_weight) filter (where waste_type = 'glass')`,
-          electronicWaste: sql`sum(actual_weight) filter (where waste_type = 'electronics')`,
-          organicWaste: sql`sum(actual_weight) filter (where waste_type = 'organic')`
+          totalWasteCollected: sql`sum(${pickupItems.actualWeight})`,
+          totalPickups: sql`count(distinct ${pickupRequests.id})`,
+          plasticWaste: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'plastic')`,
+          paperWaste: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'paper')`,
+          metalWaste: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'metal')`,
+          glassWaste: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'glass')`,
+          electronicWaste: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'electronics')`,
+          organicWaste: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'organic')`,
+          mixedWaste: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'mixed')`
         })
-        .from(pickupRequests)
+        .from(pickupItems)
+        .innerJoin(pickupRequests, eq(pickupItems.pickupRequestId, pickupRequests.id))
         .where(and(dateCondition, eq(pickupRequests.status, 'completed')));
 
       // Calculate estimated CO2 savings (example calculations)
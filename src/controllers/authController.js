@@ -5,6 +5,7 @@ import crypto from 'crypto';
 import db from '../database/connection.js';
 import { users, wastePickerProfiles, recyclingCompanyProfiles } from '../database/schema.js';
 import { eq } from 'drizzle-orm';
+import geocodingService from '../services/geocodingService.js';
 import logger from '../utils/logger.js';
 
 export default class AuthController {
@@ -33,6 +34,14 @@ export default class AuthController {
         });
       }
 
+      const location = await geocodingService.resolveUserLocation({ address, city, state, latitude, longitude });
+      if (!location.valid) {
+        return res.status(400).json({
+          success: false,
+          message: location.message
+        });
+      }
+
       // FIXED: Hash password with proper error handling
       let hashedPassword;
       try {
@@ -60,6 +69,7 @@ export default class AuthController {
             address,
             city,
             state,
+            ...location.values,
             latitude,
             longitude,
             emailVerificationToken,
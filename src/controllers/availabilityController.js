@@ -0,0 +1,161 @@
+import db from '../database/connection.js';
+import { users } from '../database/schema.js';
+import { eq } from 'drizzle-orm';
+import availabilityService from '../services/availabilityService.js';
+import logger from '../utils/logger.js';
+
+export default class AvailabilityController {
+  // Get a waste picker's availability: weekly hours, time off, daily limit and online status.
+  // Admins can pass ?wastePickerId= to look at any picker.
+  async getAvailability(req, res) {
+    try {
+      let wastePickerId = req.user.id;
+
+      if (req.user.role === 'admin' && req.query.wastePickerId) {
+        const picker = await db
+          .select({ id: users.id, role: users.role })
+          .from(users)
+          .where(eq(users.id, req.query.wastePickerId))
+          .limit(1);
+
+        if (!picker.length || picker[0].role !== 'waste_picker') {
+          return res.status(404).json({
+            success: false,
+            message: 'Waste picker not found'
+          });
+        }
+
+        wastePickerId = picker[0].id;
+      } else if (req.user.role !== 'waste_picker') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only waste pickers have availability'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await availabilityService.checkAvailability(wastePickerId)
+      });
+
+    } catch (error) {
+      logger.error('Get availability error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get availability',
+        error: error.message
+      });
+    }
+  }
+
+  // Set weekly working hours and the daily pickup limit
+  async updateSchedule(req, res) {
+    try {
+      const result = await availabilityService.updateSchedule(req.user, req.body);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Availability updated',
+        data: result.availability
+      });
+
+    } catch (error) {
+      logger.error('Update availability error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update availability',
+        error: error.message
+      });
+    }
+  }
+
+  // Go online or offline
+  async setOnlineStatus(req, res) {
+    try {
+      const result = await availabilityService.setOnline(req.user, req.body.isOnline);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: result.availability.isOnline ? 'You are now online' : 'You are now offline',
+        data: result.availability
+      });
+
+    } catch (error) {
+      logger.error('Set online status error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update online status',
+        error: error.message
+      });
+    }
+  }
+
+  // Book time off; no pickups are offered or accepted during it
+  async addTimeOff(req, res) {
+    try {
+      const result = await availabilityService.addTimeOff(req.user, req.body);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Time off added',
+        data: result.timeOff
+      });
+
+    } catch (error) {
+      logger.error('Add time off error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add time off',
+        error: error.message
+      });
+    }
+  }
+
+  // Cancel a period of time off
+  async removeTimeOff(req, res) {
+    try {
+      const result = await availabilityService.removeTimeOff(req.user, req.params.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Time off removed'
+      });
+
+    } catch (error) {
+      logger.error('Remove time off error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove time off',
+        error: error.message
+      });
+    }
+  }
+}
@@ -0,0 +1,166 @@
+import db from '../database/connection.js';
+import { badges } from '../database/schema.js';
+import { eq } from 'drizzle-orm';
+import achievementService from '../services/achievementService.js';
+import logger from '../utils/logger.js';
+
+const UNIQUE_VIOLATION = '23505';
+
+function isUniqueViolation(error) {
+  return error?.code === UNIQUE_VIOLATION || error?.cause?.code === UNIQUE_VIOLATION;
+}
+
+function isValidBonusPoints(value) {
+  return value === undefined || (Number.isInteger(Number(value)) && Number(value) >= 0);
+}
+
+export default class BadgeController {
+  // Get the badges users can earn (admins can include inactive ones)
+  async getBadges(req, res) {
+    try {
+      const includeInactive = req.user.role === 'admin' && req.query.includeInactive === 'true';
+
+      const allBadges = await achievementService.getBadges({ includeInactive });
+
+      res.json({
+        success: true,
+        data: allBadges
+      });
+
+    } catch (error) {
+      logger.error('Get badges error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get badges',
+        error: error.message
+      });
+    }
+  }
+
+  // Create a badge (Admin only)
+  async createBadge(req, res) {
+    try {
+      const { code, name, description, icon, rule, bonusPoints, isActive } = req.body;
+
+      if (!code || !name) {
+        return res.status(400).json({
+          success: false,
+          message: 'Code and name are required'
+        });
+      }
+
+      const validation = achievementService.validateRule(rule);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: validation.message
+        });
+      }
+
+      if (!isValidBonusPoints(bonusPoints)) {
+        return res.status(400).json({
+          success: false,
+          message: 'bonusPoints must be a non-negative whole number'
+        });
+      }
+
+      const newBadge = await db
+        .insert(badges)
+        .values({
+          code,
+          name,
+          description,
+          icon,
+          rule: validation.rule,
+          bonusPoints: bonusPoints !== undefined ? Number(bonusPoints) : 0,
+          isActive: isActive !== undefined ? Boolean(isActive) : true
+        })
+        .returning();
+
+      res.status(201).json({
+        success: true,
+        message: 'Badge created successfully',
+        data: newBadge[0]
+      });
+
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A badge with this code already exists'
+        });
+      }
+
+      logger.error('Create badge error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create badge',
+        error: error.message
+      });
+    }
+  }
+
+  // Update a badge (Admin only)
+  // Badges already awarded are kept, with the bonus points they were awarded with
+  async updateBadge(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, description, icon, rule, bonusPoints, isActive } = req.body;
+
+      const badge = await achievementService.getBadge(id);
+
+      if (!badge) {
+        return res.status(404).json({
+          success: false,
+          message: 'Badge not found'
+        });
+      }
+
+      const updateData = { updatedAt: new Date() };
+
+      if (rule !== undefined) {
+        const validation = achievementService.validateRule(rule);
+        if (!validation.valid) {
+          return res.status(400).json({
+            success: false,
+            message: validation.message
+          });
+        }
+        updateData.rule = validation.rule;
+      }
+
+      if (!isValidBonusPoints(bonusPoints)) {
+        return res.status(400).json({
+          success: false,
+          message: 'bonusPoints must be a non-negative whole number'
+        });
+      }
+
+      if (name !== undefined) updateData.name = name;
+      if (description !== undefined) updateData.description = description;
+      if (icon !== undefined) updateData.icon = icon;
+      if (bonusPoints !== undefined) updateData.bonusPoints = Number(bonusPoints);
+      if (isActive !== undefined) updateData.isActive = Boolean(isActive);
+
+      const updatedBadge = await db
+        .update(badges)
+        .set(updateData)
+        .where(eq(badges.id, id))
+        .returning();
+
+      res.json({
+        success: true,
+        message: 'Badge updated successfully',
+        data: updatedBadge[0]
+      });
+
+    } catch (error) {
+      logger.error('Update badge error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update badge',
+        error: error.message
+      });
+    }
+  }
+}
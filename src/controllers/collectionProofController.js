@@ -0,0 +1,210 @@
+import db from '../database/connection.js';
+import { pickupRequests } from '../database/schema.js';
+import { eq } from 'drizzle-orm';
+import collectionProofService, { MAX_PHOTOS_PER_KIND, PROOF_PHOTO_FIELDS } from '../services/collectionProofService.js';
+import disputeService from '../services/disputeService.js';
+import { upload, parseUpload } from '../utils/uploadUtils.js';
+import logger from '../utils/logger.js';
+
+const proofPhotos = upload.fields(PROOF_PHOTO_FIELDS.map(name => ({ name, maxCount: MAX_PHOTOS_PER_KIND })));
+
+// Load the pickup a proof belongs to, or send the 404 response
+async function findPickup(req, res) {
+  const pickup = await db
+    .select()
+    .from(pickupRequests)
+    .where(eq(pickupRequests.id, req.params.id))
+    .limit(1);
+
+  if (!pickup.length) {
+    res.status(404).json({
+      success: false,
+      message: 'Pickup request not found'
+    });
+    return null;
+  }
+
+  return pickup[0];
+}
+
+export default class CollectionProofController {
+  // Submit scale and before/after photos with the weighed amounts (waste picker only)
+  async submitProof(req, res) {
+    try {
+      try {
+        await parseUpload(proofPhotos, req, res);
+      } catch (uploadError) {
+        return res.status(400).json({
+          success: false,
+          message: uploadError.message
+        });
+      }
+
+      const pickup = await findPickup(req, res);
+      if (!pickup) return;
+
+      const result = await collectionProofService.submitProof(pickup, req.user, {
+        files: req.files || {},
+        actualWeight: req.body.actualWeight,
+        items: req.body.items
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Proof of collection submitted; waiting for the household to confirm',
+        data: result.proof
+      });
+
+    } catch (error) {
+      logger.error('Submit collection proof error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to submit proof of collection',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the proof of collection for a pickup
+  async getProof(req, res) {
+    try {
+      const pickup = await findPickup(req, res);
+      if (!pickup) return;
+
+      const isParty = pickup.requesterId === req.user.id || pickup.wastePickerId === req.user.id;
+      if (!isParty && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const proof = await collectionProofService.getProof(pickup.id);
+      if (!proof) {
+        return res.status(404).json({
+          success: false,
+          message: 'No proof of collection has been submitted'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: collectionProofService.toPublic(proof)
+      });
+
+    } catch (error) {
+      logger.error('Get collection proof error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get proof of collection',
+        error: error.message
+      });
+    }
+  }
+
+  // Send the household a new confirmation code (waste picker only)
+  async resendConfirmationCode(req, res) {
+    try {
+      const pickup = await findPickup(req, res);
+      if (!pickup) return;
+
+      const result = await collectionProofService.resendOtp(pickup, req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'A new confirmation code has been sent to the household'
+      });
+
+    } catch (error) {
+      logger.error('Resend confirmation code error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send confirmation code',
+        error: error.message
+      });
+    }
+  }
+
+  // Confirm the collection: the household approves in the app, or the waste picker enters the household's code
+  async confirmCollection(req, res) {
+    try {
+      const pickup = await findPickup(req, res);
+      if (!pickup) return;
+
+      const result = await collectionProofService.confirm(pickup, req.user, { otp: req.body.otp });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: result.replayed ? 'Pickup already completed' : 'Collection confirmed and points credited',
+        data: {
+          pickup: result.pickup,
+          proof: result.proof
+        }
+      });
+
+    } catch (error) {
+      logger.error('Confirm collection error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to confirm collection',
+        error: error.message
+      });
+    }
+  }
+
+  // Dispute the weighed amounts before confirming them (household only)
+  async disputeCollection(req, res) {
+    try {
+      const pickup = await findPickup(req, res);
+      if (!pickup) return;
+
+      const result = await disputeService.openDispute(pickup, req.user, {
+        type: 'short_weight',
+        reason: req.body.reason,
+        claimedWeight: req.body.claimedWeight
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Dispute opened; an admin will review the weighed amounts',
+        data: result.dispute
+      });
+
+    } catch (error) {
+      logger.error('Dispute collection error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to dispute collection',
+        error: error.message
+      });
+    }
+  }
+}
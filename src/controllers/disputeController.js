@@ -0,0 +1,281 @@
+import db from '../database/connection.js';
+import { pickupRequests } from '../database/schema.js';
+import { eq } from 'drizzle-orm';
+import disputeService, { MAX_EVIDENCE_FILES } from '../services/disputeService.js';
+import { upload, parseUpload } from '../utils/uploadUtils.js';
+import logger from '../utils/logger.js';
+
+const evidencePhotos = upload.array('evidence', MAX_EVIDENCE_FILES);
+
+// Load a dispute the user can see, or send the error response
+async function findDispute(req, res) {
+  const dispute = await disputeService.getDispute(req.params.id);
+
+  if (!dispute) {
+    res.status(404).json({
+      success: false,
+      message: 'Dispute not found'
+    });
+    return null;
+  }
+
+  if (!disputeService.isParty(dispute, req.user) && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return dispute;
+}
+
+async function parseEvidence(req, res) {
+  try {
+    await parseUpload(evidencePhotos, req, res);
+    return true;
+  } catch (uploadError) {
+    res.status(400).json({
+      success: false,
+      message: uploadError.message
+    });
+    return false;
+  }
+}
+
+export default class DisputeController {
+  // Open a dispute on a pickup (household or assigned waste picker)
+  async openDispute(req, res) {
+    try {
+      if (!await parseEvidence(req, res)) return;
+
+      const pickup = await db
+        .select()
+        .from(pickupRequests)
+        .where(eq(pickupRequests.id, req.params.id))
+        .limit(1);
+
+      if (!pickup.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pickup request not found'
+        });
+      }
+
+      const result = await disputeService.openDispute(pickup[0], req.user, {
+        type: req.body.type,
+        reason: req.body.reason,
+        claimedWeight: req.body.claimedWeight,
+        files: req.files || []
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Dispute opened; an admin will review it',
+        data: result.dispute
+      });
+
+    } catch (error) {
+      logger.error('Open dispute error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to open dispute',
+        error: error.message
+      });
+    }
+  }
+
+  // Get disputes the user opened or is named in (all disputes for admins)
+  async getDisputes(req, res) {
+    try {
+      const { page = 1, limit = 20, status, type, pickupRequestId, assignedTo } = req.query;
+
+      const disputes = await disputeService.listDisputes(req.user, {
+        status,
+        type,
+        pickupRequestId,
+        assignedTo,
+        page,
+        limit
+      });
+
+      res.json({
+        success: true,
+        data: disputes,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: disputes.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get disputes error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get disputes',
+        error: error.message
+      });
+    }
+  }
+
+  // Get a dispute with its evidence
+  async getDispute(req, res) {
+    try {
+      const dispute = await findDispute(req, res);
+      if (!dispute) return;
+
+      res.json({
+        success: true,
+        data: await disputeService.getDetails(dispute)
+      });
+
+    } catch (error) {
+      logger.error('Get dispute error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get dispute',
+        error: error.message
+      });
+    }
+  }
+
+  // Add evidence photos to an active dispute (either party)
+  async addEvidence(req, res) {
+    try {
+      if (!await parseEvidence(req, res)) return;
+
+      const dispute = await findDispute(req, res);
+      if (!dispute) return;
+
+      const result = await disputeService.addEvidence(dispute, req.user, {
+        files: req.files || [],
+        note: req.body.note
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Evidence added',
+        data: result.evidence
+      });
+
+    } catch (error) {
+      logger.error('Add dispute evidence error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add evidence',
+        error: error.message
+      });
+    }
+  }
+
+  // Withdraw a dispute (the party who opened it)
+  async withdrawDispute(req, res) {
+    try {
+      const dispute = await findDispute(req, res);
+      if (!dispute) return;
+
+      const result = await disputeService.withdraw(dispute, req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Dispute withdrawn',
+        data: result.dispute
+      });
+
+    } catch (error) {
+      logger.error('Withdraw dispute error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to withdraw dispute',
+        error: error.message
+      });
+    }
+  }
+
+  // Assign a dispute for review (admin only)
+  async assignDispute(req, res) {
+    try {
+      const dispute = await findDispute(req, res);
+      if (!dispute) return;
+
+      const result = await disputeService.assign(dispute, req.user, req.body);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Dispute assigned',
+        data: result.dispute
+      });
+
+    } catch (error) {
+      logger.error('Assign dispute error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to assign dispute',
+        error: error.message
+      });
+    }
+  }
+
+  // Resolve a dispute and apply its outcomes (admin only)
+  async resolveDispute(req, res) {
+    try {
+      const dispute = await findDispute(req, res);
+      if (!dispute) return;
+
+      const result = await disputeService.resolve(dispute, req.user, req.body);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Dispute ${result.dispute.status}`,
+        data: {
+          dispute: result.dispute,
+          pickup: result.pickup
+        }
+      });
+
+    } catch (error) {
+      logger.error('Resolve dispute error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resolve dispute',
+        error: error.message
+      });
+    }
+  }
+}
@@ -1,5 +1,5 @@
 import db from '../database/connection.js';
-import { pickupRequests, users, analyticsData } from '../database/schema.js';
+import { pickupRequests, pickupItems, users, analyticsData } from '../database/schema.js';
 import { eq, and, desc, sql, between } from 'drizzle-orm';
 import logger from '../utils/logger.js';
 
@@ -24,16 +24,18 @@ export default class EnvironmentalController {
 
       const environmentalImpact = await db
         .select({
-          totalWasteCollected: sql`sum(actual_weight)`,
-          totalPickups: sql`count(*) filter (where status = 'completed')`,
-          plasticWaste: sql`sum(actual_weight) filter (where waste_type = 'plastic')`,
-          paperWaste: sql`sum(actual_weight) filter (where waste_type = 'paper')`,
-          metalWaste: sql`sum(actual_weight) filter (where waste_type = 'metal')`,
-          glassWaste: sql`sum(actual_weight) filter (where waste_type = 'glass')`,
-          electronicWaste: sql`sum(actual_weight) filter (where waste_type = 'electronics')`,
-          organicWaste: sql`sum(actual_weight) filter (where waste_type = 'organic')`
+          totalWasteCollected: sql`sum(${pickupItems.actualWeight})`,
+          totalPickups: sql`count(distinct ${pickupRequests.id})`,
+          plasticWaste: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'plastic')`,
+          paperWaste: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'paper')`,
+          metalWaste: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'metal')`,
+          glassWaste: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'glass')`,
+          electronicWaste: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'electronics')`,
+          organicWaste: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'organic')`,
+          mixedWaste: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'mixed')`
         })
-        .from(pickupRequests)
+        .from(pickupItems)
+        .innerJoin(pickupRequests, eq(pickupItems.pickupRequestId, pickupRequests.id))
         .where(and(dateCondition, eq(pickupRequests.status, 'completed')));
 
       // Calculate CO2 savings and environmental benefits
@@ -172,28 +174,29 @@ export default class EnvironmentalController {
       let dateFormat;
       switch (groupBy) {
         case 'day':
-          dateFormat = sql`date_trunc('day', created_at)`;
+          dateFormat = sql`date_trunc('day', ${pickupRequests.createdAt})`;
           break;
         case 'week':
-          dateFormat = sql`date_trunc('week', created_at)`;
+          dateFormat = sql`date_trunc('week', ${pickupRequests.createdAt})`;
           break;
         case 'month':
-          dateFormat = sql`date_trunc('month', created_at)`;
+          dateFormat = sql`date_trunc('month', ${pickupRequests.createdAt})`;
           break;
         default:
-          dateFormat = sql`date_trunc('month', created_at)`;
+          dateFormat = sql`date_trunc('month', ${pickupRequests.createdAt})`;
       }
 
       const trends = await db
         .select({
           date: dateFormat,
-          totalWasteCollected: sql`sum(actual_weight)`,
-          totalPickups: sql`count(*) filter (where status = 'completed')`,
-          co2Saved: sql`sum(actual_weight) * 0.5`,
-          plasticRecycled: sql`sum(actual_weight) filter (where waste_type = 'plastic')`,
-          paperRecycled: sql`sum(actual_weight) filter (where waste_type = 'paper')`
+          totalWasteCollected: sql`sum(${pickupItems.actualWeight})`,
+          totalPickups: sql`count(distinct ${pickupRequests.id})`,
+          co2Saved: sql`sum(${pickupItems.actualWeight}) * 0.5`,
+          plasticRecycled: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'plastic')`,
+          paperRecycled: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'paper')`
         })
-        .from(pickupRequests)
+        .from(pickupItems)
+        .innerJoin(pickupRequests, eq(pickupItems.pickupRequestId, pickupRequests.id))
         .where(and(dateCondition, eq(pickupRequests.status, 'completed')))
         .groupBy(dateFormat)
         .orderBy(dateFormat);
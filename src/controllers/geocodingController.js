@@ -0,0 +1,69 @@
+import geocodingService from '../services/geocodingService.js';
+import { validateCoordinates } from '../utils/geoUtils.js';
+import logger from '../utils/logger.js';
+
+export default class GeocodingController {
+  // Suggest states, LGAs, towns and landmarks for a partial place name
+  async autocomplete(req, res) {
+    try {
+      const { q, limit, state, latitude, longitude } = req.query;
+
+      if (!q || !String(q).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Search query (q) is required'
+        });
+      }
+
+      const suggestions = await geocodingService.autocomplete(q, { limit, state, latitude, longitude });
+
+      res.json({
+        success: true,
+        data: suggestions
+      });
+
+    } catch (error) {
+      logger.error('Geocoding autocomplete error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get location suggestions',
+        error: error.message
+      });
+    }
+  }
+
+  // Find the state, LGA and city of a location
+  async reverseGeocode(req, res) {
+    try {
+      const coordinates = validateCoordinates(req.query.latitude, req.query.longitude);
+      if (!coordinates.valid) {
+        return res.status(400).json({
+          success: false,
+          message: coordinates.message
+        });
+      }
+
+      const location = await geocodingService.reverseGeocode(coordinates.latitude, coordinates.longitude);
+
+      if (!location) {
+        return res.status(404).json({
+          success: false,
+          message: 'No known place near this location'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: location
+      });
+
+    } catch (error) {
+      logger.error('Reverse geocoding error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reverse geocode location',
+        error: error.message
+      });
+    }
+  }
+}
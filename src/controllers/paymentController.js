@@ -3,6 +3,7 @@ import { transactions, users } from '../database/schema.js';
 import { eq, and, desc, sql } from 'drizzle-orm';
 import paymentService from '../services/paymentService.js';
 import notificationService from '../services/notificationService.js';
+import realtimeService from '../services/realtimeService.js';
 import logger from '../utils/logger.js';
 import { v4 as uuidv4 } from 'uuid';
 
@@ -94,6 +95,7 @@ export default class PaymentController {
 
       // Send notification if payment successful
       if (paymentData.status === 'success') {
+        realtimeService.paymentReceived(updatedTransaction[0]);
         await notificationService.sendPaymentReceivedNotification(
           req.user,
           updatedTransaction[0]
@@ -421,6 +423,8 @@ export default class PaymentController {
         })
         .returning();
 
+      realtimeService.paymentReceived(transaction[0]);
+
       res.json({
         success: true,
         message: 'Transfer initiated successfully',
@@ -1,69 +1,69 @@
 import db from '../database/connection.js';
-import { pickupRequests, users, transactions } from '../database/schema.js';
-import { eq, and, or, desc, asc, sql, between } from 'drizzle-orm';
+import { pickupRequests, pickupItems, users } from '../database/schema.js';
+import { eq, and, or, desc, asc, sql, between, isNull } from 'drizzle-orm';
 import notificationService from '../services/notificationService.js';
-import { calculateDistance, findNearbyWastePickers } from '../utils/geoUtils.js';
+import pickupLifecycleService from '../services/pickupLifecycleService.js';
+import pickupCompletionService from '../services/pickupCompletionService.js';
+import pickupItemService from '../services/pickupItemService.js';
+import pickupRequestService from '../services/pickupRequestService.js';
+import dispatchService from '../services/dispatchService.js';
+import realtimeService from '../services/realtimeService.js';
+import routePlanningService from '../services/routePlanningService.js';
+import pickupTrackingService from '../services/pickupTrackingService.js';
+import reviewService from '../services/reviewService.js';
+import availabilityService from '../services/availabilityService.js';
+import serviceZoneService from '../services/serviceZoneService.js';
+import { distanceSql, validateLocationQuery, withinRadiusSql } from '../utils/geoUtils.js';
 import logger from '../utils/logger.js';
-import { v4 as uuidv4 } from 'uuid';
+
+// Why a waste picker could not claim a pickup
+function claimConflictMessage(pickup, wastePickerId) {
+  if (pickup.wastePickerId === wastePickerId) {
+    return 'You have already accepted this pickup request';
+  }
+
+  if (pickup.wastePickerId) {
+    return 'Pickup request has already been accepted by another waste picker';
+  }
+
+  return 'Pickup request is no longer available';
+}
 
 class PickupController {
   // Create pickup request
   async createPickupRequest(req, res) {
     try {
-      const {
-        wasteType,
-        estimatedWeight,
-        description,
-        images,
-        pickupAddress,
-        pickupLatitude,
-        pickupLongitude,
-        preferredDate,
-        preferredTimeSlot
-      } = req.body;
-
-      const requesterId = req.user.id;
-
-      // Create pickup request
-      const newPickup = await db
-        .insert(pickupRequests)
-        .values({
-          requesterId,
-          wasteType,
-          estimatedWeight,
-          description,
-          images,
-          pickupAddress,
-          pickupLatitude,
-          pickupLongitude,
-          preferredDate: preferredDate ? new Date(preferredDate) : null,
-          preferredTimeSlot,
-          status: 'pending'
-        })
-        .returning();
+      const result = await pickupRequestService.createPickup(req.user.id, req.body, req.user);
+
+      // Outside every service zone the household can ask to be told when we get there
+      if (!result.success && result.outsideServiceArea && req.body.joinWaitlist === true) {
+        const waitlist = await serviceZoneService.joinWaitlist(req.user, {
+          address: req.body.pickupAddress,
+          latitude: req.body.pickupLatitude,
+          longitude: req.body.pickupLongitude,
+          wasteTypes: pickupItemService.normalizeItems(req.body).map(item => item.wasteType)
+        });
 
-      const pickup = newPickup[0];
+        return res.status(202).json({
+          success: false,
+          message: `${result.message}; we will notify you when we start collecting there`,
+          waitlisted: true,
+          data: waitlist.entry
+        });
+      }
 
-      // Send notification
-      await notificationService.sendPickupRequestNotification(req.user, pickup);
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message,
+          ...(result.outsideServiceArea && { outsideServiceArea: true })
+        });
+      }
 
-      // Find nearby waste pickers and notify them
-      const nearbyWastePickers = await findNearbyWastePickers(
-        parseFloat(pickupLatitude),
-        parseFloat(pickupLongitude),
-        10 // 10km radius
-      );
+      const pickup = result.pickup;
 
-      // Notify nearby waste pickers
-      for (const wastePicker of nearbyWastePickers) {
-        await notificationService.createNotification(
-          wastePicker.id,
-          'pickup_request',
-          'New Pickup Request Available',
-          `A new ${wasteType} pickup request is available near you.`,
-          { pickupRequestId: pickup.id }
-        );
-      }
+      // Notify the requester and nearby waste pickers
+      await pickupRequestService.notifyNewPickup(req.user, pickup);
 
       res.status(201).json({
         success: true,
@@ -104,7 +104,12 @@ class PickupController {
       // Apply filters
       const conditions = [];
       if (status) conditions.push(eq(pickupRequests.status, status));
-      if (wasteType) conditions.push(eq(pickupRequests.wasteType, wasteType));
+      if (wasteType) {
+        conditions.push(or(
+          eq(pickupRequests.wasteType, wasteType),
+          sql`exists (select 1 from ${pickupItems} where ${pickupItems.pickupRequestId} = ${pickupRequests.id} and ${pickupItems.wasteType} = ${wasteType})`
+        ));
+      }
       if (userId) conditions.push(eq(pickupRequests.requesterId, userId));
 
       // Role-based filtering
@@ -129,9 +134,11 @@ class PickupController {
         .limit(parseInt(limit))
         .offset(offset);
 
+      const itemsByPickup = await pickupItemService.getItemsByPickup(pickups.map(row => row.pickup.id));
+
       res.json({
         success: true,
-        data: pickups,
+        data: pickups.map(row => ({ ...row, items: itemsByPickup.get(row.pickup.id) || [] })),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -188,7 +195,10 @@ class PickupController {
 
       res.json({
         success: true,
-        data: pickupData
+        data: {
+          ...pickupData,
+          items: await pickupItemService.getItems(id)
+        }
       });
 
     } catch (error) {
@@ -228,23 +238,78 @@ class PickupController {
         });
       }
 
-      if (pickup[0].status !== 'pending') {
-        return res.status(400).json({
+      if (pickup[0].status !== 'pending' || pickup[0].wastePickerId) {
+        return res.status(409).json({
           success: false,
-          message: 'Pickup request is no longer available'
+          message: claimConflictMessage(pickup[0], wastePickerId)
         });
       }
 
-      // Update pickup request
-      const updatedPickup = await db
-        .update(pickupRequests)
-        .set({
-          wastePickerId,
-          status: 'accepted',
-          updatedAt: new Date()
-        })
-        .where(eq(pickupRequests.id, id))
-        .returning();
+      if (pickup[0].serviceZoneId) {
+        const zonePickerIds = await serviceZoneService.getAssignedPickerIds(pickup[0].serviceZoneId);
+        if (zonePickerIds.length && !zonePickerIds.includes(wastePickerId)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Only waste pickers assigned to this service zone can accept this pickup'
+          });
+        }
+      }
+
+      const availability = await availabilityService.checkAvailability(wastePickerId);
+      if (!availability.available) {
+        return res.status(409).json({
+          success: false,
+          message: availability.reason
+        });
+      }
+
+      // Claim the pickup: the update only applies while it is still pending and unassigned,
+      // so when two pickers accept at once exactly one wins. It also re-checks the picker's
+      // online status, time off and daily limit so parallel accepts cannot exceed the limit.
+      // Accepting closes any open dispatch offers for the pickup, whoever they were for
+      const result = await pickupLifecycleService.transition(pickup[0], 'accepted', req.user, {
+        updates: { wastePickerId, dispatchStatus: 'matched' },
+        conditions: [
+          isNull(pickupRequests.wastePickerId),
+          serviceZoneService.pickerCanServeSql(wastePickerId),
+          availabilityService.canTakePickupCondition(wastePickerId)
+        ],
+        latitude: req.body?.latitude,
+        longitude: req.body?.longitude,
+        additionalStatements: appliedCondition =>
+          dispatchService.buildAcceptanceStatements(id, wastePickerId, appliedCondition)
+      });
+
+      if (!result.success && result.statusCode === 409) {
+        const current = await db
+          .select()
+          .from(pickupRequests)
+          .where(eq(pickupRequests.id, id))
+          .limit(1);
+
+        const claimable = current[0] && current[0].status === 'pending' && !current[0].wastePickerId;
+        const message = claimable
+          ? (await availabilityService.checkAvailability(wastePickerId)).reason
+          : null;
+
+        return res.status(409).json({
+          success: false,
+          message: message || claimConflictMessage(current[0] || pickup[0], wastePickerId)
+        });
+      }
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      // Let other pickers' nearby lists drop the job, and tell the household who is coming
+      realtimeService.pickupClaimed(result.pickup);
+      realtimeService.pickupAccepted(result.pickup, req.user);
+
+      const updatedPickup = [result.pickup];
 
       // Get requester details
       const requester = await db
@@ -276,11 +341,86 @@ class PickupController {
     }
   }
 
+  // Decline a dispatch offer (waste picker only)
+  async declinePickupOffer(req, res) {
+    try {
+      const result = await dispatchService.declineOffer(req.params.id, req.user.id);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Pickup offer declined',
+        data: result.offer
+      });
+
+    } catch (error) {
+      logger.error('Decline pickup offer error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to decline pickup offer',
+        error: error.message
+      });
+    }
+  }
+
+  // Get open dispatch offers for the current waste picker
+  async getPickupOffers(req, res) {
+    try {
+      const offers = await dispatchService.getOpenOffers(req.user.id);
+
+      res.json({
+        success: true,
+        data: offers
+      });
+
+    } catch (error) {
+      logger.error('Get pickup offers error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get pickup offers',
+        error: error.message
+      });
+    }
+  }
+
+  // Plan a route through the waste picker's accepted pickups
+  async planRoute(req, res) {
+    try {
+      const result = await routePlanningService.planRoute(req.user, req.body);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result.plan
+      });
+
+    } catch (error) {
+      logger.error('Plan route error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to plan route',
+        error: error.message
+      });
+    }
+  }
+
   // Update pickup status
   async updatePickupStatus(req, res) {
     try {
       const { id } = req.params;
-      const { status, actualWeight, rating, feedback } = req.body;
+      const { status, actualWeight, rating, feedback, reason, latitude, longitude } = req.body;
 
       // Get pickup request
       const pickup = await db
@@ -313,86 +453,81 @@ class PickupController {
         });
       }
 
-      const updateData = { status, updatedAt: new Date() };
+      // A rating is the household's review of the waste picker
+      if (rating && req.user.role === 'household') {
+        const review = await reviewService.saveReview(pickupData, req.user, { rating, comment: feedback });
 
-      // Handle completion
-      if (status === 'completed') {
-        updateData.completedAt = new Date();
-        
-        if (actualWeight) {
-          updateData.actualWeight = actualWeight;
+        if (!review.success) {
+          return res.status(review.statusCode).json({
+            success: false,
+            message: review.message
+          });
         }
+      }
 
-        // Calculate points earned (example: 10 points per kg)
-        const weight = actualWeight || pickupData.estimatedWeight || 1;
-        const pointsEarned = Math.floor(weight * 10);
-        updateData.pointsEarned = pointsEarned;
-
-        // Update user points
-        await db
-          .update(users)
-          .set({
-            totalPoints: sql`${users.totalPoints} + ${pointsEarned}`,
-            availablePoints: sql`${users.availablePoints} + ${pointsEarned}`,
-            updatedAt: new Date()
-          })
-          .where(eq(users.id, pickupData.requesterId));
-
-        // Create transaction record
-        await db.insert(transactions).values({
-          userId: pickupData.requesterId,
-          pickupRequestId: id,
-          type: 'pickup_payment',
-          amount: '0.00',
-          points: pointsEarned,
-          status: 'completed',
-          description: `Points earned for ${pickupData.wasteType} pickup`
+      let updatedPickup;
+
+      // Pickups are completed by confirming their proof of collection; admins can still complete directly
+      if (status === 'completed' && pickupData.status !== 'completed' && req.user.role !== 'admin') {
+        return res.status(409).json({
+          success: false,
+          message: 'Submit proof of collection; the pickup completes once the household confirms it'
         });
       }
 
-      // Handle cancellation
-      if (status === 'cancelled') {
-        updateData.cancelledAt = new Date();
-        updateData.cancellationReason = req.body.cancellationReason;
-      }
+      if (status === 'completed') {
+        // Completion and point crediting happen atomically, at most once per pickup
+        const result = await pickupCompletionService.completePickup(pickupData, req.user, {
+          idempotencyKey: req.headers['idempotency-key'] || req.body.idempotencyKey,
+          actualWeight,
+          items: req.body.items,
+          reason,
+          latitude,
+          longitude
+        });
 
-      // Handle rating
-      if (rating && req.user.role === 'household') {
-        updateData.rating = rating;
-        updateData.feedback = feedback;
-
-        // Update waste picker rating
-        if (pickupData.wastePickerId) {
-          const wastePicker = await db
-            .select()
-            .from(users)
-            .where(eq(users.id, pickupData.wastePickerId))
-            .limit(1);
-
-          if (wastePicker.length > 0) {
-            const currentRating = wastePicker[0].rating || 0;
-            const totalRatings = wastePicker[0].totalRatings || 0;
-            const newTotalRatings = totalRatings + 1;
-            const newRating = ((currentRating * totalRatings) + rating) / newTotalRatings;
-
-            await db
-              .update(users)
-              .set({
-                rating: newRating,
-                totalRatings: newTotalRatings,
-                updatedAt: new Date()
-              })
-              .where(eq(users.id, pickupData.wastePickerId));
-          }
+        if (!result.success) {
+          return res.status(result.statusCode).json({
+            success: false,
+            message: result.message,
+            allowedTransitions: pickupLifecycleService.getAllowedTransitions(pickupData.status, req.user.role)
+          });
         }
-      }
 
-      // Update pickup request
-      const updatedPickup = await db
-        .update(pickupRequests)
-        .set(updateData)
-        .where(eq(pickupRequests.id, id))
-        .returning();
+        if (result.replayed) {
+          return res.json({
+            success: true,
+            message: 'Pickup already completed',
+            replayed: true,
+            data: result.pickup
+          });
+        }
+
+        updatedPickup = [result.pickup];
+      } else if (status && status !== pickupData.status) {
+        // Status changes must follow the pickup lifecycle
+        const result = await pickupLifecycleService.transition(pickupData, status, req.user, {
+          reason: reason || req.body.cancellationReason,
+          latitude,
+          longitude
+        });
+
+        if (!result.success) {
+          return res.status(result.statusCode).json({
+            success: false,
+            message: result.message,
+            allowedTransitions: pickupLifecycleService.getAllowedTransitions(pickupData.status, req.user.role)
+          });
+        }
+
+        updatedPickup = [result.pickup];
+      } else {
+        updatedPickup = await db
+          .select()
+          .from(pickupRequests)
+          .where(eq(pickupRequests.id, id))
+          .limit(1);
+      }
 
       // Send notifications
       if (status === 'completed') {
@@ -424,6 +559,128 @@ class PickupController {
     }
   }
 
+  // Get pickup status history
+  async getPickupHistory(req, res) {
+    try {
+      const { id } = req.params;
+
+      const pickup = await db
+        .select()
+        .from(pickupRequests)
+        .where(eq(pickupRequests.id, id))
+        .limit(1);
+
+      if (!pickup.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pickup request not found'
+        });
+      }
+
+      // Only parties to the pickup and oversight roles can see its history
+      const pickupData = pickup[0];
+      const isParty = pickupData.requesterId === req.user.id || pickupData.wastePickerId === req.user.id;
+      if (!isParty && !['admin', 'government'].includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const history = await pickupLifecycleService.getHistory(id);
+
+      res.json({
+        success: true,
+        data: {
+          pickupRequestId: id,
+          currentStatus: pickupData.status,
+          history
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get pickup history error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get pickup history',
+        error: error.message
+      });
+    }
+  }
+
+  // Record a location ping from the assigned waste picker
+  async recordPickupLocation(req, res) {
+    try {
+      const { id } = req.params;
+
+      const result = await pickupTrackingService.recordPing(id, req.user, req.body);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: result.location
+      });
+
+    } catch (error) {
+      logger.error('Record pickup location error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record location',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the waste picker's latest position, ETA and trail for a pickup
+  async getPickupTrack(req, res) {
+    try {
+      const { id } = req.params;
+
+      const pickup = await db
+        .select()
+        .from(pickupRequests)
+        .where(eq(pickupRequests.id, id))
+        .limit(1);
+
+      if (!pickup.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'Pickup request not found'
+        });
+      }
+
+      const pickupData = pickup[0];
+      const isParty = pickupData.requesterId === req.user.id || pickupData.wastePickerId === req.user.id;
+      if (!isParty && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const track = await pickupTrackingService.getTrack(pickupData);
+
+      res.json({
+        success: true,
+        data: track
+      });
+
+    } catch (error) {
+      logger.error('Get pickup track error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get pickup tracking',
+        error: error.message
+      });
+    }
+  }
+
   // Get nearby pickup requests (waste picker only)
   async getNearbyPickups(req, res) {
     try {
@@ -443,8 +700,34 @@ class PickupController {
         });
       }
 
-      // Get pending pickup requests within radius
-      const nearbyPickups = await db
+      const location = validateLocationQuery(latitude, longitude, radius);
+      if (!location.valid) {
+        return res.status(400).json({
+          success: false,
+          message: location.message
+        });
+      }
+
+      // Pickers who cannot take new pickups see none, with the reason
+      const availability = await availabilityService.checkAvailability(req.user.id);
+      if (!availability.available) {
+        return res.json({
+          success: true,
+          message: availability.reason,
+          data: [],
+          availability
+        });
+      }
+
+      const distance = distanceSql(
+        pickupRequests.pickupLatitude,
+        pickupRequests.pickupLongitude,
+        location.latitude,
+        location.longitude
+      );
+
+      // Get pending pickup requests within radius, closest first
+      const pickupsWithDistance = await db
         .select({
           pickup: pickupRequests,
           requester: {
@@ -452,36 +735,23 @@ class PickupController {
             firstName: users.firstName,
             lastName: users.lastName,
             rating: users.rating
-          }
+          },
+          distance
         })
         .from(pickupRequests)
         .leftJoin(users, eq(pickupRequests.requesterId, users.id))
-        .where(eq(pickupRequests.status, 'pending'));
-
-      // Filter by distance (this is a simplified approach)
-      const filteredPickups = nearbyPickups.filter(item => {
-        const distance = calculateDistance(
-          parseFloat(latitude),
-          parseFloat(longitude),
-          parseFloat(item.pickup.pickupLatitude),
-          parseFloat(item.pickup.pickupLongitude)
-        );
-        return distance <= parseFloat(radius);
-      });
-
-      // Add distance to each pickup
-      const pickupsWithDistance = filteredPickups.map(item => ({
-        ...item,
-        distance: calculateDistance(
-          parseFloat(latitude),
-          parseFloat(longitude),
-          parseFloat(item.pickup.pickupLatitude),
-          parseFloat(item.pickup.pickupLongitude)
-        )
-      }));
-
-      // Sort by distance
-      pickupsWithDistance.sort((a, b) => a.distance - b.distance);
+        .where(and(
+          eq(pickupRequests.status, 'pending'),
+          serviceZoneService.pickerCanServeSql(req.user.id),
+          withinRadiusSql(
+            pickupRequests.pickupLatitude,
+            pickupRequests.pickupLongitude,
+            location.latitude,
+            location.longitude,
+            location.radiusKm
+          )
+        ))
+        .orderBy(distance);
 
       res.json({
         success: true,
@@ -539,9 +809,28 @@ class PickupController {
         .from(pickupRequests)
         .where(and(...conditions));
 
+      // Per-material breakdown from pickup line items
+      const materials = await db
+        .select({
+          wasteType: pickupItems.wasteType,
+          itemCount: sql`count(*)`,
+          pickupCount: sql`count(distinct ${pickupItems.pickupRequestId})`,
+          estimatedWeight: sql`sum(${pickupItems.estimatedWeight})`,
+          totalWeight: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupRequests.status} = 'completed')`,
+          totalPoints: sql`sum(${pickupItems.pointsEarned}) filter (where ${pickupRequests.status} = 'completed')`
+        })
+        .from(pickupItems)
+        .innerJoin(pickupRequests, eq(pickupItems.pickupRequestId, pickupRequests.id))
+        .where(and(...conditions))
+        .groupBy(pickupItems.wasteType)
+        .orderBy(sql`sum(${pickupItems.actualWeight}) desc nulls last`);
+
       res.json({
         success: true,
-        data: stats[0]
+        data: {
+          ...stats[0],
+          materials
+        }
       });
 
     } catch (error) {
@@ -592,21 +881,23 @@ class PickupController {
       }
 
       // Update pickup request
-      const updatedPickup = await db
-        .update(pickupRequests)
-        .set({
-          status: 'cancelled',
-          cancelledAt: new Date(),
-          cancellationReason: reason,
-          updatedAt: new Date()
-        })
-        .where(eq(pickupRequests.id, id))
-        .returning();
+      const result = await pickupLifecycleService.transition(pickupData, 'cancelled', req.user, {
+        reason,
+        latitude: req.body.latitude,
+        longitude: req.body.longitude
+      });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
 
       res.json({
         success: true,
         message: 'Pickup request cancelled successfully',
-        data: updatedPickup[0]
+        data: result.pickup
       });
 
     } catch (error) {
@@ -0,0 +1,448 @@
+import db from '../database/connection.js';
+import { pickupSchedules } from '../database/schema.js';
+import { eq, and, desc } from 'drizzle-orm';
+import pickupScheduleService from '../services/pickupScheduleService.js';
+import logger from '../utils/logger.js';
+
+const FEATURE_REQUIRED_MESSAGE = 'Custom pickup schedules are available on the Enterprise plan';
+
+// Load a schedule the current user may manage, or send the error response
+async function findOwnSchedule(req, res) {
+  const schedule = await pickupScheduleService.getSchedule(req.params.id);
+
+  if (!schedule) {
+    res.status(404).json({
+      success: false,
+      message: 'Pickup schedule not found'
+    });
+    return null;
+  }
+
+  if (schedule.userId !== req.user.id && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return schedule;
+}
+
+export default class PickupScheduleController {
+  // Get pickup schedules
+  async getSchedules(req, res) {
+    try {
+      const { status, userId } = req.query;
+
+      const conditions = [];
+      if (req.user.role === 'admin') {
+        if (userId) conditions.push(eq(pickupSchedules.userId, userId));
+      } else {
+        conditions.push(eq(pickupSchedules.userId, req.user.id));
+      }
+      if (status) conditions.push(eq(pickupSchedules.status, status));
+
+      let query = db
+        .select()
+        .from(pickupSchedules);
+
+      if (conditions.length > 0) {
+        query = query.where(and(...conditions));
+      }
+
+      const schedules = await query.orderBy(desc(pickupSchedules.createdAt));
+
+      res.json({
+        success: true,
+        data: schedules.map(schedule => ({
+          ...schedule,
+          upcomingOccurrences: pickupScheduleService.previewOccurrences(schedule)
+        }))
+      });
+
+    } catch (error) {
+      logger.error('Get pickup schedules error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get pickup schedules',
+        error: error.message
+      });
+    }
+  }
+
+  // Get single pickup schedule with its materialized pickups
+  async getSchedule(req, res) {
+    try {
+      const schedule = await findOwnSchedule(req, res);
+      if (!schedule) return;
+
+      const pickups = await pickupScheduleService.getScheduledPickups(schedule.id);
+
+      res.json({
+        success: true,
+        data: {
+          ...schedule,
+          upcomingOccurrences: pickupScheduleService.previewOccurrences(schedule),
+          pickups
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get pickup schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get pickup schedule',
+        error: error.message
+      });
+    }
+  }
+
+  // Create pickup schedule (household only, Enterprise plan)
+  async createSchedule(req, res) {
+    try {
+      if (!(await pickupScheduleService.hasScheduleFeature(req.user.id))) {
+        return res.status(403).json({
+          success: false,
+          message: FEATURE_REQUIRED_MESSAGE
+        });
+      }
+
+      const validation = pickupScheduleService.validateSchedule(req.body);
+      if (!validation.valid) {
+        return res.status(validation.statusCode).json({
+          success: false,
+          message: validation.message
+        });
+      }
+
+      const nextOccurrence = pickupScheduleService.calculateNextOccurrence(validation.values);
+
+      const newSchedule = await db
+        .insert(pickupSchedules)
+        .values({
+          ...validation.values,
+          userId: req.user.id,
+          status: 'active',
+          nextOccurrence
+        })
+        .returning();
+
+      // Create the pickups that fall inside the lookahead window straight away
+      const pickups = await pickupScheduleService.materialize(newSchedule[0]);
+      const schedule = await pickupScheduleService.getSchedule(newSchedule[0].id);
+
+      logger.info(`Pickup schedule ${schedule.id} created by user ${req.user.id}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Pickup schedule created successfully',
+        data: {
+          ...schedule,
+          upcomingOccurrences: pickupScheduleService.previewOccurrences(schedule),
+          pickups
+        }
+      });
+
+    } catch (error) {
+      logger.error('Create pickup schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create pickup schedule',
+        error: error.message
+      });
+    }
+  }
+
+  // Update pickup schedule
+  // Changes apply to occurrences that have not been turned into pickups yet
+  async updateSchedule(req, res) {
+    try {
+      const schedule = await findOwnSchedule(req, res);
+      if (!schedule) return;
+
+      if (schedule.status === 'cancelled') {
+        return res.status(409).json({
+          success: false,
+          message: 'Cancelled schedules cannot be edited'
+        });
+      }
+
+      if (!(await pickupScheduleService.hasScheduleFeature(schedule.userId))) {
+        return res.status(403).json({
+          success: false,
+          message: FEATURE_REQUIRED_MESSAGE
+        });
+      }
+
+      const validation = pickupScheduleService.validateSchedule(req.body, schedule);
+      if (!validation.valid) {
+        return res.status(validation.statusCode).json({
+          success: false,
+          message: validation.message
+        });
+      }
+
+      const updatedSchedule = await db
+        .update(pickupSchedules)
+        .set({
+          ...validation.values,
+          nextOccurrence: pickupScheduleService.calculateNextOccurrence(validation.values),
+          updatedAt: new Date()
+        })
+        .where(eq(pickupSchedules.id, schedule.id))
+        .returning();
+
+      const pickups = await pickupScheduleService.materialize(updatedSchedule[0]);
+      const result = await pickupScheduleService.getSchedule(schedule.id);
+
+      res.json({
+        success: true,
+        message: 'Pickup schedule updated successfully',
+        data: {
+          ...result,
+          upcomingOccurrences: pickupScheduleService.previewOccurrences(result),
+          pickups
+        }
+      });
+
+    } catch (error) {
+      logger.error('Update pickup schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update pickup schedule',
+        error: error.message
+      });
+    }
+  }
+
+  // Pause pickup schedule
+  async pauseSchedule(req, res) {
+    try {
+      const schedule = await findOwnSchedule(req, res);
+      if (!schedule) return;
+
+      if (schedule.status !== 'active') {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot pause a ${schedule.status} schedule`
+        });
+      }
+
+      const pausedSchedule = await db
+        .update(pickupSchedules)
+        .set({
+          status: 'paused',
+          pausedAt: new Date(),
+          updatedAt: new Date()
+        })
+        .where(and(
+          eq(pickupSchedules.id, schedule.id),
+          eq(pickupSchedules.status, 'active')
+        ))
+        .returning();
+
+      if (!pausedSchedule.length) {
+        return res.status(409).json({
+          success: false,
+          message: 'Pickup schedule was updated by someone else, please refresh and try again'
+        });
+      }
+
+      // Pickups already created for the coming days are called off too
+      const cancelledPickups = await pickupScheduleService.cancelUpcomingPickups(
+        schedule,
+        req.user,
+        'Pickup schedule paused'
+      );
+
+      res.json({
+        success: true,
+        message: 'Pickup schedule paused successfully',
+        data: {
+          ...pausedSchedule[0],
+          cancelledPickups: cancelledPickups.map(pickup => pickup.id)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Pause pickup schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to pause pickup schedule',
+        error: error.message
+      });
+    }
+  }
+
+  // Resume paused pickup schedule
+  async resumeSchedule(req, res) {
+    try {
+      const schedule = await findOwnSchedule(req, res);
+      if (!schedule) return;
+
+      if (schedule.status !== 'paused') {
+        return res.status(409).json({
+          success: false,
+          message: `Cannot resume a ${schedule.status} schedule`
+        });
+      }
+
+      if (!(await pickupScheduleService.hasScheduleFeature(schedule.userId))) {
+        return res.status(403).json({
+          success: false,
+          message: FEATURE_REQUIRED_MESSAGE
+        });
+      }
+
+      const resumedSchedule = await db
+        .update(pickupSchedules)
+        .set({
+          status: 'active',
+          pausedAt: null,
+          nextOccurrence: pickupScheduleService.calculateNextOccurrence(schedule),
+          updatedAt: new Date()
+        })
+        .where(and(
+          eq(pickupSchedules.id, schedule.id),
+          eq(pickupSchedules.status, 'paused')
+        ))
+        .returning();
+
+      if (!resumedSchedule.length) {
+        return res.status(409).json({
+          success: false,
+          message: 'Pickup schedule was updated by someone else, please refresh and try again'
+        });
+      }
+
+      const pickups = await pickupScheduleService.materialize(resumedSchedule[0]);
+      const result = await pickupScheduleService.getSchedule(schedule.id);
+
+      res.json({
+        success: true,
+        message: 'Pickup schedule resumed successfully',
+        data: {
+          ...result,
+          upcomingOccurrences: pickupScheduleService.previewOccurrences(result),
+          pickups
+        }
+      });
+
+    } catch (error) {
+      logger.error('Resume pickup schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resume pickup schedule',
+        error: error.message
+      });
+    }
+  }
+
+  // Skip one occurrence of a pickup schedule
+  async skipOccurrence(req, res) {
+    try {
+      const { date } = req.body;
+
+      const schedule = await findOwnSchedule(req, res);
+      if (!schedule) return;
+
+      if (schedule.status === 'cancelled') {
+        return res.status(409).json({
+          success: false,
+          message: 'Cancelled schedules cannot be changed'
+        });
+      }
+
+      if (!pickupScheduleService.isSkippableOccurrence(schedule, date)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Date must be an upcoming occurrence of this schedule (YYYY-MM-DD)'
+        });
+      }
+
+      const skippedDates = [...new Set([...(schedule.skippedDates || []), date])].sort();
+
+      const updatedSchedule = await db
+        .update(pickupSchedules)
+        .set({
+          skippedDates,
+          updatedAt: new Date()
+        })
+        .where(eq(pickupSchedules.id, schedule.id))
+        .returning();
+
+      // The occurrence may already have been turned into a pickup
+      const cancelledPickups = await pickupScheduleService.cancelUpcomingPickups(
+        schedule,
+        req.user,
+        'Scheduled pickup skipped',
+        { date }
+      );
+
+      res.json({
+        success: true,
+        message: 'Scheduled pickup skipped successfully',
+        data: {
+          ...updatedSchedule[0],
+          upcomingOccurrences: pickupScheduleService.previewOccurrences(updatedSchedule[0]),
+          cancelledPickups: cancelledPickups.map(pickup => pickup.id)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Skip scheduled pickup error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to skip scheduled pickup',
+        error: error.message
+      });
+    }
+  }
+
+  // Cancel pickup schedule
+  async cancelSchedule(req, res) {
+    try {
+      const schedule = await findOwnSchedule(req, res);
+      if (!schedule) return;
+
+      if (schedule.status === 'cancelled') {
+        return res.status(409).json({
+          success: false,
+          message: 'Pickup schedule is already cancelled'
+        });
+      }
+
+      await db
+        .update(pickupSchedules)
+        .set({
+          status: 'cancelled',
+          nextOccurrence: null,
+          updatedAt: new Date()
+        })
+        .where(eq(pickupSchedules.id, schedule.id));
+
+      const cancelledPickups = await pickupScheduleService.cancelUpcomingPickups(
+        schedule,
+        req.user,
+        'Pickup schedule cancelled'
+      );
+
+      res.json({
+        success: true,
+        message: 'Pickup schedule cancelled successfully',
+        data: {
+          cancelledPickups: cancelledPickups.map(pickup => pickup.id)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Cancel pickup schedule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel pickup schedule',
+        error: error.message
+      });
+    }
+  }
+}
@@ -1,5 +1,5 @@
 import db from '../database/connection.js';
-import { pickupRequests, users, transactions, analyticsData } from '../database/schema.js';
+import { pickupRequests, pickupItems, users, transactions, analyticsData } from '../database/schema.js';
 import { eq, and, desc, sql, between } from 'drizzle-orm';
 import logger from '../utils/logger.js';
 import fs from 'fs/promises';
@@ -30,17 +30,18 @@ export default class ReportController {
         .from(pickupRequests)
         .where(dateCondition);
 
-      // Get waste type breakdown
+      // Get waste type breakdown from pickup line items
       const wasteTypeBreakdown = await db
         .select({
-          wasteType: pickupRequests.wasteType,
-          count: sql`count(*)`,
-          totalWeight: sql`sum(actual_weight)`,
+          wasteType: pickupItems.wasteType,
+          count: sql`count(distinct ${pickupItems.pickupRequestId})`,
+          totalWeight: sql`sum(${pickupItems.actualWeight})`,
           percentage: sql`round(count(*) * 100.0 / sum(count(*)) over(), 2)`
         })
-        .from(pickupRequests)
+        .from(pickupItems)
+        .innerJoin(pickupRequests, eq(pickupItems.pickupRequestId, pickupRequests.id))
         .where(dateCondition)
-        .groupBy(pickupRequests.wasteType)
+        .groupBy(pickupItems.wasteType)
         .orderBy(sql`count(*) desc`);
 
       // Get location breakdown
@@ -231,14 +232,15 @@ export default class ReportController {
       // Calculate environmental impact
       const environmentalStats = await db
         .select({
-          totalWasteCollected: sql`sum(actual_weight)`,
-          totalPickups: sql`count(*) filter (where status = 'completed')`,
-          plasticWaste: sql`sum(actual_weight) filter (where waste_type = 'plastic')`,
-          paperWaste: sql`sum(actual_weight) filter (where waste_type = 'paper')`,
-          metalWaste: sql`sum(actual_weight) filter (where waste_type = 'metal')`,
-          glassWaste: sql`sum(actual_weight) filter (where waste_type = 'glass')`
+          totalWasteCollected: sql`sum(${pickupItems.actualWeight})`,
+          totalPickups: sql`count(distinct ${pickupRequests.id})`,
+          plasticWaste: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'plastic')`,
+          paperWaste: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'paper')`,
+          metalWaste: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'metal')`,
+          glassWaste: sql`sum(${pickupItems.actualWeight}) filter (where ${pickupItems.wasteType} = 'glass')`
         })
-        .from(pickupRequests)
+        .from(pickupItems)
+        .innerJoin(pickupRequests, eq(pickupItems.pickupRequestId, pickupRequests.id))
         .where(and(dateCondition, eq(pickupRequests.status, 'completed')));
 
       const totalWaste = parseFloat(environmentalStats[0].totalWasteCollected) || 0;
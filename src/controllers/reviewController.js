@@ -0,0 +1,269 @@
+import db from '../database/connection.js';
+import { pickupRequests, users } from '../database/schema.js';
+import { eq } from 'drizzle-orm';
+import reviewService from '../services/reviewService.js';
+import ratingService from '../services/ratingService.js';
+import logger from '../utils/logger.js';
+
+// Load the pickup being reviewed, or send the 404 response
+async function findPickup(req, res) {
+  const pickup = await db
+    .select()
+    .from(pickupRequests)
+    .where(eq(pickupRequests.id, req.params.id))
+    .limit(1);
+
+  if (!pickup.length) {
+    res.status(404).json({
+      success: false,
+      message: 'Pickup request not found'
+    });
+    return null;
+  }
+
+  return pickup[0];
+}
+
+// Load a review, or send the 404 response
+async function findReview(req, res) {
+  const review = await reviewService.getReview(req.params.id);
+
+  if (!review) {
+    res.status(404).json({
+      success: false,
+      message: 'Review not found'
+    });
+    return null;
+  }
+
+  return review;
+}
+
+export default class ReviewController {
+  // Review the other party of a completed pickup (household or waste picker)
+  async submitReview(req, res) {
+    try {
+      const pickup = await findPickup(req, res);
+      if (!pickup) return;
+
+      const result = await reviewService.submitReview(pickup, req.user, req.body);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Review submitted',
+        data: result.review
+      });
+
+    } catch (error) {
+      logger.error('Submit review error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to submit review',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the reviews on a pickup (parties and admins)
+  async getPickupReviews(req, res) {
+    try {
+      const pickup = await findPickup(req, res);
+      if (!pickup) return;
+
+      const isParty = pickup.requesterId === req.user.id || pickup.wastePickerId === req.user.id;
+      if (!isParty && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: await reviewService.getReviewsForPickup(pickup, req.user)
+      });
+
+    } catch (error) {
+      logger.error('Get pickup reviews error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get pickup reviews',
+        error: error.message
+      });
+    }
+  }
+
+  // Edit your review within its edit window
+  async updateReview(req, res) {
+    try {
+      const review = await findReview(req, res);
+      if (!review) return;
+
+      const result = await reviewService.updateReview(review, req.user, req.body);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Review updated',
+        data: result.review
+      });
+
+    } catch (error) {
+      logger.error('Update review error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update review',
+        error: error.message
+      });
+    }
+  }
+
+  // Get the visible reviews a user has received, with their rating breakdown
+  async getUserReviews(req, res) {
+    try {
+      const { id } = req.params;
+      const { page = 1, limit = 20 } = req.query;
+
+      const user = await db
+        .select({ id: users.id })
+        .from(users)
+        .where(eq(users.id, id))
+        .limit(1);
+
+      if (!user.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      const [breakdown, userReviews] = await Promise.all([
+        ratingService.getBreakdown(id),
+        reviewService.getReviewsForUser(id, { page, limit })
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          ratings: breakdown,
+          reviews: userReviews
+        },
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: breakdown.total
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get user reviews error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get reviews',
+        error: error.message
+      });
+    }
+  }
+
+  // Get reviews for moderation (admin only)
+  async getReviews(req, res) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+
+      const allReviews = await reviewService.getReviews({ ...req.query, page, limit });
+
+      res.json({
+        success: true,
+        data: allReviews,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: allReviews.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get reviews error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get reviews',
+        error: error.message
+      });
+    }
+  }
+
+  // Hide an abusive review (admin only)
+  async hideReview(req, res) {
+    try {
+      const review = await findReview(req, res);
+      if (!review) return;
+
+      const result = await reviewService.setHidden(review, req.user, true, req.body.reason);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Review hidden',
+        data: result.review
+      });
+
+    } catch (error) {
+      logger.error('Hide review error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to hide review',
+        error: error.message
+      });
+    }
+  }
+
+  // Restore a hidden review (admin only)
+  async unhideReview(req, res) {
+    try {
+      const review = await findReview(req, res);
+      if (!review) return;
+
+      const result = await reviewService.setHidden(review, req.user, false);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Review restored',
+        data: result.review
+      });
+
+    } catch (error) {
+      logger.error('Unhide review error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to restore review',
+        error: error.message
+      });
+    }
+  }
+}
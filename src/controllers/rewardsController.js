@@ -1,8 +1,12 @@
 import db from '../database/connection.js';
-import { rewards, rewardRedemptions, users, transactions } from '../database/schema.js';
+import { rewards, rewardRedemptions, rewardFulfillments, users, transactions } from '../database/schema.js';
 import { eq, and, desc, sql, like, or } from 'drizzle-orm';
 import notificationService from '../services/notificationService.js';
+import redemptionService from '../services/redemptionService.js';
+import fulfillmentService from '../services/fulfillmentService.js';
+import voucherCodeService from '../services/voucherCodeService.js';
 import emailService from '../services/emailService.js';
+import { csvUpload, parseUpload } from '../utils/uploadUtils.js';
 import logger from '../utils/logger.js';
 import { v4 as uuidv4 } from 'uuid';
 
@@ -96,81 +100,34 @@ export default class RewardsController {
       const { rewardId, deliveryInfo } = req.body;
       const userId = req.user.id;
 
-      // Get reward details
-      const reward = await db
-        .select()
-        .from(rewards)
-        .where(eq(rewards.id, rewardId))
-        .limit(1);
+      // Stock, redemption and points change together; retries with the same key are replayed
+      const result = await redemptionService.redeem(req.user, rewardId, {
+        deliveryInfo,
+        idempotencyKey: req.headers['idempotency-key'] || req.body.idempotencyKey
+      });
 
-      if (!reward.length) {
-        return res.status(404).json({
+      if (!result.success) {
+        return res.status(result.statusCode).json({
           success: false,
-          message: 'Reward not found'
+          message: result.message
         });
       }
 
-      const rewardData = reward[0];
+      const { redemption } = result;
 
-      // Check if reward is active
-      if (!rewardData.isActive) {
-        return res.status(400).json({
-          success: false,
-          message: 'Reward is not available'
-        });
-      }
-
-      // Check if user has enough points
-      if (req.user.availablePoints < rewardData.pointsCost) {
-        return res.status(400).json({
-          success: false,
-          message: 'Insufficient points'
-        });
-      }
-
-      // Check stock
-      if (rewardData.stockQuantity !== null && rewardData.stockQuantity <= 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Reward is out of stock'
+      if (result.replayed) {
+        return res.json({
+          success: true,
+          message: 'Reward already redeemed',
+          replayed: true,
+          data: {
+            redemption,
+            redemptionCode: redemption.redemptionCode
+          }
         });
       }
 
-      // Generate redemption code
-      const redemptionCode = `RN${Date.now()}${Math.floor(Math.random() * 1000)}`;
-
-      // Create redemption record
-      const redemption = await db
-        .insert(rewardRedemptions)
-        .values({
-          userId,
-          rewardId,
-          pointsUsed: rewardData.pointsCost,
-          redemptionCode,
-          deliveryInfo,
-          status: 'pending'
-        })
-        .returning();
-
-      // Update user points
-      await db
-        .update(users)
-        .set({
-          availablePoints: sql`${users.availablePoints} - ${rewardData.pointsCost}`,
-          updatedAt: new Date()
-        })
-        .where(eq(users.id, userId));
-
-      // Update reward stock if applicable
-      if (rewardData.stockQuantity !== null) {
-        await db
-          .update(rewards)
-          .set({
-            stockQuantity: sql`${rewards.stockQuantity} - 1`,
-            updatedAt: new Date()
-          })
-          .where(eq(rewards.id, rewardId));
-      }
+      const rewardData = result.reward;
 
       // Send notifications
       await notificationService.createNotification(
@@ -178,18 +135,18 @@ export default class RewardsController {
         'reward_earned',
         'Reward Redeemed Successfully',
         `You have successfully redeemed ${rewardData.name}`,
-        { redemptionId: redemption[0].id, redemptionCode }
+        { redemptionId: redemption.id, redemptionCode: redemption.redemptionCode }
       );
 
       // Send email confirmation
-      await emailService.sendRewardRedemptionEmail(req.user, rewardData, redemption[0]);
+      await emailService.sendRewardRedemptionEmail(req.user, rewardData, redemption);
 
       res.status(201).json({
         success: true,
         message: 'Reward redeemed successfully',
         data: {
-          redemption: redemption[0],
-          redemptionCode
+          redemption,
+          redemptionCode: redemption.redemptionCode
         }
       });
 
@@ -271,11 +228,21 @@ export default class RewardsController {
             firstName: users.firstName,
             lastName: users.lastName,
             email: users.email
+          },
+          fulfillment: {
+            status: rewardFulfillments.status,
+            attempts: rewardFulfillments.attempts,
+            nextAttemptAt: rewardFulfillments.nextAttemptAt,
+            providerReference: rewardFulfillments.providerReference,
+            lastError: rewardFulfillments.lastError,
+            deliveredAt: rewardFulfillments.deliveredAt,
+            failedAt: rewardFulfillments.failedAt
           }
         })
         .from(rewardRedemptions)
         .leftJoin(rewards, eq(rewardRedemptions.rewardId, rewards.id))
         .leftJoin(users, eq(rewardRedemptions.userId, users.id))
+        .leftJoin(rewardFulfillments, eq(rewardRedemptions.id, rewardFulfillments.redemptionId))
         .where(eq(rewardRedemptions.id, id))
         .limit(1);
 
@@ -294,9 +261,18 @@ export default class RewardsController {
         });
       }
 
+      const data = redemption[0];
+
+      // Voucher codes are only shown to the redeeming user, once delivered
+      if (data.reward?.usesVoucherCodes) {
+        data.voucherCode = data.redemption.userId === req.user.id && data.redemption.status === 'completed'
+          ? await voucherCodeService.revealCode(data.redemption.id)
+          : null;
+      }
+
       res.json({
         success: true,
-        data: redemption[0]
+        data
       });
 
     } catch (error) {
@@ -310,32 +286,25 @@ export default class RewardsController {
   }
 
   // Update redemption status (admin only)
+  // Pending redemptions are settled through their delivery job, so a cancellation refunds the points
   async updateRedemptionStatus(req, res) {
     try {
       const { id } = req.params;
       const { status } = req.body;
 
-      const updatedRedemption = await db
-        .update(rewardRedemptions)
-        .set({
-          status,
-          completedAt: status === 'completed' ? new Date() : null,
-          updatedAt: new Date()
-        })
-        .where(eq(rewardRedemptions.id, id))
-        .returning();
+      const result = await fulfillmentService.settle(id, status, req.user.id);
 
-      if (!updatedRedemption.length) {
-        return res.status(404).json({
+      if (!result.success) {
+        return res.status(result.statusCode).json({
           success: false,
-          message: 'Redemption not found'
+          message: result.message
         });
       }
 
       res.json({
         success: true,
         message: 'Redemption status updated successfully',
-        data: updatedRedemption[0]
+        data: result.redemption
       });
 
     } catch (error) {
@@ -348,6 +317,116 @@ export default class RewardsController {
     }
   }
 
+  // Get reward delivery jobs (admin only)
+  async getFulfillments(req, res) {
+    try {
+      const { page = 1, limit = 20, status } = req.query;
+
+      const fulfillments = await fulfillmentService.listFulfillments({ status, page, limit });
+
+      res.json({
+        success: true,
+        data: fulfillments,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: fulfillments.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get reward fulfillments error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get reward fulfillments',
+        error: error.message
+      });
+    }
+  }
+
+  // Upload voucher codes for a reward from a CSV file (admin only)
+  async uploadVoucherCodes(req, res) {
+    try {
+      try {
+        await parseUpload(csvUpload.single('file'), req, res);
+      } catch (uploadError) {
+        return res.status(400).json({
+          success: false,
+          message: uploadError.message
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No file uploaded'
+        });
+      }
+
+      const reward = await db
+        .select()
+        .from(rewards)
+        .where(eq(rewards.id, req.params.id))
+        .limit(1);
+
+      if (!reward.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'Reward not found'
+        });
+      }
+
+      const result = await voucherCodeService.uploadCodes(reward[0], req.user, req.file.buffer.toString('utf8'));
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message,
+          ...(result.invalid && { invalid: result.invalid })
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `${result.added} voucher codes added`,
+        data: {
+          added: result.added,
+          duplicates: result.duplicates,
+          invalid: result.invalid,
+          stockQuantity: result.reward.stockQuantity
+        }
+      });
+
+    } catch (error) {
+      logger.error('Upload voucher codes error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to upload voucher codes',
+        error: error.message
+      });
+    }
+  }
+
+  // Get counts of a reward's voucher codes (admin only)
+  async getVoucherCodeSummary(req, res) {
+    try {
+      const summary = await voucherCodeService.getSummary(req.params.id);
+
+      res.json({
+        success: true,
+        data: summary
+      });
+
+    } catch (error) {
+      logger.error('Get voucher code summary error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get voucher codes',
+        error: error.message
+      });
+    }
+  }
+
   // Create reward (admin only)
   async createReward(req, res) {
     try {
@@ -419,6 +498,23 @@ export default class RewardsController {
         updateData.stockQuantity = parseInt(updateData.stockQuantity);
       }
 
+      // Stock of rewards with voucher codes follows their unassigned codes
+      delete updateData.usesVoucherCodes;
+      if (updateData.stockQuantity !== undefined) {
+        const [currentReward] = await db
+          .select({ usesVoucherCodes: rewards.usesVoucherCodes })
+          .from(rewards)
+          .where(eq(rewards.id, id))
+          .limit(1);
+
+        if (currentReward?.usesVoucherCodes) {
+          return res.status(400).json({
+            success: false,
+            message: 'Stock of a reward with voucher codes is set by uploading codes'
+          });
+        }
+      }
+
       updateData.updatedAt = new Date();
 
       const updatedReward = await db
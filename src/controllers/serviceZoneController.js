@@ -0,0 +1,277 @@
+import serviceZoneService from '../services/serviceZoneService.js';
+import { validateCoordinates } from '../utils/geoUtils.js';
+import logger from '../utils/logger.js';
+
+// Load a service zone, or send the 404 response
+async function findZone(req, res) {
+  const zone = await serviceZoneService.getZone(req.params.id);
+
+  if (!zone) {
+    res.status(404).json({
+      success: false,
+      message: 'Service zone not found'
+    });
+    return null;
+  }
+
+  return zone;
+}
+
+export default class ServiceZoneController {
+  // Get service zones (admins can include inactive zones)
+  async getZones(req, res) {
+    try {
+      const includeInactive = req.user.role === 'admin' && req.query.includeInactive === 'true';
+      const zones = await serviceZoneService.listZones({ includeInactive });
+
+      res.json({
+        success: true,
+        data: zones.map(({ zone, pickerCount }) => ({ ...zone, pickerCount }))
+      });
+
+    } catch (error) {
+      logger.error('Get service zones error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get service zones',
+        error: error.message
+      });
+    }
+  }
+
+  // Find the service zone covering a location
+  async lookupZone(req, res) {
+    try {
+      const coordinates = validateCoordinates(req.query.latitude, req.query.longitude);
+      if (!coordinates.valid) {
+        return res.status(400).json({
+          success: false,
+          message: coordinates.message
+        });
+      }
+
+      const hasZones = await serviceZoneService.hasActiveZones();
+      const zone = hasZones
+        ? await serviceZoneService.findZone(coordinates.latitude, coordinates.longitude)
+        : null;
+
+      res.json({
+        success: true,
+        data: {
+          serviced: !hasZones || !!zone,
+          zone
+        }
+      });
+
+    } catch (error) {
+      logger.error('Lookup service zone error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to look up service zone',
+        error: error.message
+      });
+    }
+  }
+
+  // Get a service zone with its assigned waste pickers
+  async getZone(req, res) {
+    try {
+      const zone = await findZone(req, res);
+      if (!zone) return;
+
+      res.json({
+        success: true,
+        data: {
+          ...zone,
+          pickers: await serviceZoneService.getAssignedPickers(zone.id)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get service zone error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get service zone',
+        error: error.message
+      });
+    }
+  }
+
+  // Create a service zone (Admin only)
+  async createZone(req, res) {
+    try {
+      const result = await serviceZoneService.createZone(req.user, req.body);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Service zone created successfully',
+        data: result.zone
+      });
+
+    } catch (error) {
+      logger.error('Create service zone error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create service zone',
+        error: error.message
+      });
+    }
+  }
+
+  // Update a service zone (Admin only)
+  async updateZone(req, res) {
+    try {
+      const zone = await findZone(req, res);
+      if (!zone) return;
+
+      const result = await serviceZoneService.updateZone(zone, req.user, req.body);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Service zone updated successfully',
+        data: result.zone
+      });
+
+    } catch (error) {
+      logger.error('Update service zone error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update service zone',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete a service zone (Admin only)
+  async deleteZone(req, res) {
+    try {
+      const zone = await findZone(req, res);
+      if (!zone) return;
+
+      const result = await serviceZoneService.deactivateZone(zone, req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Service zone deleted successfully'
+      });
+
+    } catch (error) {
+      logger.error('Delete service zone error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete service zone',
+        error: error.message
+      });
+    }
+  }
+
+  // Assign waste pickers to a service zone (Admin only)
+  async assignPickers(req, res) {
+    try {
+      const zone = await findZone(req, res);
+      if (!zone) return;
+
+      const result = await serviceZoneService.assignPickers(zone, req.user, req.body.wastePickerIds);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Waste pickers assigned',
+        data: result.pickers
+      });
+
+    } catch (error) {
+      logger.error('Assign zone pickers error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to assign waste pickers',
+        error: error.message
+      });
+    }
+  }
+
+  // Remove a waste picker from a service zone (Admin only)
+  async removePicker(req, res) {
+    try {
+      const zone = await findZone(req, res);
+      if (!zone) return;
+
+      const result = await serviceZoneService.removePicker(zone, req.params.wastePickerId);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Waste picker removed from zone',
+        data: result.pickers
+      });
+
+    } catch (error) {
+      logger.error('Remove zone picker error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove waste picker',
+        error: error.message
+      });
+    }
+  }
+
+  // Get households waiting for service outside every zone (Admin only)
+  async getWaitlist(req, res) {
+    try {
+      const { page = 1, limit = 20, notified } = req.query;
+
+      const entries = await serviceZoneService.getWaitlist({ notified, page, limit });
+
+      res.json({
+        success: true,
+        data: entries,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: entries.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get service waitlist error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get waitlist',
+        error: error.message
+      });
+    }
+  }
+}
@@ -4,6 +4,7 @@ import { eq, and, desc, sql } from 'drizzle-orm';
 import paymentService from '../services/paymentService.js';
 import emailService from '../services/emailService.js';
 import notificationService from '../services/notificationService.js';
+import { SUBSCRIPTION_PLANS } from '../services/subscriptionService.js';
 import logger from '../utils/logger.js';
 
 export default class SubscriptionController {
@@ -175,55 +176,9 @@ export default class SubscriptionController {
   // Get subscription plans
   async getSubscriptionPlans(req, res) {
     try {
-      const plans = [
-        {
-          id: 'basic',
-          name: 'Basic Plan',
-          type: 'basic',
-          price: 0,
-          features: [
-            'Up to 5 pickup requests per month',
-            'Basic rewards access',
-            'Email notifications',
-            'Standard support'
-          ],
-          popular: false
-        },
-        {
-          id: 'premium',
-          name: 'Premium Plan',
-          type: 'premium',
-          price: 2000,
-          features: [
-            'Unlimited pickup requests',
-            'Priority pickup scheduling',
-            'Premium rewards access',
-            'SMS notifications',
-            'Advanced analytics',
-            'Priority support'
-          ],
-          popular: true
-        },
-        {
-          id: 'enterprise',
-          name: 'Enterprise Plan',
-          type: 'enterprise',
-          price: 10000,
-          features: [
-            'Everything in Premium',
-            'Custom pickup schedules',
-            'Bulk operations',
-            'API access',
-            'Custom reporting',
-            'Dedicated support'
-          ],
-          popular: false
-        }
-      ];
-
       res.json({
         success: true,
-        data: plans
+        data: SUBSCRIPTION_PLANS
       });
 
     } catch (error) {
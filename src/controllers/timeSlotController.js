@@ -0,0 +1,176 @@
+import timeSlotService from '../services/timeSlotService.js';
+import { validateCoordinates } from '../utils/geoUtils.js';
+import logger from '../utils/logger.js';
+
+// Load a time slot, or send the 404 response
+async function findSlot(req, res) {
+  const slot = await timeSlotService.getSlot(req.params.id);
+
+  if (!slot) {
+    res.status(404).json({
+      success: false,
+      message: 'Time slot not found'
+    });
+    return null;
+  }
+
+  return slot;
+}
+
+export default class TimeSlotController {
+  // Get the bookable pickup slots at a location on a date
+  async getAvailableSlots(req, res) {
+    try {
+      const { lat, lng, latitude = lat, longitude = lng, date } = req.query;
+
+      const coordinates = validateCoordinates(latitude, longitude);
+      if (!coordinates.valid) {
+        return res.status(400).json({
+          success: false,
+          message: coordinates.message
+        });
+      }
+
+      const result = await timeSlotService.getAvailableSlots({ ...coordinates, date });
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message,
+          ...(result.outsideServiceArea && { outsideServiceArea: true })
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          zone: result.zone,
+          bookingRequired: result.bookingRequired,
+          slots: result.slots
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get pickup slots error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get pickup slots',
+        error: error.message
+      });
+    }
+  }
+
+  // Get time slot definitions (Admin only)
+  async getSlots(req, res) {
+    try {
+      const { serviceZoneId, includeInactive } = req.query;
+
+      const slots = await timeSlotService.listSlots({
+        serviceZoneId,
+        includeInactive: includeInactive === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: slots.map(({ slot, zoneName }) => ({ ...slot, zoneName }))
+      });
+
+    } catch (error) {
+      logger.error('Get time slots error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get time slots',
+        error: error.message
+      });
+    }
+  }
+
+  // Create a time slot (Admin only)
+  async createSlot(req, res) {
+    try {
+      const result = await timeSlotService.createSlot(req.user, req.body);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Time slot created successfully',
+        data: result.slot
+      });
+
+    } catch (error) {
+      logger.error('Create time slot error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create time slot',
+        error: error.message
+      });
+    }
+  }
+
+  // Update a time slot (Admin only)
+  async updateSlot(req, res) {
+    try {
+      const slot = await findSlot(req, res);
+      if (!slot) return;
+
+      const result = await timeSlotService.updateSlot(slot, req.user, req.body);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Time slot updated successfully',
+        data: result.slot
+      });
+
+    } catch (error) {
+      logger.error('Update time slot error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update time slot',
+        error: error.message
+      });
+    }
+  }
+
+  // Delete a time slot (Admin only)
+  async deleteSlot(req, res) {
+    try {
+      const slot = await findSlot(req, res);
+      if (!slot) return;
+
+      const result = await timeSlotService.deactivateSlot(slot, req.user);
+
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Time slot deleted successfully'
+      });
+
+    } catch (error) {
+      logger.error('Delete time slot error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete time slot',
+        error: error.message
+      });
+    }
+  }
+}
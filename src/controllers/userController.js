@@ -1,34 +1,18 @@
 import db from '../database/connection.js';
 import { users, wastePickerProfiles, recyclingCompanyProfiles } from '../database/schema.js';
-import { eq, and, or, like, desc, asc } from 'drizzle-orm';
+import { eq, and, or, like, desc, asc, sql } from 'drizzle-orm';
 import bcrypt from 'bcryptjs';
 import emailService from '../services/emailService.js';
+import pointsService from '../services/pointsService.js';
+import pointsExpiryService from '../services/pointsExpiryService.js';
+import achievementService from '../services/achievementService.js';
+import ratingService from '../services/ratingService.js';
+import reviewService from '../services/reviewService.js';
+import availabilityService from '../services/availabilityService.js';
+import geocodingService from '../services/geocodingService.js';
 import logger from '../utils/logger.js';
-import { calculateDistance } from '../utils/geoUtils.js';
-import multer from 'multer';
-import { v2 as cloudinary } from 'cloudinary';
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-// Configure multer for file uploads
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'), false);
-    }
-  },
-});
+import { distanceSql, validateLocationQuery, withinRadiusSql } from '../utils/geoUtils.js';
+import { upload, uploadImage } from '../utils/uploadUtils.js';
 
 export default class UserController {
   // Create new user (Admin only)
@@ -50,6 +34,14 @@ export default class UserController {
         });
       }
 
+      const location = await geocodingService.resolveUserLocation({ address, city, state, latitude, longitude });
+      if (!location.valid) {
+        return res.status(400).json({
+          success: false,
+          message: location.message
+        });
+      }
+
       // Hash password
       const hashedPassword = await bcrypt.hash(password, 12);
 
@@ -66,6 +58,7 @@ export default class UserController {
           address,
           city,
           state,
+          ...location.values,
           latitude,
           longitude,
           status: 'active',
@@ -322,7 +315,9 @@ export default class UserController {
           availablePoints: user[0].availablePoints || 0,
           totalEarnings: user[0].totalEarnings || 0,
           rating: user[0].rating || 0
-        }
+        },
+        // Points expiring in the next 90 days, by expiry date
+        upcomingPointsExpiry: await pointsExpiryService.getUpcomingExpiries(userId)
       };
 
       res.json({
@@ -385,6 +380,23 @@ export default class UserController {
       delete updateData.totalPoints;
       delete updateData.availablePoints;
 
+      if (updateData.latitude !== undefined || updateData.longitude !== undefined) {
+        const location = await geocodingService.resolveUserLocation({
+          address: updateData.address ?? req.user.address,
+          city: updateData.city ?? req.user.city,
+          state: updateData.state ?? req.user.state,
+          latitude: updateData.latitude ?? req.user.latitude,
+          longitude: updateData.longitude ?? req.user.longitude
+        });
+        if (!location.valid) {
+          return res.status(400).json({
+            success: false,
+            message: location.message
+          });
+        }
+        Object.assign(updateData, location.values);
+      }
+
       const updatedUser = await db
         .update(users)
         .set({ ...updateData, updatedAt: new Date() })
@@ -426,7 +438,17 @@ export default class UserController {
         });
       }
 
-      const updateData = req.body;
+      // Online status is changed through PATCH /api/availability/online
+      const { isOnline, onlineStatusChangedAt, ...updateData } = req.body;
+
+      const schedule = availabilityService.validateSchedule(updateData);
+      if (!schedule.valid) {
+        return res.status(400).json({
+          success: false,
+          message: schedule.message
+        });
+      }
+      Object.assign(updateData, schedule.values);
 
       // Check if profile exists
       const existingProfile = await db
@@ -479,7 +501,17 @@ export default class UserController {
         });
       }
 
-      const updateData = req.body;
+      // Online status is changed through PATCH /api/availability/online
+      const { isOnline, onlineStatusChangedAt, ...updateData } = req.body;
+
+      const schedule = availabilityService.validateSchedule(updateData);
+      if (!schedule.valid) {
+        return res.status(400).json({
+          success: false,
+          message: schedule.message
+        });
+      }
+      Object.assign(updateData, schedule.values);
 
       // Check if profile exists
       const existingProfile = await db
@@ -566,11 +598,21 @@ export default class UserController {
         profileData = profile.length > 0 ? profile[0] : null;
       }
 
+      // Households and waste pickers review each other after pickups
+      const [ratings, recentReviews, badges] = await Promise.all([
+        ratingService.getBreakdown(userId),
+        reviewService.getReviewsForUser(userId, { limit: 5 }),
+        achievementService.getUserBadges(userId)
+      ]);
+
       res.json({
         success: true,
         data: {
           user: userData,
-          profile: profileData
+          profile: profileData,
+          ratings,
+          recentReviews,
+          badges
         }
       });
 
@@ -584,6 +626,51 @@ export default class UserController {
     }
   }
 
+  // Get user points ledger
+  async getPointsLedger(req, res) {
+    try {
+      const userId = req.params.id;
+      const { page = 1, limit = 20, entryType } = req.query;
+      const offset = (page - 1) * limit;
+
+      if (req.user.id !== userId && req.user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const entries = await pointsService.getLedger(userId, {
+        limit: parseInt(limit),
+        offset,
+        entryType
+      });
+
+      const balance = await pointsService.getLedgerBalance(userId);
+
+      res.json({
+        success: true,
+        data: {
+          balance,
+          entries
+        },
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: balance.entries
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get points ledger error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get points ledger',
+        error: error.message
+      });
+    }
+  }
+
   // Get all users (admin only)
   async getAllUsers(req, res) {
     try {
@@ -760,52 +847,44 @@ export default class UserController {
     try {
       const { latitude, longitude, radius = 10, specialization, isVerified } = req.query;
 
-      let query = db
-        .select({
-          user: users,
-          profile: wastePickerProfiles
-        })
-        .from(users)
-        .leftJoin(wastePickerProfiles, eq(users.id, wastePickerProfiles.userId))
-        .where(and(
-          eq(users.role, 'waste_picker'),
-          eq(users.status, 'active')
-        ));
+      const conditions = [
+        eq(users.role, 'waste_picker'),
+        eq(users.status, 'active')
+      ];
 
       if (isVerified === 'true') {
-        query = query.where(and(
-          eq(users.role, 'waste_picker'),
-          eq(users.status, 'active'),
-          eq(wastePickerProfiles.isVerified, true)
-        ));
+        conditions.push(eq(wastePickerProfiles.isVerified, true));
       }
 
-      const wastePickers = await query;
+      if (specialization) {
+        conditions.push(sql`${wastePickerProfiles.specializations} @> ${JSON.stringify([specialization])}::jsonb`);
+      }
 
       // Filter by location if coordinates provided
-      let filteredPickers = wastePickers;
+      let orderBy = [];
       if (latitude && longitude) {
-        filteredPickers = wastePickers.filter(picker => {
-          if (!picker.user.latitude || !picker.user.longitude) return false;
-          
-          const distance = calculateDistance(
-            parseFloat(latitude),
-            parseFloat(longitude),
-            parseFloat(picker.user.latitude),
-            parseFloat(picker.user.longitude)
-          );
-          
-          return distance <= parseFloat(radius);
-        });
-      }
+        const location = validateLocationQuery(latitude, longitude, radius);
+        if (!location.valid) {
+          return res.status(400).json({
+            success: false,
+            message: location.message
+          });
+        }
 
-      // Filter by specialization
-      if (specialization) {
-        filteredPickers = filteredPickers.filter(picker => {
-          return picker.profile?.specializations?.includes(specialization);
-        });
+        conditions.push(withinRadiusSql(users.latitude, users.longitude, location.latitude, location.longitude, location.radiusKm));
+        orderBy = [distanceSql(users.latitude, users.longitude, location.latitude, location.longitude)];
       }
 
+      const filteredPickers = await db
+        .select({
+          user: users,
+          profile: wastePickerProfiles
+        })
+        .from(users)
+        .leftJoin(wastePickerProfiles, eq(users.id, wastePickerProfiles.userId))
+        .where(and(...conditions))
+        .orderBy(...orderBy);
+
       // Remove sensitive data
       const sanitizedPickers = filteredPickers.map(picker => {
         delete picker.user.password;
@@ -815,9 +894,11 @@ export default class UserController {
         return picker;
       });
 
+      const breakdowns = await ratingService.getBreakdowns(sanitizedPickers.map(picker => picker.user.id));
+
       res.json({
         success: true,
-        data: sanitizedPickers
+        data: sanitizedPickers.map(picker => ({ ...picker, ratings: breakdowns.get(picker.user.id) }))
       });
 
     } catch (error) {
@@ -835,52 +916,44 @@ export default class UserController {
     try {
       const { latitude, longitude, radius = 50, wasteType, isVerified } = req.query;
 
-      let query = db
-        .select({
-          user: users,
-          profile: recyclingCompanyProfiles
-        })
-        .from(users)
-        .leftJoin(recyclingCompanyProfiles, eq(users.id, recyclingCompanyProfiles.userId))
-        .where(and(
-          eq(users.role, 'recycling_company'),
-          eq(users.status, 'active')
-        ));
+      const conditions = [
+        eq(users.role, 'recycling_company'),
+        eq(users.status, 'active')
+      ];
 
       if (isVerified === 'true') {
-        query = query.where(and(
-          eq(users.role, 'recycling_company'),
-          eq(users.status, 'active'),
-          eq(recyclingCompanyProfiles.isVerified, true)
-        ));
+        conditions.push(eq(recyclingCompanyProfiles.isVerified, true));
       }
 
-      const companies = await query;
+      if (wasteType) {
+        conditions.push(sql`${recyclingCompanyProfiles.acceptedWasteTypes} @> ${JSON.stringify([wasteType])}::jsonb`);
+      }
 
       // Filter by location if coordinates provided
-      let filteredCompanies = companies;
+      let orderBy = [];
       if (latitude && longitude) {
-        filteredCompanies = companies.filter(company => {
-          if (!company.user.latitude || !company.user.longitude) return false;
-          
-          const distance = calculateDistance(
-            parseFloat(latitude),
-            parseFloat(longitude),
-            parseFloat(company.user.latitude),
-            parseFloat(company.user.longitude)
-          );
-          
-          return distance <= parseFloat(radius);
-        });
-      }
+        const location = validateLocationQuery(latitude, longitude, radius);
+        if (!location.valid) {
+          return res.status(400).json({
+            success: false,
+            message: location.message
+          });
+        }
 
-      // Filter by waste type
-      if (wasteType) {
-        filteredCompanies = filteredCompanies.filter(company => {
-          return company.profile?.acceptedWasteTypes?.includes(wasteType);
-        });
+        conditions.push(withinRadiusSql(users.latitude, users.longitude, location.latitude, location.longitude, location.radiusKm));
+        orderBy = [distanceSql(users.latitude, users.longitude, location.latitude, location.longitude)];
       }
 
+      const filteredCompanies = await db
+        .select({
+          user: users,
+          profile: recyclingCompanyProfiles
+        })
+        .from(users)
+        .leftJoin(recyclingCompanyProfiles, eq(users.id, recyclingCompanyProfiles.userId))
+        .where(and(...conditions))
+        .orderBy(...orderBy);
+
       // Remove sensitive data
       const sanitizedCompanies = filteredCompanies.map(company => {
         delete company.user.password;
@@ -924,21 +997,12 @@ export default class UserController {
         }
 
         // Upload to Cloudinary
-        const result = await new Promise((resolve, reject) => {
-          cloudinary.uploader.upload_stream(
-            {
-              resource_type: 'image',
-              folder: 'recykle-naija/avatars',
-              transformation: [
-                { width: 300, height: 300, crop: 'fill' },
-                { quality: 'auto' }
-              ]
-            },
-            (error, result) => {
-              if (error) reject(error);
-              else resolve(result);
-            }
-          ).end(req.file.buffer);
+        const result = await uploadImage(req.file.buffer, {
+          folder: 'recykle-naija/avatars',
+          transformation: [
+            { width: 300, height: 300, crop: 'fill' },
+            { quality: 'auto' }
+          ]
         });
 
         // Update user avatar
@@ -989,20 +1053,12 @@ export default class UserController {
         }
 
         // Upload all files to Cloudinary
-        const uploadPromises = req.files.map(file => {
-          return new Promise((resolve, reject) => {
-            cloudinary.uploader.upload_stream(
-              {
-                resource_type: 'image',
-                folder: 'recykle-naija/documents',
-                transformation: [{ quality: 'auto' }]
-              },
-              (error, result) => {
-                if (error) reject(error);
-                else resolve(result.secure_url);
-              }
-            ).end(file.buffer);
+        const uploadPromises = req.files.map(async file => {
+          const result = await uploadImage(file.buffer, {
+            folder: 'recykle-naija/documents',
+            transformation: [{ quality: 'auto' }]
           });
+          return result.secure_url;
         });
 
         const documentUrls = await Promise.all(uploadPromises);
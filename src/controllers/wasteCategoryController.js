@@ -1,73 +1,88 @@
 import db from '../database/connection.js';
+import { wasteCategories, wasteCategoryRates, wasteTypeEnum } from '../database/schema.js';
+import { eq, desc, lte, sql } from 'drizzle-orm';
 import logger from '../utils/logger.js';
+import { v4 as uuidv4 } from 'uuid';
 
-// Mock waste categories data
-const mockWasteCategories = [
-  {
-    id: '1',
-    name: 'Plastic',
-    description: 'Plastic bottles, containers, bags, and packaging materials',
-    pointsPerKg: 10,
-    icon: 'https://example.com/plastic-icon.png',
-    color: '#22c55e',
-    isActive: true,
-    recyclingTips: [
-      'Clean containers before disposal',
-      'Remove labels when possible',
-      'Separate different plastic types'
-    ],
-    createdAt: new Date(),
-    updatedAt: new Date()
-  },
-  {
-    id: '2',
-    name: 'Paper',
-    description: 'Newspapers, cardboard, office paper, and magazines',
-    pointsPerKg: 8,
-    icon: 'https://example.com/paper-icon.png',
-    color: '#3b82f6',
-    isActive: true,
-    recyclingTips: [
-      'Keep paper dry and clean',
-      'Remove staples and clips',
-      'Flatten cardboard boxes'
-    ],
-    createdAt: new Date(),
-    updatedAt: new Date()
-  },
-  {
-    id: '3',
-    name: 'Metal',
-    description: 'Aluminum cans, steel containers, and metal scraps',
-    pointsPerKg: 15,
-    icon: 'https://example.com/metal-icon.png',
-    color: '#f59e0b',
-    isActive: true,
-    recyclingTips: [
-      'Rinse containers clean',
-      'Remove labels when possible',
-      'Separate aluminum from steel'
-    ],
-    createdAt: new Date(),
-    updatedAt: new Date()
-  }
-];
+// Latest rate per category that is already in effect
+function currentRatesQuery() {
+  return db
+    .selectDistinctOn([wasteCategoryRates.categoryId], {
+      categoryId: wasteCategoryRates.categoryId,
+      rateId: sql`${wasteCategoryRates.id}`.as('rate_id'),
+      pointsPerKg: wasteCategoryRates.pointsPerKg,
+      cashPerKg: wasteCategoryRates.cashPerKg,
+      effectiveFrom: wasteCategoryRates.effectiveFrom
+    })
+    .from(wasteCategoryRates)
+    .where(lte(wasteCategoryRates.effectiveFrom, new Date()))
+    .orderBy(wasteCategoryRates.categoryId, desc(wasteCategoryRates.effectiveFrom))
+    .as('current_rates');
+}
+
+async function getCategoryWithRate(id) {
+  const currentRates = currentRatesQuery();
+
+  const category = await db
+    .select({
+      category: wasteCategories,
+      rate: {
+        id: currentRates.rateId,
+        pointsPerKg: currentRates.pointsPerKg,
+        cashPerKg: currentRates.cashPerKg,
+        effectiveFrom: currentRates.effectiveFrom
+      }
+    })
+    .from(wasteCategories)
+    .leftJoin(currentRates, eq(wasteCategories.id, currentRates.categoryId))
+    .where(eq(wasteCategories.id, id))
+    .limit(1);
+
+  return category[0] || null;
+}
+
+function formatCategory({ category, rate }) {
+  return {
+    ...category,
+    pointsPerKg: rate?.pointsPerKg != null ? parseFloat(rate.pointsPerKg) : null,
+    cashPerKg: rate?.cashPerKg != null ? parseFloat(rate.cashPerKg) : null,
+    currentRate: rate?.id ? rate : null
+  };
+}
+
+function isValidRate(value) {
+  return value === undefined || (!isNaN(parseFloat(value)) && parseFloat(value) >= 0);
+}
 
 export default class WasteCategoryController {
   // Get all waste categories
   async getWasteCategories(req, res) {
     try {
       const { isActive } = req.query;
+      const currentRates = currentRatesQuery();
 
-      let categories = mockWasteCategories;
+      let query = db
+        .select({
+          category: wasteCategories,
+          rate: {
+            id: currentRates.rateId,
+            pointsPerKg: currentRates.pointsPerKg,
+            cashPerKg: currentRates.cashPerKg,
+            effectiveFrom: currentRates.effectiveFrom
+          }
+        })
+        .from(wasteCategories)
+        .leftJoin(currentRates, eq(wasteCategories.id, currentRates.categoryId));
 
       if (isActive !== undefined) {
-        categories = categories.filter(cat => cat.isActive === (isActive === 'true'));
+        query = query.where(eq(wasteCategories.isActive, isActive === 'true'));
       }
 
+      const categories = await query.orderBy(wasteCategories.name);
+
       res.json({
         success: true,
-        data: categories
+        data: categories.map(formatCategory)
       });
 
     } catch (error) {
@@ -80,36 +95,116 @@ export default class WasteCategoryController {
     }
   }
 
+  // Get the rate history of a waste category
+  async getWasteCategoryRates(req, res) {
+    try {
+      const { id } = req.params;
+
+      const category = await getCategoryWithRate(id);
+
+      if (!category) {
+        return res.status(404).json({
+          success: false,
+          message: 'Waste category not found'
+        });
+      }
+
+      const rates = await db
+        .select()
+        .from(wasteCategoryRates)
+        .where(eq(wasteCategoryRates.categoryId, id))
+        .orderBy(desc(wasteCategoryRates.effectiveFrom));
+
+      res.json({
+        success: true,
+        data: {
+          category: formatCategory(category),
+          rates
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get waste category rates error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get waste category rates',
+        error: error.message
+      });
+    }
+  }
+
   // Create waste category (Admin only)
   async createWasteCategory(req, res) {
     try {
       const {
+        wasteType,
         name,
         description,
         pointsPerKg,
+        cashPerKg,
         color,
         recyclingTips
       } = req.body;
 
-      const newCategory = {
-        id: Date.now().toString(),
-        name,
-        description,
-        pointsPerKg: parseInt(pointsPerKg),
-        icon: req.file ? req.file.path : null,
-        color,
-        isActive: true,
-        recyclingTips: recyclingTips || [],
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
+      if (!wasteTypeEnum.enumValues.includes(wasteType)) {
+        return res.status(400).json({
+          success: false,
+          message: `Waste type must be one of: ${wasteTypeEnum.enumValues.join(', ')}`
+        });
+      }
+
+      if (!name || pointsPerKg === undefined || !isValidRate(pointsPerKg) || !isValidRate(cashPerKg)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Name and a non-negative pointsPerKg are required'
+        });
+      }
+
+      const existingCategory = await db
+        .select({ id: wasteCategories.id })
+        .from(wasteCategories)
+        .where(eq(wasteCategories.wasteType, wasteType))
+        .limit(1);
 
-      mockWasteCategories.push(newCategory);
+      if (existingCategory.length) {
+        return res.status(409).json({
+          success: false,
+          message: 'A category already exists for this waste type'
+        });
+      }
+
+      const categoryId = uuidv4();
+
+      // Create the category together with its first rate
+      await db.batch([
+        db
+          .insert(wasteCategories)
+          .values({
+            id: categoryId,
+            wasteType,
+            name,
+            description,
+            icon: req.file ? req.file.path : null,
+            color,
+            isActive: true,
+            recyclingTips: recyclingTips || []
+          }),
+        db
+          .insert(wasteCategoryRates)
+          .values({
+            categoryId,
+            pointsPerKg: String(pointsPerKg),
+            cashPerKg: String(cashPerKg || 0),
+            createdBy: req.user.id
+          })
+      ]);
+
+      const newCategory = await getCategoryWithRate(categoryId);
 
       res.status(201).json({
         success: true,
         message: 'Waste category created successfully',
-        data: newCategory
+        data: formatCategory(newCategory)
       });
 
     } catch (error) {
@@ -123,32 +218,84 @@ export default class WasteCategoryController {
   }
 
   // Update waste category (Admin only)
+  // Changing pointsPerKg or cashPerKg adds a new rate version; existing pickups keep their rate
   async updateWasteCategory(req, res) {
     try {
       const { id } = req.params;
-      const updateData = req.body;
+      const {
+        name,
+        description,
+        color,
+        isActive,
+        recyclingTips,
+        pointsPerKg,
+        cashPerKg,
+        effectiveFrom
+      } = req.body;
 
-      const categoryIndex = mockWasteCategories.findIndex(cat => cat.id === id);
+      const category = await getCategoryWithRate(id);
 
-      if (categoryIndex === -1) {
+      if (!category) {
         return res.status(404).json({
           success: false,
           message: 'Waste category not found'
         });
       }
 
-      // Update category
-      mockWasteCategories[categoryIndex] = {
-        ...mockWasteCategories[categoryIndex],
-        ...updateData,
-        icon: req.file ? req.file.path : mockWasteCategories[categoryIndex].icon,
-        updatedAt: new Date()
-      };
+      if (!isValidRate(pointsPerKg) || !isValidRate(cashPerKg)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Rates must be non-negative numbers'
+        });
+      }
+
+      const rateEffectiveFrom = effectiveFrom ? new Date(effectiveFrom) : new Date();
+      if (isNaN(rateEffectiveFrom.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid effectiveFrom date'
+        });
+      }
+
+      const updateData = { updatedAt: new Date() };
+      if (name !== undefined) updateData.name = name;
+      if (description !== undefined) updateData.description = description;
+      if (color !== undefined) updateData.color = color;
+      if (isActive !== undefined) updateData.isActive = isActive;
+      if (recyclingTips !== undefined) updateData.recyclingTips = recyclingTips;
+      if (req.file) updateData.icon = req.file.path;
+
+      const statements = [
+        db
+          .update(wasteCategories)
+          .set(updateData)
+          .where(eq(wasteCategories.id, id))
+      ];
+
+      if (pointsPerKg !== undefined || cashPerKg !== undefined) {
+        statements.push(
+          db
+            .insert(wasteCategoryRates)
+            .values({
+              categoryId: id,
+              pointsPerKg: String(pointsPerKg ?? category.rate?.pointsPerKg ?? 0),
+              cashPerKg: String(cashPerKg ?? category.rate?.cashPerKg ?? 0),
+              effectiveFrom: rateEffectiveFrom,
+              createdBy: req.user.id
+            })
+        );
+
+        logger.info(`Admin ${req.user.id} set new rate for waste category ${id} effective ${rateEffectiveFrom.toISOString()}`);
+      }
+
+      await db.batch(statements);
+
+      const updatedCategory = await getCategoryWithRate(id);
 
       res.json({
         success: true,
         message: 'Waste category updated successfully',
-        data: mockWasteCategories[categoryIndex]
+        data: formatCategory(updatedCategory)
       });
 
     } catch (error) {
@@ -166,19 +313,23 @@ export default class WasteCategoryController {
     try {
       const { id } = req.params;
 
-      const categoryIndex = mockWasteCategories.findIndex(cat => cat.id === id);
+      // Soft delete by setting isActive to false; rates are kept for pickups priced with them
+      const deletedCategory = await db
+        .update(wasteCategories)
+        .set({
+          isActive: false,
+          updatedAt: new Date()
+        })
+        .where(eq(wasteCategories.id, id))
+        .returning();
 
-      if (categoryIndex === -1) {
+      if (!deletedCategory.length) {
         return res.status(404).json({
           success: false,
           message: 'Waste category not found'
         });
       }
 
-      // Soft delete by setting isActive to false
-      mockWasteCategories[categoryIndex].isActive = false;
-      mockWasteCategories[categoryIndex].updatedAt = new Date();
-
       res.json({
         success: true,
         message: 'Waste category deleted successfully'
@@ -76,7 +76,8 @@ function createMockDatabase() {
         onConflictDoNothing: () => ({
           returning: () => Promise.resolve([])
         })
-      })
+      }),
+      select: (query) => Promise.resolve([])
     }),
     
     // FIXED: Proper update method chain
@@ -99,7 +100,10 @@ function createMockDatabase() {
     execute: (query) => {
       console.log('🔍 Mock database query executed');
       return Promise.resolve([{ test: 1 }]);
-    }
+    },
+
+    // Batch method (neon-http runs a batch as a single transaction)
+    batch: (queries) => Promise.all(queries)
   };
 }
 
@@ -0,0 +1,27 @@
+import { sql, getTableColumns, is, SQL } from 'drizzle-orm';
+import db from './connection.js';
+
+function castParam(value, column) {
+  return sql`cast(${sql.param(value, column)} as ${sql.raw(column.getSQLType())})`;
+}
+
+// Build an INSERT ... SELECT that only writes the row while `condition` holds.
+// Inside db.batch() this lets an insert depend on an earlier guarded update,
+// since neon-http has no interactive transactions to branch on.
+export function insertWhere(table, values, condition) {
+  const selection = Object.entries(getTableColumns(table)).map(([key, column]) => {
+    if (values[key] !== undefined) {
+      return is(values[key], SQL) ? values[key] : castParam(values[key], column);
+    }
+
+    if (column.default !== undefined) {
+      return is(column.default, SQL) ? column.default : castParam(column.default, column);
+    }
+
+    return castParam(null, column);
+  });
+
+  return db
+    .insert(table)
+    .select(sql`select ${sql.join(selection, sql`, `)} where ${condition}`);
+}
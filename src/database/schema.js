@@ -1,6 +1,6 @@
 // FIXED: Proper Drizzle ORM schema definitions with correct imports
-import { pgTable, uuid, varchar, text, integer, decimal, boolean, timestamp, pgEnum, jsonb } from 'drizzle-orm/pg-core';
-import { relations } from 'drizzle-orm';
+import { pgTable, uuid, varchar, text, integer, decimal, doublePrecision, boolean, timestamp, date, pgEnum, jsonb, index, uniqueIndex } from 'drizzle-orm/pg-core';
+import { relations, sql } from 'drizzle-orm';
 
 // FIXED: Define enums properly
 export const userRoleEnum = pgEnum('user_role', [
@@ -58,12 +58,79 @@ export const rewardTypeEnum = pgEnum('reward_type', [
   'cash'
 ]);
 
+export const rewardFulfillmentStatusEnum = pgEnum('reward_fulfillment_status', [
+  'queued',
+  'processing',
+  'delivered',
+  'failed',
+  'manual', // no provider delivers it; waiting for an admin to settle it by hand
+  'cancelled', // an admin cancelled the redemption and its points were refunded
+  'skipped' // the redemption was settled outside the job, so it was not delivered
+]);
+
+export const pickupScheduleStatusEnum = pgEnum('pickup_schedule_status', [
+  'active',
+  'paused',
+  'cancelled'
+]);
+
+export const pickupScheduleFrequencyEnum = pgEnum('pickup_schedule_frequency', [
+  'weekly',
+  'biweekly',
+  'monthly'
+]);
+
+export const dispatchStatusEnum = pgEnum('dispatch_status', [
+  'offered',
+  'escalated',
+  'matched'
+]);
+
+export const dispatchOfferStatusEnum = pgEnum('dispatch_offer_status', [
+  'pending',
+  'accepted',
+  'declined',
+  'expired',
+  'withdrawn'
+]);
+
+export const collectionProofStatusEnum = pgEnum('collection_proof_status', [
+  'awaiting_confirmation',
+  'confirmed',
+  'disputed',
+  'resolved'
+]);
+
+export const disputeTypeEnum = pgEnum('dispute_type', [
+  'short_weight',
+  'no_show',
+  'cancellation',
+  'other'
+]);
+
+export const disputeStatusEnum = pgEnum('dispute_status', [
+  'open',
+  'under_review',
+  'resolved',
+  'rejected',
+  'withdrawn'
+]);
+
+export const pointsEntryTypeEnum = pgEnum('points_entry_type', [
+  'earn',
+  'redeem',
+  'expire',
+  'adjust',
+  'reverse'
+]);
+
 export const notificationTypeEnum = pgEnum('notification_type', [
   'pickup_request',
   'pickup_accepted',
   'pickup_completed',
   'reward_earned',
   'payment_received',
+  'collection_confirmation',
   'system_update'
 ]);
 
@@ -87,8 +154,8 @@ export const users = pgTable('users', {
   city: varchar('city', { length: 100 }),
   state: varchar('state', { length: 100 }),
   country: varchar('country', { length: 100 }).default('Nigeria'),
-  latitude: varchar('latitude', { length: 50 }),
-  longitude: varchar('longitude', { length: 50 }),
+  latitude: doublePrecision('latitude'),
+  longitude: doublePrecision('longitude'),
   avatar: text('avatar'),
   totalPoints: integer('total_points').default(0),
   availablePoints: integer('available_points').default(0),
@@ -99,7 +166,10 @@ export const users = pgTable('users', {
   permissions: jsonb('permissions').default({}),
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at').defaultNow()
-});
+}, (table) => [
+  // Spatial index for radius and bounding-box searches (see geoUtils)
+  index('users_location_gist_idx').using('gist', sql`point(${table.longitude}, ${table.latitude})`)
+]);
 
 // FIXED: Waste picker profiles table
 export const wastePickerProfiles = pgTable('waste_picker_profiles', {
@@ -110,12 +180,16 @@ export const wastePickerProfiles = pgTable('waste_picker_profiles', {
   licenseNumber: varchar('license_number', { length: 50 }),
   serviceRadius: integer('service_radius').default(10),
   specializations: jsonb('specializations').default([]),
-  workingHours: jsonb('working_hours').default({}),
+  workingHours: jsonb('working_hours').default({}), // { monday: [{ start: 'HH:MM', end: 'HH:MM' }], ... } in local time
+  maxDailyPickups: integer('max_daily_pickups'), // pickups accepted per local day; null means no limit
+  isOnline: boolean('is_online').default(true).notNull(),
+  onlineStatusChangedAt: timestamp('online_status_changed_at'),
   isVerified: boolean('is_verified').default(false),
   verificationDocuments: jsonb('verification_documents').default([]),
   bankAccountName: varchar('bank_account_name', { length: 255 }),
   bankAccountNumber: varchar('bank_account_number', { length: 20 }),
   bankName: varchar('bank_name', { length: 100 }),
+  penaltyCount: integer('penalty_count').default(0).notNull(), // upheld dispute penalties
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at').defaultNow()
 });
@@ -138,6 +212,120 @@ export const recyclingCompanyProfiles = pgTable('recycling_company_profiles', {
   updatedAt: timestamp('updated_at').defaultNow()
 });
 
+// Waste categories table
+export const wasteCategories = pgTable('waste_categories', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  wasteType: wasteTypeEnum('waste_type').notNull().unique(),
+  name: varchar('name', { length: 255 }).notNull(),
+  description: text('description'),
+  icon: text('icon'),
+  color: varchar('color', { length: 20 }),
+  isActive: boolean('is_active').default(true),
+  recyclingTips: jsonb('recycling_tips').default([]),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow()
+});
+
+// Waste category rates table (versioned; a rate applies from effectiveFrom until the next one)
+export const wasteCategoryRates = pgTable('waste_category_rates', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  categoryId: uuid('category_id').references(() => wasteCategories.id).notNull(),
+  pointsPerKg: decimal('points_per_kg', { precision: 10, scale: 2 }).notNull(),
+  cashPerKg: decimal('cash_per_kg', { precision: 10, scale: 2 }).notNull().default('0.00'),
+  effectiveFrom: timestamp('effective_from').defaultNow().notNull(),
+  createdBy: uuid('created_by').references(() => users.id),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => [
+  index('waste_category_rates_category_id_idx').on(table.categoryId, table.effectiveFrom)
+]);
+
+// Service zones table (areas such as LGAs or city districts where pickups are offered)
+export const serviceZones = pgTable('service_zones', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  name: varchar('name', { length: 255 }).notNull().unique(),
+  description: text('description'),
+  boundary: jsonb('boundary').notNull(), // GeoJSON Polygon or MultiPolygon, [longitude, latitude] positions
+  minLatitude: doublePrecision('min_latitude').notNull(),
+  maxLatitude: doublePrecision('max_latitude').notNull(),
+  minLongitude: doublePrecision('min_longitude').notNull(),
+  maxLongitude: doublePrecision('max_longitude').notNull(),
+  pricingMultiplier: decimal('pricing_multiplier', { precision: 5, scale: 2 }).default('1.00').notNull(),
+  wasteTypes: jsonb('waste_types').default([]), // empty means every waste type
+  isActive: boolean('is_active').default(true).notNull(),
+  createdBy: uuid('created_by').references(() => users.id),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow()
+});
+
+// Waste pickers assigned to a service zone; zones with assigned pickers are only served by them
+export const serviceZonePickers = pgTable('service_zone_pickers', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  zoneId: uuid('zone_id').references(() => serviceZones.id).notNull(),
+  wastePickerId: uuid('waste_picker_id').references(() => users.id).notNull(),
+  assignedBy: uuid('assigned_by').references(() => users.id),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => [
+  uniqueIndex('service_zone_pickers_zone_picker_unique').on(table.zoneId, table.wastePickerId),
+  index('service_zone_pickers_waste_picker_id_idx').on(table.wastePickerId)
+]);
+
+// Service waitlist table (households who asked for pickups outside every zone)
+export const serviceWaitlist = pgTable('service_waitlist', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  userId: uuid('user_id').references(() => users.id).notNull(),
+  address: text('address'),
+  latitude: doublePrecision('latitude').notNull(),
+  longitude: doublePrecision('longitude').notNull(),
+  wasteTypes: jsonb('waste_types').default([]),
+  notifiedZoneId: uuid('notified_zone_id').references(() => serviceZones.id),
+  notifiedAt: timestamp('notified_at'),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => [
+  index('service_waitlist_user_id_idx').on(table.userId)
+]);
+
+// Pickup time slots table (bookable windows per service zone and weekday; slots
+// without a zone apply wherever a zone has none of its own)
+export const pickupTimeSlots = pgTable('pickup_time_slots', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  serviceZoneId: uuid('service_zone_id').references(() => serviceZones.id),
+  dayOfWeek: integer('day_of_week').notNull(), // 0 (Sunday) to 6 (Saturday)
+  startTime: varchar('start_time', { length: 5 }).notNull(), // HH:MM local time
+  endTime: varchar('end_time', { length: 5 }).notNull(),
+  capacity: integer('capacity').notNull(),
+  isActive: boolean('is_active').default(true).notNull(),
+  createdBy: uuid('created_by').references(() => users.id),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow()
+}, (table) => [
+  index('pickup_time_slots_zone_day_idx').on(table.serviceZoneId, table.dayOfWeek)
+]);
+
+// Pickup slot bookings table (pickups held in a time slot on a date)
+export const pickupSlotBookings = pgTable('pickup_slot_bookings', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  timeSlotId: uuid('time_slot_id').references(() => pickupTimeSlots.id).notNull(),
+  slotDate: date('slot_date').notNull(),
+  bookedCount: integer('booked_count').default(0).notNull(),
+  lastHoldId: uuid('last_hold_id'), // pickup whose hold last applied, guards the pickup insert
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow()
+}, (table) => [
+  uniqueIndex('pickup_slot_bookings_slot_date_unique').on(table.timeSlotId, table.slotDate)
+]);
+
+// Picker time off table (periods a waste picker is unavailable, e.g. leave or repairs)
+export const pickerTimeOff = pgTable('picker_time_off', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  wastePickerId: uuid('waste_picker_id').references(() => users.id).notNull(),
+  startsAt: timestamp('starts_at').notNull(),
+  endsAt: timestamp('ends_at').notNull(),
+  reason: text('reason'),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => [
+  index('picker_time_off_waste_picker_id_idx').on(table.wastePickerId, table.endsAt)
+]);
+
 // FIXED: Pickup requests table
 export const pickupRequests = pgTable('pickup_requests', {
   id: uuid('id').primaryKey().defaultRandom(),
@@ -149,20 +337,236 @@ export const pickupRequests = pgTable('pickup_requests', {
   description: text('description'),
   images: jsonb('images').default([]),
   pickupAddress: text('pickup_address').notNull(),
-  pickupLatitude: varchar('pickup_latitude', { length: 50 }).notNull(),
-  pickupLongitude: varchar('pickup_longitude', { length: 50 }).notNull(),
+  pickupLatitude: doublePrecision('pickup_latitude').notNull(),
+  pickupLongitude: doublePrecision('pickup_longitude').notNull(),
+  pickupCity: varchar('pickup_city', { length: 100 }), // reverse geocoded from the coordinates
+  pickupState: varchar('pickup_state', { length: 100 }),
   preferredDate: timestamp('preferred_date'),
   preferredTimeSlot: varchar('preferred_time_slot', { length: 50 }),
   status: pickupStatusEnum('status').default('pending'),
   pointsEarned: integer('points_earned').default(0),
+  wasteCategoryRateId: uuid('waste_category_rate_id').references(() => wasteCategoryRates.id),
+  pointsPerKg: decimal('points_per_kg', { precision: 10, scale: 2 }),
+  cashPerKg: decimal('cash_per_kg', { precision: 10, scale: 2 }),
+  cashValue: decimal('cash_value', { precision: 10, scale: 2 }),
   rating: integer('rating'),
   feedback: text('feedback'),
   completedAt: timestamp('completed_at'),
   cancelledAt: timestamp('cancelled_at'),
   cancellationReason: text('cancellation_reason'),
+  lastStatusChangeId: uuid('last_status_change_id'),
+  completionKey: varchar('completion_key', { length: 255 }).unique(),
+  scheduleId: uuid('schedule_id').references(() => pickupSchedules.id),
+  scheduledFor: date('scheduled_for'),
+  dispatchStatus: dispatchStatusEnum('dispatch_status'),
+  dispatchRadiusKm: integer('dispatch_radius_km'),
+  dispatchMaxRadiusKm: integer('dispatch_max_radius_km'), // set when an SLA escalation widens the search
+  slaStage: varchar('sla_stage', { length: 50 }), // furthest SLA escalation step taken (see pickupSlaService)
+  slaEscalatedAt: timestamp('sla_escalated_at'),
+  serviceZoneId: uuid('service_zone_id').references(() => serviceZones.id),
+  pricingMultiplier: decimal('pricing_multiplier', { precision: 5, scale: 2 }),
+  timeSlotId: uuid('time_slot_id').references(() => pickupTimeSlots.id),
+  slotDate: date('slot_date'),
+  slotStartsAt: timestamp('slot_starts_at'),
+  slotEndsAt: timestamp('slot_ends_at'),
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at').defaultNow()
-});
+}, (table) => [
+  index('pickup_requests_service_zone_id_idx').on(table.serviceZoneId),
+  index('pickup_requests_status_slot_starts_at_idx').on(table.status, table.slotStartsAt),
+  // A schedule materializes at most one pickup per occurrence
+  uniqueIndex('pickup_requests_schedule_occurrence_unique').on(table.scheduleId, table.scheduledFor),
+  // Spatial index for nearby pickup searches (see geoUtils)
+  index('pickup_requests_location_gist_idx').using('gist', sql`point(${table.pickupLongitude}, ${table.pickupLatitude})`)
+]);
+
+// Pickup schedules table (recurring pickups materialized ahead of time by a cron job)
+export const pickupSchedules = pgTable('pickup_schedules', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  userId: uuid('user_id').references(() => users.id).notNull(),
+  status: pickupScheduleStatusEnum('status').default('active').notNull(),
+  frequency: pickupScheduleFrequencyEnum('frequency').notNull(),
+  dayOfWeek: integer('day_of_week'),
+  dayOfMonth: integer('day_of_month'),
+  preferredTimeSlot: varchar('preferred_time_slot', { length: 50 }),
+  items: jsonb('items').default([]).notNull(),
+  description: text('description'),
+  pickupAddress: text('pickup_address').notNull(),
+  pickupLatitude: doublePrecision('pickup_latitude').notNull(),
+  pickupLongitude: doublePrecision('pickup_longitude').notNull(),
+  startDate: date('start_date').notNull(),
+  endDate: date('end_date'),
+  skippedDates: jsonb('skipped_dates').default([]),
+  nextOccurrence: date('next_occurrence'),
+  lastMaterializedAt: timestamp('last_materialized_at'),
+  pausedAt: timestamp('paused_at'),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow()
+}, (table) => [
+  index('pickup_schedules_status_next_occurrence_idx').on(table.status, table.nextOccurrence)
+]);
+
+// Pickup items table (one row per material handed over in a pickup)
+export const pickupItems = pgTable('pickup_items', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  pickupRequestId: uuid('pickup_request_id').references(() => pickupRequests.id).notNull(),
+  wasteType: wasteTypeEnum('waste_type').notNull(),
+  estimatedWeight: decimal('estimated_weight', { precision: 8, scale: 2 }),
+  actualWeight: decimal('actual_weight', { precision: 8, scale: 2 }),
+  description: text('description'),
+  wasteCategoryRateId: uuid('waste_category_rate_id').references(() => wasteCategoryRates.id),
+  pointsPerKg: decimal('points_per_kg', { precision: 10, scale: 2 }),
+  cashPerKg: decimal('cash_per_kg', { precision: 10, scale: 2 }),
+  pointsEarned: integer('points_earned').default(0),
+  cashValue: decimal('cash_value', { precision: 10, scale: 2 }),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow()
+}, (table) => [
+  index('pickup_items_pickup_request_id_idx').on(table.pickupRequestId)
+]);
+
+// Pickup status history table (audit trail of lifecycle transitions)
+export const pickupStatusHistory = pgTable('pickup_status_history', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  pickupRequestId: uuid('pickup_request_id').references(() => pickupRequests.id).notNull(),
+  fromStatus: pickupStatusEnum('from_status'),
+  toStatus: pickupStatusEnum('to_status').notNull(),
+  actorId: uuid('actor_id').references(() => users.id),
+  actorRole: varchar('actor_role', { length: 50 }).notNull(),
+  reason: text('reason'),
+  latitude: varchar('latitude', { length: 50 }),
+  longitude: varchar('longitude', { length: 50 }),
+  metadata: jsonb('metadata').default({}),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => [
+  index('pickup_status_history_pickup_request_id_idx').on(table.pickupRequestId, table.createdAt)
+]);
+
+// Pickup dispatch offers table (one row per waste picker offered a pickup)
+export const pickupDispatchOffers = pgTable('pickup_dispatch_offers', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  pickupRequestId: uuid('pickup_request_id').references(() => pickupRequests.id).notNull(),
+  wastePickerId: uuid('waste_picker_id').references(() => users.id).notNull(),
+  status: dispatchOfferStatusEnum('status').default('pending').notNull(),
+  score: decimal('score', { precision: 6, scale: 4 }).notNull(),
+  distance: decimal('distance', { precision: 8, scale: 2 }).notNull(),
+  radiusKm: integer('radius_km').notNull(),
+  expiresAt: timestamp('expires_at').notNull(),
+  respondedAt: timestamp('responded_at'),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => [
+  // A picker is offered a given pickup at most once
+  uniqueIndex('pickup_dispatch_offers_pickup_picker_unique').on(table.pickupRequestId, table.wastePickerId),
+  index('pickup_dispatch_offers_status_expires_at_idx').on(table.status, table.expiresAt)
+]);
+
+// Pickup location pings table (the waste picker's trail while a pickup is active)
+export const pickupLocationPings = pgTable('pickup_location_pings', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  pickupRequestId: uuid('pickup_request_id').references(() => pickupRequests.id).notNull(),
+  wastePickerId: uuid('waste_picker_id').references(() => users.id).notNull(),
+  latitude: doublePrecision('latitude').notNull(),
+  longitude: doublePrecision('longitude').notNull(),
+  accuracy: doublePrecision('accuracy'), // metres
+  heading: doublePrecision('heading'), // degrees from north
+  speed: doublePrecision('speed'), // metres per second
+  recordedAt: timestamp('recorded_at').notNull(),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => [
+  index('pickup_location_pings_pickup_request_id_idx').on(table.pickupRequestId, table.recordedAt)
+]);
+
+// Pickup collection proofs table (photos and weighed amounts the household confirms before points are credited)
+export const pickupCollectionProofs = pgTable('pickup_collection_proofs', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  pickupRequestId: uuid('pickup_request_id').references(() => pickupRequests.id).notNull().unique(),
+  wastePickerId: uuid('waste_picker_id').references(() => users.id).notNull(),
+  status: collectionProofStatusEnum('status').default('awaiting_confirmation').notNull(),
+  scalePhotos: jsonb('scale_photos').default([]).notNull(),
+  beforePhotos: jsonb('before_photos').default([]).notNull(),
+  afterPhotos: jsonb('after_photos').default([]).notNull(),
+  actualWeight: decimal('actual_weight', { precision: 8, scale: 2 }),
+  weighedItems: jsonb('weighed_items').default([]).notNull(), // [{ id, actualWeight }]
+  otpHash: varchar('otp_hash', { length: 64 }),
+  otpExpiresAt: timestamp('otp_expires_at'),
+  otpAttempts: integer('otp_attempts').default(0).notNull(),
+  confirmationMethod: varchar('confirmation_method', { length: 20 }), // otp, in_app, admin
+  confirmedBy: uuid('confirmed_by').references(() => users.id),
+  confirmedAt: timestamp('confirmed_at'),
+  disputeReason: text('dispute_reason'),
+  claimedWeight: decimal('claimed_weight', { precision: 8, scale: 2 }),
+  disputedAt: timestamp('disputed_at'),
+  resolution: varchar('resolution', { length: 20 }), // approved, adjusted, cancelled
+  resolutionNote: text('resolution_note'),
+  resolvedBy: uuid('resolved_by').references(() => users.id),
+  resolvedAt: timestamp('resolved_at'),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow()
+}, (table) => [
+  index('pickup_collection_proofs_status_idx').on(table.status)
+]);
+
+// Pickup disputes table (a household or waste picker contesting a pickup, reviewed by admins)
+export const pickupDisputes = pgTable('pickup_disputes', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  pickupRequestId: uuid('pickup_request_id').references(() => pickupRequests.id).notNull(),
+  collectionProofId: uuid('collection_proof_id').references(() => pickupCollectionProofs.id),
+  type: disputeTypeEnum('type').notNull(),
+  status: disputeStatusEnum('status').default('open').notNull(),
+  openedBy: uuid('opened_by').references(() => users.id).notNull(),
+  againstUserId: uuid('against_user_id').references(() => users.id).notNull(),
+  reason: text('reason').notNull(),
+  assignedTo: uuid('assigned_to').references(() => users.id),
+  assignedAt: timestamp('assigned_at'),
+  resolutionId: uuid('resolution_id'),
+  outcomes: jsonb('outcomes').default([]).notNull(), // [{ type, userId?, points?, amount? }]
+  resolutionNote: text('resolution_note'),
+  resolvedBy: uuid('resolved_by').references(() => users.id),
+  resolvedAt: timestamp('resolved_at'),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow()
+}, (table) => [
+  // One active dispute per pickup for each party
+  uniqueIndex('pickup_disputes_active_unique')
+    .on(table.pickupRequestId, table.openedBy)
+    .where(sql`${table.status} in ('open', 'under_review')`),
+  index('pickup_disputes_status_idx').on(table.status, table.createdAt)
+]);
+
+// Pickup dispute evidence table (photos added by either party)
+export const pickupDisputeEvidence = pgTable('pickup_dispute_evidence', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  disputeId: uuid('dispute_id').references(() => pickupDisputes.id).notNull(),
+  uploadedBy: uuid('uploaded_by').references(() => users.id).notNull(),
+  fileUrl: text('file_url').notNull(),
+  note: text('note'),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => [
+  index('pickup_dispute_evidence_dispute_id_idx').on(table.disputeId)
+]);
+
+// Reviews table (households rate waste pickers and waste pickers rate households after a pickup)
+export const reviews = pgTable('reviews', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  pickupRequestId: uuid('pickup_request_id').references(() => pickupRequests.id).notNull(),
+  reviewerId: uuid('reviewer_id').references(() => users.id).notNull(),
+  revieweeId: uuid('reviewee_id').references(() => users.id).notNull(),
+  reviewerRole: userRoleEnum('reviewer_role').notNull(),
+  rating: integer('rating').notNull(), // 1-5
+  comment: text('comment'),
+  tags: jsonb('tags').default([]).notNull(),
+  editableUntil: timestamp('editable_until').notNull(),
+  isHidden: boolean('is_hidden').default(false).notNull(),
+  hiddenBy: uuid('hidden_by').references(() => users.id),
+  hiddenAt: timestamp('hidden_at'),
+  hiddenReason: text('hidden_reason'),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow()
+}, (table) => [
+  // One review per pickup from each party
+  uniqueIndex('reviews_pickup_reviewer_unique').on(table.pickupRequestId, table.reviewerId),
+  index('reviews_reviewee_idx').on(table.revieweeId, table.isHidden, table.createdAt)
+]);
 
 // FIXED: Rewards table
 export const rewards = pgTable('rewards', {
@@ -178,6 +582,10 @@ export const rewards = pgTable('rewards', {
   termsAndConditions: text('terms_and_conditions'),
   expiryDate: timestamp('expiry_date'),
   isActive: boolean('is_active').default(true),
+  // Stock follows the unassigned codes in reward_voucher_codes
+  usesVoucherCodes: boolean('uses_voucher_codes').default(false).notNull(),
+  // Set by each redemption so the rest of its batch can tell the stock update applied
+  lastRedemptionId: uuid('last_redemption_id'),
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at').defaultNow()
 });
@@ -191,11 +599,111 @@ export const rewardRedemptions = pgTable('reward_redemptions', {
   redemptionCode: varchar('redemption_code', { length: 50 }),
   deliveryInfo: jsonb('delivery_info').default({}),
   status: varchar('status', { length: 50 }).default('pending'),
+  idempotencyKey: varchar('idempotency_key', { length: 255 }),
   completedAt: timestamp('completed_at'),
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at').defaultNow()
+}, (table) => [
+  uniqueIndex('reward_redemptions_user_idempotency_key_unique').on(table.userId, table.idempotencyKey)
+]);
+
+// Partner voucher codes, encrypted at rest; each is assigned to at most one redemption
+export const rewardVoucherCodes = pgTable('reward_voucher_codes', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  rewardId: uuid('reward_id').references(() => rewards.id).notNull(),
+  encryptedCode: text('encrypted_code').notNull(),
+  codeHash: varchar('code_hash', { length: 64 }).notNull(),
+  expiresAt: timestamp('expires_at'),
+  redemptionId: uuid('redemption_id').references(() => rewardRedemptions.id).unique(),
+  assignedAt: timestamp('assigned_at'),
+  uploadedBy: uuid('uploaded_by').references(() => users.id),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => [
+  uniqueIndex('reward_voucher_codes_reward_hash_unique').on(table.rewardId, table.codeHash),
+  index('reward_voucher_codes_reward_redemption_idx').on(table.rewardId, table.redemptionId)
+]);
+
+// Delivery jobs for redeemed rewards, retried until delivered or failed for good
+export const rewardFulfillments = pgTable('reward_fulfillments', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  redemptionId: uuid('redemption_id').references(() => rewardRedemptions.id).notNull().unique(),
+  status: rewardFulfillmentStatusEnum('status').default('queued').notNull(),
+  provider: varchar('provider', { length: 100 }),
+  attempts: integer('attempts').default(0).notNull(),
+  nextAttemptAt: timestamp('next_attempt_at').defaultNow(),
+  // Set by each claim so only the worker holding the job can finish it
+  lockId: uuid('lock_id'),
+  lockedAt: timestamp('locked_at'),
+  providerReference: varchar('provider_reference', { length: 255 }),
+  details: jsonb('details').default({}),
+  lastError: text('last_error'),
+  deliveredAt: timestamp('delivered_at'),
+  failedAt: timestamp('failed_at'),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow()
+}, (table) => [
+  index('reward_fulfillments_status_next_attempt_idx').on(table.status, table.nextAttemptAt)
+]);
+
+// Points ledger table (append-only source of truth for user point balances)
+export const pointsLedger = pgTable('points_ledger', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  userId: uuid('user_id').references(() => users.id).notNull(),
+  entryType: pointsEntryTypeEnum('entry_type').notNull(),
+  availableDelta: integer('available_delta').notNull(),
+  totalDelta: integer('total_delta').notNull().default(0),
+  pickupRequestId: uuid('pickup_request_id').references(() => pickupRequests.id),
+  redemptionId: uuid('redemption_id').references(() => rewardRedemptions.id),
+  adminId: uuid('admin_id').references(() => users.id),
+  reversesEntryId: uuid('reverses_entry_id'),
+  idempotencyKey: varchar('idempotency_key', { length: 255 }).unique(),
+  description: text('description'),
+  metadata: jsonb('metadata').default({}),
+  // When the points of a credit expire, under the policy at the time it was made
+  expiresAt: timestamp('expires_at'),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => [
+  index('points_ledger_user_id_idx').on(table.userId, table.createdAt),
+  index('points_ledger_expires_at_idx').on(table.expiresAt)
+]);
+
+// Expiry warnings sent for each credit, so each warning goes out once
+export const pointsExpiryWarnings = pgTable('points_expiry_warnings', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  userId: uuid('user_id').references(() => users.id).notNull(),
+  ledgerEntryId: uuid('ledger_entry_id').references(() => pointsLedger.id).notNull(),
+  daysBefore: integer('days_before').notNull(),
+  createdAt: timestamp('created_at').defaultNow()
+}, (table) => [
+  uniqueIndex('points_expiry_warnings_entry_days_unique').on(table.ledgerEntryId, table.daysBefore)
+]);
+
+// Badges users earn for their pickups (see achievementService for the rule types)
+export const badges = pgTable('badges', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  code: varchar('code', { length: 50 }).unique().notNull(),
+  name: varchar('name', { length: 100 }).notNull(),
+  description: text('description'),
+  icon: varchar('icon', { length: 255 }),
+  rule: jsonb('rule').notNull(), // e.g. { "type": "weight", "kg": 100, "wasteType": "plastic" }
+  bonusPoints: integer('bonus_points').default(0).notNull(),
+  isActive: boolean('is_active').default(true).notNull(),
+  createdAt: timestamp('created_at').defaultNow(),
+  updatedAt: timestamp('updated_at').defaultNow()
 });
 
+// Badges awarded to users, each at most once
+export const userBadges = pgTable('user_badges', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  userId: uuid('user_id').references(() => users.id).notNull(),
+  badgeId: uuid('badge_id').references(() => badges.id).notNull(),
+  pickupRequestId: uuid('pickup_request_id').references(() => pickupRequests.id), // the completion that earned it
+  bonusPoints: integer('bonus_points').default(0).notNull(),
+  awardedAt: timestamp('awarded_at').defaultNow()
+}, (table) => [
+  uniqueIndex('user_badges_user_badge_unique').on(table.userId, table.badgeId)
+]);
+
 // FIXED: Transactions table
 export const transactions = pgTable('transactions', {
   id: uuid('id').primaryKey().defaultRandom(),
@@ -211,7 +719,12 @@ export const transactions = pgTable('transactions', {
   metadata: jsonb('metadata').default({}),
   createdAt: timestamp('created_at').defaultNow(),
   updatedAt: timestamp('updated_at').defaultNow()
-});
+}, (table) => [
+  // A pickup can only ever be paid out once
+  uniqueIndex('transactions_pickup_payment_unique')
+    .on(table.pickupRequestId)
+    .where(sql`${table.type} = 'pickup_payment' and ${table.status} <> 'cancelled'`)
+]);
 
 // FIXED: Notifications table
 export const notifications = pgTable('notifications', {
@@ -291,10 +804,15 @@ export const usersRelations = relations(users, ({ one, many }) => ({
   pickupRequests: many(pickupRequests),
   transactions: many(transactions),
   notifications: many(notifications),
-  subscriptions: many(subscriptions)
+  subscriptions: many(subscriptions),
+  pointsLedger: many(pointsLedger),
+  timeOff: many(pickerTimeOff),
+  reviewsGiven: many(reviews, { relationName: 'reviewer' }),
+  reviewsReceived: many(reviews, { relationName: 'reviewee' }),
+  badges: many(userBadges)
 }));
 
-export const pickupRequestsRelations = relations(pickupRequests, ({ one }) => ({
+export const pickupRequestsRelations = relations(pickupRequests, ({ one, many }) => ({
   requester: one(users, {
     fields: [pickupRequests.requesterId],
     references: [users.id]
@@ -302,6 +820,198 @@ export const pickupRequestsRelations = relations(pickupRequests, ({ one }) => ({
   wastePicker: one(users, {
     fields: [pickupRequests.wastePickerId],
     references: [users.id]
+  }),
+  wasteCategoryRate: one(wasteCategoryRates, {
+    fields: [pickupRequests.wasteCategoryRateId],
+    references: [wasteCategoryRates.id]
+  }),
+  schedule: one(pickupSchedules, {
+    fields: [pickupRequests.scheduleId],
+    references: [pickupSchedules.id]
+  }),
+  serviceZone: one(serviceZones, {
+    fields: [pickupRequests.serviceZoneId],
+    references: [serviceZones.id]
+  }),
+  timeSlot: one(pickupTimeSlots, {
+    fields: [pickupRequests.timeSlotId],
+    references: [pickupTimeSlots.id]
+  }),
+  items: many(pickupItems),
+  statusHistory: many(pickupStatusHistory),
+  dispatchOffers: many(pickupDispatchOffers),
+  locationPings: many(pickupLocationPings),
+  collectionProof: one(pickupCollectionProofs),
+  disputes: many(pickupDisputes),
+  reviews: many(reviews)
+}));
+
+export const pickupSchedulesRelations = relations(pickupSchedules, ({ one, many }) => ({
+  user: one(users, {
+    fields: [pickupSchedules.userId],
+    references: [users.id]
+  }),
+  pickupRequests: many(pickupRequests)
+}));
+
+export const pickupItemsRelations = relations(pickupItems, ({ one }) => ({
+  pickupRequest: one(pickupRequests, {
+    fields: [pickupItems.pickupRequestId],
+    references: [pickupRequests.id]
+  }),
+  wasteCategoryRate: one(wasteCategoryRates, {
+    fields: [pickupItems.wasteCategoryRateId],
+    references: [wasteCategoryRates.id]
+  })
+}));
+
+export const wasteCategoriesRelations = relations(wasteCategories, ({ many }) => ({
+  rates: many(wasteCategoryRates)
+}));
+
+export const wasteCategoryRatesRelations = relations(wasteCategoryRates, ({ one }) => ({
+  category: one(wasteCategories, {
+    fields: [wasteCategoryRates.categoryId],
+    references: [wasteCategories.id]
+  }),
+  createdBy: one(users, {
+    fields: [wasteCategoryRates.createdBy],
+    references: [users.id]
+  })
+}));
+
+export const pickupStatusHistoryRelations = relations(pickupStatusHistory, ({ one }) => ({
+  pickupRequest: one(pickupRequests, {
+    fields: [pickupStatusHistory.pickupRequestId],
+    references: [pickupRequests.id]
+  }),
+  actor: one(users, {
+    fields: [pickupStatusHistory.actorId],
+    references: [users.id]
+  })
+}));
+
+export const pickupDispatchOffersRelations = relations(pickupDispatchOffers, ({ one }) => ({
+  pickupRequest: one(pickupRequests, {
+    fields: [pickupDispatchOffers.pickupRequestId],
+    references: [pickupRequests.id]
+  }),
+  wastePicker: one(users, {
+    fields: [pickupDispatchOffers.wastePickerId],
+    references: [users.id]
+  })
+}));
+
+export const pickupCollectionProofsRelations = relations(pickupCollectionProofs, ({ one }) => ({
+  pickupRequest: one(pickupRequests, {
+    fields: [pickupCollectionProofs.pickupRequestId],
+    references: [pickupRequests.id]
+  }),
+  wastePicker: one(users, {
+    fields: [pickupCollectionProofs.wastePickerId],
+    references: [users.id]
+  })
+}));
+
+export const pickupDisputesRelations = relations(pickupDisputes, ({ one, many }) => ({
+  pickupRequest: one(pickupRequests, {
+    fields: [pickupDisputes.pickupRequestId],
+    references: [pickupRequests.id]
+  }),
+  collectionProof: one(pickupCollectionProofs, {
+    fields: [pickupDisputes.collectionProofId],
+    references: [pickupCollectionProofs.id]
+  }),
+  evidence: many(pickupDisputeEvidence)
+}));
+
+export const serviceZonesRelations = relations(serviceZones, ({ many }) => ({
+  pickers: many(serviceZonePickers),
+  timeSlots: many(pickupTimeSlots),
+  pickupRequests: many(pickupRequests)
+}));
+
+export const serviceZonePickersRelations = relations(serviceZonePickers, ({ one }) => ({
+  zone: one(serviceZones, {
+    fields: [serviceZonePickers.zoneId],
+    references: [serviceZones.id]
+  }),
+  wastePicker: one(users, {
+    fields: [serviceZonePickers.wastePickerId],
+    references: [users.id]
+  })
+}));
+
+export const pickupTimeSlotsRelations = relations(pickupTimeSlots, ({ one, many }) => ({
+  serviceZone: one(serviceZones, {
+    fields: [pickupTimeSlots.serviceZoneId],
+    references: [serviceZones.id]
+  }),
+  bookings: many(pickupSlotBookings),
+  pickupRequests: many(pickupRequests)
+}));
+
+export const pickupSlotBookingsRelations = relations(pickupSlotBookings, ({ one }) => ({
+  timeSlot: one(pickupTimeSlots, {
+    fields: [pickupSlotBookings.timeSlotId],
+    references: [pickupTimeSlots.id]
+  })
+}));
+
+export const pickerTimeOffRelations = relations(pickerTimeOff, ({ one }) => ({
+  wastePicker: one(users, {
+    fields: [pickerTimeOff.wastePickerId],
+    references: [users.id]
+  })
+}));
+
+export const reviewsRelations = relations(reviews, ({ one }) => ({
+  pickupRequest: one(pickupRequests, {
+    fields: [reviews.pickupRequestId],
+    references: [pickupRequests.id]
+  }),
+  reviewer: one(users, {
+    fields: [reviews.reviewerId],
+    references: [users.id],
+    relationName: 'reviewer'
+  }),
+  reviewee: one(users, {
+    fields: [reviews.revieweeId],
+    references: [users.id],
+    relationName: 'reviewee'
+  })
+}));
+
+export const pickupDisputeEvidenceRelations = relations(pickupDisputeEvidence, ({ one }) => ({
+  dispute: one(pickupDisputes, {
+    fields: [pickupDisputeEvidence.disputeId],
+    references: [pickupDisputes.id]
+  })
+}));
+
+export const pickupLocationPingsRelations = relations(pickupLocationPings, ({ one }) => ({
+  pickupRequest: one(pickupRequests, {
+    fields: [pickupLocationPings.pickupRequestId],
+    references: [pickupRequests.id]
+  }),
+  wastePicker: one(users, {
+    fields: [pickupLocationPings.wastePickerId],
+    references: [users.id]
+  })
+}));
+
+export const pointsLedgerRelations = relations(pointsLedger, ({ one }) => ({
+  user: one(users, {
+    fields: [pointsLedger.userId],
+    references: [users.id]
+  }),
+  pickupRequest: one(pickupRequests, {
+    fields: [pointsLedger.pickupRequestId],
+    references: [pickupRequests.id]
+  }),
+  redemption: one(rewardRedemptions, {
+    fields: [pointsLedger.redemptionId],
+    references: [rewardRedemptions.id]
   })
 }));
 
@@ -313,6 +1023,44 @@ export const rewardRedemptionsRelations = relations(rewardRedemptions, ({ one })
   reward: one(rewards, {
     fields: [rewardRedemptions.rewardId],
     references: [rewards.id]
+  }),
+  fulfillment: one(rewardFulfillments)
+}));
+
+export const rewardVoucherCodesRelations = relations(rewardVoucherCodes, ({ one }) => ({
+  reward: one(rewards, {
+    fields: [rewardVoucherCodes.rewardId],
+    references: [rewards.id]
+  }),
+  redemption: one(rewardRedemptions, {
+    fields: [rewardVoucherCodes.redemptionId],
+    references: [rewardRedemptions.id]
+  })
+}));
+
+export const rewardFulfillmentsRelations = relations(rewardFulfillments, ({ one }) => ({
+  redemption: one(rewardRedemptions, {
+    fields: [rewardFulfillments.redemptionId],
+    references: [rewardRedemptions.id]
+  })
+}));
+
+export const badgesRelations = relations(badges, ({ many }) => ({
+  awards: many(userBadges)
+}));
+
+export const userBadgesRelations = relations(userBadges, ({ one }) => ({
+  user: one(users, {
+    fields: [userBadges.userId],
+    references: [users.id]
+  }),
+  badge: one(badges, {
+    fields: [userBadges.badgeId],
+    references: [badges.id]
+  }),
+  pickupRequest: one(pickupRequests, {
+    fields: [userBadges.pickupRequestId],
+    references: [pickupRequests.id]
   })
 }));
 
@@ -5,7 +5,8 @@ import {
   systemSettings, 
   emailTemplates,
   wastePickerProfiles,
-  recyclingCompanyProfiles 
+  recyclingCompanyProfiles,
+  pointsLedger
 } from './schema.js';
 import bcrypt from 'bcryptjs';
 import logger from '../utils/logger.js';
@@ -53,8 +54,8 @@ async function seedDatabase() {
         city: 'Lagos',
         state: 'Lagos',
         country: 'Nigeria',
-        latitude: '6.5954',
-        longitude: '3.3364'
+        latitude: 6.5954,
+        longitude: 3.3364
       })
       .onConflictDoNothing()
       .returning();
@@ -71,14 +72,15 @@ async function seedDatabase() {
           specializations: ['plastic', 'paper', 'metal'],
           isVerified: true,
           workingHours: {
-            monday: { start: '08:00', end: '18:00' },
-            tuesday: { start: '08:00', end: '18:00' },
-            wednesday: { start: '08:00', end: '18:00' },
-            thursday: { start: '08:00', end: '18:00' },
-            friday: { start: '08:00', end: '18:00' },
-            saturday: { start: '09:00', end: '15:00' },
-            sunday: { closed: true }
+            monday: [{ start: '08:00', end: '18:00' }],
+            tuesday: [{ start: '08:00', end: '18:00' }],
+            wednesday: [{ start: '08:00', end: '18:00' }],
+            thursday: [{ start: '08:00', end: '18:00' }],
+            friday: [{ start: '08:00', end: '18:00' }],
+            saturday: [{ start: '09:00', end: '15:00' }],
+            sunday: []
           },
+          maxDailyPickups: 10,
           bankAccountName: 'John Collector',
           bankAccountNumber: '1234567890',
           bankName: 'First Bank'
@@ -88,7 +90,7 @@ async function seedDatabase() {
 
     // Create sample household user
     const householdPassword = await bcrypt.hash('household123456', 12);
-    await db
+    const household = await db
       .insert(users)
       .values({
         email: 'household@recykle-naija.com',
@@ -104,12 +106,28 @@ async function seedDatabase() {
         city: 'Lagos',
         state: 'Lagos',
         country: 'Nigeria',
-        latitude: '6.4281',
-        longitude: '3.4219',
+        latitude: 6.4281,
+        longitude: 3.4219,
         totalPoints: 500,
         availablePoints: 350
       })
-      .onConflictDoNothing();
+      .onConflictDoNothing()
+      .returning();
+
+    // Record the household's starting balance in the points ledger
+    if (household.length > 0) {
+      await db
+        .insert(pointsLedger)
+        .values({
+          userId: household[0].id,
+          entryType: 'adjust',
+          availableDelta: 350,
+          totalDelta: 500,
+          idempotencyKey: `opening-balance:${household[0].id}`,
+          description: 'Opening balance for sample household'
+        })
+        .onConflictDoNothing();
+    }
 
     // Create sample recycling company
     const companyPassword = await bcrypt.hash('company123456', 12);
@@ -129,8 +147,8 @@ async function seedDatabase() {
         city: 'Lagos',
         state: 'Lagos',
         country: 'Nigeria',
-        latitude: '6.5833',
-        longitude: '3.3500'
+        latitude: 6.5833,
+        longitude: 3.3500
       })
       .onConflictDoNothing()
       .returning();
@@ -253,6 +271,69 @@ async function seedDatabase() {
         type: 'number',
         isPublic: false
       },
+      {
+        key: 'pickup_sla_accept_minutes',
+        value: '120',
+        description: 'Minutes a pickup can stay unaccepted before the dispatch radius is widened',
+        type: 'number',
+        isPublic: false
+      },
+      {
+        key: 'pickup_sla_widened_radius_km',
+        value: '50',
+        description: 'Dispatch radius (km) for pickups that missed the acceptance SLA',
+        type: 'number',
+        isPublic: false
+      },
+      {
+        key: 'pickup_sla_admin_minutes',
+        value: '240',
+        description: 'Minutes a pickup can stay unaccepted before admins are alerted',
+        type: 'number',
+        isPublic: false
+      },
+      {
+        key: 'pickup_sla_cancel_minutes',
+        value: '1440',
+        description: 'Minutes a pickup can stay unaccepted before it is cancelled',
+        type: 'number',
+        isPublic: false
+      },
+      {
+        key: 'pickup_sla_start_grace_minutes',
+        value: '0',
+        description: 'Minutes after the booked slot ends before an accepted but unstarted pickup is escalated to admins',
+        type: 'number',
+        isPublic: false
+      },
+      {
+        key: 'pickup_sla_start_cancel_minutes',
+        value: '120',
+        description: 'Minutes after the booked slot ends before an accepted but unstarted pickup is cancelled',
+        type: 'number',
+        isPublic: false
+      },
+      {
+        key: 'points_expiry_months',
+        value: '12',
+        description: 'Months after being credited that points expire (0 = never)',
+        type: 'number',
+        isPublic: true
+      },
+      {
+        key: 'points_expiry_first_warning_days',
+        value: '30',
+        description: 'Days before points expire that users get the first warning',
+        type: 'number',
+        isPublic: false
+      },
+      {
+        key: 'points_expiry_final_warning_days',
+        value: '7',
+        description: 'Days before points expire that users get the final warning',
+        type: 'number',
+        isPublic: false
+      },
       {
         key: 'app_version',
         value: '1.0.0',
@@ -9,8 +9,14 @@ import {
   rewardRedemptions,
   rewards
 } from '../database/schema.js';
-import { eq, sql, between, and, lt } from 'drizzle-orm';
+import { eq, sql, between, and, or, lt, gt, lte, isNull } from 'drizzle-orm';
 import emailService from '../services/emailService.js';
+import pickupScheduleService from '../services/pickupScheduleService.js';
+import dispatchService from '../services/dispatchService.js';
+import pickupSlaService from '../services/pickupSlaService.js';
+import fulfillmentService from '../services/fulfillmentService.js';
+import voucherCodeService from '../services/voucherCodeService.js';
+import pointsExpiryService from '../services/pointsExpiryService.js';
 import logger from '../utils/logger.js';
 
 class CronJobs {
@@ -32,6 +38,21 @@ class CronJobs {
     
     // Send pickup reminders (runs every 30 minutes)
     this.pickupReminders();
+
+    // Create pickups from recurring schedules (runs daily at 1 AM)
+    this.materializeScheduledPickups();
+
+    // Expire points and warn users before they expire (runs daily at 00:30)
+    this.expirePoints();
+
+    // Move expired dispatch offers on to the next waste picker (runs every minute)
+    this.processDispatchOffers();
+
+    // Escalate pickups that miss their SLAs (runs every 5 minutes)
+    this.escalateOverduePickups();
+
+    // Deliver redeemed rewards and retry failed deliveries (runs every minute)
+    this.processRewardFulfillments();
     
     // Generate monthly reports (runs on 1st of every month at 6 AM)
     this.monthlyReports();
@@ -241,6 +262,12 @@ class CronJobs {
           logger.info(`Deactivated ${expiredRewards.length} expired rewards`);
         }
 
+        // Drop expired voucher codes from stock
+        const syncedRewards = await voucherCodeService.syncAllStock();
+        if (syncedRewards > 0) {
+          logger.info(`Updated stock of ${syncedRewards} rewards with expired voucher codes`);
+        }
+
       } catch (error) {
         logger.error('Reward stock update failed:', error);
       }
@@ -254,9 +281,11 @@ class CronJobs {
       
       try {
         const now = new Date();
+        const halfHourFromNow = new Date(now.getTime() + 30 * 60 * 1000);
         const oneHourFromNow = new Date(now.getTime() + 60 * 60 * 1000);
 
-        // Get pickups scheduled within the next hour
+        // Get pickups whose booked slot starts 30-60 minutes from now, so each is
+        // reminded once, and unbooked pickups whose preferred date is within the hour
         const upcomingPickups = await db
           .select({
             pickup: pickupRequests,
@@ -266,7 +295,10 @@ class CronJobs {
           .leftJoin(users, eq(pickupRequests.requesterId, users.id))
           .where(and(
             eq(pickupRequests.status, 'accepted'),
-            between(pickupRequests.preferredDate, now, oneHourFromNow)
+            or(
+              and(gt(pickupRequests.slotStartsAt, halfHourFromNow), lte(pickupRequests.slotStartsAt, oneHourFromNow)),
+              and(isNull(pickupRequests.slotStartsAt), between(pickupRequests.preferredDate, now, oneHourFromNow))
+            )
           ));
 
         for (const { pickup, requester } of upcomingPickups) {
@@ -276,7 +308,9 @@ class CronJobs {
               userId: requester.id,
               type: 'pickup_request',
               title: 'Pickup Reminder',
-              message: `Your waste pickup is scheduled in 1 hour. Please have your waste ready.`,
+              message: pickup.slotStartsAt
+                ? `Your waste pickup is booked for ${pickup.preferredTimeSlot} today. Please have your waste ready.`
+                : `Your waste pickup is scheduled in 1 hour. Please have your waste ready.`,
               data: { pickupRequestId: pickup.id }
             });
 
@@ -300,6 +334,86 @@ class CronJobs {
     });
   }
 
+  // Create pickup requests for upcoming occurrences of recurring schedules
+  static materializeScheduledPickups() {
+    cron.schedule('0 1 * * *', async () => {
+      logger.info('Creating scheduled pickups...');
+
+      try {
+        const result = await pickupScheduleService.materializeDueSchedules();
+
+        logger.info(`Created ${result.pickupsCreated} scheduled pickups from ${result.schedulesProcessed} schedules (${result.schedulesSkipped} skipped without an active plan)`);
+      } catch (error) {
+        logger.error('Scheduled pickup creation failed:', error);
+      }
+    });
+  }
+
+  // Expire points past their expiry and warn users whose points expire soon
+  // (the policy is set in system_settings)
+  static expirePoints() {
+    cron.schedule('30 0 * * *', async () => {
+      try {
+        const { usersExpired, pointsExpired, warningsSent } = await pointsExpiryService.processExpiries();
+
+        if (usersExpired > 0 || warningsSent > 0) {
+          logger.info(`Points expiry: ${pointsExpired} points expired for ${usersExpired} users, ${warningsSent} warnings sent`);
+        }
+      } catch (error) {
+        logger.error('Points expiry failed:', error);
+      }
+    });
+  }
+
+  // Expire unanswered dispatch offers and offer those pickups to the next candidate
+  static processDispatchOffers() {
+    cron.schedule('* * * * *', async () => {
+      try {
+        const { offersExpired, pickupsRedispatched } = await dispatchService.expireOffers();
+        const undispatched = await dispatchService.dispatchUndispatched();
+
+        if (offersExpired > 0 || undispatched > 0) {
+          logger.info(`Dispatch: ${offersExpired} offers expired, ${pickupsRedispatched} pickups redispatched, ${undispatched} undispatched pickups picked up`);
+        }
+      } catch (error) {
+        logger.error('Dispatch offer processing failed:', error);
+      }
+    });
+  }
+
+  // Widen the search, alert admins and finally cancel pickups that are not
+  // accepted or started in time (SLAs are set in system_settings)
+  static escalateOverduePickups() {
+    cron.schedule('*/5 * * * *', async () => {
+      try {
+        const { pending, notStarted } = await pickupSlaService.processOverduePickups();
+        const total = pending.radiusWidened + pending.adminsNotified + pending.cancelled + notStarted.startOverdue + notStarted.cancelled;
+
+        if (total > 0) {
+          logger.info(`Pickup SLAs: ${pending.radiusWidened} radius widened, ${pending.adminsNotified} escalated to admins, ${pending.cancelled} unaccepted cancelled, ${notStarted.startOverdue} not started, ${notStarted.cancelled} not started cancelled`);
+        }
+      } catch (error) {
+        logger.error('Pickup SLA escalation failed:', error);
+      }
+    });
+  }
+
+  // Deliver queued reward redemptions through their providers; deliveries that
+  // keep failing are refunded
+  static processRewardFulfillments() {
+    cron.schedule('* * * * *', async () => {
+      try {
+        const { delivered, retried, failed, manual } = await fulfillmentService.processDueJobs();
+
+        if (delivered + retried + failed + manual > 0) {
+          logger.info(`Reward fulfillment: ${delivered} delivered, ${retried} to retry, ${failed} failed and refunded, ${manual} left for manual fulfillment`);
+        }
+      } catch (error) {
+        logger.error('Reward fulfillment failed:', error);
+      }
+    });
+  }
+
   // Generate monthly reports
   static monthlyReports() {
     cron.schedule('0 6 1 * *', async () => {
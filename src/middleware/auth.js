@@ -84,6 +84,44 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Authenticate a Socket.IO connection with the token from its handshake
+// (`auth: { token }` or an Authorization header). Unlike authenticateToken it
+// never falls back to a mock user: an invalid token, an unknown or suspended
+// user or a failed lookup all reject the connection. Resolves to the user, or
+// null when authentication fails.
+export const authenticateSocket = async (socket) => {
+  if (socket.data.user) {
+    return socket.data.user;
+  }
+
+  const authHeader = socket.handshake.headers?.authorization;
+  const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
+
+    const user = await db
+      .select()
+      .from(users)
+      .where(eq(users.id, decoded.userId))
+      .limit(1);
+
+    if (!user.length || user[0].status === 'suspended') {
+      return null;
+    }
+
+    socket.data.user = user[0];
+    return user[0];
+  } catch (error) {
+    console.log('⚠️  Socket authentication failed:', error.message);
+    return null;
+  }
+};
+
 // FIXED: Require role middleware with proper error handling
 export const requireRole = (roles) => {
   return (req, res, next) => {
@@ -42,8 +42,13 @@ export const validatePasswordUpdate = [
 
 // Pickup validations
 export const validatePickupRequest = [
-  body('wasteType').isIn(['plastic', 'paper', 'metal', 'glass', 'electronics', 'organic', 'mixed']).withMessage('Invalid waste type'),
+  // Either a single wasteType/estimatedWeight or a list of items
+  body('wasteType').if(body('items').not().exists()).isIn(['plastic', 'paper', 'metal', 'glass', 'electronics', 'organic', 'mixed']).withMessage('Invalid waste type'),
   body('estimatedWeight').optional().isFloat({ min: 0.1 }).withMessage('Weight must be greater than 0'),
+  body('items').optional().isArray({ min: 1, max: 20 }).withMessage('Items must be a list of 1 to 20 waste items'),
+  body('items.*.wasteType').isIn(['plastic', 'paper', 'metal', 'glass', 'electronics', 'organic', 'mixed']).withMessage('Invalid waste type'),
+  body('items.*.estimatedWeight').optional().isFloat({ min: 0.1 }).withMessage('Weight must be greater than 0'),
+  body('items.*.description').optional().trim().isLength({ max: 255 }).withMessage('Item description too long'),
   body('pickupAddress').trim().isLength({ min: 10 }).withMessage('Pickup address must be at least 10 characters'),
   body('pickupLatitude').isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
   body('pickupLongitude').isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
@@ -56,8 +61,14 @@ export const validatePickupUpdate = [
   param('id').isUUID().withMessage('Invalid pickup ID'),
   body('status').optional().isIn(['accepted', 'in_progress', 'completed', 'cancelled']).withMessage('Invalid status'),
   body('actualWeight').optional().isFloat({ min: 0.1 }).withMessage('Weight must be greater than 0'),
+  body('items').optional().isArray({ min: 1 }).withMessage('Items must be a list of weighed items'),
+  body('items.*.id').optional().isUUID().withMessage('Invalid item ID'),
+  body('items.*.actualWeight').isFloat({ min: 0.1 }).withMessage('Weight must be greater than 0'),
   body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
   body('feedback').optional().trim().isLength({ max: 500 }).withMessage('Feedback too long'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude'),
   handleValidationErrors
 ];
 
@@ -0,0 +1,47 @@
+import express from 'express';
+import availabilityController from '../controllers/availabilityController.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/availability
+ * @desc    Get a waste picker's weekly hours, time off, daily limit, online status and whether they can take pickups now
+ * @access  Private (Waste Picker, Admin)
+ * @query   { wastePickerId? } - Admins only
+ */
+router.get('/', authenticateToken, requireRole(['waste_picker', 'admin']), availabilityController.getAvailability);
+
+/**
+ * @route   PUT /api/availability
+ * @desc    Set weekly working hours and the daily pickup limit
+ * @access  Private (Waste Picker only)
+ * @body    { workingHours?: { monday: [{ start: 'HH:MM', end: 'HH:MM' }], ... }, maxDailyPickups?: number|null }
+ */
+router.put('/', authenticateToken, requireRole(['waste_picker']), availabilityController.updateSchedule);
+
+/**
+ * @route   PATCH /api/availability/online
+ * @desc    Go online or offline
+ * @access  Private (Waste Picker only)
+ * @body    { isOnline: boolean }
+ */
+router.patch('/online', authenticateToken, requireRole(['waste_picker']), availabilityController.setOnlineStatus);
+
+/**
+ * @route   POST /api/availability/time-off
+ * @desc    Book time off (up to 90 days at a time)
+ * @access  Private (Waste Picker only)
+ * @body    { startsAt, endsAt, reason? }
+ */
+router.post('/time-off', authenticateToken, requireRole(['waste_picker']), availabilityController.addTimeOff);
+
+/**
+ * @route   DELETE /api/availability/time-off/:id
+ * @desc    Cancel a period of time off
+ * @access  Private (Waste Picker only)
+ * @params  id - Time off ID
+ */
+router.delete('/time-off/:id', authenticateToken, requireRole(['waste_picker']), availabilityController.removeTimeOff);
+
+export default router;
@@ -0,0 +1,34 @@
+import express from 'express';
+import badgeController from '../controllers/badgeController.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Badges a user has earned are listed on their profile: GET /api/users/profile/:id
+
+/**
+ * @route   GET /api/badges
+ * @desc    Get the badges users can earn
+ * @access  Private
+ * @query   { includeInactive? } - Admins only
+ */
+router.get('/', authenticateToken, badgeController.getBadges);
+
+/**
+ * @route   POST /api/badges
+ * @desc    Create a badge
+ * @access  Private (Admin only)
+ * @body    { code, name, description?, icon?, rule, bonusPoints?, isActive? }
+ */
+router.post('/', authenticateToken, requireRole(['admin']), badgeController.createBadge);
+
+/**
+ * @route   PATCH /api/badges/:id
+ * @desc    Update a badge; badges already awarded are kept
+ * @access  Private (Admin only)
+ * @params  id - Badge ID
+ * @body    { name?, description?, icon?, rule?, bonusPoints?, isActive? }
+ */
+router.patch('/:id', authenticateToken, requireRole(['admin']), badgeController.updateBadge);
+
+export default router;
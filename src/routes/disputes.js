@@ -0,0 +1,60 @@
+import express from 'express';
+import disputeController from '../controllers/disputeController.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Disputes are opened from the pickup: POST /api/pickups/:id/disputes
+
+/**
+ * @route   GET /api/disputes
+ * @desc    Get disputes the user opened or is named in (all disputes for admins)
+ * @access  Private
+ * @query   { status?, type?, pickupRequestId?, assignedTo?, page?, limit? }
+ */
+router.get('/', authenticateToken, disputeController.getDisputes);
+
+/**
+ * @route   GET /api/disputes/:id
+ * @desc    Get a dispute with its pickup, evidence and proof of collection
+ * @access  Private (Parties, Admin)
+ * @params  id - Dispute ID
+ */
+router.get('/:id', authenticateToken, disputeController.getDispute);
+
+/**
+ * @route   POST /api/disputes/:id/evidence
+ * @desc    Add evidence photos to an active dispute
+ * @access  Private (Parties)
+ * @params  id - Dispute ID
+ * @body    multipart: evidence[], note?
+ */
+router.post('/:id/evidence', authenticateToken, disputeController.addEvidence);
+
+/**
+ * @route   POST /api/disputes/:id/withdraw
+ * @desc    Withdraw an active dispute
+ * @access  Private (Party who opened it)
+ * @params  id - Dispute ID
+ */
+router.post('/:id/withdraw', authenticateToken, disputeController.withdrawDispute);
+
+/**
+ * @route   PATCH /api/admin/disputes/:id/assign
+ * @desc    Assign a dispute for review (moves it to under_review)
+ * @access  Private (Admin only)
+ * @params  id - Dispute ID
+ * @body    { adminId? } - defaults to the requesting admin
+ */
+router.patch('/:id/assign', authenticateToken, requireRole(['admin']), disputeController.assignDispute);
+
+/**
+ * @route   POST /api/admin/disputes/:id/resolve
+ * @desc    Resolve a dispute and apply its outcomes
+ * @access  Private (Admin only)
+ * @params  id - Dispute ID
+ * @body    { decision: upheld|rejected, outcomes?: [{ type: points_adjustment|rating_removal|picker_penalty|refund, userId?, points?, amount? }], weightDecision?, note? }
+ */
+router.post('/:id/resolve', authenticateToken, requireRole(['admin']), disputeController.resolveDispute);
+
+export default router;
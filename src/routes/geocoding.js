@@ -0,0 +1,22 @@
+import express from 'express';
+import geocodingController from '../controllers/geocodingController.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/geocoding/autocomplete
+ * @desc    Suggest states, LGAs, towns and landmarks matching a partial name
+ * @access  Public
+ * @query   { q, limit?, state?, latitude?, longitude? }
+ */
+router.get('/autocomplete', geocodingController.autocomplete);
+
+/**
+ * @route   GET /api/geocoding/reverse
+ * @desc    Find the state, LGA and city of a location
+ * @access  Public
+ * @query   { latitude, longitude }
+ */
+router.get('/reverse', geocodingController.reverseGeocode);
+
+export default router;
@@ -0,0 +1,73 @@
+import express from 'express';
+import pickupScheduleController from '../controllers/pickupScheduleController.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/pickup-schedules
+ * @desc    Get recurring pickup schedules (own schedules; admins see all)
+ * @access  Private
+ * @query   { status?, userId? }
+ */
+router.get('/', authenticateToken, pickupScheduleController.getSchedules);
+
+/**
+ * @route   POST /api/pickup-schedules
+ * @desc    Create a recurring pickup schedule (requires the Enterprise plan)
+ * @access  Private (Household only)
+ * @body    { frequency: weekly|biweekly|monthly, dayOfWeek? (0-6), dayOfMonth? (1-28), items | wasteType + estimatedWeight?, description?, pickupAddress, pickupLatitude, pickupLongitude, preferredTimeSlot?, startDate?, endDate? }
+ */
+router.post('/', authenticateToken, requireRole(['household']), pickupScheduleController.createSchedule);
+
+/**
+ * @route   GET /api/pickup-schedules/:id
+ * @desc    Get a pickup schedule with upcoming occurrences and created pickups
+ * @access  Private (Owner, Admin)
+ * @params  id - Pickup schedule ID
+ */
+router.get('/:id', authenticateToken, pickupScheduleController.getSchedule);
+
+/**
+ * @route   PATCH /api/pickup-schedules/:id
+ * @desc    Edit a pickup schedule; applies to occurrences not yet created as pickups
+ * @access  Private (Owner, Admin)
+ * @params  id - Pickup schedule ID
+ * @body    Any field accepted on create
+ */
+router.patch('/:id', authenticateToken, pickupScheduleController.updateSchedule);
+
+/**
+ * @route   POST /api/pickup-schedules/:id/pause
+ * @desc    Pause a schedule and cancel its upcoming pickups
+ * @access  Private (Owner, Admin)
+ * @params  id - Pickup schedule ID
+ */
+router.post('/:id/pause', authenticateToken, pickupScheduleController.pauseSchedule);
+
+/**
+ * @route   POST /api/pickup-schedules/:id/resume
+ * @desc    Resume a paused schedule
+ * @access  Private (Owner, Admin)
+ * @params  id - Pickup schedule ID
+ */
+router.post('/:id/resume', authenticateToken, pickupScheduleController.resumeSchedule);
+
+/**
+ * @route   POST /api/pickup-schedules/:id/skip
+ * @desc    Skip a single upcoming occurrence
+ * @access  Private (Owner, Admin)
+ * @params  id - Pickup schedule ID
+ * @body    { date: YYYY-MM-DD }
+ */
+router.post('/:id/skip', authenticateToken, pickupScheduleController.skipOccurrence);
+
+/**
+ * @route   DELETE /api/pickup-schedules/:id
+ * @desc    Cancel a schedule and its upcoming pickups
+ * @access  Private (Owner, Admin)
+ * @params  id - Pickup schedule ID
+ */
+router.delete('/:id', authenticateToken, pickupScheduleController.cancelSchedule);
+
+export default router;
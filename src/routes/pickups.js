@@ -1,5 +1,9 @@
 import express from 'express';
 import pickupController from '../controllers/pickupController.js';
+import collectionProofController from '../controllers/collectionProofController.js';
+import disputeController from '../controllers/disputeController.js';
+import reviewController from '../controllers/reviewController.js';
+import timeSlotController from '../controllers/timeSlotController.js';
 import { authenticateToken, requireRole, requireVerification } from '../middleware/auth.js';
 import {
   validatePickupRequest,
@@ -14,7 +18,9 @@ const router = express.Router();
  * @route   POST /api/pickups
  * @desc    Create a new pickup request
  * @access  Private (Household only)
- * @body    { wasteType, estimatedWeight?, description?, images?, pickupAddress, pickupLatitude, pickupLongitude, preferredDate?, preferredTimeSlot? }
+ * @body    { wasteType, estimatedWeight?, description?, images?, pickupAddress, pickupLatitude, pickupLongitude, timeSlotId?, preferredDate?, preferredTimeSlot? }
+ *          or { items: [{ wasteType, estimatedWeight?, description? }], description?, images?, pickupAddress, pickupLatitude, pickupLongitude, timeSlotId?, preferredDate?, preferredTimeSlot? }
+ *          timeSlotId with preferredDate (YYYY-MM-DD) is required where time slots are set up
  */
 router.post('/', authenticateToken, requireRole(['household']), requireVerification, validatePickupRequest, pickupController.createPickupRequest);
 
@@ -26,6 +32,29 @@ router.post('/', authenticateToken, requireRole(['household']), requireVerificat
  */
 router.get('/', authenticateToken, validatePagination, pickupController.getPickupRequests);
 
+/**
+ * @route   GET /api/pickups/slots
+ * @desc    Get the bookable time slots at a location on a date, with remaining capacity
+ * @access  Private
+ * @query   { lat, lng, date: YYYY-MM-DD }
+ */
+router.get('/slots', authenticateToken, timeSlotController.getAvailableSlots);
+
+/**
+ * @route   POST /api/pickups/route-plan
+ * @desc    Plan a route through the current waste picker's accepted pickups
+ * @access  Private (Waste Picker only)
+ * @body    { startLatitude?, startLongitude?, startTime?, pickupIds? }
+ */
+router.post('/route-plan', authenticateToken, requireRole(['waste_picker']), pickupController.planRoute);
+
+/**
+ * @route   GET /api/pickups/offers
+ * @desc    Get open dispatch offers for the current waste picker
+ * @access  Private (Waste Picker only)
+ */
+router.get('/offers', authenticateToken, requireRole(['waste_picker']), pickupController.getPickupOffers);
+
 /**
  * @route   GET /api/pickups/nearby
  * @desc    Get nearby pickup requests (Waste Picker only)
@@ -50,6 +79,100 @@ router.get('/stats', authenticateToken, pickupController.getPickupStats);
  */
 router.get('/:id', authenticateToken, pickupController.getPickupRequest);
 
+/**
+ * @route   GET /api/pickups/:id/history
+ * @desc    Get pickup status history (audit trail of lifecycle transitions)
+ * @access  Private (Requester, assigned Waste Picker, Admin, Government)
+ * @params  id - Pickup request ID
+ */
+router.get('/:id/history', authenticateToken, pickupController.getPickupHistory);
+
+/**
+ * @route   POST /api/pickups/:id/proof
+ * @desc    Submit proof of collection (scale and before/after photos, weighed amounts)
+ * @access  Private (assigned Waste Picker only)
+ * @params  id - Pickup request ID
+ * @body    multipart: scalePhotos[], beforePhotos[]?, afterPhotos[]?, actualWeight? or items? (JSON [{ id, actualWeight }])
+ */
+router.post('/:id/proof', authenticateToken, requireRole(['waste_picker']), collectionProofController.submitProof);
+
+/**
+ * @route   GET /api/pickups/:id/proof
+ * @desc    Get the proof of collection for a pickup
+ * @access  Private (Requester, assigned Waste Picker or Admin)
+ * @params  id - Pickup request ID
+ */
+router.get('/:id/proof', authenticateToken, collectionProofController.getProof);
+
+/**
+ * @route   POST /api/pickups/:id/proof/otp
+ * @desc    Send the household a new confirmation code
+ * @access  Private (assigned Waste Picker only)
+ * @params  id - Pickup request ID
+ */
+router.post('/:id/proof/otp', authenticateToken, requireRole(['waste_picker']), collectionProofController.resendConfirmationCode);
+
+/**
+ * @route   POST /api/pickups/:id/proof/confirm
+ * @desc    Confirm the collection and credit points (household in-app, or waste picker with the household's code)
+ * @access  Private (Requester or assigned Waste Picker)
+ * @params  id - Pickup request ID
+ * @body    { otp? } - required for waste pickers
+ */
+router.post('/:id/proof/confirm', authenticateToken, requireRole(['household', 'waste_picker']), collectionProofController.confirmCollection);
+
+/**
+ * @route   POST /api/pickups/:id/proof/dispute
+ * @desc    Dispute the weighed amounts; opens a short_weight dispute for admins
+ * @access  Private (Requester only)
+ * @params  id - Pickup request ID
+ * @body    { reason, claimedWeight? }
+ */
+router.post('/:id/proof/dispute', authenticateToken, requireRole(['household']), collectionProofController.disputeCollection);
+
+/**
+ * @route   POST /api/pickups/:id/reviews
+ * @desc    Review the other party of a completed pickup
+ * @access  Private (Requester or assigned Waste Picker)
+ * @params  id - Pickup request ID
+ * @body    { rating (1-5), comment?, tags? }
+ */
+router.post('/:id/reviews', authenticateToken, requireRole(['household', 'waste_picker']), reviewController.submitReview);
+
+/**
+ * @route   GET /api/pickups/:id/reviews
+ * @desc    Get the reviews on a pickup
+ * @access  Private (Requester, assigned Waste Picker or Admin)
+ * @params  id - Pickup request ID
+ */
+router.get('/:id/reviews', authenticateToken, reviewController.getPickupReviews);
+
+/**
+ * @route   POST /api/pickups/:id/disputes
+ * @desc    Open a dispute on a pickup
+ * @access  Private (Requester or assigned Waste Picker)
+ * @params  id - Pickup request ID
+ * @body    multipart: type (short_weight|no_show|cancellation|other), reason, claimedWeight?, evidence[]?
+ */
+router.post('/:id/disputes', authenticateToken, requireRole(['household', 'waste_picker']), disputeController.openDispute);
+
+/**
+ * @route   GET /api/pickups/:id/track
+ * @desc    Get the waste picker's latest position, ETA and location trail
+ * @access  Private (Requester, assigned Waste Picker or Admin)
+ * @params  id - Pickup request ID
+ */
+router.get('/:id/track', authenticateToken, pickupController.getPickupTrack);
+
+/**
+ * @route   POST /api/pickups/:id/location
+ * @desc    Record a location ping while the pickup is accepted or in progress
+ * @access  Private (assigned Waste Picker only)
+ * @params  id - Pickup request ID
+ * @body    { latitude, longitude, accuracy?, heading?, speed?, recordedAt? }
+ */
+router.post('/:id/location', authenticateToken, requireRole(['waste_picker']), pickupController.recordPickupLocation);
+
 /**
  * @route   PUT /api/pickups/:id/accept
  * @desc    Accept pickup request (Waste Picker only)
@@ -58,12 +181,21 @@ router.get('/:id', authenticateToken, pickupController.getPickupRequest);
  */
 router.put('/:id/accept', authenticateToken, requireRole(['waste_picker']), requireVerification, pickupController.acceptPickupRequest);
 
+/**
+ * @route   PUT /api/pickups/:id/decline
+ * @desc    Decline a dispatch offer; the pickup is offered to the next candidate
+ * @access  Private (Waste Picker only)
+ * @params  id - Pickup request ID
+ */
+router.put('/:id/decline', authenticateToken, requireRole(['waste_picker']), pickupController.declinePickupOffer);
+
 /**
  * @route   PUT /api/pickups/:id/status
  * @desc    Update pickup status
  * @access  Private
  * @params  id - Pickup request ID
- * @body    { status, actualWeight?, rating?, feedback?, cancellationReason? }
+ * @headers Idempotency-Key? - Makes completion retries safe
+ * @body    { status, actualWeight?, items?: [{ id?, wasteType?, actualWeight }], rating?, feedback?, cancellationReason?, reason?, latitude?, longitude?, idempotencyKey? }
  */
 router.put('/:id/status', authenticateToken, validatePickupUpdate, pickupController.updatePickupStatus);
 
@@ -72,7 +204,7 @@ router.put('/:id/status', authenticateToken, validatePickupUpdate, pickupControl
  * @desc    Cancel pickup request
  * @access  Private
  * @params  id - Pickup request ID
- * @body    { reason? }
+ * @body    { reason?, latitude?, longitude? }
  */
 router.put('/:id/cancel', authenticateToken, pickupController.cancelPickupRequest);
 
@@ -0,0 +1,43 @@
+import express from 'express';
+import reviewController from '../controllers/reviewController.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Reviews are written from the pickup: POST /api/pickups/:id/reviews
+
+/**
+ * @route   PUT /api/reviews/:id
+ * @desc    Edit your review within 48 hours of writing it
+ * @access  Private (Reviewer only)
+ * @params  id - Review ID
+ * @body    { rating?, comment?, tags? }
+ */
+router.put('/:id', authenticateToken, reviewController.updateReview);
+
+/**
+ * @route   GET /api/admin/reviews
+ * @desc    Get reviews for moderation
+ * @access  Private (Admin only)
+ * @query   { hidden?, revieweeId?, reviewerId?, maxRating?, page?, limit? }
+ */
+router.get('/', authenticateToken, requireRole(['admin']), reviewController.getReviews);
+
+/**
+ * @route   PATCH /api/admin/reviews/:id/hide
+ * @desc    Hide an abusive review; it stops counting towards the rating
+ * @access  Private (Admin only)
+ * @params  id - Review ID
+ * @body    { reason }
+ */
+router.patch('/:id/hide', authenticateToken, requireRole(['admin']), reviewController.hideReview);
+
+/**
+ * @route   PATCH /api/admin/reviews/:id/unhide
+ * @desc    Restore a hidden review
+ * @access  Private (Admin only)
+ * @params  id - Review ID
+ */
+router.patch('/:id/unhide', authenticateToken, requireRole(['admin']), reviewController.unhideReview);
+
+export default router;
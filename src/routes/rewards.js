@@ -24,6 +24,14 @@ router.get('/', authenticateToken, validatePagination, rewardsController.getRewa
  */
 router.get('/stats', authenticateToken, requireRole(['admin']), rewardsController.getRewardStats);
 
+/**
+ * @route   GET /api/rewards/fulfillments
+ * @desc    Get reward delivery jobs
+ * @access  Private (Admin only)
+ * @query   { status?: queued|processing|delivered|failed, page?, limit? }
+ */
+router.get('/fulfillments', authenticateToken, requireRole(['admin']), validatePagination, rewardsController.getFulfillments);
+
 /**
  * @route   GET /api/rewards/:id
  * @desc    Get single reward
@@ -36,7 +44,8 @@ router.get('/:id', authenticateToken, rewardsController.getReward);
  * @route   POST /api/rewards/redeem
  * @desc    Redeem a reward
  * @access  Private
- * @body    { rewardId, deliveryInfo? }
+ * @headers Idempotency-Key? - Makes redemption retries safe
+ * @body    { rewardId, deliveryInfo?, idempotencyKey? }
  */
 router.post('/redeem', authenticateToken, validateRewardRedemption, rewardsController.redeemReward);
 
@@ -58,10 +67,10 @@ router.get('/redemptions/:id', authenticateToken, rewardsController.getRedemptio
 
 /**
  * @route   PUT /api/rewards/redemptions/:id/status
- * @desc    Update redemption status (Admin only)
+ * @desc    Settle a pending redemption by hand (Admin only)
  * @access  Private (Admin only)
  * @params  id - Redemption ID
- * @body    { status }
+ * @body    { status } - completed or cancelled (cancelling refunds the points)
  */
 router.put('/redemptions/:id/status', authenticateToken, requireRole(['admin']), rewardsController.updateRedemptionStatus);
 
@@ -82,6 +91,23 @@ router.post('/', authenticateToken, requireRole(['admin']), rewardsController.cr
  */
 router.put('/:id', authenticateToken, requireRole(['admin']), rewardsController.updateReward);
 
+/**
+ * @route   POST /api/rewards/:id/codes
+ * @desc    Upload voucher codes from a CSV file; the reward's stock becomes its unassigned codes (Admin only)
+ * @access  Private (Admin only)
+ * @params  id - Reward ID
+ * @body    multipart/form-data { file: CSV with a code column and optional expires_at column }
+ */
+router.post('/:id/codes', authenticateToken, requireRole(['admin']), rewardsController.uploadVoucherCodes);
+
+/**
+ * @route   GET /api/rewards/:id/codes
+ * @desc    Get counts of a reward's voucher codes (Admin only)
+ * @access  Private (Admin only)
+ * @params  id - Reward ID
+ */
+router.get('/:id/codes', authenticateToken, requireRole(['admin']), rewardsController.getVoucherCodeSummary);
+
 /**
  * @route   DELETE /api/rewards/:id
  * @desc    Delete reward (Admin only)
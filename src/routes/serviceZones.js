@@ -0,0 +1,81 @@
+import express from 'express';
+import serviceZoneController from '../controllers/serviceZoneController.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/service-zones
+ * @desc    Get active service zones
+ * @access  Private
+ * @query   { includeInactive? } - Admins only
+ */
+router.get('/', authenticateToken, serviceZoneController.getZones);
+
+/**
+ * @route   GET /api/service-zones/lookup
+ * @desc    Find the service zone covering a location
+ * @access  Private
+ * @query   { latitude, longitude }
+ */
+router.get('/lookup', authenticateToken, serviceZoneController.lookupZone);
+
+/**
+ * @route   GET /api/service-zones/waitlist
+ * @desc    Get households waiting for pickups outside every zone
+ * @access  Private (Admin only)
+ * @query   { notified?, page?, limit? }
+ */
+router.get('/waitlist', authenticateToken, requireRole(['admin']), serviceZoneController.getWaitlist);
+
+/**
+ * @route   GET /api/service-zones/:id
+ * @desc    Get a service zone with its assigned waste pickers
+ * @access  Private
+ * @params  id - Service zone ID
+ */
+router.get('/:id', authenticateToken, serviceZoneController.getZone);
+
+/**
+ * @route   POST /api/service-zones
+ * @desc    Create a service zone
+ * @access  Private (Admin only)
+ * @body    { name, description?, boundary: GeoJSON Polygon|MultiPolygon, pricingMultiplier?, wasteTypes?, isActive? }
+ */
+router.post('/', authenticateToken, requireRole(['admin']), serviceZoneController.createZone);
+
+/**
+ * @route   PATCH /api/service-zones/:id
+ * @desc    Update a service zone
+ * @access  Private (Admin only)
+ * @params  id - Service zone ID
+ * @body    { name?, description?, boundary?, pricingMultiplier?, wasteTypes?, isActive? }
+ */
+router.patch('/:id', authenticateToken, requireRole(['admin']), serviceZoneController.updateZone);
+
+/**
+ * @route   DELETE /api/service-zones/:id
+ * @desc    Deactivate a service zone
+ * @access  Private (Admin only)
+ * @params  id - Service zone ID
+ */
+router.delete('/:id', authenticateToken, requireRole(['admin']), serviceZoneController.deleteZone);
+
+/**
+ * @route   POST /api/service-zones/:id/pickers
+ * @desc    Assign waste pickers to a zone; zones with assigned pickers are only served by them
+ * @access  Private (Admin only)
+ * @params  id - Service zone ID
+ * @body    { wastePickerIds: [uuid] }
+ */
+router.post('/:id/pickers', authenticateToken, requireRole(['admin']), serviceZoneController.assignPickers);
+
+/**
+ * @route   DELETE /api/service-zones/:id/pickers/:wastePickerId
+ * @desc    Remove a waste picker from a zone
+ * @access  Private (Admin only)
+ * @params  id - Service zone ID, wastePickerId - Waste picker user ID
+ */
+router.delete('/:id/pickers/:wastePickerId', authenticateToken, requireRole(['admin']), serviceZoneController.removePicker);
+
+export default router;
@@ -0,0 +1,40 @@
+import express from 'express';
+import timeSlotController from '../controllers/timeSlotController.js';
+import { authenticateToken, requireRole } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/time-slots
+ * @desc    Get pickup time slot definitions
+ * @access  Private (Admin only)
+ * @query   { serviceZoneId? ('default' for slots without a zone), includeInactive? }
+ */
+router.get('/', authenticateToken, requireRole(['admin']), timeSlotController.getSlots);
+
+/**
+ * @route   POST /api/time-slots
+ * @desc    Create a bookable pickup time slot for a service zone, or a default slot without one
+ * @access  Private (Admin only)
+ * @body    { serviceZoneId?, dayOfWeek (0-6), startTime: HH:MM, endTime: HH:MM, capacity, isActive? }
+ */
+router.post('/', authenticateToken, requireRole(['admin']), timeSlotController.createSlot);
+
+/**
+ * @route   PATCH /api/time-slots/:id
+ * @desc    Update a time slot
+ * @access  Private (Admin only)
+ * @params  id - Time slot ID
+ * @body    { dayOfWeek?, startTime?, endTime?, capacity?, isActive? }
+ */
+router.patch('/:id', authenticateToken, requireRole(['admin']), timeSlotController.updateSlot);
+
+/**
+ * @route   DELETE /api/time-slots/:id
+ * @desc    Deactivate a time slot; pickups already booked keep their slot
+ * @access  Private (Admin only)
+ * @params  id - Time slot ID
+ */
+router.delete('/:id', authenticateToken, requireRole(['admin']), timeSlotController.deleteSlot);
+
+export default router;
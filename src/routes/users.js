@@ -1,5 +1,6 @@
 import express from 'express';
 import userController from '../controllers/userController.js';
+import reviewController from '../controllers/reviewController.js';
 import { authenticateToken, requireRole } from '../middleware/auth.js';
 import {
   validateProfileUpdate,
@@ -35,7 +36,7 @@ router.put('/recycling-company-profile', authenticateToken, userController.updat
 
 /**
  * @route   GET /api/users/profile/:id?
- * @desc    Get full user profile with role-specific data
+ * @desc    Get full user profile with role-specific data, rating breakdown, recent reviews and badges
  * @access  Private
  * @params  id? - User ID (optional, defaults to current user)
  */
@@ -98,6 +99,24 @@ router.delete('/:id', authenticateToken, requireRole(['admin']), userController.
  */
 router.delete('/account', authenticateToken, userController.deleteAccount);
 
+/**
+ * @route   GET /api/users/:id/points/ledger
+ * @desc    Get the points ledger and ledger balance for a user
+ * @access  Private (Owner or Admin)
+ * @params  id - User ID
+ * @query   { page?, limit?, entryType? }
+ */
+router.get('/:id/points/ledger', authenticateToken, validatePagination, userController.getPointsLedger);
+
+/**
+ * @route   GET /api/users/:id/reviews
+ * @desc    Get the visible reviews a user has received, with their rating breakdown
+ * @access  Private
+ * @params  id - User ID
+ * @query   { page?, limit? }
+ */
+router.get('/:id/reviews', authenticateToken, validatePagination, reviewController.getUserReviews);
+
 /**
  * @route   GET /api/users/search/waste-pickers
  * @desc    Search waste pickers by location and specialization
@@ -0,0 +1,283 @@
+import db from '../database/connection.js';
+import { badges, userBadges, users, pickupRequests, pickupItems, wasteTypeEnum } from '../database/schema.js';
+import { eq, and, or, desc, asc, sql, notExists } from 'drizzle-orm';
+import pointsService from './pointsService.js';
+import notificationService from './notificationService.js';
+import { LOCAL_TIMEZONE } from '../utils/timeUtils.js';
+import logger from '../utils/logger.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// What a badge can be earned for, counting the user's completed pickups
+// (as the household or as the waste picker):
+//   pickup_count  - { count }: at least `count` pickups
+//   weight        - { kg, wasteType? }: at least `kg` collected, of one waste type or of all
+//   weekly_streak - { weeks }: a pickup in each of the last `weeks` weeks, up to this one
+export const BADGE_RULE_TYPES = ['pickup_count', 'weight', 'weekly_streak'];
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// Badges are evaluated when a pickup is completed, for both of its parties.
+// Each badge is awarded once, with its bonus points credited through the
+// points ledger in the same batch.
+class AchievementService {
+  // Check a badge rule, returning it with only the fields its type uses
+  validateRule(rule) {
+    const type = rule?.type;
+
+    if (type === 'pickup_count') {
+      const count = Number(rule.count);
+      if (!isPositiveInteger(count)) {
+        return { valid: false, message: 'rule.count must be a positive whole number' };
+      }
+      return { valid: true, rule: { type, count } };
+    }
+
+    if (type === 'weight') {
+      const kg = Number(rule.kg);
+      if (!(kg > 0)) {
+        return { valid: false, message: 'rule.kg must be a positive number' };
+      }
+      if (rule.wasteType !== undefined && rule.wasteType !== null && !wasteTypeEnum.enumValues.includes(rule.wasteType)) {
+        return { valid: false, message: `rule.wasteType must be one of: ${wasteTypeEnum.enumValues.join(', ')}` };
+      }
+      return { valid: true, rule: { type, kg, ...(rule.wasteType ? { wasteType: rule.wasteType } : {}) } };
+    }
+
+    if (type === 'weekly_streak') {
+      const weeks = Number(rule.weeks);
+      if (!isPositiveInteger(weeks)) {
+        return { valid: false, message: 'rule.weeks must be a positive whole number' };
+      }
+      return { valid: true, rule: { type, weeks } };
+    }
+
+    return { valid: false, message: `rule.type must be one of: ${BADGE_RULE_TYPES.join(', ')}` };
+  }
+
+  async getBadge(id) {
+    const badge = await db
+      .select()
+      .from(badges)
+      .where(eq(badges.id, id))
+      .limit(1);
+
+    return badge[0] || null;
+  }
+
+  async getBadges({ includeInactive = false } = {}) {
+    return db
+      .select()
+      .from(badges)
+      .where(includeInactive ? undefined : eq(badges.isActive, true))
+      .orderBy(asc(badges.createdAt), asc(badges.name));
+  }
+
+  // Badges a user has earned, most recent first
+  async getUserBadges(userId) {
+    return db
+      .select({
+        id: badges.id,
+        code: badges.code,
+        name: badges.name,
+        description: badges.description,
+        icon: badges.icon,
+        bonusPoints: userBadges.bonusPoints,
+        pickupRequestId: userBadges.pickupRequestId,
+        awardedAt: userBadges.awardedAt
+      })
+      .from(userBadges)
+      .innerJoin(badges, eq(userBadges.badgeId, badges.id))
+      .where(eq(userBadges.userId, userId))
+      .orderBy(desc(userBadges.awardedAt));
+  }
+
+  // Active badges the user has not earned yet
+  async getUnearnedBadges(userId) {
+    return db
+      .select()
+      .from(badges)
+      .where(and(
+        eq(badges.isActive, true),
+        notExists(db
+          .select({ id: userBadges.id })
+          .from(userBadges)
+          .where(and(eq(userBadges.badgeId, badges.id), eq(userBadges.userId, userId))))
+      ));
+  }
+
+  // The user's totals that the given rules need
+  async getStats(userId, rules) {
+    const isParty = and(
+      eq(pickupRequests.status, 'completed'),
+      or(eq(pickupRequests.requesterId, userId), eq(pickupRequests.wastePickerId, userId))
+    );
+    const stats = { pickupCount: 0, weightByType: {}, totalWeight: 0, weeklyStreak: 0 };
+
+    if (rules.some(rule => rule.type === 'pickup_count')) {
+      const [{ count }] = await db
+        .select({ count: sql`count(*)` })
+        .from(pickupRequests)
+        .where(isParty);
+      stats.pickupCount = parseInt(count) || 0;
+    }
+
+    if (rules.some(rule => rule.type === 'weight')) {
+      const weights = await db
+        .select({
+          wasteType: pickupItems.wasteType,
+          weight: sql`coalesce(sum(${pickupItems.actualWeight}), 0)`
+        })
+        .from(pickupItems)
+        .innerJoin(pickupRequests, eq(pickupItems.pickupRequestId, pickupRequests.id))
+        .where(isParty)
+        .groupBy(pickupItems.wasteType);
+
+      for (const { wasteType, weight } of weights) {
+        stats.weightByType[wasteType] = parseFloat(weight);
+        stats.totalWeight += parseFloat(weight);
+      }
+    }
+
+    const streakRules = rules.filter(rule => rule.type === 'weekly_streak');
+    if (streakRules.length) {
+      // Local weeks (Monday to Sunday) with a completed pickup, latest first
+      const week = sql`to_char(date_trunc('week', (${pickupRequests.completedAt} at time zone 'UTC') at time zone ${LOCAL_TIMEZONE}), 'YYYY-MM-DD')`.as('week');
+      const weeks = await db
+        .selectDistinct({ week })
+        .from(pickupRequests)
+        .where(and(isParty, sql`${pickupRequests.completedAt} is not null`))
+        .orderBy(desc(week))
+        .limit(Math.max(...streakRules.map(rule => rule.weeks)));
+
+      stats.weeklyStreak = weeks.length ? 1 : 0;
+      for (let i = 1; i < weeks.length; i++) {
+        if (new Date(weeks[i - 1].week) - new Date(weeks[i].week) !== WEEK_MS) break;
+        stats.weeklyStreak++;
+      }
+    }
+
+    return stats;
+  }
+
+  isEarned(rule, stats) {
+    switch (rule.type) {
+      case 'pickup_count':
+        return stats.pickupCount >= rule.count;
+      case 'weight':
+        return (rule.wasteType ? stats.weightByType[rule.wasteType] || 0 : stats.totalWeight) >= rule.kg;
+      case 'weekly_streak':
+        return stats.weeklyStreak >= rule.weeks;
+      default:
+        return false;
+    }
+  }
+
+  // Award a badge and credit its bonus points, at most once per user.
+  // Returns the award, or null when the user already had the badge.
+  async award(user, badge, pickupRequestId = null) {
+    const awardId = uuidv4();
+    const award = db
+      .insert(userBadges)
+      .values({
+        id: awardId,
+        userId: user.id,
+        badgeId: badge.id,
+        pickupRequestId,
+        bonusPoints: badge.bonusPoints
+      })
+      .onConflictDoNothing()
+      .returning();
+
+    let awarded;
+    if (badge.bonusPoints > 0) {
+      // The points are only credited if this award was the one inserted
+      const appliedCondition = sql`exists (select 1 from ${userBadges} where ${userBadges.id} = ${awardId})`;
+
+      [awarded] = await db.batch([
+        award,
+        ...pointsService.buildStatements(
+          pointsService.earnEntry(user.id, badge.bonusPoints, {
+            pickupRequestId,
+            idempotencyKey: `badge:${user.id}:${badge.id}`,
+            description: `Bonus points for the ${badge.name} badge`,
+            metadata: { badgeId: badge.id, badgeCode: badge.code }
+          }),
+          appliedCondition
+        )
+      ]);
+    } else {
+      awarded = await award;
+    }
+
+    if (!awarded.length) {
+      return null;
+    }
+
+    if (badge.bonusPoints > 0) {
+      await notificationService.sendRewardEarnedNotification(user, badge.bonusPoints, `earning the ${badge.name} badge`);
+    } else {
+      await notificationService.createNotification(
+        user.id,
+        'reward_earned',
+        'Badge Earned!',
+        `You earned the ${badge.name} badge.`,
+        { badgeId: badge.id }
+      );
+    }
+
+    return awarded[0];
+  }
+
+  // Award the user every active badge they have now earned
+  async evaluateUser(userId, pickupRequestId = null) {
+    const unearned = await this.getUnearnedBadges(userId);
+    if (!unearned.length) {
+      return [];
+    }
+
+    const rules = unearned.map(badge => badge.rule);
+    const stats = await this.getStats(userId, rules);
+    const earned = unearned.filter(badge => this.isEarned(badge.rule, stats));
+    if (!earned.length) {
+      return [];
+    }
+
+    const [user] = await db
+      .select({ id: users.id })
+      .from(users)
+      .where(eq(users.id, userId))
+      .limit(1);
+
+    const awards = [];
+    for (const badge of earned) {
+      const award = await this.award(user, badge, pickupRequestId);
+      if (award) awards.push(award);
+    }
+
+    return awards;
+  }
+
+  // Evaluate badges for both parties of a completed pickup. Failures are logged
+  // rather than thrown, so they never undo a completion; the badges are picked
+  // up again on the user's next completed pickup.
+  async evaluatePickup(pickup) {
+    const userIds = [pickup.requesterId, pickup.wastePickerId].filter(Boolean);
+    const awards = [];
+
+    for (const userId of userIds) {
+      try {
+        awards.push(...await this.evaluateUser(userId, pickup.id));
+      } catch (error) {
+        logger.error(`Badge evaluation failed for user ${userId} on pickup ${pickup.id}:`, error);
+      }
+    }
+
+    return awards;
+  }
+}
+
+export default new AchievementService();
@@ -0,0 +1,232 @@
+import db from '../database/connection.js';
+import { pickupRequests, pickupStatusHistory, pickerTimeOff, wastePickerProfiles } from '../database/schema.js';
+import { eq, ne, and, gt, gte, lte, asc, sql } from 'drizzle-orm';
+import { isWithinWorkingHours, normalizeWorkingHours, startOfLocalDay } from '../utils/timeUtils.js';
+
+// Longest single period of time off
+export const MAX_TIME_OFF_DAYS = 90;
+
+// Largest daily pickup limit a picker can set
+export const MAX_DAILY_PICKUPS_LIMIT = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A waste picker can take new pickups while they are online, not on time off,
+// inside their working hours and under their daily pickup limit. Pickers without
+// a profile or schedule are treated as always available.
+class AvailabilityService {
+  // Pickups a waste picker accepted since local midnight that are still theirs
+  pickupsTodayConditions(wastePickerId, at = new Date()) {
+    return and(
+      eq(pickupStatusHistory.toStatus, 'accepted'),
+      eq(pickupStatusHistory.actorId, wastePickerId),
+      gte(pickupStatusHistory.createdAt, startOfLocalDay(at)),
+      eq(pickupRequests.wastePickerId, wastePickerId),
+      ne(pickupRequests.status, 'cancelled')
+    );
+  }
+
+  pickupsTodaySql(wastePickerId, at = new Date()) {
+    return sql`(select count(distinct ${pickupStatusHistory.pickupRequestId})::int from ${pickupStatusHistory}
+      join ${pickupRequests} on ${pickupRequests.id} = ${pickupStatusHistory.pickupRequestId}
+      where ${this.pickupsTodayConditions(wastePickerId, at)})`;
+  }
+
+  onTimeOffSql(wastePickerId, at = new Date()) {
+    return sql`exists (select 1 from ${pickerTimeOff} where ${and(
+      eq(pickerTimeOff.wastePickerId, wastePickerId),
+      lte(pickerTimeOff.startsAt, at),
+      gt(pickerTimeOff.endsAt, at)
+    )})`;
+  }
+
+  // Online, not on time off and under the daily limit, for queries joining waste_picker_profiles
+  // on wastePickerId. Working hours are checked in code with isWithinWorkingHours.
+  availableSql(wastePickerId, at = new Date()) {
+    return sql`(coalesce(${wastePickerProfiles.isOnline}, true)
+      and not ${this.onTimeOffSql(wastePickerId, at)}
+      and (${wastePickerProfiles.maxDailyPickups} is null or ${this.pickupsTodaySql(wastePickerId, at)} < ${wastePickerProfiles.maxDailyPickups}))`;
+  }
+
+  // Condition for guarded statements: holds while the picker can take another pickup
+  canTakePickupCondition(wastePickerId, at = new Date()) {
+    return sql`not exists (select 1 from ${wastePickerProfiles} where ${wastePickerProfiles.userId} = ${wastePickerId} and not ${this.availableSql(wastePickerId, at)})
+      and not ${this.onTimeOffSql(wastePickerId, at)}`;
+  }
+
+  async getProfile(wastePickerId) {
+    const profile = await db
+      .select()
+      .from(wastePickerProfiles)
+      .where(eq(wastePickerProfiles.userId, wastePickerId))
+      .limit(1);
+
+    return profile[0] || null;
+  }
+
+  async getPickupsToday(wastePickerId, at = new Date()) {
+    const [row] = await db
+      .select({ count: sql`count(distinct ${pickupStatusHistory.pickupRequestId})::int` })
+      .from(pickupStatusHistory)
+      .innerJoin(pickupRequests, eq(pickupRequests.id, pickupStatusHistory.pickupRequestId))
+      .where(this.pickupsTodayConditions(wastePickerId, at));
+
+    return row.count;
+  }
+
+  async getTimeOff(wastePickerId, { from = new Date() } = {}) {
+    return db
+      .select()
+      .from(pickerTimeOff)
+      .where(and(eq(pickerTimeOff.wastePickerId, wastePickerId), gt(pickerTimeOff.endsAt, from)))
+      .orderBy(asc(pickerTimeOff.startsAt));
+  }
+
+  // Whether a waste picker can take a new pickup now, and why not
+  async checkAvailability(wastePickerId, at = new Date()) {
+    const [profile, pickupsToday, timeOff] = await Promise.all([
+      this.getProfile(wastePickerId),
+      this.getPickupsToday(wastePickerId, at),
+      this.getTimeOff(wastePickerId, { from: at })
+    ]);
+
+    const currentTimeOff = timeOff.find(period => period.startsAt <= at);
+    let reason = null;
+    if (profile && !profile.isOnline) {
+      reason = 'You are offline; go online to receive pickups';
+    } else if (currentTimeOff) {
+      reason = `You are on time off until ${currentTimeOff.endsAt.toISOString()}`;
+    } else if (!isWithinWorkingHours(profile?.workingHours, at)) {
+      reason = 'You are outside your working hours';
+    } else if (profile?.maxDailyPickups != null && pickupsToday >= profile.maxDailyPickups) {
+      reason = `You have reached your daily limit of ${profile.maxDailyPickups} pickup${profile.maxDailyPickups === 1 ? '' : 's'}`;
+    }
+
+    return {
+      available: reason === null,
+      reason,
+      isOnline: profile ? profile.isOnline : true,
+      workingHours: profile?.workingHours || {},
+      maxDailyPickups: profile?.maxDailyPickups ?? null,
+      pickupsToday,
+      timeOff
+    };
+  }
+
+  // Update the picker's profile, creating it if they have none yet
+  async upsertProfile(wastePickerId, values) {
+    const existing = await this.getProfile(wastePickerId);
+
+    if (existing) {
+      const [updated] = await db
+        .update(wastePickerProfiles)
+        .set({ ...values, updatedAt: new Date() })
+        .where(eq(wastePickerProfiles.userId, wastePickerId))
+        .returning();
+
+      return updated;
+    }
+
+    const [created] = await db
+      .insert(wastePickerProfiles)
+      .values({ userId: wastePickerId, ...values })
+      .returning();
+
+    return created;
+  }
+
+  // Check weekly hours and the daily limit from a request body; returns only the fields sent
+  validateSchedule({ workingHours, maxDailyPickups } = {}) {
+    const values = {};
+
+    if (workingHours !== undefined) {
+      const normalized = normalizeWorkingHours(workingHours);
+      if (!normalized.valid) {
+        return { valid: false, message: normalized.message };
+      }
+      values.workingHours = normalized.workingHours;
+    }
+
+    if (maxDailyPickups !== undefined) {
+      const limit = maxDailyPickups === null || maxDailyPickups === '' ? null : Number(maxDailyPickups);
+      if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > MAX_DAILY_PICKUPS_LIMIT)) {
+        return { valid: false, message: `maxDailyPickups must be a whole number from 1 to ${MAX_DAILY_PICKUPS_LIMIT}, or null for no limit` };
+      }
+      values.maxDailyPickups = limit;
+    }
+
+    return { valid: true, values };
+  }
+
+  async updateSchedule(wastePicker, body = {}) {
+    const validation = this.validateSchedule(body);
+    if (!validation.valid) {
+      return { success: false, statusCode: 400, message: validation.message };
+    }
+
+    if (!Object.keys(validation.values).length) {
+      return { success: false, statusCode: 400, message: 'Send workingHours or maxDailyPickups to update' };
+    }
+
+    await this.upsertProfile(wastePicker.id, validation.values);
+
+    return { success: true, availability: await this.checkAvailability(wastePicker.id) };
+  }
+
+  async setOnline(wastePicker, isOnline) {
+    if (typeof isOnline !== 'boolean') {
+      return { success: false, statusCode: 400, message: 'isOnline must be true or false' };
+    }
+
+    await this.upsertProfile(wastePicker.id, { isOnline, onlineStatusChangedAt: new Date() });
+
+    return { success: true, availability: await this.checkAvailability(wastePicker.id) };
+  }
+
+  async addTimeOff(wastePicker, { startsAt, endsAt, reason } = {}) {
+    const start = new Date(startsAt);
+    const end = new Date(endsAt);
+    if (!startsAt || !endsAt || isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return { success: false, statusCode: 400, message: 'startsAt and endsAt must be valid dates' };
+    }
+
+    if (end <= start) {
+      return { success: false, statusCode: 400, message: 'endsAt must be after startsAt' };
+    }
+
+    if (end <= new Date()) {
+      return { success: false, statusCode: 400, message: 'Time off must end in the future' };
+    }
+
+    if (end - start > MAX_TIME_OFF_DAYS * DAY_MS) {
+      return { success: false, statusCode: 400, message: `Time off can be at most ${MAX_TIME_OFF_DAYS} days at a time` };
+    }
+
+    const [timeOff] = await db
+      .insert(pickerTimeOff)
+      .values({
+        wastePickerId: wastePicker.id,
+        startsAt: start,
+        endsAt: end,
+        reason: reason ? String(reason).trim() : null
+      })
+      .returning();
+
+    return { success: true, timeOff };
+  }
+
+  async removeTimeOff(wastePicker, timeOffId) {
+    const removed = await db
+      .delete(pickerTimeOff)
+      .where(and(eq(pickerTimeOff.id, timeOffId), eq(pickerTimeOff.wastePickerId, wastePicker.id)))
+      .returning();
+
+    if (!removed.length) {
+      return { success: false, statusCode: 404, message: 'Time off not found' };
+    }
+
+    return { success: true };
+  }
+}
+
+export default new AvailabilityService();
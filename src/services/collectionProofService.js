@@ -0,0 +1,466 @@
+import crypto from 'crypto';
+import db from '../database/connection.js';
+import { pickupCollectionProofs, users } from '../database/schema.js';
+import { eq, and, lt, isNotNull, sql } from 'drizzle-orm';
+import pickupCompletionService from './pickupCompletionService.js';
+import pickupLifecycleService from './pickupLifecycleService.js';
+import pickupItemService from './pickupItemService.js';
+import notificationService from './notificationService.js';
+import smsService from './smsService.js';
+import { uploadImage } from '../utils/uploadUtils.js';
+import logger from '../utils/logger.js';
+
+// How long a household confirmation code stays valid
+export const CONFIRMATION_OTP_TTL_HOURS = 24;
+
+// Wrong codes allowed before the picker has to request a new one
+export const CONFIRMATION_OTP_MAX_ATTEMPTS = 5;
+
+// Photos accepted per kind on a proof of collection
+export const MAX_PHOTOS_PER_KIND = 5;
+
+export const PROOF_PHOTO_FIELDS = ['scalePhotos', 'beforePhotos', 'afterPhotos'];
+
+const PHOTO_FOLDER = 'recykle-naija/collections';
+
+function hashOtp(pickupRequestId, otp) {
+  return crypto.createHash('sha256').update(`${pickupRequestId}:${otp}`).digest('hex');
+}
+
+// Multipart bodies send items as a JSON string
+function parseWeighedItems(items) {
+  if (items === undefined || items === null || items === '') {
+    return { valid: true, items: [] };
+  }
+
+  if (Array.isArray(items)) {
+    return { valid: true, items };
+  }
+
+  try {
+    const parsed = JSON.parse(items);
+    if (Array.isArray(parsed)) {
+      return { valid: true, items: parsed };
+    }
+  } catch {
+    // Fall through to the error below
+  }
+
+  return { valid: false, message: 'items must be an array of { id, actualWeight }' };
+}
+
+class CollectionProofService {
+  async getProof(pickupRequestId) {
+    const proof = await db
+      .select()
+      .from(pickupCollectionProofs)
+      .where(eq(pickupCollectionProofs.pickupRequestId, pickupRequestId))
+      .limit(1);
+
+    return proof[0] || null;
+  }
+
+  // A proof as shown to users, without the confirmation code
+  toPublic(proof) {
+    const { otpHash, otpAttempts, ...publicProof } = proof;
+    return publicProof;
+  }
+
+  // Only proofs still waiting on the household can be confirmed or disputed
+  awaitingConfirmationCondition(pickupRequestId) {
+    return sql`exists (select 1 from ${pickupCollectionProofs} where ${pickupCollectionProofs.pickupRequestId} = ${pickupRequestId} and ${pickupCollectionProofs.status} = 'awaiting_confirmation')`;
+  }
+
+  async getRequester(pickup) {
+    const requester = await db
+      .select()
+      .from(users)
+      .where(eq(users.id, pickup.requesterId))
+      .limit(1);
+
+    return requester[0] || null;
+  }
+
+  // Generate a new confirmation code for the household. The code is sent to the
+  // household (in-app and by SMS), who reads it out to the picker on site.
+  async issueOtp(pickup, proof) {
+    const otp = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const otpExpiresAt = new Date(Date.now() + CONFIRMATION_OTP_TTL_HOURS * 60 * 60 * 1000);
+
+    const updated = await db
+      .update(pickupCollectionProofs)
+      .set({
+        otpHash: hashOtp(pickup.id, otp),
+        otpExpiresAt,
+        otpAttempts: 0,
+        updatedAt: new Date()
+      })
+      .where(and(
+        eq(pickupCollectionProofs.id, proof.id),
+        eq(pickupCollectionProofs.status, 'awaiting_confirmation')
+      ))
+      .returning();
+
+    if (!updated.length) {
+      return null;
+    }
+
+    const requester = await this.getRequester(pickup);
+    const weight = proof.actualWeight ? `${proof.actualWeight}kg` : 'the weighed amounts';
+
+    await notificationService.createNotification(
+      pickup.requesterId,
+      'collection_confirmation',
+      'Confirm Your Pickup',
+      `Your waste picker recorded ${weight}. Approve it in the app, or give them code ${otp} to confirm. If the weight is wrong, dispute it instead.`,
+      { pickupRequestId: pickup.id, actualWeight: proof.actualWeight, weighedItems: proof.weighedItems }
+    );
+
+    if (requester?.isPhoneVerified && requester.phone) {
+      await smsService.sendSMS(
+        requester.phone,
+        `Your Recykle-Naija pickup confirmation code is ${otp}. Only share it once your waste has been collected and weighed (${weight}).`
+      );
+    }
+
+    return updated[0];
+  }
+
+  // Record the picker's photos and weighed amounts, and ask the household to confirm them.
+  // Resubmitting before the household responds replaces the weights and issues a new code.
+  async submitProof(pickup, wastePicker, { files = {}, actualWeight, items } = {}) {
+    if (pickup.wastePickerId !== wastePicker.id) {
+      return { success: false, statusCode: 403, message: 'Only the assigned waste picker can submit proof of collection' };
+    }
+
+    if (pickup.status !== 'in_progress') {
+      return { success: false, statusCode: 409, message: 'Proof of collection can only be submitted while the pickup is in progress' };
+    }
+
+    const existing = await this.getProof(pickup.id);
+    if (existing && existing.status !== 'awaiting_confirmation') {
+      return { success: false, statusCode: 409, message: `Proof of collection has already been ${existing.status.replace('_', ' ')}` };
+    }
+
+    for (const field of PROOF_PHOTO_FIELDS) {
+      if ((files[field] || []).length > MAX_PHOTOS_PER_KIND) {
+        return { success: false, statusCode: 400, message: `At most ${MAX_PHOTOS_PER_KIND} ${field} can be uploaded` };
+      }
+    }
+
+    if (!(files.scalePhotos || []).length && !(existing?.scalePhotos || []).length) {
+      return { success: false, statusCode: 400, message: 'At least one scale photo is required' };
+    }
+
+    const weighed = parseWeighedItems(items);
+    if (!weighed.valid) {
+      return { success: false, statusCode: 400, message: weighed.message };
+    }
+
+    // Pickups created before line items existed are weighed as a single item
+    const storedItems = await pickupItemService.getItems(pickup.id);
+    const pickupItemsList = storedItems.length ? storedItems : [{ ...pickup, id: null }];
+    const weighing = pickupItemService.allocateWeights(pickupItemsList, {
+      actualWeight,
+      weighedItems: weighed.items
+    });
+    if (!weighing.valid) {
+      return { success: false, statusCode: weighing.statusCode, message: weighing.message };
+    }
+
+    if (!weighing.weights.size) {
+      return { success: false, statusCode: 400, message: 'Record the weighed amount as actualWeight or per item in items' };
+    }
+
+    const totalWeight = [...weighing.weights.values()].reduce((sum, weight) => sum + weight, 0);
+
+    const photos = {};
+    for (const field of PROOF_PHOTO_FIELDS) {
+      const uploaded = files[field] || [];
+      photos[field] = uploaded.length
+        ? await Promise.all(uploaded.map(async file => {
+          const result = await uploadImage(file.buffer, {
+            folder: `${PHOTO_FOLDER}/${pickup.id}`,
+            transformation: [{ quality: 'auto' }]
+          });
+          return result.secure_url;
+        }))
+        : (existing?.[field] || []);
+    }
+
+    const values = {
+      ...photos,
+      actualWeight: totalWeight.toFixed(2),
+      weighedItems: weighed.items,
+      updatedAt: new Date()
+    };
+
+    const [proof] = await db
+      .insert(pickupCollectionProofs)
+      .values({
+        pickupRequestId: pickup.id,
+        wastePickerId: wastePicker.id,
+        ...values
+      })
+      .onConflictDoUpdate({
+        target: pickupCollectionProofs.pickupRequestId,
+        set: values,
+        setWhere: eq(pickupCollectionProofs.status, 'awaiting_confirmation')
+      })
+      .returning();
+
+    if (!proof) {
+      return { success: false, statusCode: 409, message: 'Proof of collection was updated by someone else, please refresh and try again' };
+    }
+
+    const withOtp = await this.issueOtp(pickup, proof);
+
+    return { success: true, proof: this.toPublic(withOtp || proof) };
+  }
+
+  async resendOtp(pickup, wastePicker) {
+    if (pickup.wastePickerId !== wastePicker.id) {
+      return { success: false, statusCode: 403, message: 'Access denied' };
+    }
+
+    const proof = await this.getProof(pickup.id);
+    if (!proof) {
+      return { success: false, statusCode: 404, message: 'No proof of collection has been submitted' };
+    }
+
+    const updated = await this.issueOtp(pickup, proof);
+    if (!updated) {
+      return { success: false, statusCode: 409, message: `Proof of collection has already been ${proof.status.replace('_', ' ')}` };
+    }
+
+    return { success: true, proof: this.toPublic(updated) };
+  }
+
+  // Check a code the picker entered. Each check takes an attempt atomically
+  // before the code is compared, so parallel guesses cannot exceed the limit.
+  async verifyOtp(proof, otp) {
+    if (!otp) {
+      return { valid: false, statusCode: 400, message: 'otp is required' };
+    }
+
+    const [attempt] = await db
+      .update(pickupCollectionProofs)
+      .set({ otpAttempts: sql`${pickupCollectionProofs.otpAttempts} + 1` })
+      .where(and(
+        eq(pickupCollectionProofs.id, proof.id),
+        isNotNull(pickupCollectionProofs.otpHash),
+        lt(pickupCollectionProofs.otpAttempts, CONFIRMATION_OTP_MAX_ATTEMPTS)
+      ))
+      .returning();
+
+    if (!attempt) {
+      return { valid: false, statusCode: 429, message: 'Too many incorrect codes, request a new code' };
+    }
+
+    if (attempt.otpExpiresAt < new Date()) {
+      return { valid: false, statusCode: 400, message: 'Confirmation code has expired, request a new code' };
+    }
+
+    const expected = Buffer.from(attempt.otpHash, 'hex');
+    const actual = Buffer.from(hashOtp(attempt.pickupRequestId, String(otp).trim()), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      return { valid: false, statusCode: 400, message: 'Incorrect confirmation code' };
+    }
+
+    return { valid: true };
+  }
+
+  // Complete the pickup with the proof's weights, crediting points, and close the proof in the same batch
+  async completeWithProof(pickup, proof, actor, { proofStatus, proofCondition, proofUpdates, weights, reason }) {
+    const result = await pickupCompletionService.completePickup(pickup, actor, {
+      actualWeight: weights.actualWeight,
+      items: weights.items,
+      reason,
+      conditions: [proofCondition],
+      metadata: { collectionProofId: proof.id },
+      additionalStatements: appliedCondition => [
+        db
+          .update(pickupCollectionProofs)
+          .set({ ...proofUpdates, status: proofStatus, updatedAt: new Date() })
+          .where(and(eq(pickupCollectionProofs.id, proof.id), appliedCondition))
+      ]
+    });
+
+    if (result.success && !result.replayed) {
+      const requester = await this.getRequester(pickup);
+      await notificationService.sendPickupCompletedNotification(requester, result.pickup);
+    }
+
+    return result;
+  }
+
+  // The weights recorded on a proof, as completion options
+  proofWeights(proof) {
+    return proof.weighedItems?.length
+      ? { items: proof.weighedItems }
+      : { actualWeight: proof.actualWeight };
+  }
+
+  // Household confirmation: in the app by the household, or by the picker entering the household's code
+  async confirm(pickup, user, { otp } = {}) {
+    const isRequester = user.role === 'household' && pickup.requesterId === user.id;
+    const isPicker = user.role === 'waste_picker' && pickup.wastePickerId === user.id;
+    if (!isRequester && !isPicker) {
+      return { success: false, statusCode: 403, message: 'Access denied' };
+    }
+
+    const proof = await this.getProof(pickup.id);
+    if (!proof) {
+      return { success: false, statusCode: 404, message: 'No proof of collection has been submitted' };
+    }
+
+    if (proof.status !== 'awaiting_confirmation') {
+      return { success: false, statusCode: 409, message: `Proof of collection has already been ${proof.status.replace('_', ' ')}` };
+    }
+
+    if (isPicker) {
+      const verification = await this.verifyOtp(proof, otp);
+      if (!verification.valid) {
+        return { success: false, statusCode: verification.statusCode, message: verification.message };
+      }
+    }
+
+    const confirmationMethod = isRequester ? 'in_app' : 'otp';
+    const result = await this.completeWithProof(pickup, proof, user, {
+      proofStatus: 'confirmed',
+      proofCondition: this.awaitingConfirmationCondition(pickup.id),
+      proofUpdates: {
+        confirmationMethod,
+        confirmedBy: pickup.requesterId,
+        confirmedAt: new Date(),
+        otpHash: null
+      },
+      weights: this.proofWeights(proof),
+      reason: confirmationMethod === 'otp'
+        ? 'Collection confirmed with the household\'s code'
+        : 'Collection confirmed by the household'
+    });
+
+    if (!result.success) {
+      return result;
+    }
+
+    return { success: true, pickup: result.pickup, proof: this.toPublic(await this.getProof(pickup.id)) };
+  }
+
+  // Household disputes the weighed amounts; points are held until an admin resolves the
+  // case. Called by disputeService, which opens the dispute and notifies both sides.
+  async dispute(pickup, user, { reason, claimedWeight } = {}) {
+    if (user.role !== 'household' || pickup.requesterId !== user.id) {
+      return { success: false, statusCode: 403, message: 'Only the household can dispute the weighed amounts' };
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return { success: false, statusCode: 400, message: 'A reason is required' };
+    }
+
+    let claimed = null;
+    if (claimedWeight !== undefined && claimedWeight !== null && claimedWeight !== '') {
+      claimed = parseFloat(claimedWeight);
+      if (isNaN(claimed) || claimed <= 0) {
+        return { success: false, statusCode: 400, message: 'claimedWeight must be greater than 0' };
+      }
+    }
+
+    const disputed = await db
+      .update(pickupCollectionProofs)
+      .set({
+        status: 'disputed',
+        disputeReason: String(reason).trim(),
+        claimedWeight: claimed !== null ? claimed.toFixed(2) : null,
+        disputedAt: new Date(),
+        otpHash: null,
+        updatedAt: new Date()
+      })
+      .where(and(
+        eq(pickupCollectionProofs.pickupRequestId, pickup.id),
+        eq(pickupCollectionProofs.status, 'awaiting_confirmation')
+      ))
+      .returning();
+
+    if (!disputed.length) {
+      const proof = await this.getProof(pickup.id);
+      return proof
+        ? { success: false, statusCode: 409, message: `Proof of collection has already been ${proof.status.replace('_', ' ')}` }
+        : { success: false, statusCode: 404, message: 'No proof of collection has been submitted' };
+    }
+
+    logger.warn(`Weight disputed for pickup ${pickup.id}`);
+
+    return { success: true, proof: this.toPublic(disputed[0]) };
+  }
+
+  // Admin decision on a disputed proof: approve the picker's weights, complete with
+  // adjusted weights, or cancel the pickup without crediting points
+  async resolveDispute(pickup, admin, { outcome, actualWeight, items, note } = {}) {
+    if (!['approve', 'adjust', 'cancel'].includes(outcome)) {
+      return { success: false, statusCode: 400, message: 'outcome must be one of approve, adjust, cancel' };
+    }
+
+    const proof = await this.getProof(pickup.id);
+    if (!proof || proof.status !== 'disputed') {
+      return { success: false, statusCode: 409, message: 'Pickup has no open weight dispute' };
+    }
+
+    const disputedCondition = sql`exists (select 1 from ${pickupCollectionProofs} where ${pickupCollectionProofs.id} = ${proof.id} and ${pickupCollectionProofs.status} = 'disputed')`;
+    const resolution = { approve: 'approved', adjust: 'adjusted', cancel: 'cancelled' }[outcome];
+    const proofUpdates = {
+      resolution,
+      resolutionNote: note || null,
+      resolvedBy: admin.id,
+      resolvedAt: new Date()
+    };
+
+    if (outcome === 'cancel') {
+      const result = await pickupLifecycleService.transition(pickup, 'cancelled', admin, {
+        reason: note || 'Cancelled after a weight dispute',
+        conditions: [disputedCondition],
+        additionalStatements: appliedCondition => [
+          db
+            .update(pickupCollectionProofs)
+            .set({ ...proofUpdates, status: 'resolved', updatedAt: new Date() })
+            .where(and(eq(pickupCollectionProofs.id, proof.id), appliedCondition))
+        ]
+      });
+
+      if (!result.success) {
+        return result;
+      }
+
+      return { success: true, pickup: result.pickup, proof: this.toPublic(await this.getProof(pickup.id)) };
+    }
+
+    let weights = this.proofWeights(proof);
+    if (outcome === 'adjust') {
+      const weighed = parseWeighedItems(items);
+      if (!weighed.valid) {
+        return { success: false, statusCode: 400, message: weighed.message };
+      }
+      if (!weighed.items.length && !actualWeight) {
+        return { success: false, statusCode: 400, message: 'Send the adjusted actualWeight or items' };
+      }
+      weights = weighed.items.length ? { items: weighed.items } : { actualWeight };
+    }
+
+    const result = await this.completeWithProof(pickup, proof, admin, {
+      proofStatus: 'resolved',
+      proofCondition: disputedCondition,
+      proofUpdates,
+      weights,
+      reason: `Weight dispute resolved (${resolution})`
+    });
+
+    if (!result.success) {
+      return result;
+    }
+
+    return { success: true, pickup: result.pickup, proof: this.toPublic(await this.getProof(pickup.id)) };
+  }
+}
+
+export default new CollectionProofService();
@@ -0,0 +1,362 @@
+import db from '../database/connection.js';
+import { pickupRequests, pickupDispatchOffers } from '../database/schema.js';
+import { insertWhere } from '../database/queryHelpers.js';
+import { eq, and, lt, inArray, isNull, sql } from 'drizzle-orm';
+import notificationService from './notificationService.js';
+import pickupItemService from './pickupItemService.js';
+import serviceZoneService from './serviceZoneService.js';
+import { findNearbyWastePickers } from '../utils/geoUtils.js';
+import logger from '../utils/logger.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Search radius starts small and widens step by step until someone accepts
+export const DISPATCH_INITIAL_RADIUS_KM = 5;
+export const DISPATCH_RADIUS_STEP_KM = 5;
+export const DISPATCH_MAX_RADIUS_KM = 25;
+
+// How long a waste picker has to accept an offer before it moves on
+export const DISPATCH_OFFER_TIMEOUT_MINUTES = 5;
+
+// Pickers with this many active pickups and open offers are not offered more
+export const DISPATCH_MAX_ACTIVE_PICKUPS = 5;
+
+const SCORE_WEIGHTS = {
+  distance: 0.3,
+  serviceRadius: 0.1,
+  specialization: 0.2,
+  rating: 0.2,
+  load: 0.2
+};
+
+// Rating used for pickers who have not been rated yet
+const UNRATED_SCORE = 0.6;
+
+class DispatchService {
+  // Score a candidate between 0 and 1 from its distance, service radius,
+  // specializations, rating and current load
+  scoreCandidate(candidate, { radiusKm, wasteTypes }) {
+    const specializations = candidate.specializations || [];
+    const coverage = specializations.length === 0
+      ? 0.5 // generalists rank below pickers who specialise in the pickup's materials
+      : wasteTypes.filter(type => specializations.includes(type)).length / wasteTypes.length;
+
+    const rating = parseFloat(candidate.rating) || 0;
+
+    const components = {
+      distance: Math.max(0, 1 - candidate.distance / radiusKm),
+      serviceRadius: Math.max(0, 1 - candidate.distance / (candidate.serviceRadius || 10)),
+      specialization: coverage,
+      rating: rating > 0 ? rating / 5 : UNRATED_SCORE,
+      load: Math.max(0, 1 - candidate.load / DISPATCH_MAX_ACTIVE_PICKUPS)
+    };
+
+    return Object.entries(SCORE_WEIGHTS)
+      .reduce((score, [component, weight]) => score + components[component] * weight, 0);
+  }
+
+  // Active pickups plus open offers per waste picker
+  async getLoads(wastePickerIds) {
+    if (wastePickerIds.length === 0) {
+      return new Map();
+    }
+
+    const [activePickups, openOffers] = await Promise.all([
+      db
+        .select({ wastePickerId: pickupRequests.wastePickerId, count: sql`count(*)::int` })
+        .from(pickupRequests)
+        .where(and(
+          inArray(pickupRequests.wastePickerId, wastePickerIds),
+          inArray(pickupRequests.status, ['accepted', 'in_progress'])
+        ))
+        .groupBy(pickupRequests.wastePickerId),
+      db
+        .select({ wastePickerId: pickupDispatchOffers.wastePickerId, count: sql`count(*)::int` })
+        .from(pickupDispatchOffers)
+        .where(and(
+          inArray(pickupDispatchOffers.wastePickerId, wastePickerIds),
+          eq(pickupDispatchOffers.status, 'pending')
+        ))
+        .groupBy(pickupDispatchOffers.wastePickerId)
+    ]);
+
+    const loads = new Map();
+    for (const row of [...activePickups, ...openOffers]) {
+      loads.set(row.wastePickerId, (loads.get(row.wastePickerId) || 0) + row.count);
+    }
+    return loads;
+  }
+
+  // Waste pickers who can take the pickup within the radius, best first.
+  // Pickers already offered this pickup, unavailable, at capacity, not assigned to
+  // the pickup's zone or without a matching specialization are left out.
+  async rankCandidates(pickup, items, radiusKm) {
+    const nearbyPickers = await findNearbyWastePickers(
+      parseFloat(pickup.pickupLatitude),
+      parseFloat(pickup.pickupLongitude),
+      radiusKm
+    );
+
+    const previousOffers = await db
+      .select({ wastePickerId: pickupDispatchOffers.wastePickerId })
+      .from(pickupDispatchOffers)
+      .where(eq(pickupDispatchOffers.pickupRequestId, pickup.id));
+    const alreadyOffered = new Set(previousOffers.map(offer => offer.wastePickerId));
+
+    // Zones with assigned pickers are only offered to them
+    const zonePickerIds = pickup.serviceZoneId
+      ? new Set(await serviceZoneService.getAssignedPickerIds(pickup.serviceZoneId))
+      : new Set();
+
+    const wasteTypes = [...new Set(items.map(item => item.wasteType))];
+    const loads = await this.getLoads(nearbyPickers.map(picker => picker.id));
+
+    return nearbyPickers
+      .map(picker => ({ ...picker, load: loads.get(picker.id) || 0 }))
+      .filter(picker => {
+        const specializations = picker.specializations || [];
+        return !alreadyOffered.has(picker.id) &&
+          (zonePickerIds.size === 0 || zonePickerIds.has(picker.id)) &&
+          picker.load < DISPATCH_MAX_ACTIVE_PICKUPS &&
+          (specializations.length === 0 || wasteTypes.some(type => specializations.includes(type)));
+      })
+      .map(picker => ({ ...picker, score: this.scoreCandidate(picker, { radiusKm, wasteTypes }) }))
+      .sort((a, b) => b.score - a.score || a.distance - b.distance);
+  }
+
+  // Offer a pending pickup to the best candidate that has not been offered it yet,
+  // widening the search radius when nobody is left and escalating at the maximum
+  // (DISPATCH_MAX_RADIUS_KM, or the pickup's dispatchMaxRadiusKm once an SLA widened it)
+  async dispatch(pickup) {
+    if (pickup.status !== 'pending') {
+      return { dispatched: false, reason: 'not_pending' };
+    }
+
+    const items = pickup.items || await pickupItemService.getItems(pickup.id);
+    const maxRadiusKm = pickup.dispatchMaxRadiusKm || DISPATCH_MAX_RADIUS_KM;
+    let radiusKm = pickup.dispatchRadiusKm || DISPATCH_INITIAL_RADIUS_KM;
+
+    while (radiusKm <= maxRadiusKm) {
+      const [candidate] = await this.rankCandidates(pickup, items, radiusKm);
+
+      if (candidate) {
+        const offer = await this.createOffer(pickup, candidate, radiusKm);
+        if (!offer) {
+          return { dispatched: false, reason: 'offer_open' };
+        }
+
+        await notificationService.createNotification(
+          candidate.id,
+          'pickup_request',
+          'New Pickup Offer',
+          `You have been offered a ${pickupItemService.describe(items)} pickup ${candidate.distance.toFixed(1)} km away. Accept within ${DISPATCH_OFFER_TIMEOUT_MINUTES} minutes.`,
+          { pickupRequestId: pickup.id, offerId: offer.id, expiresAt: offer.expiresAt }
+        );
+
+        logger.info(`Pickup ${pickup.id} offered to waste picker ${candidate.id} (score ${candidate.score.toFixed(3)}, radius ${radiusKm}km)`);
+        return { dispatched: true, offer };
+      }
+
+      radiusKm += DISPATCH_RADIUS_STEP_KM;
+    }
+
+    await this.escalate(pickup);
+    return { dispatched: false, reason: 'escalated' };
+  }
+
+  // Record the offer while the pickup is still pending and has no other open offer
+  async createOffer(pickup, candidate, radiusKm) {
+    const offerId = uuidv4();
+    const stillOpen = sql`exists (select 1 from ${pickupRequests} where ${pickupRequests.id} = ${pickup.id} and ${pickupRequests.status} = 'pending')
+      and not exists (select 1 from ${pickupDispatchOffers} where ${pickupDispatchOffers.pickupRequestId} = ${pickup.id} and ${pickupDispatchOffers.status} = 'pending')`;
+
+    const [offer] = await db.batch([
+      insertWhere(
+        pickupDispatchOffers,
+        {
+          id: offerId,
+          pickupRequestId: pickup.id,
+          wastePickerId: candidate.id,
+          score: candidate.score.toFixed(4),
+          distance: candidate.distance.toFixed(2),
+          radiusKm,
+          expiresAt: new Date(Date.now() + DISPATCH_OFFER_TIMEOUT_MINUTES * 60 * 1000)
+        },
+        stillOpen
+      ).returning(),
+      db
+        .update(pickupRequests)
+        .set({
+          dispatchStatus: 'offered',
+          dispatchRadiusKm: radiusKm,
+          updatedAt: new Date()
+        })
+        .where(and(
+          eq(pickupRequests.id, pickup.id),
+          sql`exists (select 1 from ${pickupDispatchOffers} where ${pickupDispatchOffers.id} = ${offerId})`
+        ))
+    ]);
+
+    return offer[0] || null;
+  }
+
+  // Nobody accepted within the maximum radius; hand the pickup over to admins.
+  // It stays open for pickers browsing nearby pickups.
+  async escalate(pickup) {
+    const maxRadiusKm = pickup.dispatchMaxRadiusKm || DISPATCH_MAX_RADIUS_KM;
+    const escalated = await db
+      .update(pickupRequests)
+      .set({
+        dispatchStatus: 'escalated',
+        dispatchRadiusKm: maxRadiusKm,
+        updatedAt: new Date()
+      })
+      .where(and(
+        eq(pickupRequests.id, pickup.id),
+        eq(pickupRequests.status, 'pending'),
+        sql`${pickupRequests.dispatchStatus} is distinct from 'escalated'`
+      ))
+      .returning();
+
+    if (!escalated.length) {
+      return;
+    }
+
+    await notificationService.notifyAdmins(
+      'Pickup Needs Manual Dispatch',
+      `No waste picker accepted pickup ${pickup.id} within ${maxRadiusKm} km.`,
+      { pickupRequestId: pickup.id }
+    );
+
+    logger.warn(`Pickup ${pickup.id} escalated: no waste picker accepted within ${maxRadiusKm}km`);
+  }
+
+  // Statements closing a pickup's open offers once a picker has accepted it,
+  // for the same batch as the accept transition
+  buildAcceptanceStatements(pickupId, wastePickerId, appliedCondition) {
+    const now = new Date();
+    return [
+      db
+        .update(pickupDispatchOffers)
+        .set({ status: 'accepted', respondedAt: now })
+        .where(and(
+          eq(pickupDispatchOffers.pickupRequestId, pickupId),
+          eq(pickupDispatchOffers.wastePickerId, wastePickerId),
+          eq(pickupDispatchOffers.status, 'pending'),
+          appliedCondition
+        )),
+      db
+        .update(pickupDispatchOffers)
+        .set({ status: 'withdrawn', respondedAt: now })
+        .where(and(
+          eq(pickupDispatchOffers.pickupRequestId, pickupId),
+          eq(pickupDispatchOffers.status, 'pending'),
+          appliedCondition
+        ))
+    ];
+  }
+
+  // Decline an open offer and move on to the next candidate
+  async declineOffer(pickupId, wastePickerId) {
+    const declined = await db
+      .update(pickupDispatchOffers)
+      .set({ status: 'declined', respondedAt: new Date() })
+      .where(and(
+        eq(pickupDispatchOffers.pickupRequestId, pickupId),
+        eq(pickupDispatchOffers.wastePickerId, wastePickerId),
+        eq(pickupDispatchOffers.status, 'pending')
+      ))
+      .returning();
+
+    if (!declined.length) {
+      return { success: false, statusCode: 404, message: 'No open offer for this pickup' };
+    }
+
+    await this.redispatch(pickupId);
+    return { success: true, offer: declined[0] };
+  }
+
+  async redispatch(pickupId) {
+    const pickup = await db
+      .select()
+      .from(pickupRequests)
+      .where(eq(pickupRequests.id, pickupId))
+      .limit(1);
+
+    if (pickup.length) {
+      await this.dispatch(pickup[0]);
+    }
+  }
+
+  // Expire offers past their acceptance timeout and offer those pickups to the next candidate
+  async expireOffers() {
+    const expired = await db
+      .update(pickupDispatchOffers)
+      .set({ status: 'expired', respondedAt: new Date() })
+      .where(and(
+        eq(pickupDispatchOffers.status, 'pending'),
+        lt(pickupDispatchOffers.expiresAt, new Date())
+      ))
+      .returning();
+
+    let redispatched = 0;
+    for (const pickupId of new Set(expired.map(offer => offer.pickupRequestId))) {
+      try {
+        await this.redispatch(pickupId);
+        redispatched++;
+      } catch (error) {
+        logger.error(`Failed to redispatch pickup ${pickupId}:`, error);
+      }
+    }
+
+    return { offersExpired: expired.length, pickupsRedispatched: redispatched };
+  }
+
+  // Dispatch pending pickups that were never offered, e.g. when dispatch failed on creation
+  async dispatchUndispatched() {
+    const pickups = await db
+      .select()
+      .from(pickupRequests)
+      .where(and(
+        eq(pickupRequests.status, 'pending'),
+        isNull(pickupRequests.dispatchStatus),
+        lt(pickupRequests.createdAt, new Date(Date.now() - 60 * 1000))
+      ))
+      .limit(100);
+
+    for (const pickup of pickups) {
+      try {
+        await this.dispatch(pickup);
+      } catch (error) {
+        logger.error(`Failed to dispatch pickup ${pickup.id}:`, error);
+      }
+    }
+
+    return pickups.length;
+  }
+
+  // Open offers for a waste picker, with the pickup they are for
+  async getOpenOffers(wastePickerId) {
+    const offers = await db
+      .select({
+        offer: pickupDispatchOffers,
+        pickup: pickupRequests
+      })
+      .from(pickupDispatchOffers)
+      .innerJoin(pickupRequests, eq(pickupDispatchOffers.pickupRequestId, pickupRequests.id))
+      .where(and(
+        eq(pickupDispatchOffers.wastePickerId, wastePickerId),
+        eq(pickupDispatchOffers.status, 'pending'),
+        eq(pickupRequests.status, 'pending')
+      ))
+      .orderBy(pickupDispatchOffers.expiresAt);
+
+    const itemsByPickup = await pickupItemService.getItemsByPickup(offers.map(({ pickup }) => pickup.id));
+
+    return offers.map(({ offer, pickup }) => ({
+      ...offer,
+      pickup: { ...pickup, items: itemsByPickup.get(pickup.id) || [] }
+    }));
+  }
+}
+
+export default new DispatchService();
@@ -0,0 +1,620 @@
+import crypto from 'crypto';
+import db from '../database/connection.js';
+import {
+  pickupRequests,
+  pickupDisputes,
+  pickupDisputeEvidence,
+  wastePickerProfiles,
+  transactions,
+  reviews,
+  users
+} from '../database/schema.js';
+import { eq, and, or, desc, inArray, sql } from 'drizzle-orm';
+import { insertWhere } from '../database/queryHelpers.js';
+import collectionProofService from './collectionProofService.js';
+import pointsService from './pointsService.js';
+import reviewService from './reviewService.js';
+import notificationService from './notificationService.js';
+import { uploadImage } from '../utils/uploadUtils.js';
+import logger from '../utils/logger.js';
+
+// How long after a pickup is completed or cancelled a dispute can be opened
+export const DISPUTE_WINDOW_DAYS = 7;
+
+// Evidence photos accepted per upload
+export const MAX_EVIDENCE_FILES = 5;
+
+// Points taken from the waste picker by a penalty outcome when no amount is given
+export const DEFAULT_PICKER_PENALTY_POINTS = 50;
+
+export const ACTIVE_DISPUTE_STATUSES = ['open', 'under_review'];
+
+// Pickup statuses each dispute type can be opened from, and who can open it
+export const DISPUTE_TYPES = {
+  short_weight: { statuses: ['in_progress', 'completed'], roles: ['household'] },
+  no_show: { statuses: ['accepted', 'in_progress', 'cancelled'], roles: ['household', 'waste_picker'] },
+  cancellation: { statuses: ['cancelled'], roles: ['household', 'waste_picker'] },
+  other: { statuses: ['accepted', 'in_progress', 'completed', 'cancelled'], roles: ['household', 'waste_picker'] }
+};
+
+export const DISPUTE_OUTCOME_TYPES = ['points_adjustment', 'rating_removal', 'picker_penalty', 'refund'];
+
+const EVIDENCE_FOLDER = 'recykle-naija/disputes';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function positiveInteger(value) {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+class DisputeService {
+  async getDispute(id) {
+    const dispute = await db
+      .select()
+      .from(pickupDisputes)
+      .where(eq(pickupDisputes.id, id))
+      .limit(1);
+
+    return dispute[0] || null;
+  }
+
+  async getPickup(pickupRequestId) {
+    const pickup = await db
+      .select()
+      .from(pickupRequests)
+      .where(eq(pickupRequests.id, pickupRequestId))
+      .limit(1);
+
+    return pickup[0] || null;
+  }
+
+  isParty(dispute, user) {
+    return dispute.openedBy === user.id || dispute.againstUserId === user.id;
+  }
+
+  async uploadEvidence(dispute, user, files = [], note = null) {
+    if (!files.length) {
+      return [];
+    }
+
+    const urls = await Promise.all(files.map(async file => {
+      const result = await uploadImage(file.buffer, {
+        folder: `${EVIDENCE_FOLDER}/${dispute.id}`,
+        transformation: [{ quality: 'auto' }]
+      });
+      return result.secure_url;
+    }));
+
+    return db
+      .insert(pickupDisputeEvidence)
+      .values(urls.map(fileUrl => ({
+        disputeId: dispute.id,
+        uploadedBy: user.id,
+        fileUrl,
+        note: note ? String(note).trim() : null
+      })))
+      .returning();
+  }
+
+  // Open a dispute on a pickup against the other party. A short-weight dispute on a
+  // pickup still waiting for the household's confirmation also holds its proof of
+  // collection, so points are not credited until the dispute is resolved.
+  async openDispute(pickup, user, { type, reason, claimedWeight, files = [] } = {}) {
+    const isRequester = pickup.requesterId === user.id;
+    const isPicker = !!pickup.wastePickerId && pickup.wastePickerId === user.id;
+    if (!isRequester && !isPicker) {
+      return { success: false, statusCode: 403, message: 'Only the household or the assigned waste picker can dispute a pickup' };
+    }
+
+    const rules = DISPUTE_TYPES[type];
+    if (!rules) {
+      return { success: false, statusCode: 400, message: `type must be one of ${Object.keys(DISPUTE_TYPES).join(', ')}` };
+    }
+
+    if (!rules.roles.includes(isRequester ? 'household' : 'waste_picker')) {
+      return { success: false, statusCode: 403, message: 'Only the household can open a short weight dispute' };
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return { success: false, statusCode: 400, message: 'A reason is required' };
+    }
+
+    if (files.length > MAX_EVIDENCE_FILES) {
+      return { success: false, statusCode: 400, message: `At most ${MAX_EVIDENCE_FILES} evidence photos can be uploaded at once` };
+    }
+
+    if (!pickup.wastePickerId) {
+      return { success: false, statusCode: 409, message: 'Pickup has no waste picker to dispute with' };
+    }
+
+    if (!rules.statuses.includes(pickup.status)) {
+      return { success: false, statusCode: 409, message: `A ${type.replace('_', ' ')} dispute cannot be opened on a ${pickup.status.replace('_', ' ')} pickup` };
+    }
+
+    const closedAt = pickup.status === 'completed' ? pickup.completedAt : pickup.status === 'cancelled' ? pickup.cancelledAt : null;
+    if (closedAt && Date.now() - new Date(closedAt).getTime() > DISPUTE_WINDOW_DAYS * DAY_MS) {
+      return { success: false, statusCode: 409, message: `Disputes must be opened within ${DISPUTE_WINDOW_DAYS} days` };
+    }
+
+    const active = await db
+      .select({ id: pickupDisputes.id })
+      .from(pickupDisputes)
+      .where(and(
+        eq(pickupDisputes.pickupRequestId, pickup.id),
+        eq(pickupDisputes.openedBy, user.id),
+        inArray(pickupDisputes.status, ACTIVE_DISPUTE_STATUSES)
+      ))
+      .limit(1);
+
+    if (active.length) {
+      return { success: false, statusCode: 409, message: 'You already have an open dispute for this pickup' };
+    }
+
+    let collectionProofId = null;
+    if (type === 'short_weight' && pickup.status === 'in_progress') {
+      const held = await collectionProofService.dispute(pickup, user, { reason, claimedWeight });
+      if (!held.success) {
+        return held;
+      }
+      collectionProofId = held.proof.id;
+    }
+
+    let dispute;
+    try {
+      [dispute] = await db
+        .insert(pickupDisputes)
+        .values({
+          pickupRequestId: pickup.id,
+          collectionProofId,
+          type,
+          openedBy: user.id,
+          againstUserId: isRequester ? pickup.wastePickerId : pickup.requesterId,
+          reason: String(reason).trim()
+        })
+        .returning();
+    } catch (error) {
+      // A second request for the same pickup raced past the check above
+      if (error.code === '23505' || error.cause?.code === '23505') {
+        return { success: false, statusCode: 409, message: 'You already have an open dispute for this pickup' };
+      }
+      throw error;
+    }
+
+    const evidence = await this.uploadEvidence(dispute, user, files);
+
+    await notificationService.notifyAdmins(
+      'Pickup Dispute Opened',
+      `A ${type.replace('_', ' ')} dispute was opened on pickup ${pickup.id}: ${dispute.reason}`,
+      { pickupRequestId: pickup.id, disputeId: dispute.id }
+    );
+
+    await notificationService.createNotification(
+      dispute.againstUserId,
+      'system_update',
+      'Pickup Disputed',
+      `A ${type.replace('_', ' ')} dispute was opened on pickup ${pickup.id}. You can add your own evidence while an admin reviews it.`,
+      { pickupRequestId: pickup.id, disputeId: dispute.id }
+    );
+
+    logger.warn(`Dispute ${dispute.id} (${type}) opened on pickup ${pickup.id} by ${user.id}`);
+
+    return { success: true, dispute: { ...dispute, evidence } };
+  }
+
+  // Disputes a user opened or is named in; admins see all of them
+  async listDisputes(user, { status, type, pickupRequestId, assignedTo, page = 1, limit = 20 } = {}) {
+    const conditions = [];
+    if (user.role !== 'admin') {
+      conditions.push(or(eq(pickupDisputes.openedBy, user.id), eq(pickupDisputes.againstUserId, user.id)));
+    }
+    if (status) conditions.push(eq(pickupDisputes.status, status));
+    if (type) conditions.push(eq(pickupDisputes.type, type));
+    if (pickupRequestId) conditions.push(eq(pickupDisputes.pickupRequestId, pickupRequestId));
+    if (assignedTo) conditions.push(eq(pickupDisputes.assignedTo, assignedTo));
+
+    return db
+      .select({
+        dispute: pickupDisputes,
+        pickup: {
+          id: pickupRequests.id,
+          status: pickupRequests.status,
+          wasteType: pickupRequests.wasteType,
+          actualWeight: pickupRequests.actualWeight,
+          pointsEarned: pickupRequests.pointsEarned,
+          completedAt: pickupRequests.completedAt,
+          cancelledAt: pickupRequests.cancelledAt
+        }
+      })
+      .from(pickupDisputes)
+      .innerJoin(pickupRequests, eq(pickupDisputes.pickupRequestId, pickupRequests.id))
+      .where(conditions.length ? and(...conditions) : undefined)
+      .orderBy(desc(pickupDisputes.createdAt))
+      .limit(parseInt(limit))
+      .offset((parseInt(page) - 1) * parseInt(limit));
+  }
+
+  // A dispute with its pickup, evidence and any held proof of collection
+  async getDetails(dispute) {
+    const [pickup, evidence, proof] = await Promise.all([
+      this.getPickup(dispute.pickupRequestId),
+      db
+        .select()
+        .from(pickupDisputeEvidence)
+        .where(eq(pickupDisputeEvidence.disputeId, dispute.id))
+        .orderBy(pickupDisputeEvidence.createdAt),
+      collectionProofService.getProof(dispute.pickupRequestId)
+    ]);
+
+    return {
+      ...dispute,
+      pickup,
+      evidence,
+      collectionProof: proof ? collectionProofService.toPublic(proof) : null
+    };
+  }
+
+  // Either party can add evidence while the dispute is active
+  async addEvidence(dispute, user, { files = [], note } = {}) {
+    if (!this.isParty(dispute, user)) {
+      return { success: false, statusCode: 403, message: 'Access denied' };
+    }
+
+    if (!ACTIVE_DISPUTE_STATUSES.includes(dispute.status)) {
+      return { success: false, statusCode: 409, message: `Dispute has already been ${dispute.status.replace('_', ' ')}` };
+    }
+
+    if (!files.length) {
+      return { success: false, statusCode: 400, message: 'At least one evidence photo is required' };
+    }
+
+    if (files.length > MAX_EVIDENCE_FILES) {
+      return { success: false, statusCode: 400, message: `At most ${MAX_EVIDENCE_FILES} evidence photos can be uploaded at once` };
+    }
+
+    const evidence = await this.uploadEvidence(dispute, user, files, note);
+
+    return { success: true, evidence };
+  }
+
+  async withdraw(dispute, user) {
+    if (dispute.openedBy !== user.id) {
+      return { success: false, statusCode: 403, message: 'Only the party who opened a dispute can withdraw it' };
+    }
+
+    // The held proof can only be released by an admin decision on the weights
+    if (dispute.collectionProofId) {
+      const proof = await collectionProofService.getProof(dispute.pickupRequestId);
+      if (proof?.status === 'disputed') {
+        return { success: false, statusCode: 409, message: 'A weight dispute on an unconfirmed pickup must be resolved by an admin' };
+      }
+    }
+
+    const [withdrawn] = await db
+      .update(pickupDisputes)
+      .set({ status: 'withdrawn', updatedAt: new Date() })
+      .where(and(
+        eq(pickupDisputes.id, dispute.id),
+        inArray(pickupDisputes.status, ACTIVE_DISPUTE_STATUSES)
+      ))
+      .returning();
+
+    if (!withdrawn) {
+      return { success: false, statusCode: 409, message: `Dispute has already been ${dispute.status.replace('_', ' ')}` };
+    }
+
+    return { success: true, dispute: withdrawn };
+  }
+
+  // Assign an admin to review a dispute; defaults to the admin making the request
+  async assign(dispute, admin, { adminId } = {}) {
+    const assigneeId = adminId || admin.id;
+
+    if (assigneeId !== admin.id) {
+      const assignee = await db
+        .select({ id: users.id })
+        .from(users)
+        .where(and(eq(users.id, assigneeId), eq(users.role, 'admin'), eq(users.status, 'active')))
+        .limit(1);
+
+      if (!assignee.length) {
+        return { success: false, statusCode: 400, message: 'adminId must be an active admin' };
+      }
+    }
+
+    const [assigned] = await db
+      .update(pickupDisputes)
+      .set({
+        status: 'under_review',
+        assignedTo: assigneeId,
+        assignedAt: new Date(),
+        updatedAt: new Date()
+      })
+      .where(and(
+        eq(pickupDisputes.id, dispute.id),
+        inArray(pickupDisputes.status, ACTIVE_DISPUTE_STATUSES)
+      ))
+      .returning();
+
+    if (!assigned) {
+      return { success: false, statusCode: 409, message: `Dispute has already been ${dispute.status.replace('_', ' ')}` };
+    }
+
+    if (assigneeId !== admin.id) {
+      await notificationService.createNotification(
+        assigneeId,
+        'system_update',
+        'Dispute Assigned',
+        `You have been assigned the dispute on pickup ${dispute.pickupRequestId}.`,
+        { pickupRequestId: dispute.pickupRequestId, disputeId: dispute.id }
+      );
+    }
+
+    return { success: true, dispute: assigned };
+  }
+
+  // Check the requested outcomes against the dispute's pickup and fill in defaults
+  async validateOutcomes(outcomes, pickup) {
+    if (!Array.isArray(outcomes)) {
+      return { valid: false, message: 'outcomes must be an array' };
+    }
+
+    const parties = [pickup.requesterId, pickup.wastePickerId];
+    const seen = new Set();
+    const validated = [];
+
+    for (const outcome of outcomes) {
+      const type = outcome?.type;
+      if (!DISPUTE_OUTCOME_TYPES.includes(type)) {
+        return { valid: false, message: `Outcome type must be one of ${DISPUTE_OUTCOME_TYPES.join(', ')}` };
+      }
+
+      const key = ['points_adjustment', 'rating_removal'].includes(type) ? `${type}:${outcome.userId}` : type;
+      if (seen.has(key)) {
+        return { valid: false, message: `Duplicate ${type.replace('_', ' ')} outcome` };
+      }
+      seen.add(key);
+
+      if (type === 'points_adjustment') {
+        const points = Number(outcome.points);
+        if (!parties.includes(outcome.userId)) {
+          return { valid: false, message: 'A points adjustment must be for the household or the waste picker' };
+        }
+        if (!Number.isInteger(points) || points === 0) {
+          return { valid: false, message: 'A points adjustment needs a non-zero whole number of points' };
+        }
+        validated.push({ type, userId: outcome.userId, points });
+      } else if (type === 'rating_removal') {
+        // Removes the review written about userId on this pickup (the waste picker by default)
+        const userId = outcome.userId || pickup.wastePickerId;
+        if (!parties.includes(userId)) {
+          return { valid: false, message: 'A rating removal must be for the household or the waste picker' };
+        }
+        const review = await db
+          .select({ id: reviews.id, rating: reviews.rating })
+          .from(reviews)
+          .where(and(
+            eq(reviews.pickupRequestId, pickup.id),
+            eq(reviews.revieweeId, userId),
+            eq(reviews.isHidden, false)
+          ))
+          .limit(1);
+        if (!review.length) {
+          return { valid: false, message: 'Pickup has no visible review of that user to remove' };
+        }
+        validated.push({ type, userId, reviewId: review[0].id, rating: review[0].rating });
+      } else if (type === 'picker_penalty') {
+        const points = outcome.points === undefined ? DEFAULT_PICKER_PENALTY_POINTS : positiveInteger(outcome.points);
+        if (points === null) {
+          return { valid: false, message: 'A picker penalty needs a positive whole number of points' };
+        }
+        validated.push({ type, userId: pickup.wastePickerId, points });
+      } else if (type === 'refund') {
+        const amount = parseFloat(outcome.amount);
+        const userId = outcome.userId || pickup.requesterId;
+        if (isNaN(amount) || amount <= 0) {
+          return { valid: false, message: 'A refund needs an amount greater than 0' };
+        }
+        if (!parties.includes(userId)) {
+          return { valid: false, message: 'A refund must be for the household or the waste picker' };
+        }
+        validated.push({ type, userId, amount: amount.toFixed(2) });
+      }
+    }
+
+    // Outcomes may not take a party's points below zero
+    const debits = new Map();
+    for (const outcome of validated) {
+      const points = outcome.type === 'picker_penalty' ? outcome.points
+        : outcome.type === 'points_adjustment' && outcome.points < 0 ? -outcome.points
+          : 0;
+      if (points && outcome.userId) {
+        debits.set(outcome.userId, (debits.get(outcome.userId) || 0) + points);
+      }
+    }
+
+    for (const [userId, points] of debits) {
+      const available = await pointsService.getAvailablePoints(userId);
+      if (available < points) {
+        return {
+          valid: false,
+          message: `The outcomes take ${points} points from user ${userId}, who has only ${available} available`
+        };
+      }
+    }
+
+    return { valid: true, outcomes: validated, debits };
+  }
+
+  // Statements applying the outcomes, guarded so they only run with the dispute's resolution
+  buildOutcomeStatements(dispute, pickup, outcomes, admin, condition) {
+    const statements = [];
+    const refundIndexes = [];
+    const source = {
+      pickupRequestId: pickup.id,
+      adminId: admin.id,
+      metadata: { disputeId: dispute.id }
+    };
+
+    for (const outcome of outcomes) {
+      if (outcome.type === 'points_adjustment') {
+        statements.push(...pointsService.buildStatements(pointsService.adjustEntry(outcome.userId, outcome.points, {
+          ...source,
+          idempotencyKey: `dispute:${dispute.id}:points:${outcome.userId}`,
+          description: `Dispute resolution for pickup ${pickup.id}`
+        }), condition));
+      } else if (outcome.type === 'rating_removal') {
+        statements.push(
+          db
+            .update(reviews)
+            .set({
+              isHidden: true,
+              hiddenBy: admin.id,
+              hiddenAt: new Date(),
+              hiddenReason: `Removed by the resolution of dispute ${dispute.id}`,
+              updatedAt: new Date()
+            })
+            .where(and(eq(reviews.id, outcome.reviewId), condition)),
+          ...reviewService.buildAggregateStatements({ pickupRequestId: pickup.id, revieweeId: outcome.userId })
+        );
+      } else if (outcome.type === 'picker_penalty') {
+        statements.push(
+          ...pointsService.buildStatements(pointsService.adjustEntry(outcome.userId, -outcome.points, {
+            ...source,
+            idempotencyKey: `dispute:${dispute.id}:penalty`,
+            description: `Penalty after a dispute on pickup ${pickup.id}`
+          }), condition),
+          db
+            .update(wastePickerProfiles)
+            .set({
+              penaltyCount: sql`${wastePickerProfiles.penaltyCount} + 1`,
+              updatedAt: new Date()
+            })
+            .where(and(eq(wastePickerProfiles.userId, outcome.userId), condition))
+        );
+      } else if (outcome.type === 'refund') {
+        // No money moves here: the refund is recorded as pending until an admin pays it out
+        refundIndexes.push(statements.length);
+        statements.push(insertWhere(transactions, {
+          userId: outcome.userId,
+          pickupRequestId: pickup.id,
+          type: 'refund',
+          amount: outcome.amount,
+          status: 'pending',
+          description: `Refund after a dispute on pickup ${pickup.id}`,
+          metadata: { disputeId: dispute.id, awaitingPayout: true }
+        }, condition).returning());
+      }
+    }
+
+    return { statements, refundIndexes };
+  }
+
+  // Admin decision on a dispute. An upheld dispute applies its outcomes; a rejected one
+  // applies none. A held proof of collection is settled first with weightDecision
+  // (approve, adjust or cancel, as for the proof itself).
+  async resolve(dispute, admin, { decision, outcomes = [], note, weightDecision } = {}) {
+    if (!['upheld', 'rejected'].includes(decision)) {
+      return { success: false, statusCode: 400, message: 'decision must be one of upheld, rejected' };
+    }
+
+    if (!ACTIVE_DISPUTE_STATUSES.includes(dispute.status)) {
+      return { success: false, statusCode: 409, message: `Dispute has already been ${dispute.status.replace('_', ' ')}` };
+    }
+
+    let pickup = await this.getPickup(dispute.pickupRequestId);
+
+    const validation = decision === 'upheld'
+      ? await this.validateOutcomes(outcomes, pickup)
+      : { valid: true, outcomes: [], debits: new Map() };
+    if (!validation.valid) {
+      return { success: false, statusCode: 400, message: validation.message };
+    }
+
+    if (dispute.collectionProofId) {
+      const proof = await collectionProofService.getProof(pickup.id);
+      if (proof?.status === 'disputed') {
+        if (decision === 'upheld' && !weightDecision) {
+          return { success: false, statusCode: 400, message: 'weightDecision is required to settle the held proof of collection' };
+        }
+
+        const settled = await collectionProofService.resolveDispute(pickup, admin, {
+          ...(weightDecision || { outcome: 'approve' }),
+          note: weightDecision?.note || note
+        });
+        if (!settled.success) {
+          return settled;
+        }
+        pickup = settled.pickup;
+      }
+    }
+
+    // The dispute update claims the resolution; every outcome statement only applies
+    // while this resolution id is on the dispute, so a second resolve changes nothing
+    const resolutionId = crypto.randomUUID();
+    const appliedCondition = sql`exists (select 1 from ${pickupDisputes} where ${pickupDisputes.id} = ${dispute.id} and ${pickupDisputes.resolutionId} = ${resolutionId})`;
+    const { statements, refundIndexes } = this.buildOutcomeStatements(dispute, pickup, validation.outcomes, admin, appliedCondition);
+
+    const results = await db.batch([
+      db
+        .update(pickupDisputes)
+        .set({
+          status: decision === 'upheld' ? 'resolved' : 'rejected',
+          resolutionId,
+          outcomes: validation.outcomes,
+          resolutionNote: note || null,
+          resolvedBy: admin.id,
+          resolvedAt: new Date(),
+          assignedTo: dispute.assignedTo || admin.id,
+          assignedAt: dispute.assignedAt || new Date(),
+          updatedAt: new Date()
+        })
+        .where(and(
+          eq(pickupDisputes.id, dispute.id),
+          inArray(pickupDisputes.status, ACTIVE_DISPUTE_STATUSES),
+          // Checked again here so points spent since validation cannot go negative
+          ...[...validation.debits].map(([userId, points]) => pointsService.hasAvailableSql(userId, points))
+        ))
+        .returning(),
+      ...statements
+    ]);
+
+    const [resolved] = results[0];
+    if (!resolved) {
+      const current = await this.getDispute(dispute.id);
+      return ACTIVE_DISPUTE_STATUSES.includes(current?.status)
+        ? { success: false, statusCode: 409, message: 'A party\'s points changed meanwhile, please try again' }
+        : { success: false, statusCode: 409, message: 'Dispute was resolved by someone else, please refresh and try again' };
+    }
+
+    for (const index of refundIndexes) {
+      const [refund] = results[index + 1];
+      if (refund) {
+        await notificationService.notifyAdmins(
+          'Dispute Refund Awaiting Payout',
+          `A refund of ₦${refund.amount} to user ${refund.userId} is owed after the dispute on pickup ${pickup.id} (transaction ${refund.id}).`,
+          { transactionId: refund.id, disputeId: dispute.id, pickupRequestId: pickup.id }
+        );
+      }
+    }
+
+    const summary = decision === 'upheld'
+      ? `was upheld${validation.outcomes.length ? ` (${validation.outcomes.map(outcome => outcome.type.replace('_', ' ')).join(', ')})` : ''}`
+      : 'was rejected';
+    for (const userId of [dispute.openedBy, dispute.againstUserId]) {
+      await notificationService.createNotification(
+        userId,
+        'system_update',
+        'Dispute Resolved',
+        `The dispute on pickup ${pickup.id} ${summary}.${note ? ` ${note}` : ''}`,
+        { pickupRequestId: pickup.id, disputeId: dispute.id, decision }
+      );
+    }
+
+    logger.info(`Admin ${admin.id} resolved dispute ${dispute.id} as ${decision}`);
+
+    return { success: true, dispute: resolved, pickup: await this.getPickup(pickup.id) };
+  }
+}
+
+export default new DisputeService();
@@ -0,0 +1,472 @@
+import db from '../database/connection.js';
+import { rewards, rewardRedemptions, rewardFulfillments, users } from '../database/schema.js';
+import { insertWhere } from '../database/queryHelpers.js';
+import { eq, and, or, lt, lte, isNull, inArray, sql, asc, desc } from 'drizzle-orm';
+import StubFulfillmentProvider from './stubFulfillmentProvider.js';
+import VoucherCodeProvider from './voucherCodeProvider.js';
+import voucherCodeService from './voucherCodeService.js';
+import pointsService from './pointsService.js';
+import notificationService from './notificationService.js';
+import logger from '../utils/logger.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Minutes to wait before each retry; a delivery fails for good after the last one
+export const FULFILLMENT_RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+export const FULFILLMENT_MAX_ATTEMPTS = FULFILLMENT_RETRY_DELAYS_MINUTES.length + 1;
+
+// Statuses an admin can settle a pending redemption with
+export const SETTLEMENT_STATUSES = ['completed', 'cancelled'];
+
+// A job still processing after this long was abandoned by its worker and is claimed again
+const PROCESSING_TIMEOUT_MINUTES = 10;
+
+const BATCH_SIZE = 50;
+const MINUTE_MS = 60 * 1000;
+
+// Redeemed rewards are delivered by a job per redemption, through a provider. A
+// provider has a `name`, the reward `types` it delivers, and implements:
+//   deliver({ redemption, reward, recipient }) -> { delivered: true, reference, details }
+//     or { delivered: false, permanent, message }
+// Thrown errors are retried like temporary failures. Rewards with uploaded voucher
+// codes use the voucher code provider. A reward whose `provider` names a registered
+// provider uses it; other rewards use REWARD_FULFILLMENT_PROVIDER. The stub, which
+// sends nothing, is only used when that is set to `stub`. A redemption no provider delivers is parked as
+// `manual` for an admin to settle by hand; it is never failed or refunded automatically.
+class FulfillmentService {
+  constructor() {
+    this.providers = new Map();
+    this.registerProvider(new StubFulfillmentProvider());
+    this.registerProvider(new VoucherCodeProvider());
+  }
+
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(reward) {
+    if (reward.usesVoucherCodes) {
+      return this.providers.get('voucher_codes');
+    }
+
+    const name = this.providers.has(reward.provider) && reward.provider !== 'stub'
+      ? reward.provider
+      : process.env.REWARD_FULFILLMENT_PROVIDER;
+    const provider = name ? this.providers.get(name) : null;
+
+    return provider?.types.includes(reward.type) ? provider : null;
+  }
+
+  // Where a reward is delivered: the redemption's deliveryInfo, falling back to
+  // the user's phone number or email
+  getRecipient(reward, deliveryInfo, user) {
+    const info = deliveryInfo || {};
+
+    if (reward.type === 'airtime' || reward.type === 'data') {
+      const phoneNumber = info.phoneNumber || user?.phone;
+      return phoneNumber
+        ? { valid: true, recipient: { phoneNumber } }
+        : { valid: false, message: `A phone number is needed to deliver ${reward.type}` };
+    }
+
+    if (reward.type === 'cash') {
+      return info.accountNumber && info.bankCode
+        ? { valid: true, recipient: { accountNumber: info.accountNumber, bankCode: info.bankCode, accountName: info.accountName || null } }
+        : { valid: false, message: 'An account number and bank code are needed to deliver cash' };
+    }
+
+    const email = info.email || user?.email;
+    return email
+      ? { valid: true, recipient: { email } }
+      : { valid: false, message: `An email address is needed to deliver a ${reward.type}` };
+  }
+
+  // Statement that queues delivery of a redemption, for the batch that creates it
+  buildEnqueue(redemptionId, reward, condition) {
+    const values = this.getProvider(reward)
+      ? { redemptionId, status: 'queued', nextAttemptAt: new Date() }
+      : { redemptionId, status: 'manual', nextAttemptAt: null, lastError: `No fulfillment provider delivers ${reward.type} rewards` };
+
+    return insertWhere(rewardFulfillments, values, condition);
+  }
+
+  // Tell admins a redemption is waiting to be fulfilled by hand
+  async notifyManual(redemption, reward, reason) {
+    await notificationService.notifyAdmins(
+      'Reward Needs Manual Fulfillment',
+      `Redemption ${redemption.redemptionCode} of ${reward.name} must be fulfilled by hand: ${reason}. Mark it completed or cancelled once settled.`,
+      { redemptionId: redemption.id }
+    );
+  }
+
+  async getFulfillment(redemptionId) {
+    const fulfillment = await db
+      .select()
+      .from(rewardFulfillments)
+      .where(eq(rewardFulfillments.redemptionId, redemptionId))
+      .limit(1);
+
+    return fulfillment[0] || null;
+  }
+
+  async listFulfillments({ status, page = 1, limit = 20 } = {}) {
+    const pageSize = parseInt(limit) || 20;
+
+    return db
+      .select({
+        fulfillment: rewardFulfillments,
+        redemption: rewardRedemptions,
+        reward: {
+          id: rewards.id,
+          name: rewards.name,
+          type: rewards.type
+        }
+      })
+      .from(rewardFulfillments)
+      .innerJoin(rewardRedemptions, eq(rewardFulfillments.redemptionId, rewardRedemptions.id))
+      .innerJoin(rewards, eq(rewardRedemptions.rewardId, rewards.id))
+      .where(status ? eq(rewardFulfillments.status, status) : undefined)
+      .orderBy(desc(rewardFulfillments.updatedAt))
+      .limit(pageSize)
+      .offset(((parseInt(page) || 1) - 1) * pageSize);
+  }
+
+  // Take a job for processing; returns null when another worker took it first
+  async claim(job) {
+    const lockId = uuidv4();
+
+    const [claimed] = await db
+      .update(rewardFulfillments)
+      .set({
+        status: 'processing',
+        lockId,
+        lockedAt: new Date(),
+        attempts: sql`${rewardFulfillments.attempts} + 1`,
+        updatedAt: new Date()
+      })
+      .where(and(
+        eq(rewardFulfillments.id, job.id),
+        eq(rewardFulfillments.status, job.status),
+        job.lockId ? eq(rewardFulfillments.lockId, job.lockId) : isNull(rewardFulfillments.lockId)
+      ))
+      .returning();
+
+    return claimed || null;
+  }
+
+  // Update a claimed job; does nothing once another worker has reclaimed it
+  finishStatement(job, updates) {
+    return db
+      .update(rewardFulfillments)
+      .set({ ...updates, updatedAt: new Date() })
+      .where(and(eq(rewardFulfillments.id, job.id), eq(rewardFulfillments.lockId, job.lockId)))
+      .returning();
+  }
+
+  async loadJob(job) {
+    const [row] = await db
+      .select({ redemption: rewardRedemptions, reward: rewards, user: users })
+      .from(rewardRedemptions)
+      .innerJoin(rewards, eq(rewardRedemptions.rewardId, rewards.id))
+      .innerJoin(users, eq(rewardRedemptions.userId, users.id))
+      .where(eq(rewardRedemptions.id, job.redemptionId))
+      .limit(1);
+
+    return row || null;
+  }
+
+  async attemptDelivery({ redemption, reward, user }) {
+    const provider = this.getProvider(reward);
+    if (!provider) {
+      return { delivered: false, manual: true, message: `No fulfillment provider delivers ${reward.type} rewards` };
+    }
+
+    const recipient = this.getRecipient(reward, redemption.deliveryInfo, user);
+    if (!recipient.valid) {
+      return { provider: provider.name, delivered: false, permanent: true, message: recipient.message };
+    }
+
+    try {
+      const outcome = await provider.deliver({ redemption, reward, recipient: recipient.recipient });
+      return { provider: provider.name, ...outcome };
+    } catch (error) {
+      logger.warn(`Fulfillment provider ${provider.name} failed for redemption ${redemption.id}: ${error.message}`);
+      return { provider: provider.name, delivered: false, permanent: false, message: error.message };
+    }
+  }
+
+  async markDelivered(job, { redemption, reward }, outcome) {
+    const appliedCondition = sql`exists (select 1 from ${rewardFulfillments} where ${rewardFulfillments.id} = ${job.id} and ${rewardFulfillments.lockId} = ${job.lockId} and ${rewardFulfillments.status} = 'delivered')`;
+
+    const [updated] = await db.batch([
+      this.finishStatement(job, {
+        status: 'delivered',
+        provider: outcome.provider,
+        providerReference: outcome.reference || null,
+        details: outcome.details || {},
+        lastError: null,
+        deliveredAt: new Date()
+      }),
+      db
+        .update(rewardRedemptions)
+        .set({ status: 'completed', completedAt: new Date(), updatedAt: new Date() })
+        .where(and(eq(rewardRedemptions.id, redemption.id), appliedCondition))
+    ]);
+
+    if (!updated.length) {
+      return false;
+    }
+
+    await notificationService.createNotification(
+      redemption.userId,
+      'reward_earned',
+      'Reward Delivered',
+      `Your ${reward.name} has been delivered`,
+      { redemptionId: redemption.id, redemptionCode: redemption.redemptionCode }
+    );
+
+    return true;
+  }
+
+  async retryLater(job, outcome) {
+    const delay = FULFILLMENT_RETRY_DELAYS_MINUTES[job.attempts - 1];
+
+    const updated = await this.finishStatement(job, {
+      status: 'queued',
+      provider: outcome.provider || null,
+      lastError: outcome.message,
+      lockId: null,
+      lockedAt: null,
+      nextAttemptAt: new Date(Date.now() + delay * MINUTE_MS)
+    });
+
+    return updated.length > 0;
+  }
+
+  // Hand a job over to an admin; it stays parked until they settle the redemption
+  async parkForManual(job, { redemption, reward }, outcome) {
+    const updated = await this.finishStatement(job, {
+      status: 'manual',
+      lastError: outcome.message,
+      lockId: null,
+      lockedAt: null,
+      nextAttemptAt: null
+    });
+
+    if (!updated.length) {
+      return false;
+    }
+
+    await this.notifyManual(redemption, reward, outcome.message);
+    return true;
+  }
+
+  // Fail the delivery for good: the redemption fails, its stock and any voucher
+  // code are put back and its points are refunded, all in one batch
+  async markFailed(job, { redemption, reward }, outcome) {
+    const appliedCondition = sql`exists (select 1 from ${rewardFulfillments} where ${rewardFulfillments.id} = ${job.id} and ${rewardFulfillments.lockId} = ${job.lockId} and ${rewardFulfillments.status} = 'failed')`;
+    // Nothing to refund if an admin already reversed the redemption
+    const redeemEntry = await pointsService.getRedemptionEntry(redemption.id);
+    const refund = redeemEntry && !await pointsService.isReversed(redeemEntry)
+      ? pointsService.reverseEntry(redeemEntry, {
+        description: `Refund for undelivered ${reward.name}`,
+        metadata: { fulfillmentId: job.id }
+      })
+      : null;
+
+    const [updated] = await db.batch([
+      this.finishStatement(job, {
+        status: 'failed',
+        provider: outcome.provider || null,
+        lastError: outcome.message,
+        failedAt: new Date()
+      }),
+      db
+        .update(rewardRedemptions)
+        .set({ status: 'failed', updatedAt: new Date() })
+        .where(and(eq(rewardRedemptions.id, redemption.id), appliedCondition)),
+      db
+        .update(rewards)
+        .set({ stockQuantity: sql`${rewards.stockQuantity} + 1`, updatedAt: new Date() })
+        .where(and(eq(rewards.id, reward.id), sql`${rewards.stockQuantity} is not null`, appliedCondition)),
+      voucherCodeService.buildRelease(redemption.id, appliedCondition),
+      ...(refund ? pointsService.buildStatements(refund, appliedCondition) : [])
+    ]);
+
+    if (!updated.length) {
+      return false;
+    }
+
+    await notificationService.createNotification(
+      redemption.userId,
+      'reward_earned',
+      'Reward Could Not Be Delivered',
+      `We could not deliver your ${reward.name}, so the ${redemption.pointsUsed} points have been returned to your balance`,
+      { redemptionId: redemption.id, redemptionCode: redemption.redemptionCode }
+    );
+
+    await notificationService.notifyAdmins(
+      'Reward Delivery Failed',
+      `Delivery of ${reward.name} (redemption ${redemption.redemptionCode}) failed after ${job.attempts} attempt${job.attempts === 1 ? '' : 's'}: ${outcome.message}`,
+      { redemptionId: redemption.id, fulfillmentId: job.id }
+    );
+
+    return true;
+  }
+
+  // Settle a pending redemption by hand (admin only): `completed` once it was
+  // delivered outside the system, or `cancelled`, which puts back its stock and
+  // any voucher code and refunds its points. Its delivery job is settled in the
+  // same batch, so the worker can no longer deliver it.
+  async settle(redemptionId, status, adminId) {
+    if (!SETTLEMENT_STATUSES.includes(status)) {
+      return { success: false, statusCode: 400, message: `status must be one of: ${SETTLEMENT_STATUSES.join(', ')}` };
+    }
+
+    const context = await this.loadJob({ redemptionId });
+    if (!context) {
+      return { success: false, statusCode: 404, message: 'Redemption not found' };
+    }
+
+    const { redemption, reward } = context;
+    if (redemption.status !== 'pending') {
+      return { success: false, statusCode: 409, message: `Redemption is already ${redemption.status}` };
+    }
+
+    // Redemptions made before delivery jobs existed get one to settle
+    await db
+      .insert(rewardFulfillments)
+      .values({ redemptionId, status: 'manual', nextAttemptAt: null })
+      .onConflictDoNothing();
+
+    const cancelled = status === 'cancelled';
+    const jobStatus = cancelled ? 'cancelled' : 'delivered';
+    const lockId = uuidv4();
+    const appliedCondition = sql`exists (select 1 from ${rewardFulfillments} where ${rewardFulfillments.redemptionId} = ${redemptionId} and ${rewardFulfillments.lockId} = ${lockId} and ${rewardFulfillments.status} = ${jobStatus})`;
+
+    // Nothing to refund if an admin already reversed the redemption
+    const redeemEntry = cancelled ? await pointsService.getRedemptionEntry(redemptionId) : null;
+    const refund = redeemEntry && !await pointsService.isReversed(redeemEntry)
+      ? pointsService.reverseEntry(redeemEntry, {
+        adminId,
+        description: `Refund for cancelled ${reward.name}`
+      })
+      : null;
+
+    const [settledJob, updatedRedemption] = await db.batch([
+      // A job a worker is delivering right now is left to finish
+      db
+        .update(rewardFulfillments)
+        .set({
+          status: jobStatus,
+          lockId,
+          lockedAt: null,
+          nextAttemptAt: null,
+          details: { settledBy: adminId },
+          ...(cancelled ? { failedAt: new Date() } : { lastError: null, deliveredAt: new Date() }),
+          updatedAt: new Date()
+        })
+        .where(and(
+          eq(rewardFulfillments.redemptionId, redemptionId),
+          inArray(rewardFulfillments.status, ['queued', 'manual']),
+          sql`exists (select 1 from ${rewardRedemptions} where ${rewardRedemptions.id} = ${redemptionId} and ${rewardRedemptions.status} = 'pending')`
+        ))
+        .returning(),
+      db
+        .update(rewardRedemptions)
+        .set({ status, completedAt: cancelled ? null : new Date(), updatedAt: new Date() })
+        .where(and(eq(rewardRedemptions.id, redemptionId), appliedCondition))
+        .returning(),
+      ...(cancelled ? [
+        db
+          .update(rewards)
+          .set({ stockQuantity: sql`${rewards.stockQuantity} + 1`, updatedAt: new Date() })
+          .where(and(eq(rewards.id, reward.id), sql`${rewards.stockQuantity} is not null`, appliedCondition)),
+        voucherCodeService.buildRelease(redemptionId, appliedCondition),
+        ...(refund ? pointsService.buildStatements(refund, appliedCondition) : [])
+      ] : [])
+    ]);
+
+    if (!settledJob.length) {
+      return { success: false, statusCode: 409, message: 'Redemption is being delivered or was already settled; try again shortly' };
+    }
+
+    await notificationService.createNotification(
+      redemption.userId,
+      'reward_earned',
+      cancelled ? 'Reward Cancelled' : 'Reward Delivered',
+      cancelled
+        ? `Your ${reward.name} redemption was cancelled${refund ? `, so the ${redemption.pointsUsed} points have been returned to your balance` : ''}`
+        : `Your ${reward.name} has been delivered`,
+      { redemptionId, redemptionCode: redemption.redemptionCode }
+    );
+
+    return { success: true, redemption: updatedRedemption[0] };
+  }
+
+  // Deliver a claimed job: done, queued for a retry, parked for an admin, or failed with a refund
+  async processJob(job) {
+    const context = await this.loadJob(job);
+
+    // Redemptions an admin has already settled by hand are left as they are
+    if (!context || context.redemption.status !== 'pending') {
+      await this.finishStatement(job, {
+        status: 'skipped',
+        lastError: `Redemption is ${context ? context.redemption.status : 'missing'}`,
+        lockId: null,
+        lockedAt: null,
+        nextAttemptAt: null
+      });
+      return 'skipped';
+    }
+
+    const outcome = await this.attemptDelivery(context);
+
+    if (outcome.manual) {
+      return await this.parkForManual(job, context, outcome) ? 'manual' : 'skipped';
+    }
+
+    if (outcome.delivered) {
+      return await this.markDelivered(job, context, outcome) ? 'delivered' : 'skipped';
+    }
+
+    if (!outcome.permanent && job.attempts < FULFILLMENT_MAX_ATTEMPTS) {
+      return await this.retryLater(job, outcome) ? 'retried' : 'skipped';
+    }
+
+    return await this.markFailed(job, context, outcome) ? 'failed' : 'skipped';
+  }
+
+  // Process queued jobs that are due, and jobs abandoned mid-delivery
+  async processDueJobs(now = new Date()) {
+    const dueJobs = await db
+      .select()
+      .from(rewardFulfillments)
+      .where(or(
+        and(eq(rewardFulfillments.status, 'queued'), lte(rewardFulfillments.nextAttemptAt, now)),
+        and(
+          eq(rewardFulfillments.status, 'processing'),
+          lt(rewardFulfillments.lockedAt, new Date(now.getTime() - PROCESSING_TIMEOUT_MINUTES * MINUTE_MS))
+        )
+      ))
+      .orderBy(asc(rewardFulfillments.nextAttemptAt))
+      .limit(BATCH_SIZE);
+
+    const counts = { delivered: 0, retried: 0, failed: 0, manual: 0 };
+
+    for (const dueJob of dueJobs) {
+      try {
+        const job = await this.claim(dueJob);
+        if (!job) continue;
+
+        const result = await this.processJob(job);
+        if (result in counts) counts[result]++;
+      } catch (error) {
+        logger.error(`Reward fulfillment ${dueJob.id} failed:`, error);
+      }
+    }
+
+    return counts;
+  }
+}
+
+export default new FulfillmentService();
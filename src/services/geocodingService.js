@@ -0,0 +1,145 @@
+import LocalGazetteerProvider from './localGazetteerProvider.js';
+import { validateCoordinates } from '../utils/geoUtils.js';
+import logger from '../utils/logger.js';
+
+export const MAX_SUGGESTIONS = 20;
+
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Geocoding goes through a provider so a hosted geocoder can replace the local
+// gazetteer. A provider has a `name` and implements:
+//   search(query, { limit, state, types, near }) -> [{ name, type, lga, state, latitude, longitude, label }]
+//   reverse(latitude, longitude) -> { state, lga, city, place, nearbyStates } or null
+//   states() -> [{ name, aliases }]
+// GEOCODING_PROVIDER picks a registered provider; the local gazetteer is the default.
+class GeocodingService {
+  constructor() {
+    this.providers = new Map();
+    this.registerProvider(new LocalGazetteerProvider());
+  }
+
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider() {
+    const name = process.env.GEOCODING_PROVIDER || 'local';
+    const provider = this.providers.get(name);
+    if (!provider) {
+      logger.warn(`Geocoding provider '${name}' is not registered, using the local gazetteer`);
+      return this.providers.get('local');
+    }
+    return provider;
+  }
+
+  // Place suggestions for a partial name, optionally within a state or near a point
+  async autocomplete(query, { limit = 5, state, latitude, longitude } = {}) {
+    const count = Math.min(Math.max(parseInt(limit) || 5, 1), MAX_SUGGESTIONS);
+    const near = latitude !== undefined && longitude !== undefined
+      ? validateCoordinates(latitude, longitude)
+      : null;
+
+    return this.getProvider().search(query, {
+      limit: count,
+      state,
+      near: near?.valid ? near : undefined
+    });
+  }
+
+  async reverseGeocode(latitude, longitude) {
+    return this.getProvider().reverse(latitude, longitude);
+  }
+
+  // The state in a list of states whose name or alias is `text`, ignoring a trailing "State"
+  findState(states, text) {
+    const wanted = normalize(text).replace(/ state$/, '');
+    return states.find(state => [state.name, ...state.aliases].some(name => normalize(name) === wanted))?.name || null;
+  }
+
+  // The state an address claims: its last comma-separated part (before a
+  // trailing "Nigeria"), when that part names a state, as in "2 Allen Avenue,
+  // Ikeja, Lagos". States elsewhere in the address are often street names
+  // ("5 Benue Crescent, Ikoyi"), so they are not a claim.
+  async findStateInAddress(address) {
+    const parts = String(address || '').split(',').map(part => part.trim()).filter(Boolean);
+    if (parts.length > 1 && normalize(parts[parts.length - 1]) === 'nigeria') {
+      parts.pop();
+    }
+    if (parts.length < 2) {
+      return null;
+    }
+
+    return this.findState(await this.getProvider().states(), parts[parts.length - 1]);
+  }
+
+  // States named anywhere in an address, street names included
+  async findStatesMentioned(address) {
+    const text = ` ${normalize(address)} `;
+
+    return (await this.getProvider().states())
+      .filter(state => [state.name, ...state.aliases].some(name => text.includes(` ${normalize(name)} `)))
+      .map(state => state.name);
+  }
+
+  // Check an address against its coordinates. The location is what the coordinates
+  // resolve to (null outside the dataset). An address is rejected only when the given
+  // state, or the state it ends with, is not at or near the coordinates. Other states
+  // it mentions far from the coordinates are only logged.
+  async verifyAddress({ address, state, latitude, longitude }) {
+    const location = await this.reverseGeocode(latitude, longitude);
+    if (!location) {
+      return { valid: true, location: null };
+    }
+
+    const givenState = state ? this.findState(await this.getProvider().states(), state) : null;
+    const claimedState = givenState || await this.findStateInAddress(address);
+
+    if (claimedState && !location.nearbyStates.includes(claimedState)) {
+      return {
+        valid: false,
+        location,
+        message: `The address is in ${claimedState} but the coordinates are in ${location.state}`
+      };
+    }
+
+    if (!claimedState) {
+      const distantStates = (await this.findStatesMentioned(address))
+        .filter(name => !location.nearbyStates.includes(name));
+      if (distantStates.length) {
+        logger.warn(`Address mentions ${distantStates.join(', ')} but its coordinates are in ${location.state}; accepting it`);
+      }
+    }
+
+    return { valid: true, location };
+  }
+
+  // Check a user's address against their coordinates and fill in a missing
+  // city and state from the coordinates. Without coordinates nothing is checked.
+  async resolveUserLocation({ address, city, state, latitude, longitude }) {
+    if (latitude == null || longitude == null || latitude === '' || longitude === '') {
+      return { valid: true, values: {} };
+    }
+
+    const coordinates = validateCoordinates(latitude, longitude);
+    if (!coordinates.valid) {
+      return coordinates;
+    }
+
+    const verification = await this.verifyAddress({ address, state, ...coordinates });
+    if (!verification.valid) {
+      return verification;
+    }
+
+    return {
+      valid: true,
+      values: {
+        city: city || verification.location?.city || null,
+        state: state || verification.location?.state || null
+      }
+    };
+  }
+}
+
+export default new GeocodingService();
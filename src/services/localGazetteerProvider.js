@@ -0,0 +1,149 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { calculateDistance } from '../utils/geoUtils.js';
+
+const DEFAULT_GAZETTEER_PATH = fileURLToPath(new URL('../data/nigeria-gazetteer.json', import.meta.url));
+
+// Reverse geocoding ignores places farther than this from the point
+const MAX_REVERSE_DISTANCE_KM = 150;
+
+// A point this close to a place in another state may be on the state border
+const STATE_BORDER_KM = 30;
+
+// Places searched for an LGA around a point
+const MAX_LGA_DISTANCE_KM = 25;
+
+const PLACE_TYPES = ['state', 'lga', 'town', 'landmark'];
+
+// Autocomplete ranks better matches first, then these types
+const TYPE_RANK = { state: 0, lga: 1, town: 2, landmark: 3 };
+
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function toResult(place, distanceKm) {
+  return {
+    name: place.name,
+    type: place.type,
+    lga: place.lga || (place.type === 'lga' ? place.name : null),
+    state: place.state,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    label: place.type === 'state' ? place.name : `${place.name}, ${place.state}`,
+    ...(distanceKm !== undefined && { distanceKm: Math.round(distanceKm * 100) / 100 })
+  };
+}
+
+// Geocoding provider backed by a JSON gazetteer of states, LGAs, towns and landmarks:
+// { "places": [{ "name", "type", "state", "lga"?, "latitude", "longitude", "aliases"? }] }.
+// Set GAZETTEER_PATH to load a different dataset.
+export default class LocalGazetteerProvider {
+  constructor({ path = process.env.GAZETTEER_PATH || DEFAULT_GAZETTEER_PATH } = {}) {
+    this.name = 'local';
+    this.path = path;
+    this.places = null;
+  }
+
+  // Replace the dataset, e.g. with a fuller export
+  load(places) {
+    const invalid = places.find(place =>
+      !place.name || !PLACE_TYPES.includes(place.type) || !place.state ||
+      typeof place.latitude !== 'number' || typeof place.longitude !== 'number'
+    );
+    if (invalid) {
+      throw new Error(`Invalid gazetteer place: ${JSON.stringify(invalid)}`);
+    }
+
+    this.places = places.map(place => ({
+      ...place,
+      searchNames: [place.name, ...(place.aliases || [])].map(normalize)
+    }));
+  }
+
+  getPlaces() {
+    if (!this.places) {
+      this.load(JSON.parse(fs.readFileSync(this.path, 'utf8')).places);
+    }
+    return this.places;
+  }
+
+  async states() {
+    return this.getPlaces()
+      .filter(place => place.type === 'state')
+      .map(place => ({ name: place.name, aliases: place.aliases || [] }));
+  }
+
+  // Places whose name or alias matches the query: whole name, then name prefix,
+  // then word prefix. Ties go to the closest place when `near` is given.
+  async search(query, { limit = 5, state, types, near } = {}) {
+    const text = normalize(query);
+    if (!text) {
+      return [];
+    }
+
+    const stateFilter = state ? normalize(state) : null;
+    const matchRank = place => {
+      let best = null;
+      for (const name of place.searchNames) {
+        const rank = name === text ? 0
+          : name.startsWith(text) ? 1
+            : ` ${name}`.includes(` ${text}`) ? 2
+              : null;
+        if (rank !== null && (best === null || rank < best)) best = rank;
+      }
+      return best;
+    };
+
+    return this.getPlaces()
+      .filter(place => !types || types.includes(place.type))
+      .filter(place => !stateFilter || normalize(place.state) === stateFilter)
+      .map(place => ({
+        place,
+        rank: matchRank(place),
+        distance: near ? calculateDistance(near.latitude, near.longitude, place.latitude, place.longitude) : 0
+      }))
+      .filter(match => match.rank !== null)
+      .sort((a, b) =>
+        a.rank - b.rank ||
+        TYPE_RANK[a.place.type] - TYPE_RANK[b.place.type] ||
+        a.distance - b.distance ||
+        a.place.name.localeCompare(b.place.name)
+      )
+      .slice(0, limit)
+      .map(match => toResult(match.place, near ? match.distance : undefined));
+  }
+
+  // The state, LGA and city of a point from the nearest places. `nearbyStates`
+  // lists every state with a place close enough that the point may be in it.
+  async reverse(latitude, longitude) {
+    const byDistance = this.getPlaces()
+      .map(place => ({ place, distance: calculateDistance(latitude, longitude, place.latitude, place.longitude) }))
+      .filter(match => match.distance <= MAX_REVERSE_DISTANCE_KM)
+      .sort((a, b) => a.distance - b.distance);
+
+    if (!byDistance.length) {
+      return null;
+    }
+
+    // Nearest named place; state centroids only when nothing finer is in range
+    const nearest = byDistance.find(match => match.place.type !== 'state') || byDistance[0];
+    const { state } = nearest.place;
+    const inState = byDistance.filter(match => match.place.state === state);
+    const lga = nearest.place.lga
+      ? { place: { name: nearest.place.lga } }
+      : inState.find(match => match.place.type === 'lga' && match.distance <= MAX_LGA_DISTANCE_KM);
+    const city = inState.find(match => ['town', 'lga'].includes(match.place.type));
+
+    return {
+      state,
+      lga: lga ? lga.place.name : null,
+      city: city ? city.place.name : null,
+      place: toResult(nearest.place, nearest.distance),
+      nearbyStates: [...new Set([
+        state,
+        ...byDistance.filter(match => match.distance <= STATE_BORDER_KM).map(match => match.place.state)
+      ])]
+    };
+  }
+}
@@ -1,8 +1,9 @@
 import db from '../database/connection.js';
-import { notifications } from '../database/schema.js';
-import { eq } from 'drizzle-orm';
+import { notifications, users } from '../database/schema.js';
+import { eq, and } from 'drizzle-orm';
 import emailService from './emailService.js';
 import smsService from './smsService.js';
+import realtimeService from './realtimeService.js';
 import logger from '../utils/logger.js';
 
 class NotificationService {
@@ -19,6 +20,8 @@ class NotificationService {
         })
         .returning();
 
+      realtimeService.notificationCreated(notification[0]);
+
       return notification[0];
     } catch (error) {
       logger.error('Failed to create notification:', error);
@@ -26,6 +29,21 @@ class NotificationService {
     }
   }
 
+  // In-app notification to every active admin
+  async notifyAdmins(title, message, data = null) {
+    const admins = await db
+      .select({ id: users.id })
+      .from(users)
+      .where(and(
+        eq(users.role, 'admin'),
+        eq(users.status, 'active')
+      ));
+
+    for (const admin of admins) {
+      await this.createNotification(admin.id, 'system_update', title, message, data);
+    }
+  }
+
   async sendPickupRequestNotification(user, pickupRequest) {
     // Create in-app notification
     await this.createNotification(
@@ -0,0 +1,185 @@
+import db from '../database/connection.js';
+import { pickupRequests, pickupItems, transactions } from '../database/schema.js';
+import { insertWhere } from '../database/queryHelpers.js';
+import { eq, and } from 'drizzle-orm';
+import pickupLifecycleService from './pickupLifecycleService.js';
+import pointsService from './pointsService.js';
+import pricingService from './pricingService.js';
+import pickupItemService from './pickupItemService.js';
+import realtimeService from './realtimeService.js';
+import achievementService from './achievementService.js';
+import logger from '../utils/logger.js';
+import { v4 as uuidv4 } from 'uuid';
+
+const UNIQUE_VIOLATION = '23505';
+
+function isUniqueViolation(error) {
+  return error?.code === UNIQUE_VIOLATION || error?.cause?.code === UNIQUE_VIOLATION;
+}
+
+class PickupCompletionService {
+  async getPickup(id) {
+    const pickup = await db
+      .select()
+      .from(pickupRequests)
+      .where(eq(pickupRequests.id, id))
+      .limit(1);
+
+    return pickup[0] || null;
+  }
+
+  // The result of an earlier completion, returned instead of crediting again.
+  // Only an actor who could have completed the pickup gets it, and a request
+  // with a different idempotency key is a conflict rather than a retry.
+  replay(pickup, actor, idempotencyKey) {
+    const validation = pickupLifecycleService.validateTransition({ ...pickup, status: 'in_progress' }, 'completed', actor);
+    if (!validation.valid) {
+      return { success: false, statusCode: validation.statusCode, message: validation.message };
+    }
+
+    if (idempotencyKey && pickup.completionKey !== idempotencyKey) {
+      return {
+        success: false,
+        statusCode: 409,
+        message: 'Pickup request was already completed by a request with a different idempotency key'
+      };
+    }
+
+    return { success: true, replayed: true, pickup };
+  }
+
+  // Complete a pickup and credit the requester's points as one atomic batch.
+  // Completing an already completed pickup returns the original result (see replay).
+  // `options.conditions` and `options.additionalStatements(appliedCondition)`
+  // are passed through to the transition, as in pickupLifecycleService.transition.
+  async completePickup(pickup, actor, options = {}) {
+    const idempotencyKey = options.idempotencyKey || null;
+
+    if (pickup.status === 'completed') {
+      return this.replay(pickup, actor, idempotencyKey);
+    }
+
+    const validation = pickupLifecycleService.validateTransition(pickup, 'completed', actor);
+    if (!validation.valid) {
+      return { success: false, statusCode: validation.statusCode, message: validation.message };
+    }
+
+    const completionKey = idempotencyKey || uuidv4();
+
+    // Pickups created before line items existed are priced as a single item
+    const storedItems = await pickupItemService.getItems(pickup.id);
+    const items = storedItems.length ? storedItems : [{ ...pickup, id: null }];
+
+    const weighing = pickupItemService.allocateWeights(items, {
+      actualWeight: options.actualWeight,
+      weighedItems: options.items
+    });
+    if (!weighing.valid) {
+      return { success: false, statusCode: weighing.statusCode, message: weighing.message };
+    }
+
+    // Each item is priced at the rate in effect when the pickup was created
+    const pricedItems = await Promise.all(items.map(async item => {
+      const actualWeight = weighing.weights.get(item.id) ?? null;
+      const price = await pricingService.priceItem(item, pickup.createdAt, actualWeight);
+      return { item, actualWeight, ...price };
+    }));
+
+    const pointsEarned = pricedItems.reduce((sum, priced) => sum + priced.pointsEarned, 0);
+    const cashValue = pricedItems.reduce((sum, priced) => sum + parseFloat(priced.cashValue), 0).toFixed(2);
+    const weighedItems = pricedItems.filter(priced => priced.actualWeight !== null);
+    const materials = pickupItemService.describe(items);
+
+    const updates = {
+      ...(options.updates || {}),
+      ...(pricedItems.length === 1 ? pricingService.rateFields(pricedItems[0].rate) : {}),
+      pointsEarned,
+      cashValue,
+      completionKey
+    };
+    if (options.actualWeight) {
+      updates.actualWeight = options.actualWeight;
+    } else if (weighedItems.length) {
+      updates.actualWeight = weighedItems.reduce((sum, priced) => sum + priced.actualWeight, 0).toFixed(2);
+    }
+
+    const { statements, appliedCondition } = pickupLifecycleService.buildTransition(pickup, 'completed', actor, {
+      updates,
+      reason: options.reason,
+      latitude: options.latitude,
+      longitude: options.longitude,
+      conditions: options.conditions,
+      metadata: { completionKey, ...(options.metadata || {}) }
+    });
+    const additionalStatements = options.additionalStatements ? options.additionalStatements(appliedCondition) : [];
+
+    const itemStatements = pricedItems
+      .filter(priced => priced.item.id)
+      .map(priced => db
+        .update(pickupItems)
+        .set({
+          ...(priced.actualWeight !== null ? { actualWeight: priced.actualWeight.toFixed(2) } : {}),
+          ...pricingService.rateFields(priced.rate),
+          pointsEarned: priced.pointsEarned,
+          cashValue: priced.cashValue,
+          updatedAt: new Date()
+        })
+        .where(and(eq(pickupItems.id, priced.item.id), appliedCondition)));
+
+    try {
+      const [updatedPickup] = await db.batch([
+        ...statements,
+        ...itemStatements,
+        insertWhere(
+          transactions,
+          {
+            userId: pickup.requesterId,
+            pickupRequestId: pickup.id,
+            type: 'pickup_payment',
+            amount: '0.00',
+            points: pointsEarned,
+            status: 'completed',
+            description: `Points earned for ${materials} pickup`,
+            metadata: { completionKey, cashValue }
+          },
+          appliedCondition
+        ),
+        ...pointsService.buildStatements(
+          pointsService.earnEntry(pickup.requesterId, pointsEarned, {
+            pickupRequestId: pickup.id,
+            idempotencyKey: `pickup:${pickup.id}:earn`,
+            description: `Points earned for ${materials} pickup`,
+            metadata: { completionKey }
+          }),
+          appliedCondition
+        ),
+        ...additionalStatements
+      ]);
+
+      if (updatedPickup.length) {
+        realtimeService.pickupStatusChanged(updatedPickup[0], pickup.status);
+        await achievementService.evaluatePickup(updatedPickup[0]);
+        return { success: true, replayed: false, pickup: updatedPickup[0] };
+      }
+    } catch (error) {
+      if (!isUniqueViolation(error)) {
+        throw error;
+      }
+      logger.warn(`Duplicate completion for pickup ${pickup.id} rejected by the database`);
+    }
+
+    // Another request changed the pickup first; return its result if it completed it
+    const currentPickup = await this.getPickup(pickup.id);
+    if (currentPickup?.status === 'completed') {
+      return this.replay(currentPickup, actor, idempotencyKey);
+    }
+
+    return {
+      success: false,
+      statusCode: 409,
+      message: 'Pickup request was updated by someone else, please refresh and try again'
+    };
+  }
+}
+
+export default new PickupCompletionService();
@@ -0,0 +1,156 @@
+import db from '../database/connection.js';
+import { pickupItems, wasteTypeEnum } from '../database/schema.js';
+import { eq, asc, inArray } from 'drizzle-orm';
+
+export const MAX_PICKUP_ITEMS = 20;
+
+function toWeight(value) {
+  const weight = parseFloat(value);
+  return isNaN(weight) ? null : weight;
+}
+
+class PickupItemService {
+  // Line items from a request body. Older clients send a single wasteType/estimatedWeight.
+  normalizeItems(body) {
+    if (Array.isArray(body.items) && body.items.length > 0) {
+      return body.items.map(item => ({
+        wasteType: item.wasteType,
+        estimatedWeight: toWeight(item.estimatedWeight),
+        description: item.description || null
+      }));
+    }
+
+    if (body.wasteType) {
+      return [{
+        wasteType: body.wasteType,
+        estimatedWeight: toWeight(body.estimatedWeight),
+        description: null
+      }];
+    }
+
+    return [];
+  }
+
+  validateItems(items) {
+    if (!items.length) {
+      return { valid: false, statusCode: 400, message: 'At least one waste item is required' };
+    }
+
+    if (items.length > MAX_PICKUP_ITEMS) {
+      return { valid: false, statusCode: 400, message: `A pickup can have at most ${MAX_PICKUP_ITEMS} items` };
+    }
+
+    for (const item of items) {
+      if (!wasteTypeEnum.enumValues.includes(item.wasteType)) {
+        return { valid: false, statusCode: 400, message: `Invalid waste type: ${item.wasteType}` };
+      }
+
+      if (item.estimatedWeight !== null && item.estimatedWeight <= 0) {
+        return { valid: false, statusCode: 400, message: 'Weight must be greater than 0' };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  // Pickup-level wasteType and estimatedWeight summarising the items
+  summarize(items) {
+    const wasteTypes = [...new Set(items.map(item => item.wasteType))];
+    const estimates = items.filter(item => item.estimatedWeight !== null);
+
+    return {
+      wasteType: wasteTypes.length === 1 ? wasteTypes[0] : 'mixed',
+      estimatedWeight: estimates.length
+        ? estimates.reduce((sum, item) => sum + item.estimatedWeight, 0).toFixed(2)
+        : null
+    };
+  }
+
+  describe(items) {
+    return [...new Set(items.map(item => item.wasteType))].join(', ');
+  }
+
+  async getItems(pickupRequestId) {
+    return db
+      .select()
+      .from(pickupItems)
+      .where(eq(pickupItems.pickupRequestId, pickupRequestId))
+      .orderBy(asc(pickupItems.createdAt), asc(pickupItems.id));
+  }
+
+  // Items for several pickups, keyed by pickup ID
+  async getItemsByPickup(pickupRequestIds) {
+    const itemsByPickup = new Map(pickupRequestIds.map(id => [id, []]));
+    if (!pickupRequestIds.length) {
+      return itemsByPickup;
+    }
+
+    const items = await db
+      .select()
+      .from(pickupItems)
+      .where(inArray(pickupItems.pickupRequestId, pickupRequestIds))
+      .orderBy(asc(pickupItems.createdAt), asc(pickupItems.id));
+
+    for (const item of items) {
+      itemsByPickup.get(item.pickupRequestId)?.push(item);
+    }
+
+    return itemsByPickup;
+  }
+
+  // Work out the weighed weight of each item on completion. Weighed items are
+  // matched by id, or by wasteType when only one item has that type. A single
+  // total actualWeight is split across the items in proportion to their estimates.
+  allocateWeights(items, { actualWeight, weighedItems } = {}) {
+    const weights = new Map();
+
+    if (Array.isArray(weighedItems) && weighedItems.length > 0) {
+      for (const weighed of weighedItems) {
+        const matches = weighed.id
+          ? items.filter(item => item.id === weighed.id)
+          : items.filter(item => item.wasteType === weighed.wasteType);
+
+        if (matches.length !== 1) {
+          return {
+            valid: false,
+            statusCode: 400,
+            message: weighed.id
+              ? `Item ${weighed.id} is not part of this pickup`
+              : `Cannot match weighed ${weighed.wasteType} to a single item, send item ids instead`
+          };
+        }
+
+        const weight = toWeight(weighed.actualWeight);
+        if (weight === null || weight <= 0) {
+          return { valid: false, statusCode: 400, message: 'Weight must be greater than 0' };
+        }
+
+        weights.set(matches[0].id, weight);
+      }
+
+      return { valid: true, weights };
+    }
+
+    const totalWeight = toWeight(actualWeight);
+    if (totalWeight === null) {
+      return { valid: true, weights };
+    }
+
+    if (items.length === 1) {
+      weights.set(items[0].id, totalWeight);
+      return { valid: true, weights };
+    }
+
+    const estimates = items.map(item => toWeight(item.estimatedWeight) || 0);
+    const totalEstimate = estimates.reduce((sum, estimate) => sum + estimate, 0);
+
+    items.forEach((item, index) => {
+      const share = totalEstimate > 0 ? estimates[index] / totalEstimate : 1 / items.length;
+      weights.set(item.id, parseFloat((totalWeight * share).toFixed(2)));
+    });
+
+    return { valid: true, weights };
+  }
+}
+
+export default new PickupItemService();
@@ -0,0 +1,207 @@
+import db from '../database/connection.js';
+import { pickupRequests, pickupStatusHistory, users } from '../database/schema.js';
+import { insertWhere } from '../database/queryHelpers.js';
+import { eq, and, asc, sql } from 'drizzle-orm';
+import realtimeService from './realtimeService.js';
+import timeSlotService from './timeSlotService.js';
+import logger from '../utils/logger.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Allowed status transitions for pickup requests and the roles that may make them.
+// The 'system' role is used by background jobs acting without a user.
+export const PICKUP_TRANSITIONS = {
+  pending: {
+    accepted: ['waste_picker'],
+    cancelled: ['household', 'admin', 'system']
+  },
+  accepted: {
+    in_progress: ['waste_picker'],
+    cancelled: ['household', 'waste_picker', 'admin', 'system']
+  },
+  in_progress: {
+    // Households complete a pickup by confirming its proof of collection in the app
+    completed: ['waste_picker', 'household', 'admin'],
+    cancelled: ['admin', 'system']
+  },
+  completed: {},
+  cancelled: {}
+};
+
+export const SYSTEM_ACTOR = { id: null, role: 'system' };
+
+class PickupLifecycleService {
+  canTransition(fromStatus, toStatus, role) {
+    const allowedRoles = PICKUP_TRANSITIONS[fromStatus]?.[toStatus];
+    return Array.isArray(allowedRoles) && allowedRoles.includes(role);
+  }
+
+  getAllowedTransitions(fromStatus, role) {
+    const transitions = PICKUP_TRANSITIONS[fromStatus] || {};
+    return Object.keys(transitions).filter(toStatus => transitions[toStatus].includes(role));
+  }
+
+  // Check that the actor may move the pickup to the given status
+  validateTransition(pickup, toStatus, actor) {
+    const fromStatus = pickup.status;
+
+    if (!PICKUP_TRANSITIONS[fromStatus]?.[toStatus]) {
+      return {
+        valid: false,
+        statusCode: 409,
+        message: `Cannot change pickup status from ${fromStatus} to ${toStatus}`
+      };
+    }
+
+    if (!this.canTransition(fromStatus, toStatus, actor.role)) {
+      return {
+        valid: false,
+        statusCode: 403,
+        message: `Role ${actor.role} cannot change pickup status from ${fromStatus} to ${toStatus}`
+      };
+    }
+
+    // Users must be a party to the pickup, except a picker accepting an open request
+    if (actor.role === 'household' && pickup.requesterId !== actor.id) {
+      return { valid: false, statusCode: 403, message: 'Access denied' };
+    }
+
+    if (actor.role === 'waste_picker' && fromStatus !== 'pending' && pickup.wastePickerId !== actor.id) {
+      return { valid: false, statusCode: 403, message: 'Access denied' };
+    }
+
+    return { valid: true };
+  }
+
+  buildHistoryEntry(pickupRequestId, fromStatus, toStatus, actor, options = {}) {
+    return {
+      pickupRequestId,
+      fromStatus,
+      toStatus,
+      actorId: actor.id || null,
+      actorRole: actor.role,
+      reason: options.reason || null,
+      latitude: options.latitude != null ? String(options.latitude) : null,
+      longitude: options.longitude != null ? String(options.longitude) : null,
+      metadata: options.metadata || {}
+    };
+  }
+
+  // Statements that move a pickup to a new status and record the transition.
+  // The update only applies while the pickup is still in the status it was read in
+  // (and `options.conditions` hold), and the history row is only written if this update is the one that applied.
+  // Callers may append further statements to the same batch, guarded by
+  // `appliedCondition`, so they commit or skip together with the transition.
+  buildTransition(pickup, toStatus, actor, options = {}) {
+    const now = new Date();
+    const statusChangeId = uuidv4();
+    const updateData = {
+      ...(options.updates || {}),
+      status: toStatus,
+      lastStatusChangeId: statusChangeId,
+      updatedAt: now
+    };
+
+    if (toStatus === 'completed' && !updateData.completedAt) {
+      updateData.completedAt = now;
+    }
+
+    if (toStatus === 'cancelled') {
+      updateData.cancelledAt = now;
+      updateData.cancellationReason = options.reason || null;
+    }
+
+    const appliedCondition = sql`exists (select 1 from ${pickupRequests} where ${pickupRequests.id} = ${pickup.id} and ${pickupRequests.lastStatusChangeId} = ${statusChangeId})`;
+
+    // A cancelled pickup frees its booked time slot
+    const releaseSlot = toStatus === 'cancelled' && pickup.timeSlotId
+      ? [timeSlotService.buildRelease(pickup, appliedCondition)]
+      : [];
+
+    return {
+      statusChangeId,
+      appliedCondition,
+      statements: [
+        db
+          .update(pickupRequests)
+          .set(updateData)
+          .where(and(
+            eq(pickupRequests.id, pickup.id),
+            eq(pickupRequests.status, pickup.status),
+            ...(options.conditions || [])
+          ))
+          .returning(),
+        insertWhere(
+          pickupStatusHistory,
+          {
+            id: statusChangeId,
+            ...this.buildHistoryEntry(pickup.id, pickup.status, toStatus, actor, options)
+          },
+          appliedCondition
+        ),
+        ...releaseSlot
+      ]
+    };
+  }
+
+  // Validate and apply a status transition atomically.
+  // `options.additionalStatements(appliedCondition)` may return statements to
+  // commit in the same batch, guarded by the transition having applied.
+  async transition(pickup, toStatus, actor, options = {}) {
+    const validation = this.validateTransition(pickup, toStatus, actor);
+    if (!validation.valid) {
+      return { success: false, statusCode: validation.statusCode, message: validation.message };
+    }
+
+    const { statements, appliedCondition } = this.buildTransition(pickup, toStatus, actor, options);
+    const additionalStatements = options.additionalStatements ? options.additionalStatements(appliedCondition) : [];
+    const [updatedPickup] = await db.batch([...statements, ...additionalStatements]);
+
+    if (!updatedPickup.length) {
+      logger.warn(`Pickup ${pickup.id} changed before transition to ${toStatus} could be applied`);
+      return {
+        success: false,
+        statusCode: 409,
+        message: 'Pickup request was updated by someone else, please refresh and try again'
+      };
+    }
+
+    realtimeService.pickupStatusChanged(updatedPickup[0], pickup.status);
+
+    return { success: true, pickup: updatedPickup[0] };
+  }
+
+  async recordTransition(pickupRequestId, fromStatus, toStatus, actor, options = {}) {
+    const entry = await db
+      .insert(pickupStatusHistory)
+      .values(this.buildHistoryEntry(pickupRequestId, fromStatus, toStatus, actor, options))
+      .returning();
+
+    return entry[0];
+  }
+
+  async getHistory(pickupRequestId) {
+    return db
+      .select({
+        id: pickupStatusHistory.id,
+        fromStatus: pickupStatusHistory.fromStatus,
+        toStatus: pickupStatusHistory.toStatus,
+        reason: pickupStatusHistory.reason,
+        latitude: pickupStatusHistory.latitude,
+        longitude: pickupStatusHistory.longitude,
+        metadata: pickupStatusHistory.metadata,
+        createdAt: pickupStatusHistory.createdAt,
+        actor: {
+          id: pickupStatusHistory.actorId,
+          role: pickupStatusHistory.actorRole,
+          firstName: users.firstName,
+          lastName: users.lastName
+        }
+      })
+      .from(pickupStatusHistory)
+      .leftJoin(users, eq(pickupStatusHistory.actorId, users.id))
+      .where(eq(pickupStatusHistory.pickupRequestId, pickupRequestId))
+      .orderBy(asc(pickupStatusHistory.createdAt));
+  }
+}
+
+export default new PickupLifecycleService();
@@ -0,0 +1,162 @@
+import db from '../database/connection.js';
+import { pickupRequests, pickupItems, pickupStatusHistory } from '../database/schema.js';
+import pickupLifecycleService from './pickupLifecycleService.js';
+import pricingService from './pricingService.js';
+import pickupItemService from './pickupItemService.js';
+import notificationService from './notificationService.js';
+import dispatchService from './dispatchService.js';
+import serviceZoneService from './serviceZoneService.js';
+import geocodingService from './geocodingService.js';
+import timeSlotService from './timeSlotService.js';
+import { insertWhere } from '../database/queryHelpers.js';
+import { validateCoordinates } from '../utils/geoUtils.js';
+import logger from '../utils/logger.js';
+import { v4 as uuidv4 } from 'uuid';
+
+class PickupRequestService {
+  // Create a pending pickup request for a requester together with its items and
+  // first status history entry. `data` has the shape of a POST /api/pickups body.
+  async createPickup(requesterId, data, actor, options = {}) {
+    const {
+      description,
+      images,
+      pickupAddress,
+      pickupLatitude,
+      pickupLongitude,
+      preferredDate,
+      preferredTimeSlot,
+      timeSlotId
+    } = data;
+
+    // A pickup holds one or more line items; a single wasteType/estimatedWeight is one item
+    const items = pickupItemService.normalizeItems(data);
+    const itemValidation = pickupItemService.validateItems(items);
+    if (!itemValidation.valid) {
+      return { success: false, statusCode: itemValidation.statusCode, message: itemValidation.message };
+    }
+
+    const coordinates = validateCoordinates(pickupLatitude, pickupLongitude);
+    if (!coordinates.valid) {
+      return { success: false, statusCode: 400, message: coordinates.message };
+    }
+
+    // The address must not name a state the coordinates are nowhere near
+    const address = await geocodingService.verifyAddress({
+      address: pickupAddress,
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude
+    });
+    if (!address.valid) {
+      return { success: false, statusCode: 400, message: address.message };
+    }
+
+    const { wasteType, estimatedWeight } = pickupItemService.summarize(items);
+    const wasteTypes = [...new Set(items.map(item => item.wasteType))];
+
+    // The service zone decides whether the location and waste types are served
+    const zoneResult = await serviceZoneService.resolvePickupZone(coordinates.latitude, coordinates.longitude, wasteTypes);
+    if (!zoneResult.success) {
+      return zoneResult;
+    }
+    const zone = zoneResult.zone;
+    const pricingMultiplier = zone ? parseFloat(zone.pricingMultiplier) : 1;
+
+    // Lock in the rates in effect now, scaled for the zone; completion is priced at these rates
+    const rates = new Map();
+    for (const itemType of wasteTypes) {
+      const rate = await pricingService.getRateInEffect(itemType);
+      if (rate && !rate.isActive) {
+        return { success: false, statusCode: 400, message: `${itemType} pickups are not currently accepted` };
+      }
+      rates.set(itemType, pricingService.applyMultiplier(rate, pricingMultiplier));
+    }
+
+    // Where the zone has bookable time slots, households must book one; recurring
+    // schedules only book a slot when one is given
+    const slotResult = await timeSlotService.resolvePickupSlot(zone?.id, { timeSlotId, preferredDate }, {
+      required: !options.scheduleId
+    });
+    if (!slotResult.success) {
+      return slotResult;
+    }
+    const booking = slotResult.booking;
+
+    const pickupId = uuidv4();
+    const statusChangeId = uuidv4();
+
+    // A booked pickup is only written if its hold on the slot applied
+    let hold = null;
+    if (booking) {
+      await timeSlotService.ensureBookingRow(booking);
+      hold = timeSlotService.buildHold(booking, pickupId);
+    }
+    const insertRow = (table, values) => hold
+      ? insertWhere(table, values, hold.appliedCondition)
+      : db.insert(table).values(values);
+
+    const results = await db.batch([
+      ...(hold ? [hold.statement] : []),
+      insertRow(pickupRequests, {
+        id: pickupId,
+        requesterId,
+        wasteType,
+        estimatedWeight,
+        description,
+        images,
+        pickupAddress,
+        pickupLatitude: coordinates.latitude,
+        pickupLongitude: coordinates.longitude,
+        pickupCity: address.location?.city || null,
+        pickupState: address.location?.state || null,
+        preferredDate: preferredDate ? new Date(preferredDate) : null,
+        preferredTimeSlot,
+        ...(booking ? timeSlotService.bookingFields(booking) : {}),
+        ...(rates.size === 1 ? pricingService.rateFields(rates.get(wasteType)) : {}),
+        serviceZoneId: zone?.id || null,
+        pricingMultiplier: zone ? zone.pricingMultiplier : null,
+        scheduleId: options.scheduleId || null,
+        scheduledFor: options.scheduledFor || null,
+        status: 'pending',
+        lastStatusChangeId: statusChangeId
+      }).returning(),
+      ...items.map(item =>
+        insertRow(pickupItems, {
+          pickupRequestId: pickupId,
+          wasteType: item.wasteType,
+          estimatedWeight: item.estimatedWeight !== null ? item.estimatedWeight.toFixed(2) : null,
+          description: item.description,
+          ...pricingService.rateFields(rates.get(item.wasteType))
+        }).returning()
+      ),
+      insertRow(pickupStatusHistory, {
+        id: statusChangeId,
+        ...pickupLifecycleService.buildHistoryEntry(pickupId, null, 'pending', actor, {
+          latitude: pickupLatitude,
+          longitude: pickupLongitude,
+          metadata: options.scheduleId ? { scheduleId: options.scheduleId, scheduledFor: options.scheduledFor } : {}
+        })
+      })
+    ]);
+
+    const [newPickup, ...newItems] = results.slice(hold ? 1 : 0, -1);
+    if (!newPickup.length) {
+      return { success: false, statusCode: 409, message: 'This time slot is full, please choose another' };
+    }
+
+    return { success: true, pickup: { ...newPickup[0], items: newItems.flat() } };
+  }
+
+  // Tell the requester about a new pickup and start offering it to waste pickers
+  async notifyNewPickup(requester, pickup) {
+    await notificationService.sendPickupRequestNotification(requester, pickup);
+
+    // The pickup is already saved; the dispatch job retries pickups that were never offered
+    try {
+      await dispatchService.dispatch(pickup);
+    } catch (error) {
+      logger.error(`Dispatch failed for pickup ${pickup.id}:`, error);
+    }
+  }
+}
+
+export default new PickupRequestService();
@@ -0,0 +1,256 @@
+import db from '../database/connection.js';
+import { pickupSchedules, pickupRequests, users } from '../database/schema.js';
+import { eq, and, lte, gte, inArray } from 'drizzle-orm';
+import pickupRequestService from './pickupRequestService.js';
+import pickupLifecycleService, { SYSTEM_ACTOR } from './pickupLifecycleService.js';
+import pickupItemService from './pickupItemService.js';
+import subscriptionService, { PLAN_FEATURES } from './subscriptionService.js';
+import { validateCoordinates } from '../utils/geoUtils.js';
+import { formatDate, parseDate, addDays, today, isOccurrence, getOccurrences, getNextOccurrence } from '../utils/scheduleUtils.js';
+import logger from '../utils/logger.js';
+
+// How far ahead schedules are turned into pickup requests
+export const SCHEDULE_LOOKAHEAD_DAYS = 7;
+
+const FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+
+// Materialized pickups that can still be called off when a schedule changes
+const UPCOMING_PICKUP_STATUSES = ['pending', 'accepted'];
+
+class PickupScheduleService {
+  hasScheduleFeature(userId) {
+    return subscriptionService.hasFeature(userId, PLAN_FEATURES.CUSTOM_PICKUP_SCHEDULES);
+  }
+
+  // Validate schedule fields, merged over an existing schedule when editing.
+  // Returns the column values to store.
+  validateSchedule(data, existing = {}) {
+    const merged = { ...existing, ...data };
+    const frequency = merged.frequency;
+
+    if (!FREQUENCIES.includes(frequency)) {
+      return { valid: false, statusCode: 400, message: `Frequency must be one of: ${FREQUENCIES.join(', ')}` };
+    }
+
+    const dayOfWeek = frequency === 'monthly' ? null : parseInt(merged.dayOfWeek);
+    const dayOfMonth = frequency === 'monthly' ? parseInt(merged.dayOfMonth) : null;
+
+    if (frequency !== 'monthly' && !(dayOfWeek >= 0 && dayOfWeek <= 6)) {
+      return { valid: false, statusCode: 400, message: 'dayOfWeek must be between 0 (Sunday) and 6 (Saturday)' };
+    }
+
+    if (frequency === 'monthly' && !(dayOfMonth >= 1 && dayOfMonth <= 28)) {
+      return { valid: false, statusCode: 400, message: 'dayOfMonth must be between 1 and 28' };
+    }
+
+    const items = (data.items || data.wasteType)
+      ? pickupItemService.normalizeItems(data)
+      : existing.items || [];
+    const itemValidation = pickupItemService.validateItems(items);
+    if (!itemValidation.valid) {
+      return itemValidation;
+    }
+
+    if (!merged.pickupAddress || merged.pickupAddress.trim().length < 10) {
+      return { valid: false, statusCode: 400, message: 'Pickup address must be at least 10 characters' };
+    }
+
+    const coordinates = validateCoordinates(merged.pickupLatitude, merged.pickupLongitude);
+    if (!coordinates.valid) {
+      return { valid: false, statusCode: 400, message: coordinates.message };
+    }
+
+    const startDate = merged.startDate ? parseDate(String(merged.startDate)) : today();
+    if (!startDate) {
+      return { valid: false, statusCode: 400, message: 'Invalid startDate, use YYYY-MM-DD' };
+    }
+
+    const endDate = merged.endDate ? parseDate(String(merged.endDate)) : null;
+    if (merged.endDate && (!endDate || endDate < startDate)) {
+      return { valid: false, statusCode: 400, message: 'endDate must be a YYYY-MM-DD date on or after startDate' };
+    }
+
+    return {
+      valid: true,
+      values: {
+        frequency,
+        dayOfWeek,
+        dayOfMonth,
+        preferredTimeSlot: merged.preferredTimeSlot || null,
+        items,
+        description: merged.description || null,
+        pickupAddress: merged.pickupAddress,
+        pickupLatitude: coordinates.latitude,
+        pickupLongitude: coordinates.longitude,
+        startDate: formatDate(startDate),
+        endDate: endDate ? formatDate(endDate) : null
+      }
+    };
+  }
+
+  // Next occurrence that has not been materialized yet, from today onwards
+  calculateNextOccurrence(schedule, from = today()) {
+    const startDate = parseDate(schedule.startDate);
+    return getNextOccurrence(schedule, startDate > from ? startDate : from);
+  }
+
+  async getSchedule(id) {
+    const schedule = await db
+      .select()
+      .from(pickupSchedules)
+      .where(eq(pickupSchedules.id, id))
+      .limit(1);
+
+    return schedule[0] || null;
+  }
+
+  async getScheduledPickups(scheduleId, { fromDate, statuses } = {}) {
+    const conditions = [eq(pickupRequests.scheduleId, scheduleId)];
+    if (fromDate) conditions.push(gte(pickupRequests.scheduledFor, fromDate));
+    if (statuses) conditions.push(inArray(pickupRequests.status, statuses));
+
+    return db
+      .select()
+      .from(pickupRequests)
+      .where(and(...conditions))
+      .orderBy(pickupRequests.scheduledFor);
+  }
+
+  // Upcoming occurrences of a schedule that will still be materialized
+  previewOccurrences(schedule, count = 5) {
+    if (schedule.status !== 'active' || !schedule.nextOccurrence) {
+      return [];
+    }
+
+    const skippedDates = schedule.skippedDates || [];
+    return getOccurrences(schedule, schedule.nextOccurrence, addDays(parseDate(schedule.nextOccurrence), 366))
+      .filter(date => !skippedDates.includes(date))
+      .slice(0, count);
+  }
+
+  // Create pickup requests for the schedule's occurrences up to `until`
+  async materialize(schedule, until = addDays(today(), SCHEDULE_LOOKAHEAD_DAYS)) {
+    if (schedule.status !== 'active' || !schedule.nextOccurrence) {
+      return [];
+    }
+
+    const from = parseDate(schedule.nextOccurrence) > today() ? schedule.nextOccurrence : formatDate(today());
+    const occurrences = getOccurrences(schedule, from, until);
+    const skippedDates = schedule.skippedDates || [];
+
+    const existing = await this.getScheduledPickups(schedule.id, { fromDate: from });
+    const materializedDates = new Set(existing.map(pickup => pickup.scheduledFor));
+
+    const requester = await db
+      .select()
+      .from(users)
+      .where(eq(users.id, schedule.userId))
+      .limit(1);
+
+    const created = [];
+    for (const scheduledFor of occurrences) {
+      if (skippedDates.includes(scheduledFor) || materializedDates.has(scheduledFor)) {
+        continue;
+      }
+
+      const result = await pickupRequestService.createPickup(schedule.userId, {
+        items: schedule.items,
+        description: schedule.description,
+        pickupAddress: schedule.pickupAddress,
+        pickupLatitude: schedule.pickupLatitude,
+        pickupLongitude: schedule.pickupLongitude,
+        preferredDate: `${scheduledFor}T00:00:00Z`,
+        preferredTimeSlot: schedule.preferredTimeSlot
+      }, SYSTEM_ACTOR, {
+        scheduleId: schedule.id,
+        scheduledFor
+      });
+
+      if (!result.success) {
+        logger.warn(`Could not create scheduled pickup for schedule ${schedule.id} on ${scheduledFor}: ${result.message}`);
+        continue;
+      }
+
+      created.push(result.pickup);
+
+      if (requester.length) {
+        await pickupRequestService.notifyNewPickup(requester[0], result.pickup);
+      }
+    }
+
+    await db
+      .update(pickupSchedules)
+      .set({
+        nextOccurrence: getNextOccurrence(schedule, addDays(parseDate(until), 1)),
+        lastMaterializedAt: new Date(),
+        updatedAt: new Date()
+      })
+      .where(eq(pickupSchedules.id, schedule.id));
+
+    return created;
+  }
+
+  // Materialize every active schedule with an occurrence inside the lookahead window
+  async materializeDueSchedules() {
+    const until = addDays(today(), SCHEDULE_LOOKAHEAD_DAYS);
+
+    const dueSchedules = await db
+      .select()
+      .from(pickupSchedules)
+      .where(and(
+        eq(pickupSchedules.status, 'active'),
+        lte(pickupSchedules.nextOccurrence, formatDate(until))
+      ));
+
+    let pickupsCreated = 0;
+    let schedulesSkipped = 0;
+
+    for (const schedule of dueSchedules) {
+      try {
+        // Schedules are a plan feature; lapsed subscriptions stop producing pickups
+        if (!(await this.hasScheduleFeature(schedule.userId))) {
+          schedulesSkipped++;
+          continue;
+        }
+
+        const created = await this.materialize(schedule, until);
+        pickupsCreated += created.length;
+      } catch (error) {
+        logger.error(`Failed to materialize pickup schedule ${schedule.id}:`, error);
+      }
+    }
+
+    return { schedulesProcessed: dueSchedules.length, schedulesSkipped, pickupsCreated };
+  }
+
+  // Cancel materialized pickups that have not started yet
+  async cancelUpcomingPickups(schedule, actor, reason, { date } = {}) {
+    const upcoming = await this.getScheduledPickups(schedule.id, {
+      fromDate: date || formatDate(today()),
+      statuses: UPCOMING_PICKUP_STATUSES
+    });
+
+    const cancelled = [];
+    for (const pickup of upcoming) {
+      if (date && pickup.scheduledFor !== date) {
+        continue;
+      }
+
+      const result = await pickupLifecycleService.transition(pickup, 'cancelled', actor, { reason });
+      if (result.success) {
+        cancelled.push(result.pickup);
+      } else {
+        logger.warn(`Could not cancel scheduled pickup ${pickup.id}: ${result.message}`);
+      }
+    }
+
+    return cancelled;
+  }
+
+  isSkippableOccurrence(schedule, date) {
+    const occurrence = parseDate(date);
+    return Boolean(occurrence) && occurrence >= today() && isOccurrence(schedule, occurrence);
+  }
+}
+
+export default new PickupScheduleService();
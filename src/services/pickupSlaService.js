@@ -0,0 +1,261 @@
+import db from '../database/connection.js';
+import { pickupRequests } from '../database/schema.js';
+import { eq, and, or, lt, isNull, sql, asc } from 'drizzle-orm';
+import pickupLifecycleService, { SYSTEM_ACTOR } from './pickupLifecycleService.js';
+import dispatchService, { DISPATCH_MAX_RADIUS_KM } from './dispatchService.js';
+import notificationService from './notificationService.js';
+import settingsService from './settingsService.js';
+import logger from '../utils/logger.js';
+
+// SLA settings (system_settings keys) and their defaults. Pending pickups are
+// timed from creation, accepted pickups from the end of their booked time slot.
+export const SLA_SETTING_DEFAULTS = {
+  pickup_sla_accept_minutes: 120, // unaccepted this long: widen the dispatch radius
+  pickup_sla_widened_radius_km: 50,
+  pickup_sla_admin_minutes: 240, // unaccepted this long: alert admins
+  pickup_sla_cancel_minutes: 1440, // unaccepted this long: cancel
+  pickup_sla_start_grace_minutes: 0, // accepted but not started this long after the slot ends: alert admins
+  pickup_sla_start_cancel_minutes: 120 // accepted but not started this long after the slot ends: cancel
+};
+
+// Escalation steps recorded in pickupRequests.slaStage
+export const SLA_STAGES = {
+  radiusWidened: 'radius_widened',
+  adminsNotified: 'admins_notified',
+  startOverdue: 'start_overdue',
+  cancelled: 'cancelled'
+};
+
+const BATCH_SIZE = 100;
+const MINUTE_MS = 60 * 1000;
+
+function minutesBefore(now, minutes) {
+  return new Date(now.getTime() - minutes * MINUTE_MS);
+}
+
+function formatHours(minutes) {
+  return minutes % 60 === 0 ? `${minutes / 60} hour${minutes === 60 ? '' : 's'}` : `${minutes} minutes`;
+}
+
+class PickupSlaService {
+  async getSettings() {
+    return settingsService.getSettings(SLA_SETTING_DEFAULTS);
+  }
+
+  // Move a pickup to an SLA stage unless it has already been there; returns the
+  // updated pickup, or null when its status changed or another run got there first
+  async advanceStage(pickup, stage, updates = {}) {
+    const [updated] = await db
+      .update(pickupRequests)
+      .set({ ...updates, slaStage: stage, slaEscalatedAt: new Date(), updatedAt: new Date() })
+      .where(and(
+        eq(pickupRequests.id, pickup.id),
+        eq(pickupRequests.status, pickup.status),
+        sql`${pickupRequests.slaStage} is distinct from ${stage}`
+      ))
+      .returning();
+
+    return updated || null;
+  }
+
+  notifyHousehold(pickup, title, message) {
+    return notificationService.createNotification(
+      pickup.requesterId,
+      'pickup_request',
+      title,
+      message,
+      { pickupRequestId: pickup.id, slaStage: pickup.slaStage }
+    );
+  }
+
+  async cancel(pickup, reason) {
+    const result = await pickupLifecycleService.transition(pickup, 'cancelled', SYSTEM_ACTOR, {
+      reason,
+      updates: { slaStage: SLA_STAGES.cancelled, slaEscalatedAt: new Date() }
+    });
+    if (!result.success) {
+      return false;
+    }
+
+    await this.notifyHousehold(result.pickup, 'Pickup Cancelled', `Your pickup request was cancelled: ${reason}.`);
+    if (pickup.wastePickerId) {
+      await notificationService.createNotification(
+        pickup.wastePickerId,
+        'pickup_request',
+        'Pickup Cancelled',
+        `Pickup ${pickup.id} was cancelled: ${reason}.`,
+        { pickupRequestId: pickup.id }
+      );
+    }
+
+    logger.warn(`Pickup ${pickup.id} auto-cancelled: ${reason}`);
+    return true;
+  }
+
+  // Nobody has accepted the pickup in time: search further afield
+  async widenRadius(pickup, settings) {
+    const radiusKm = Math.max(settings.pickup_sla_widened_radius_km, DISPATCH_MAX_RADIUS_KM);
+    const updated = await this.advanceStage(pickup, SLA_STAGES.radiusWidened, { dispatchMaxRadiusKm: radiusKm });
+    if (!updated) {
+      return false;
+    }
+
+    await this.notifyHousehold(
+      updated,
+      'Still Looking for a Waste Picker',
+      `No waste picker has accepted your pickup yet, so we are now searching up to ${radiusKm} km away.`
+    );
+
+    try {
+      await dispatchService.dispatch(updated);
+    } catch (error) {
+      logger.error(`Dispatch failed for escalated pickup ${pickup.id}:`, error);
+    }
+    return true;
+  }
+
+  async alertAdminsUnaccepted(pickup, settings) {
+    const updated = await this.advanceStage(pickup, SLA_STAGES.adminsNotified);
+    if (!updated) {
+      return false;
+    }
+
+    await notificationService.notifyAdmins(
+      'Pickup Not Accepted',
+      `Pickup ${pickup.id} has not been accepted within ${formatHours(settings.pickup_sla_admin_minutes)}.`,
+      { pickupRequestId: pickup.id }
+    );
+    await this.notifyHousehold(
+      updated,
+      'Pickup Delayed',
+      'Your pickup has still not been accepted. Our team has been alerted and is arranging a waste picker.'
+    );
+    return true;
+  }
+
+  async alertAdminsNotStarted(pickup) {
+    const updated = await this.advanceStage(pickup, SLA_STAGES.startOverdue);
+    if (!updated) {
+      return false;
+    }
+
+    await notificationService.notifyAdmins(
+      'Pickup Not Started',
+      `Pickup ${pickup.id} was accepted but not started by the end of its ${pickup.preferredTimeSlot} slot.`,
+      { pickupRequestId: pickup.id, wastePickerId: pickup.wastePickerId }
+    );
+    await this.notifyHousehold(
+      updated,
+      'Pickup Delayed',
+      'Your waste picker has not started your pickup and your booked time slot has ended. Our team has been alerted.'
+    );
+    await notificationService.createNotification(
+      pickup.wastePickerId,
+      'pickup_request',
+      'Pickup Overdue',
+      `Your accepted pickup at ${pickup.pickupAddress} was due by the end of its ${pickup.preferredTimeSlot} slot. Start it now or it will be cancelled.`,
+      { pickupRequestId: pickup.id }
+    );
+    return true;
+  }
+
+  // Escalate pending pickups nobody has accepted: widen the radius, then alert
+  // admins, then cancel. Pickups whose booked slot has ended are cancelled.
+  async escalatePending(settings, now) {
+    const acceptCutoff = minutesBefore(now, settings.pickup_sla_accept_minutes);
+    const adminCutoff = minutesBefore(now, settings.pickup_sla_admin_minutes);
+    const cancelCutoff = minutesBefore(now, settings.pickup_sla_cancel_minutes);
+    const counts = { radiusWidened: 0, adminsNotified: 0, cancelled: 0 };
+
+    // Only pickups with a step due, so those waiting at a stage for the next
+    // cutoff do not crowd newer overdue pickups out of the batch
+    const pickups = await db
+      .select()
+      .from(pickupRequests)
+      .where(and(
+        eq(pickupRequests.status, 'pending'),
+        or(
+          lt(pickupRequests.slotEndsAt, now),
+          lt(pickupRequests.createdAt, cancelCutoff),
+          and(isNull(pickupRequests.slaStage), lt(pickupRequests.createdAt, acceptCutoff)),
+          and(
+            sql`${pickupRequests.slaStage} is distinct from ${SLA_STAGES.adminsNotified}`,
+            lt(pickupRequests.createdAt, adminCutoff)
+          )
+        )
+      ))
+      .orderBy(asc(pickupRequests.createdAt))
+      .limit(BATCH_SIZE);
+
+    for (const pickup of pickups) {
+      try {
+        if (pickup.slotEndsAt && pickup.slotEndsAt < now) {
+          if (await this.cancel(pickup, 'no waste picker accepted it before the booked time slot ended')) counts.cancelled++;
+          continue;
+        }
+        if (pickup.createdAt < cancelCutoff) {
+          if (await this.cancel(pickup, `no waste picker accepted it within ${formatHours(settings.pickup_sla_cancel_minutes)}`)) counts.cancelled++;
+          continue;
+        }
+
+        if (!pickup.slaStage && await this.widenRadius(pickup, settings)) {
+          counts.radiusWidened++;
+        }
+        if (pickup.createdAt < adminCutoff && pickup.slaStage !== SLA_STAGES.adminsNotified &&
+          await this.alertAdminsUnaccepted(pickup, settings)) {
+          counts.adminsNotified++;
+        }
+      } catch (error) {
+        logger.error(`SLA escalation failed for pickup ${pickup.id}:`, error);
+      }
+    }
+
+    return counts;
+  }
+
+  // Escalate accepted pickups that were not started by the end of their booked slot
+  async escalateNotStarted(settings, now) {
+    const alertCutoff = minutesBefore(now, settings.pickup_sla_start_grace_minutes);
+    const cancelCutoff = minutesBefore(now, settings.pickup_sla_start_cancel_minutes);
+    const counts = { startOverdue: 0, cancelled: 0 };
+
+    const pickups = await db
+      .select()
+      .from(pickupRequests)
+      .where(and(
+        eq(pickupRequests.status, 'accepted'),
+        lt(pickupRequests.slotEndsAt, alertCutoff),
+        or(
+          lt(pickupRequests.slotEndsAt, cancelCutoff),
+          sql`${pickupRequests.slaStage} is distinct from ${SLA_STAGES.startOverdue}`
+        )
+      ))
+      .orderBy(asc(pickupRequests.slotEndsAt))
+      .limit(BATCH_SIZE);
+
+    for (const pickup of pickups) {
+      try {
+        if (pickup.slotEndsAt < cancelCutoff) {
+          if (await this.cancel(pickup, 'the waste picker did not start it after the booked time slot ended')) counts.cancelled++;
+        } else if (pickup.slaStage !== SLA_STAGES.startOverdue && await this.alertAdminsNotStarted(pickup)) {
+          counts.startOverdue++;
+        }
+      } catch (error) {
+        logger.error(`SLA escalation failed for pickup ${pickup.id}:`, error);
+      }
+    }
+
+    return counts;
+  }
+
+  async processOverduePickups(now = new Date()) {
+    const settings = await this.getSettings();
+
+    return {
+      pending: await this.escalatePending(settings, now),
+      notStarted: await this.escalateNotStarted(settings, now)
+    };
+  }
+}
+
+export default new PickupSlaService();
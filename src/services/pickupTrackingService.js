@@ -0,0 +1,186 @@
+import db from '../database/connection.js';
+import { pickupRequests, pickupLocationPings, wastePickerProfiles } from '../database/schema.js';
+import { eq, and, desc, inArray, sql } from 'drizzle-orm';
+import { insertWhere } from '../database/queryHelpers.js';
+import routePlanningService from './routePlanningService.js';
+import realtimeService from './realtimeService.js';
+import { calculateDistance, validateCoordinates } from '../utils/geoUtils.js';
+
+// Pickups the assigned waste picker can send location pings for
+export const TRACKABLE_STATUSES = ['accepted', 'in_progress'];
+
+// Most recent points returned in a pickup's trail
+export const MAX_TRAIL_POINTS = 500;
+
+// Client timestamps further ahead of the server than this are replaced with the server time
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+
+function optionalNumber(value, name, min, max) {
+  if (value === undefined || value === null || value === '') {
+    return { valid: true, value: null };
+  }
+
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    return { valid: false, message: `${name} must be a number between ${min} and ${max}` };
+  }
+
+  return { valid: true, value: number };
+}
+
+class PickupTrackingService {
+  // Distance and ETA from a position to the pickup address at the vehicle's average speed.
+  // Once the pickup is in progress the picker is on site, so there is no ETA.
+  estimateArrival(pickup, position, vehicle) {
+    const distance = calculateDistance(
+      position.latitude,
+      position.longitude,
+      pickup.pickupLatitude,
+      pickup.pickupLongitude
+    );
+
+    if (pickup.status !== 'accepted') {
+      return { distance: Math.round(distance * 100) / 100, etaMinutes: null, eta: null };
+    }
+
+    const etaMinutes = Math.round((distance / vehicle.averageSpeedKmh) * 60);
+    return {
+      distance: Math.round(distance * 100) / 100,
+      etaMinutes,
+      eta: new Date(new Date(position.recordedAt).getTime() + etaMinutes * 60 * 1000)
+    };
+  }
+
+  async getVehicle(wastePickerId) {
+    const profile = await db
+      .select({ vehicleType: wastePickerProfiles.vehicleType })
+      .from(wastePickerProfiles)
+      .where(eq(wastePickerProfiles.userId, wastePickerId))
+      .limit(1);
+
+    return routePlanningService.getVehicleProfile(profile[0]?.vehicleType);
+  }
+
+  // Store a location ping from the assigned waste picker and push the ETA to the household
+  async recordPing(pickupRequestId, wastePicker, { latitude, longitude, accuracy, heading, speed, recordedAt } = {}) {
+    const coordinates = validateCoordinates(latitude, longitude);
+    if (!coordinates.valid) {
+      return { success: false, statusCode: 400, message: coordinates.message };
+    }
+
+    const extras = {
+      accuracy: optionalNumber(accuracy, 'accuracy', 0, 100000),
+      heading: optionalNumber(heading, 'heading', 0, 360),
+      speed: optionalNumber(speed, 'speed', 0, 100)
+    };
+    const invalid = Object.values(extras).find(extra => !extra.valid);
+    if (invalid) {
+      return { success: false, statusCode: 400, message: invalid.message };
+    }
+
+    const now = new Date();
+    let timestamp = recordedAt ? new Date(recordedAt) : now;
+    if (isNaN(timestamp.getTime())) {
+      return { success: false, statusCode: 400, message: 'recordedAt must be a valid date' };
+    }
+    if (timestamp.getTime() > now.getTime() + MAX_CLOCK_SKEW_MS) {
+      timestamp = now;
+    }
+
+    const pickup = await db
+      .select()
+      .from(pickupRequests)
+      .where(eq(pickupRequests.id, pickupRequestId))
+      .limit(1);
+
+    if (!pickup.length) {
+      return { success: false, statusCode: 404, message: 'Pickup request not found' };
+    }
+
+    if (pickup[0].wastePickerId !== wastePicker.id) {
+      return { success: false, statusCode: 403, message: 'Only the assigned waste picker can share their location' };
+    }
+
+    // Guard on the current status so a ping racing with completion is not stored
+    const [ping] = await insertWhere(pickupLocationPings, {
+      pickupRequestId,
+      wastePickerId: wastePicker.id,
+      latitude: coordinates.latitude,
+      longitude: coordinates.longitude,
+      accuracy: extras.accuracy.value,
+      heading: extras.heading.value,
+      speed: extras.speed.value,
+      recordedAt: timestamp
+    }, sql`exists (${db
+      .select({ id: pickupRequests.id })
+      .from(pickupRequests)
+      .where(and(
+        eq(pickupRequests.id, pickupRequestId),
+        eq(pickupRequests.wastePickerId, wastePicker.id),
+        inArray(pickupRequests.status, TRACKABLE_STATUSES)
+      ))})`).returning();
+
+    if (!ping) {
+      return { success: false, statusCode: 409, message: 'Pickup is no longer being tracked' };
+    }
+
+    const vehicle = await this.getVehicle(wastePicker.id);
+    const arrival = this.estimateArrival(pickup[0], ping, vehicle);
+
+    const update = {
+      pickupRequestId,
+      status: pickup[0].status,
+      latitude: ping.latitude,
+      longitude: ping.longitude,
+      heading: ping.heading,
+      speed: ping.speed,
+      recordedAt: ping.recordedAt,
+      ...arrival
+    };
+
+    realtimeService.pickupLocation(pickup[0], update);
+
+    return { success: true, location: update };
+  }
+
+  // Latest position, ETA and trail of a pickup
+  async getTrack(pickup) {
+    const trail = await db
+      .select({
+        latitude: pickupLocationPings.latitude,
+        longitude: pickupLocationPings.longitude,
+        accuracy: pickupLocationPings.accuracy,
+        heading: pickupLocationPings.heading,
+        speed: pickupLocationPings.speed,
+        recordedAt: pickupLocationPings.recordedAt
+      })
+      .from(pickupLocationPings)
+      .where(eq(pickupLocationPings.pickupRequestId, pickup.id))
+      .orderBy(desc(pickupLocationPings.recordedAt))
+      .limit(MAX_TRAIL_POINTS);
+
+    trail.reverse();
+
+    const latest = trail[trail.length - 1] || null;
+    const trackingActive = TRACKABLE_STATUSES.includes(pickup.status) && !!pickup.wastePickerId;
+    const arrival = latest && trackingActive
+      ? this.estimateArrival(pickup, latest, await this.getVehicle(pickup.wastePickerId))
+      : { distance: null, etaMinutes: null, eta: null };
+
+    return {
+      pickupRequestId: pickup.id,
+      status: pickup.status,
+      trackingActive,
+      destination: {
+        address: pickup.pickupAddress,
+        latitude: pickup.pickupLatitude,
+        longitude: pickup.pickupLongitude
+      },
+      latestPosition: latest,
+      ...arrival,
+      trail
+    };
+  }
+}
+
+export default new PickupTrackingService();
@@ -0,0 +1,307 @@
+import db from '../database/connection.js';
+import { pointsLedger, pointsExpiryWarnings, users } from '../database/schema.js';
+import { eq, and, gt, lte, asc, sql, isNull, isNotNull, like } from 'drizzle-orm';
+import pointsService from './pointsService.js';
+import notificationService from './notificationService.js';
+import settingsService from './settingsService.js';
+import { LOCAL_TIMEZONE } from '../utils/timeUtils.js';
+import logger from '../utils/logger.js';
+
+// Expiry settings (system_settings keys) and their defaults. A months value of 0
+// turns expiry off; changing it only affects points credited afterwards.
+export const POINTS_EXPIRY_SETTING_DEFAULTS = {
+  points_expiry_months: 0,
+  points_expiry_first_warning_days: 30,
+  points_expiry_final_warning_days: 7
+};
+
+const BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function formatDate(date) {
+  return new Date(date).toLocaleDateString('en-NG', { day: 'numeric', month: 'long', year: 'numeric', timeZone: LOCAL_TIMEZONE });
+}
+
+// Every credit in the ledger is a lot of points with its own expiry. Debits use
+// up the oldest lots first (FIFO); an `expire` entry clears the lots it lists.
+// A `reverse` entry undoes the entry it reverses: a reversed debit (such as a
+// refunded redemption) puts the points back in the lots it used, and a reversed
+// credit cancels what is left of its lot. Replaying a user's ledger in order
+// gives what is left of each lot. Balances from before the ledger are each
+// user's opening-balance entry, which becomes an expiring lot once the policy is on.
+class PointsExpiryService {
+  async getSettings() {
+    return settingsService.getSettings(POINTS_EXPIRY_SETTING_DEFAULTS);
+  }
+
+  async getEntries(userId) {
+    return db
+      .select()
+      .from(pointsLedger)
+      .where(eq(pointsLedger.userId, userId))
+      .orderBy(asc(pointsLedger.createdAt), asc(pointsLedger.id));
+  }
+
+  // Lots with points left: [{ entry, remaining }], oldest first
+  replay(entries) {
+    const lots = [];
+    // The lot of each credit, and the points each debit took from each lot
+    const lotsByEntryId = new Map();
+    const usesByEntryId = new Map();
+
+    const addLot = (entry, points) => {
+      const lot = { entry, remaining: points };
+      lots.push(lot);
+      lotsByEntryId.set(entry.id, lot);
+    };
+
+    const debit = (entry, points) => {
+      const uses = [];
+      for (const lot of lots) {
+        if (!points) break;
+        const used = Math.min(lot.remaining, points);
+        if (!used) continue;
+        lot.remaining -= used;
+        points -= used;
+        uses.push({ lot, used });
+      }
+      usesByEntryId.set(entry.id, uses);
+    };
+
+    for (const entry of entries) {
+      if (entry.reversesEntryId && usesByEntryId.has(entry.reversesEntryId)) {
+        let points = entry.availableDelta;
+        for (const { lot, used } of usesByEntryId.get(entry.reversesEntryId)) {
+          const restored = Math.min(used, points);
+          lot.remaining += restored;
+          points -= restored;
+        }
+        // More than the debit took from lots (it predates them) is a new lot
+        if (points > 0) addLot(entry, points);
+        continue;
+      }
+
+      if (entry.reversesEntryId && lotsByEntryId.has(entry.reversesEntryId)) {
+        const lot = lotsByEntryId.get(entry.reversesEntryId);
+        const cancelled = Math.min(lot.remaining, -entry.availableDelta);
+        lot.remaining -= cancelled;
+        // Points of the lot already spent come out of the oldest lots instead
+        debit(entry, -entry.availableDelta - cancelled);
+        continue;
+      }
+
+      if (entry.availableDelta > 0) {
+        addLot(entry, entry.availableDelta);
+        continue;
+      }
+
+      if (entry.entryType === 'expire') {
+        const expiredIds = new Set(entry.metadata?.lotIds || []);
+        const uses = [];
+        for (const lot of lots) {
+          if (!expiredIds.has(lot.entry.id) || !lot.remaining) continue;
+          uses.push({ lot, used: lot.remaining });
+          lot.remaining = 0;
+        }
+        usesByEntryId.set(entry.id, uses);
+        continue;
+      }
+
+      debit(entry, -entry.availableDelta);
+    }
+
+    return lots.filter(lot => lot.remaining > 0);
+  }
+
+  async getLots(userId) {
+    return this.replay(await this.getEntries(userId));
+  }
+
+  // Points due to expire in the next `days` days, by expiry date
+  async getUpcomingExpiries(userId, { days = 90, now = new Date() } = {}) {
+    const until = new Date(now.getTime() + days * DAY_MS);
+    const byDate = new Map();
+
+    for (const lot of await this.getLots(userId)) {
+      const expiresAt = lot.entry.expiresAt;
+      if (!expiresAt || expiresAt <= now || expiresAt > until) continue;
+
+      const key = expiresAt.toISOString();
+      byDate.set(key, (byDate.get(key) || 0) + lot.remaining);
+    }
+
+    const expiries = [...byDate.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([expiresAt, points]) => ({ expiresAt, points }));
+
+    return {
+      total: expiries.reduce((sum, expiry) => sum + expiry.points, 0),
+      expiries
+    };
+  }
+
+  // Expire what is left of a user's lots that expired by `now`. The entry only
+  // applies if the ledger has not changed since it was read, so a concurrent
+  // redemption cannot spend the same points.
+  async expireUser(userId, now = new Date()) {
+    const entries = await this.getEntries(userId);
+    const expired = this.replay(entries).filter(lot => lot.entry.expiresAt && lot.entry.expiresAt <= now);
+    const points = expired.reduce((sum, lot) => sum + lot.remaining, 0);
+
+    if (!points) {
+      return 0;
+    }
+
+    const idempotencyKey = `expire:${userId}:${entries.length}`;
+    const unchanged = sql`(select count(*) from ${pointsLedger} where ${pointsLedger.userId} = ${userId} and ${pointsLedger.idempotencyKey} is distinct from ${idempotencyKey}) = ${entries.length}`;
+
+    const [, ledgerEntry] = await db.batch([
+      // Lock the user's row first, so the check sees any redemption committed meanwhile
+      db
+        .update(users)
+        .set({ updatedAt: new Date() })
+        .where(eq(users.id, userId)),
+      ...pointsService.buildStatements(
+        pointsService.buildEntry({
+          userId,
+          entryType: 'expire',
+          availableDelta: -points,
+          idempotencyKey,
+          description: `${points} points expired`,
+          metadata: { lotIds: expired.map(lot => lot.entry.id) }
+        }),
+        unchanged
+      )
+    ]);
+
+    if (!ledgerEntry.length) {
+      logger.info(`Points expiry for user ${userId} skipped: the ledger changed meanwhile`);
+      return 0;
+    }
+
+    await notificationService.createNotification(
+      userId,
+      'system_update',
+      'Points Expired',
+      `${points} of your points have expired`,
+      { pointsExpired: points }
+    );
+
+    return points;
+  }
+
+  // Warn a user about lots expiring within the first or final warning period.
+  // Each lot gets each warning once; lots already inside the final period skip
+  // the first warning.
+  async warnUser(userId, settings, now = new Date()) {
+    const thresholds = [
+      settings.points_expiry_final_warning_days,
+      settings.points_expiry_first_warning_days
+    ].filter(days => days > 0).sort((a, b) => a - b);
+
+    const lotsByThreshold = new Map(thresholds.map(days => [days, []]));
+    for (const lot of await this.getLots(userId)) {
+      const expiresAt = lot.entry.expiresAt;
+      if (!expiresAt || expiresAt <= now) continue;
+
+      const days = thresholds.find(threshold => expiresAt <= new Date(now.getTime() + threshold * DAY_MS));
+      if (days) lotsByThreshold.get(days).push(lot);
+    }
+
+    let sent = 0;
+    for (const [days, lots] of lotsByThreshold) {
+      if (!lots.length) continue;
+
+      const warned = await db
+        .insert(pointsExpiryWarnings)
+        .values(lots.map(lot => ({ userId, ledgerEntryId: lot.entry.id, daysBefore: days })))
+        .onConflictDoNothing()
+        .returning({ ledgerEntryId: pointsExpiryWarnings.ledgerEntryId });
+
+      const warnedIds = new Set(warned.map(warning => warning.ledgerEntryId));
+      const newlyWarned = lots.filter(lot => warnedIds.has(lot.entry.id));
+      if (!newlyWarned.length) continue;
+
+      const points = newlyWarned.reduce((sum, lot) => sum + lot.remaining, 0);
+      const firstExpiry = new Date(Math.min(...newlyWarned.map(lot => lot.entry.expiresAt.getTime())));
+
+      await notificationService.createNotification(
+        userId,
+        'system_update',
+        'Points Expiring Soon',
+        `${points} of your points expire within ${days} days, starting ${formatDate(firstExpiry)}. Redeem them for rewards before then.`,
+        { pointsExpiring: points, expiresAt: firstExpiry, daysBefore: days }
+      );
+      sent++;
+    }
+
+    return sent;
+  }
+
+  // Opening balances migrated into the ledger had no expiry policy to follow.
+  // Once the policy is on they get one, counted from then, like a new credit.
+  async seedOpeningLots() {
+    const seeded = await db
+      .update(pointsLedger)
+      .set({ expiresAt: pointsService.creditExpiry() })
+      .where(and(
+        like(pointsLedger.idempotencyKey, 'opening-balance:%'),
+        gt(pointsLedger.availableDelta, 0),
+        isNull(pointsLedger.expiresAt)
+      ))
+      .returning({ id: pointsLedger.id, expiresAt: pointsLedger.expiresAt });
+
+    return seeded.filter(entry => entry.expiresAt).length;
+  }
+
+  // Nightly run: expire lots that have expired and send warnings for lots that
+  // are about to. Only users with points left and expiring lots are replayed.
+  async processExpiries(now = new Date()) {
+    const settings = await this.getSettings();
+    const warnUntil = new Date(now.getTime() + Math.max(settings.points_expiry_first_warning_days, settings.points_expiry_final_warning_days, 0) * DAY_MS);
+    const result = { usersExpired: 0, pointsExpired: 0, warningsSent: 0 };
+
+    if (settings.points_expiry_months > 0) {
+      const seeded = await this.seedOpeningLots();
+      if (seeded) logger.info(`Points expiry: ${seeded} opening balances now expire`);
+    }
+
+    // Users are taken in pages by id, so the whole ledger is covered each night
+    let lastUserId = null;
+    let candidates;
+    do {
+      candidates = await db
+        .selectDistinct({ userId: pointsLedger.userId })
+        .from(pointsLedger)
+        .innerJoin(users, eq(pointsLedger.userId, users.id))
+        .where(and(
+          gt(pointsLedger.availableDelta, 0),
+          isNotNull(pointsLedger.expiresAt),
+          lte(pointsLedger.expiresAt, warnUntil),
+          gt(users.availablePoints, 0),
+          lastUserId ? gt(pointsLedger.userId, lastUserId) : undefined
+        ))
+        .orderBy(asc(pointsLedger.userId))
+        .limit(BATCH_SIZE);
+
+      for (const { userId } of candidates) {
+        try {
+          const points = await this.expireUser(userId, now);
+          if (points) {
+            result.usersExpired++;
+            result.pointsExpired += points;
+          }
+          result.warningsSent += await this.warnUser(userId, settings, now);
+        } catch (error) {
+          logger.error(`Points expiry failed for user ${userId}:`, error);
+        }
+      }
+
+      lastUserId = candidates[candidates.length - 1]?.userId;
+    } while (candidates.length === BATCH_SIZE);
+
+    return result;
+  }
+}
+
+export default new PointsExpiryService();
@@ -0,0 +1,263 @@
+import db from '../database/connection.js';
+import { pointsLedger, users, systemSettings } from '../database/schema.js';
+import { insertWhere } from '../database/queryHelpers.js';
+import { eq, and, desc, sql } from 'drizzle-orm';
+import logger from '../utils/logger.js';
+
+// Every change to a user's points is an entry in points_ledger. The
+// totalPoints/availablePoints columns on users are a cache of the ledger sums:
+// availablePoints = sum(availableDelta), totalPoints = sum(totalDelta).
+// Credits expire under the points_expiry_months setting (see pointsExpiryService).
+class PointsService {
+  buildEntry({
+    userId,
+    entryType,
+    availableDelta,
+    totalDelta = 0,
+    pickupRequestId = null,
+    redemptionId = null,
+    adminId = null,
+    reversesEntryId = null,
+    idempotencyKey = null,
+    description = null,
+    metadata = {},
+    expiresAt = null
+  }) {
+    return {
+      userId,
+      entryType,
+      availableDelta,
+      totalDelta,
+      pickupRequestId,
+      redemptionId,
+      adminId,
+      reversesEntryId,
+      idempotencyKey,
+      description,
+      metadata,
+      expiresAt
+    };
+  }
+
+  earnEntry(userId, points, source = {}) {
+    return this.buildEntry({ ...source, userId, entryType: 'earn', availableDelta: points, totalDelta: points });
+  }
+
+  redeemEntry(userId, points, source = {}) {
+    return this.buildEntry({ ...source, userId, entryType: 'redeem', availableDelta: -points, totalDelta: 0 });
+  }
+
+  adjustEntry(userId, points, source = {}) {
+    return this.buildEntry({ ...source, userId, entryType: 'adjust', availableDelta: points, totalDelta: points });
+  }
+
+  // Expiry of a credit made now: points_expiry_months from now, or never when
+  // the setting is unset or 0. It is read inside the insert, so every credit
+  // follows the policy in force when it is written, whichever batch it joins.
+  creditExpiry() {
+    const months = systemSettings.value;
+    return sql`(select case when ${months} ~ '^[0-9]{1,4}$' then case when ${months}::int > 0 then now() + make_interval(months => ${months}::int) end end from ${systemSettings} where ${systemSettings.key} = 'points_expiry_months')`;
+  }
+
+  // Statements that append a ledger entry and update the cached balances.
+  // With a condition, both only apply while it holds, so they can join a
+  // batch behind a guarded update.
+  buildStatements(entry, condition = null) {
+    if (entry.availableDelta > 0 && !entry.expiresAt) {
+      entry = { ...entry, expiresAt: this.creditExpiry() };
+    }
+
+    const balanceUpdate = db
+      .update(users)
+      .set({
+        totalPoints: sql`${users.totalPoints} + ${entry.totalDelta}`,
+        availablePoints: sql`${users.availablePoints} + ${entry.availableDelta}`,
+        updatedAt: new Date()
+      });
+
+    if (!condition) {
+      return [
+        db.insert(pointsLedger).values(entry).returning(),
+        balanceUpdate.where(eq(users.id, entry.userId))
+      ];
+    }
+
+    return [
+      insertWhere(pointsLedger, entry, condition).returning(),
+      balanceUpdate.where(and(eq(users.id, entry.userId), condition))
+    ];
+  }
+
+  // Condition that the user still has `points` available, to guard a debit
+  hasAvailableSql(userId, points) {
+    return sql`(select ${users.availablePoints} from ${users} where ${users.id} = ${userId}) >= ${points}`;
+  }
+
+  async getAvailablePoints(userId) {
+    const user = await db
+      .select({ availablePoints: users.availablePoints })
+      .from(users)
+      .where(eq(users.id, userId))
+      .limit(1);
+
+    return user[0]?.availablePoints || 0;
+  }
+
+  async record(entry) {
+    const [ledgerEntry] = await db.batch(this.buildStatements(entry));
+    return ledgerEntry[0];
+  }
+
+  async getEntry(id) {
+    const entry = await db
+      .select()
+      .from(pointsLedger)
+      .where(eq(pointsLedger.id, id))
+      .limit(1);
+
+    return entry[0] || null;
+  }
+
+  // The redeem entry that paid for a redemption
+  async getRedemptionEntry(redemptionId) {
+    const entry = await db
+      .select()
+      .from(pointsLedger)
+      .where(and(eq(pointsLedger.redemptionId, redemptionId), eq(pointsLedger.entryType, 'redeem')))
+      .limit(1);
+
+    return entry[0] || null;
+  }
+
+  // The opposite of an earlier entry. Its idempotency key allows one reversal per entry.
+  reverseEntry(entry, source = {}) {
+    return this.buildEntry({
+      pickupRequestId: entry.pickupRequestId,
+      redemptionId: entry.redemptionId,
+      description: `Reversal of ${entry.entryType} entry`,
+      ...source,
+      userId: entry.userId,
+      entryType: 'reverse',
+      availableDelta: -entry.availableDelta,
+      totalDelta: -entry.totalDelta,
+      reversesEntryId: entry.id,
+      idempotencyKey: `reverse:${entry.id}`
+    });
+  }
+
+  async isReversed(entry) {
+    const reversal = await db
+      .select({ id: pointsLedger.id })
+      .from(pointsLedger)
+      .where(eq(pointsLedger.reversesEntryId, entry.id))
+      .limit(1);
+
+    return reversal.length > 0;
+  }
+
+  // Reverse an earlier entry by appending its opposite
+  async reverse(entry, adminId, reason) {
+    return this.record(this.reverseEntry(entry, {
+      adminId,
+      ...(reason && { description: reason })
+    }));
+  }
+
+  async getLedger(userId, { limit = 20, offset = 0, entryType } = {}) {
+    const conditions = [eq(pointsLedger.userId, userId)];
+    if (entryType) conditions.push(eq(pointsLedger.entryType, entryType));
+
+    return db
+      .select()
+      .from(pointsLedger)
+      .where(and(...conditions))
+      .orderBy(desc(pointsLedger.createdAt))
+      .limit(limit)
+      .offset(offset);
+  }
+
+  async getLedgerBalance(userId) {
+    const [balance] = await db
+      .select({
+        availablePoints: sql`coalesce(sum(${pointsLedger.availableDelta}), 0)`,
+        totalPoints: sql`coalesce(sum(${pointsLedger.totalDelta}), 0)`,
+        entries: sql`count(*)`
+      })
+      .from(pointsLedger)
+      .where(eq(pointsLedger.userId, userId));
+
+    return {
+      availablePoints: parseInt(balance.availablePoints) || 0,
+      totalPoints: parseInt(balance.totalPoints) || 0,
+      entries: parseInt(balance.entries) || 0
+    };
+  }
+
+  // Users whose cached balances no longer match their ledger sums
+  async findDrift({ limit = 100, offset = 0 } = {}) {
+    const ledgerTotals = db
+      .select({
+        userId: pointsLedger.userId,
+        availablePoints: sql`sum(${pointsLedger.availableDelta})`.as('ledger_available_points'),
+        totalPoints: sql`sum(${pointsLedger.totalDelta})`.as('ledger_total_points')
+      })
+      .from(pointsLedger)
+      .groupBy(pointsLedger.userId)
+      .as('ledger_totals');
+
+    const ledgerAvailable = sql`coalesce(${ledgerTotals.availablePoints}, 0)`;
+    const ledgerTotal = sql`coalesce(${ledgerTotals.totalPoints}, 0)`;
+
+    const drifted = await db
+      .select({
+        userId: users.id,
+        email: users.email,
+        firstName: users.firstName,
+        lastName: users.lastName,
+        cachedAvailablePoints: users.availablePoints,
+        cachedTotalPoints: users.totalPoints,
+        ledgerAvailablePoints: sql`${ledgerAvailable}`,
+        ledgerTotalPoints: sql`${ledgerTotal}`
+      })
+      .from(users)
+      .leftJoin(ledgerTotals, eq(users.id, ledgerTotals.userId))
+      .where(sql`coalesce(${users.availablePoints}, 0) <> ${ledgerAvailable} or coalesce(${users.totalPoints}, 0) <> ${ledgerTotal}`)
+      .orderBy(users.id)
+      .limit(limit)
+      .offset(offset);
+
+    return drifted.map(row => {
+      const ledgerAvailablePoints = parseInt(row.ledgerAvailablePoints) || 0;
+      const ledgerTotalPoints = parseInt(row.ledgerTotalPoints) || 0;
+
+      return {
+        ...row,
+        ledgerAvailablePoints,
+        ledgerTotalPoints,
+        availableDrift: (row.cachedAvailablePoints || 0) - ledgerAvailablePoints,
+        totalDrift: (row.cachedTotalPoints || 0) - ledgerTotalPoints
+      };
+    });
+  }
+
+  // Reset a user's cached balances to their ledger sums
+  async resyncBalance(userId) {
+    const updatedUser = await db
+      .update(users)
+      .set({
+        availablePoints: sql`(select coalesce(sum(${pointsLedger.availableDelta}), 0) from ${pointsLedger} where ${pointsLedger.userId} = ${userId})`,
+        totalPoints: sql`(select coalesce(sum(${pointsLedger.totalDelta}), 0) from ${pointsLedger} where ${pointsLedger.userId} = ${userId})`,
+        updatedAt: new Date()
+      })
+      .where(eq(users.id, userId))
+      .returning();
+
+    if (updatedUser.length) {
+      logger.info(`Resynced points balance for user ${userId} from ledger`);
+    }
+
+    return updatedUser[0] || null;
+  }
+}
+
+export default new PointsService();
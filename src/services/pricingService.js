@@ -0,0 +1,98 @@
+import db from '../database/connection.js';
+import { wasteCategories, wasteCategoryRates } from '../database/schema.js';
+import { eq, and, lte, desc } from 'drizzle-orm';
+
+// Used for waste types that have no category or rate configured yet
+export const DEFAULT_RATE = {
+  rateId: null,
+  pointsPerKg: 10,
+  cashPerKg: 0
+};
+
+class PricingService {
+  // The rate for a waste type that was in effect at the given time
+  async getRateInEffect(wasteType, at = new Date()) {
+    const rate = await db
+      .select({
+        rateId: wasteCategoryRates.id,
+        categoryId: wasteCategories.id,
+        isActive: wasteCategories.isActive,
+        pointsPerKg: wasteCategoryRates.pointsPerKg,
+        cashPerKg: wasteCategoryRates.cashPerKg,
+        effectiveFrom: wasteCategoryRates.effectiveFrom
+      })
+      .from(wasteCategoryRates)
+      .innerJoin(wasteCategories, eq(wasteCategoryRates.categoryId, wasteCategories.id))
+      .where(and(
+        eq(wasteCategories.wasteType, wasteType),
+        lte(wasteCategoryRates.effectiveFrom, at)
+      ))
+      .orderBy(desc(wasteCategoryRates.effectiveFrom))
+      .limit(1);
+
+    if (!rate.length) {
+      return null;
+    }
+
+    return {
+      ...rate[0],
+      pointsPerKg: parseFloat(rate[0].pointsPerKg),
+      cashPerKg: parseFloat(rate[0].cashPerKg)
+    };
+  }
+
+  // A rate scaled by a service zone's pricing multiplier
+  applyMultiplier(rate, multiplier = 1) {
+    if (multiplier === 1) {
+      return rate;
+    }
+
+    const baseRate = rate || DEFAULT_RATE;
+    return {
+      ...baseRate,
+      pointsPerKg: baseRate.pointsPerKg * multiplier,
+      cashPerKg: baseRate.cashPerKg * multiplier
+    };
+  }
+
+  // Pickup columns recording the rate a pickup is priced at
+  rateFields(rate) {
+    const appliedRate = rate || DEFAULT_RATE;
+
+    return {
+      wasteCategoryRateId: appliedRate.rateId,
+      pointsPerKg: appliedRate.pointsPerKg.toFixed(2),
+      cashPerKg: appliedRate.cashPerKg.toFixed(2)
+    };
+  }
+
+  // The rate stored on a pickup or pickup item, or for older records the rate
+  // in effect when the pickup was created
+  async getAppliedRate(record, createdAt = record.createdAt) {
+    if (record.pointsPerKg != null) {
+      return {
+        rateId: record.wasteCategoryRateId,
+        pointsPerKg: parseFloat(record.pointsPerKg),
+        cashPerKg: parseFloat(record.cashPerKg) || 0
+      };
+    }
+
+    const rate = await this.getRateInEffect(record.wasteType, createdAt || new Date());
+    return rate || DEFAULT_RATE;
+  }
+
+  // Points and cash value of a pickup item at its rate, using the weighed
+  // weight when there is one and the estimate otherwise
+  async priceItem(item, createdAt, actualWeight) {
+    const rate = await this.getAppliedRate(item, createdAt);
+    const weight = parseFloat(actualWeight || item.estimatedWeight) || 1;
+
+    return {
+      rate,
+      pointsEarned: Math.floor(weight * rate.pointsPerKg),
+      cashValue: (weight * rate.cashPerKg).toFixed(2)
+    };
+  }
+}
+
+export default new PricingService();
@@ -0,0 +1,93 @@
+import db from '../database/connection.js';
+import { reviews, users } from '../database/schema.js';
+import { eq, and, inArray, sql } from 'drizzle-orm';
+
+// Tags shown in a rating breakdown
+const TOP_TAGS = 5;
+
+// users.rating and users.totalRatings are recomputed from the visible reviews a
+// user has received, so an edited or hidden review is reflected exactly.
+class RatingService {
+  // Statement recomputing a user's rating, for use in a batch after the review change
+  buildRecomputeStatement(userId) {
+    const received = sql`from ${reviews} where ${reviews.revieweeId} = ${userId} and not ${reviews.isHidden}`;
+
+    return db
+      .update(users)
+      .set({
+        rating: sql`(select coalesce(round(avg(${reviews.rating}), 2), 0) ${received})`,
+        totalRatings: sql`(select count(*) ${received})`,
+        updatedAt: new Date()
+      })
+      .where(eq(users.id, userId));
+  }
+
+  async recompute(userId) {
+    await this.buildRecomputeStatement(userId);
+  }
+
+  // Star counts and most used tags of each user's visible reviews
+  async getBreakdowns(userIds) {
+    const breakdowns = new Map(userIds.map(userId => [userId, {
+      average: 0,
+      total: 0,
+      stars: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+      topTags: []
+    }]));
+
+    if (!userIds.length) {
+      return breakdowns;
+    }
+
+    const visible = and(inArray(reviews.revieweeId, userIds), eq(reviews.isHidden, false));
+
+    const stars = await db
+      .select({
+        userId: reviews.revieweeId,
+        rating: reviews.rating,
+        count: sql`count(*)`.mapWith(Number)
+      })
+      .from(reviews)
+      .where(visible)
+      .groupBy(reviews.revieweeId, reviews.rating);
+
+    const tag = sql`jsonb_array_elements_text(${reviews.tags})`;
+    const tags = await db
+      .select({
+        userId: reviews.revieweeId,
+        tag: sql`${tag}`.as('tag'),
+        count: sql`count(*)`.mapWith(Number)
+      })
+      .from(reviews)
+      .where(visible)
+      .groupBy(reviews.revieweeId, sql`2`)
+      .orderBy(sql`3 desc`, sql`2`);
+
+    for (const row of stars) {
+      const breakdown = breakdowns.get(row.userId);
+      breakdown.stars[row.rating] = row.count;
+      breakdown.total += row.count;
+      breakdown.average += row.rating * row.count;
+    }
+
+    for (const breakdown of breakdowns.values()) {
+      breakdown.average = breakdown.total ? Math.round((breakdown.average / breakdown.total) * 100) / 100 : 0;
+    }
+
+    for (const row of tags) {
+      const { topTags } = breakdowns.get(row.userId);
+      if (topTags.length < TOP_TAGS) {
+        topTags.push({ tag: row.tag, count: row.count });
+      }
+    }
+
+    return breakdowns;
+  }
+
+  async getBreakdown(userId) {
+    const breakdowns = await this.getBreakdowns([userId]);
+    return breakdowns.get(userId);
+  }
+}
+
+export default new RatingService();
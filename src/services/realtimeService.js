@@ -0,0 +1,130 @@
+import db from '../database/connection.js';
+import { pickupRequests } from '../database/schema.js';
+import { eq } from 'drizzle-orm';
+import logger from '../utils/logger.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Room for everyone following a pickup (its requester, assigned waste picker and admins who joined)
+export function pickupRoom(pickupRequestId) {
+  return `pickup:${pickupRequestId}`;
+}
+
+// Room every socket of a role joins on connection
+export function roleRoom(role) {
+  return `role:${role}`;
+}
+
+// Server-side Socket.IO emits. The server is attached in app.js; until then
+// (and in scripts without a server) emits are dropped. Every socket is
+// authenticated and joins its own user room and its role room on connection;
+// pickup rooms are joined on request (see canJoinRoom).
+class RealtimeService {
+  constructor() {
+    this.io = null;
+  }
+
+  init(io) {
+    this.io = io;
+  }
+
+  emitToUser(userId, event, data) {
+    this.emitToRooms([userId], event, data);
+  }
+
+  // A socket in several of the rooms receives the event once
+  emitToRooms(rooms, event, data) {
+    const targets = rooms.filter(Boolean);
+    if (!this.io || !targets.length) {
+      return;
+    }
+
+    try {
+      this.io.to(targets).emit(event, data);
+    } catch (error) {
+      logger.error(`Failed to emit ${event} to ${targets.join(', ')}:`, error);
+    }
+  }
+
+  // Rooms a user may join: their own user room, and the room of a pickup they
+  // requested or are assigned to (admins and government can follow any pickup)
+  async canJoinRoom(user, room) {
+    if (room === user.id) {
+      return true;
+    }
+
+    const [prefix, pickupRequestId] = String(room).split(':');
+    if (prefix !== 'pickup' || !UUID_PATTERN.test(pickupRequestId || '')) {
+      return false;
+    }
+
+    const pickup = await db
+      .select({ requesterId: pickupRequests.requesterId, wastePickerId: pickupRequests.wastePickerId })
+      .from(pickupRequests)
+      .where(eq(pickupRequests.id, pickupRequestId))
+      .limit(1);
+
+    if (!pickup.length) {
+      return false;
+    }
+
+    return pickup[0].requesterId === user.id ||
+      pickup[0].wastePickerId === user.id ||
+      ['admin', 'government'].includes(user.role);
+  }
+
+  // Tell waste pickers (and admins) a pending pickup has been taken so it drops out of nearby lists
+  pickupClaimed(pickup) {
+    this.emitToRooms([roleRoom('waste_picker'), roleRoom('admin')], 'pickup_claimed', {
+      pickupRequestId: pickup.id,
+      status: pickup.status,
+      claimedAt: pickup.updatedAt
+    });
+  }
+
+  // Tell the household which waste picker accepted their pickup
+  pickupAccepted(pickup, wastePicker) {
+    this.emitToRooms([pickup.requesterId, pickupRoom(pickup.id)], 'pickup_accepted', {
+      pickupRequestId: pickup.id,
+      wastePicker: {
+        id: wastePicker.id,
+        firstName: wastePicker.firstName,
+        lastName: wastePicker.lastName,
+        phone: wastePicker.phone,
+        rating: wastePicker.rating
+      },
+      acceptedAt: pickup.updatedAt
+    });
+  }
+
+  // Every status change of a pickup, sent to its parties and its room
+  pickupStatusChanged(pickup, fromStatus) {
+    this.emitToRooms([pickup.requesterId, pickup.wastePickerId, pickupRoom(pickup.id)], 'pickup_status_changed', {
+      pickupRequestId: pickup.id,
+      fromStatus,
+      status: pickup.status,
+      updatedAt: pickup.updatedAt
+    });
+  }
+
+  pickupLocation(pickup, location) {
+    this.emitToRooms([pickup.requesterId, pickupRoom(pickup.id)], 'waste_picker_location', location);
+  }
+
+  notificationCreated(notification) {
+    this.emitToUser(notification.userId, 'notification_created', notification);
+  }
+
+  paymentReceived(transaction) {
+    this.emitToUser(transaction.userId, 'payment_received', {
+      transactionId: transaction.id,
+      type: transaction.type,
+      amount: transaction.amount,
+      status: transaction.status,
+      description: transaction.description,
+      createdAt: transaction.createdAt
+    });
+  }
+}
+
+export default new RealtimeService();
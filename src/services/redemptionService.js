@@ -0,0 +1,208 @@
+import db from '../database/connection.js';
+import { rewards, rewardRedemptions, users } from '../database/schema.js';
+import { insertWhere } from '../database/queryHelpers.js';
+import { eq, and, or, gt, gte, isNull, sql } from 'drizzle-orm';
+import pointsService from './pointsService.js';
+import fulfillmentService from './fulfillmentService.js';
+import voucherCodeService from './voucherCodeService.js';
+import logger from '../utils/logger.js';
+import { v4 as uuidv4 } from 'uuid';
+
+const UNIQUE_VIOLATION = '23505';
+
+function isUniqueViolation(error) {
+  return error?.code === UNIQUE_VIOLATION || error?.cause?.code === UNIQUE_VIOLATION;
+}
+
+function isExpired(reward) {
+  return !!reward.expiryDate && new Date(reward.expiryDate) <= new Date();
+}
+
+class RedemptionService {
+  async getReward(id) {
+    const reward = await db
+      .select()
+      .from(rewards)
+      .where(eq(rewards.id, id))
+      .limit(1);
+
+    return reward[0] || null;
+  }
+
+  async getAvailablePoints(userId) {
+    const user = await db
+      .select({ availablePoints: users.availablePoints })
+      .from(users)
+      .where(eq(users.id, userId))
+      .limit(1);
+
+    return user[0]?.availablePoints || 0;
+  }
+
+  async findByIdempotencyKey(userId, idempotencyKey) {
+    const redemption = await db
+      .select()
+      .from(rewardRedemptions)
+      .where(and(
+        eq(rewardRedemptions.userId, userId),
+        eq(rewardRedemptions.idempotencyKey, idempotencyKey)
+      ))
+      .limit(1);
+
+    return redemption[0] || null;
+  }
+
+  // The result of an earlier redemption with the same idempotency key
+  replay(redemption, rewardId) {
+    if (redemption.rewardId !== rewardId) {
+      return {
+        success: false,
+        statusCode: 409,
+        message: 'This idempotency key was already used to redeem a different reward'
+      };
+    }
+
+    return { success: true, replayed: true, redemption };
+  }
+
+  // Why a reward cannot be redeemed right now, or null if it can
+  check(reward, availablePoints) {
+    if (!reward.isActive || isExpired(reward)) {
+      return { success: false, statusCode: 400, message: 'Reward is not available' };
+    }
+
+    if (reward.stockQuantity !== null && reward.stockQuantity <= 0) {
+      return { success: false, statusCode: 409, message: 'Reward is out of stock' };
+    }
+
+    if (availablePoints < reward.pointsCost) {
+      return { success: false, statusCode: 400, message: 'Insufficient points' };
+    }
+
+    return null;
+  }
+
+  // Redeem a reward as one atomic batch: the stock decrement, the redemption,
+  // its voucher code, its delivery job and the points deduction all apply, or
+  // none do. The checks are repeated in the guarded update so concurrent
+  // redemptions cannot oversell stock or overspend points. A retried request
+  // with the same idempotency key returns the original redemption.
+  async redeem(user, rewardId, { deliveryInfo, idempotencyKey = null } = {}) {
+    if (idempotencyKey) {
+      const existing = await this.findByIdempotencyKey(user.id, idempotencyKey);
+      if (existing) {
+        return this.replay(existing, rewardId);
+      }
+    }
+
+    const reward = await this.getReward(rewardId);
+    if (!reward) {
+      return { success: false, statusCode: 404, message: 'Reward not found' };
+    }
+
+    const failure = this.check(reward, await this.getAvailablePoints(user.id));
+    if (failure) {
+      return failure;
+    }
+
+    const recipient = fulfillmentService.getRecipient(reward, deliveryInfo, user);
+    if (!recipient.valid) {
+      return { success: false, statusCode: 400, message: recipient.message };
+    }
+
+    const redemptionId = uuidv4();
+    const redemptionCode = `RN${Date.now()}${Math.floor(Math.random() * 1000)}`;
+    const appliedCondition = sql`exists (select 1 from ${rewards} where ${rewards.id} = ${reward.id} and ${rewards.lastRedemptionId} = ${redemptionId})`;
+
+    try {
+      const [, stockUpdate, redemption] = await db.batch([
+        // Lock the user's row first, so the points check below sees every
+        // deduction committed by a concurrent redemption
+        db
+          .update(users)
+          .set({ updatedAt: new Date() })
+          .where(eq(users.id, user.id)),
+        db
+          .update(rewards)
+          .set({
+            stockQuantity: sql`case when ${rewards.stockQuantity} is null then null else ${rewards.stockQuantity} - 1 end`,
+            lastRedemptionId: redemptionId,
+            updatedAt: new Date()
+          })
+          .where(and(
+            eq(rewards.id, reward.id),
+            eq(rewards.isActive, true),
+            or(isNull(rewards.stockQuantity), gt(rewards.stockQuantity, 0)),
+            or(isNull(rewards.expiryDate), gt(rewards.expiryDate, new Date())),
+            gte(sql`(select ${users.availablePoints} from ${users} where ${users.id} = ${user.id})`, reward.pointsCost),
+            reward.usesVoucherCodes ? voucherCodeService.hasAvailableCode(reward.id) : undefined
+          ))
+          .returning({ id: rewards.id }),
+        insertWhere(
+          rewardRedemptions,
+          {
+            id: redemptionId,
+            userId: user.id,
+            rewardId: reward.id,
+            pointsUsed: reward.pointsCost,
+            redemptionCode,
+            deliveryInfo: deliveryInfo || {},
+            status: 'pending',
+            idempotencyKey
+          },
+          appliedCondition
+        ).returning(),
+        ...(reward.usesVoucherCodes ? [voucherCodeService.buildAssign(reward.id, redemptionId, appliedCondition)] : []),
+        fulfillmentService.buildEnqueue(redemptionId, reward, appliedCondition),
+        ...pointsService.buildStatements(
+          pointsService.redeemEntry(user.id, reward.pointsCost, {
+            redemptionId,
+            idempotencyKey: `redemption:${redemptionId}:redeem`,
+            description: `Redeemed ${reward.name}`
+          }),
+          appliedCondition
+        )
+      ]);
+
+      if (stockUpdate.length) {
+        if (!fulfillmentService.getProvider(reward)) {
+          await fulfillmentService.notifyManual(redemption[0], reward, `no fulfillment provider delivers ${reward.type} rewards`);
+        }
+        return { success: true, replayed: false, reward, redemption: redemption[0] };
+      }
+    } catch (error) {
+      if (!idempotencyKey || !isUniqueViolation(error)) {
+        throw error;
+      }
+      logger.warn(`Duplicate redemption for idempotency key ${idempotencyKey} rejected by the database`);
+
+      const existing = await this.findByIdempotencyKey(user.id, idempotencyKey);
+      if (existing) {
+        return this.replay(existing, rewardId);
+      }
+      throw error;
+    }
+
+    // A concurrent request with the same idempotency key got there first
+    if (idempotencyKey) {
+      const existing = await this.findByIdempotencyKey(user.id, idempotencyKey);
+      if (existing) {
+        return this.replay(existing, rewardId);
+      }
+    }
+
+    // A concurrent redemption took the last of the stock or the user's points,
+    // or the reward's remaining voucher codes have expired
+    const currentReward = await this.getReward(reward.id);
+    const currentFailure = currentReward && this.check(currentReward, await this.getAvailablePoints(user.id));
+    if (currentFailure) {
+      return currentFailure;
+    }
+
+    return reward.usesVoucherCodes
+      ? { success: false, statusCode: 409, message: 'Reward is out of stock' }
+      : { success: false, statusCode: 409, message: 'Reward was updated by someone else, please try again' };
+  }
+}
+
+export default new RedemptionService();
@@ -0,0 +1,300 @@
+import db from '../database/connection.js';
+import { pickupRequests, reviews, users } from '../database/schema.js';
+import { eq, and, or, desc, sql } from 'drizzle-orm';
+import ratingService from './ratingService.js';
+import notificationService from './notificationService.js';
+import logger from '../utils/logger.js';
+
+// How long after a pickup is completed its parties can review each other
+export const REVIEW_WINDOW_DAYS = 14;
+
+// How long a review can be edited after it is written
+export const REVIEW_EDIT_WINDOW_HOURS = 48;
+
+export const MAX_REVIEW_COMMENT_LENGTH = 1000;
+
+// Tags a reviewer can pick, by the role of the user being reviewed
+export const REVIEW_TAGS = {
+  waste_picker: ['punctual', 'friendly', 'professional', 'careful_handling', 'accurate_weighing', 'late', 'rude', 'careless_handling', 'inaccurate_weighing'],
+  household: ['well_sorted', 'ready_on_time', 'easy_to_find', 'friendly', 'poorly_sorted', 'not_ready', 'hard_to_find', 'rude']
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const reviewerFields = {
+  id: users.id,
+  firstName: users.firstName,
+  lastName: users.lastName,
+  avatar: users.avatar,
+  role: users.role
+};
+
+class ReviewService {
+  async getReview(id) {
+    const review = await db
+      .select()
+      .from(reviews)
+      .where(eq(reviews.id, id))
+      .limit(1);
+
+    return review[0] || null;
+  }
+
+  // Check a review's rating, comment and tags. With partial, missing fields are left out.
+  validate({ rating, comment, tags } = {}, revieweeRole, { partial = false } = {}) {
+    const values = {};
+
+    if (rating !== undefined || !partial) {
+      const number = Number(rating);
+      if (!Number.isInteger(number) || number < 1 || number > 5) {
+        return { valid: false, message: 'rating must be a whole number from 1 to 5' };
+      }
+      values.rating = number;
+    }
+
+    if (comment !== undefined) {
+      const text = comment === null ? '' : String(comment).trim();
+      if (text.length > MAX_REVIEW_COMMENT_LENGTH) {
+        return { valid: false, message: `comment must be at most ${MAX_REVIEW_COMMENT_LENGTH} characters` };
+      }
+      values.comment = text || null;
+    }
+
+    if (tags !== undefined) {
+      const allowed = REVIEW_TAGS[revieweeRole] || [];
+      if (!Array.isArray(tags) || tags.some(tag => !allowed.includes(tag))) {
+        return { valid: false, message: `tags must be from: ${allowed.join(', ')}` };
+      }
+      values.tags = [...new Set(tags)];
+    }
+
+    return { valid: true, values };
+  }
+
+  // The household's review is also kept on the pickup's rating and feedback, which
+  // older clients read. Recomputed from the review so it can join any batch.
+  buildPickupRatingStatement(pickupRequestId) {
+    const householdReview = column => sql`(select ${column} from ${reviews} where ${reviews.pickupRequestId} = ${pickupRequestId} and ${reviews.reviewerRole} = 'household' and not ${reviews.isHidden})`;
+
+    return db
+      .update(pickupRequests)
+      .set({
+        rating: householdReview(reviews.rating),
+        feedback: householdReview(reviews.comment)
+      })
+      .where(eq(pickupRequests.id, pickupRequestId));
+  }
+
+  // Statements to run after a review changes: the pickup's rating and the reviewee's aggregate
+  buildAggregateStatements(review) {
+    return [
+      this.buildPickupRatingStatement(review.pickupRequestId),
+      ratingService.buildRecomputeStatement(review.revieweeId)
+    ];
+  }
+
+  // Review the other party of a completed pickup
+  async submitReview(pickup, user, body = {}) {
+    const isRequester = pickup.requesterId === user.id;
+    const isPicker = !!pickup.wastePickerId && pickup.wastePickerId === user.id;
+    if (!isRequester && !isPicker) {
+      return { success: false, statusCode: 403, message: 'Only the household or the waste picker of a pickup can review it' };
+    }
+
+    if (pickup.status !== 'completed') {
+      return { success: false, statusCode: 409, message: 'Only completed pickups can be reviewed' };
+    }
+
+    if (pickup.completedAt && Date.now() - new Date(pickup.completedAt).getTime() > REVIEW_WINDOW_DAYS * DAY_MS) {
+      return { success: false, statusCode: 409, message: `Pickups can only be reviewed within ${REVIEW_WINDOW_DAYS} days of completion` };
+    }
+
+    const revieweeRole = isRequester ? 'waste_picker' : 'household';
+    const validation = this.validate(body, revieweeRole);
+    if (!validation.valid) {
+      return { success: false, statusCode: 400, message: validation.message };
+    }
+
+    const review = {
+      pickupRequestId: pickup.id,
+      reviewerId: user.id,
+      revieweeId: isRequester ? pickup.wastePickerId : pickup.requesterId,
+      reviewerRole: isRequester ? 'household' : 'waste_picker',
+      comment: null,
+      tags: [],
+      ...validation.values,
+      editableUntil: new Date(Date.now() + REVIEW_EDIT_WINDOW_HOURS * HOUR_MS)
+    };
+
+    let created;
+    try {
+      [[created]] = await db.batch([
+        db.insert(reviews).values(review).returning(),
+        ...this.buildAggregateStatements(review)
+      ]);
+    } catch (error) {
+      if (error.code === '23505' || error.cause?.code === '23505') {
+        return { success: false, statusCode: 409, message: 'You have already reviewed this pickup; edit your review instead' };
+      }
+      throw error;
+    }
+
+    await notificationService.createNotification(
+      created.revieweeId,
+      'system_update',
+      'New Review',
+      `You received a ${created.rating}-star review for pickup ${pickup.id}.`,
+      { pickupRequestId: pickup.id, reviewId: created.id }
+    );
+
+    return { success: true, review: created };
+  }
+
+  // Edit a review while its edit window is open
+  async updateReview(review, user, body = {}) {
+    if (review.reviewerId !== user.id) {
+      return { success: false, statusCode: 403, message: 'Only the reviewer can edit a review' };
+    }
+
+    if (review.isHidden) {
+      return { success: false, statusCode: 409, message: 'Hidden reviews cannot be edited' };
+    }
+
+    if (review.editableUntil < new Date()) {
+      return { success: false, statusCode: 409, message: `Reviews can only be edited within ${REVIEW_EDIT_WINDOW_HOURS} hours` };
+    }
+
+    const revieweeRole = review.reviewerRole === 'household' ? 'waste_picker' : 'household';
+    const validation = this.validate(body, revieweeRole, { partial: true });
+    if (!validation.valid) {
+      return { success: false, statusCode: 400, message: validation.message };
+    }
+
+    if (!Object.keys(validation.values).length) {
+      return { success: false, statusCode: 400, message: 'Send a rating, comment or tags to update' };
+    }
+
+    const [[updated]] = await db.batch([
+      db
+        .update(reviews)
+        .set({ ...validation.values, updatedAt: new Date() })
+        .where(and(
+          eq(reviews.id, review.id),
+          eq(reviews.isHidden, false),
+          sql`${reviews.editableUntil} >= now()`
+        ))
+        .returning(),
+      ...this.buildAggregateStatements(review)
+    ]);
+
+    if (!updated) {
+      return { success: false, statusCode: 409, message: 'Review can no longer be edited' };
+    }
+
+    return { success: true, review: updated };
+  }
+
+  // Create the user's review of a pickup, or edit it if they already wrote one
+  async saveReview(pickup, user, body = {}) {
+    const existing = await db
+      .select()
+      .from(reviews)
+      .where(and(eq(reviews.pickupRequestId, pickup.id), eq(reviews.reviewerId, user.id)))
+      .limit(1);
+
+    return existing.length
+      ? this.updateReview(existing[0], user, body)
+      : this.submitReview(pickup, user, body);
+  }
+
+  // Hide or restore a review (admin only); hidden reviews stop counting towards the rating
+  async setHidden(review, admin, hidden, reason = null) {
+    if (hidden && (!reason || !String(reason).trim())) {
+      return { success: false, statusCode: 400, message: 'A reason is required to hide a review' };
+    }
+
+    if (review.isHidden === hidden) {
+      return { success: false, statusCode: 409, message: hidden ? 'Review is already hidden' : 'Review is not hidden' };
+    }
+
+    const [[updated]] = await db.batch([
+      db
+        .update(reviews)
+        .set({
+          isHidden: hidden,
+          hiddenBy: hidden ? admin.id : null,
+          hiddenAt: hidden ? new Date() : null,
+          hiddenReason: hidden ? String(reason).trim() : null,
+          updatedAt: new Date()
+        })
+        .where(eq(reviews.id, review.id))
+        .returning(),
+      ...this.buildAggregateStatements(review)
+    ]);
+
+    logger.info(`Admin ${admin.id} ${hidden ? 'hid' : 'restored'} review ${review.id}`);
+
+    return { success: true, review: updated };
+  }
+
+  // Visible reviews a user has received, newest first
+  async getReviewsForUser(userId, { page = 1, limit = 20 } = {}) {
+    return db
+      .select({
+        review: reviews,
+        reviewer: reviewerFields
+      })
+      .from(reviews)
+      .innerJoin(users, eq(reviews.reviewerId, users.id))
+      .where(and(eq(reviews.revieweeId, userId), eq(reviews.isHidden, false)))
+      .orderBy(desc(reviews.createdAt))
+      .limit(parseInt(limit))
+      .offset((parseInt(page) - 1) * parseInt(limit));
+  }
+
+  // Reviews on a pickup; parties see hidden reviews only when they wrote or received them
+  async getReviewsForPickup(pickup, user) {
+    const conditions = [eq(reviews.pickupRequestId, pickup.id)];
+    if (user.role !== 'admin') {
+      conditions.push(or(
+        eq(reviews.isHidden, false),
+        eq(reviews.reviewerId, user.id),
+        eq(reviews.revieweeId, user.id)
+      ));
+    }
+
+    return db
+      .select({
+        review: reviews,
+        reviewer: reviewerFields
+      })
+      .from(reviews)
+      .innerJoin(users, eq(reviews.reviewerId, users.id))
+      .where(and(...conditions))
+      .orderBy(reviews.createdAt);
+  }
+
+  // Reviews for moderation (admin only)
+  async getReviews({ hidden, revieweeId, reviewerId, maxRating, page = 1, limit = 20 } = {}) {
+    const conditions = [];
+    if (hidden !== undefined) conditions.push(eq(reviews.isHidden, hidden === 'true'));
+    if (revieweeId) conditions.push(eq(reviews.revieweeId, revieweeId));
+    if (reviewerId) conditions.push(eq(reviews.reviewerId, reviewerId));
+    if (maxRating) conditions.push(sql`${reviews.rating} <= ${parseInt(maxRating)}`);
+
+    return db
+      .select({
+        review: reviews,
+        reviewer: reviewerFields
+      })
+      .from(reviews)
+      .innerJoin(users, eq(reviews.reviewerId, users.id))
+      .where(conditions.length ? and(...conditions) : undefined)
+      .orderBy(desc(reviews.createdAt))
+      .limit(parseInt(limit))
+      .offset((parseInt(page) - 1) * parseInt(limit));
+  }
+}
+
+export default new ReviewService();
@@ -0,0 +1,243 @@
+import db from '../database/connection.js';
+import { pickupRequests, wastePickerProfiles } from '../database/schema.js';
+import { eq, and, inArray, asc } from 'drizzle-orm';
+import pickupItemService from './pickupItemService.js';
+import { calculateDistance, optimizeRoute, validateCoordinates } from '../utils/geoUtils.js';
+import { getLocalTimeParts, localDateTime, parseTimeSlot } from '../utils/timeUtils.js';
+
+// Largest number of stops planned in one route
+export const MAX_ROUTE_STOPS = 25;
+
+// Time spent at each stop collecting waste
+export const STOP_SERVICE_MINUTES = 15;
+
+// Carrying capacity and average speed by vehicle type. The vehicle type is free
+// text on the waste picker profile and is matched on keywords.
+export const VEHICLE_PROFILES = [
+  { type: 'truck', keywords: ['truck', 'lorry'], capacityKg: 3000, averageSpeedKmh: 25 },
+  { type: 'van', keywords: ['van', 'pickup', 'bus'], capacityKg: 1000, averageSpeedKmh: 30 },
+  { type: 'tricycle', keywords: ['tricycle', 'keke', 'rickshaw'], capacityKg: 300, averageSpeedKmh: 25 },
+  { type: 'motorcycle', keywords: ['motorcycle', 'motorbike', 'okada', 'bike'], capacityKg: 100, averageSpeedKmh: 30 },
+  { type: 'bicycle', keywords: ['bicycle', 'cycle'], capacityKg: 50, averageSpeedKmh: 12 },
+  { type: 'cart', keywords: ['cart', 'barrow', 'foot', 'walk'], capacityKg: 150, averageSpeedKmh: 5 }
+];
+
+// Used when the profile has no vehicle type or it is not recognised
+export const DEFAULT_VEHICLE_PROFILE = { type: 'unknown', capacityKg: 100, averageSpeedKmh: 30 };
+
+// Route cost per minute of lateness, in km; arriving on time matters more than a shorter route
+const LATE_PENALTY_KM_PER_MINUTE = 1;
+
+const MINUTE_MS = 60 * 1000;
+
+class RoutePlanningService {
+  getVehicleProfile(vehicleType) {
+    const type = (vehicleType || '').toLowerCase();
+    const { keywords, ...profile } = VEHICLE_PROFILES.find(vehicle =>
+      vehicle.keywords.some(keyword => type.includes(keyword))
+    ) || { ...DEFAULT_VEHICLE_PROFILE, keywords: [] };
+
+    return { ...profile, vehicleType: vehicleType || null };
+  }
+
+  // Time window of a pickup from its preferred date and time slot (local time).
+  // Pickups without a date are assumed to be for the day the route starts.
+  getTimeWindow(pickup, startTime) {
+    const slot = parseTimeSlot(pickup.preferredTimeSlot);
+    if (!slot) {
+      return null;
+    }
+
+    const { date } = getLocalTimeParts(pickup.preferredDate || startTime);
+    return {
+      start: localDateTime(date, slot.start),
+      end: localDateTime(date, slot.end)
+    };
+  }
+
+  // Walk a route from the start time, working out arrival times, waits and lateness
+  simulate(startPoint, route, { startTime, vehicle }) {
+    let time = startTime.getTime();
+    let load = 0;
+    let previous = startPoint;
+
+    return route.map(stop => {
+      const distance = calculateDistance(previous.latitude, previous.longitude, stop.latitude, stop.longitude);
+      const travelMinutes = (distance / vehicle.averageSpeedKmh) * 60;
+      const arrival = time + travelMinutes * MINUTE_MS;
+
+      const window = stop.timeWindow;
+      const serviceStart = window ? Math.max(arrival, window.start.getTime()) : arrival;
+      const lateByMinutes = window ? Math.max(0, (arrival - window.end.getTime()) / MINUTE_MS) : 0;
+
+      time = serviceStart + STOP_SERVICE_MINUTES * MINUTE_MS;
+      load += stop.weightKg;
+      previous = stop;
+
+      return {
+        stop,
+        distance,
+        travelMinutes,
+        arrival: new Date(arrival),
+        waitMinutes: (serviceStart - arrival) / MINUTE_MS,
+        lateByMinutes,
+        departure: new Date(time),
+        load
+      };
+    });
+  }
+
+  // Distance of a route plus a penalty for arriving after time windows close
+  routeCost(startPoint, route, options) {
+    return this.simulate(startPoint, route, options)
+      .reduce((sum, leg) => sum + leg.distance + leg.lateByMinutes * LATE_PENALTY_KM_PER_MINUTE, 0);
+  }
+
+  // Plan a route through a waste picker's accepted pickups
+  async planRoute(wastePicker, { startLatitude, startLongitude, startTime, pickupIds } = {}) {
+    const startLat = startLatitude ?? wastePicker.latitude;
+    const startLon = startLongitude ?? wastePicker.longitude;
+    if (startLat == null || startLon == null) {
+      return { success: false, statusCode: 400, message: 'startLatitude and startLongitude are required when your profile has no location' };
+    }
+
+    const start = validateCoordinates(startLat, startLon);
+    if (!start.valid) {
+      return { success: false, statusCode: 400, message: `Start point: ${start.message}` };
+    }
+
+    const departure = startTime ? new Date(startTime) : new Date();
+    if (isNaN(departure.getTime())) {
+      return { success: false, statusCode: 400, message: 'startTime must be a valid date' };
+    }
+
+    if (pickupIds !== undefined && (!Array.isArray(pickupIds) || pickupIds.length === 0)) {
+      return { success: false, statusCode: 400, message: 'pickupIds must be a non-empty array' };
+    }
+
+    const conditions = [
+      eq(pickupRequests.wastePickerId, wastePicker.id),
+      eq(pickupRequests.status, 'accepted')
+    ];
+    if (pickupIds) conditions.push(inArray(pickupRequests.id, pickupIds));
+
+    const pickups = await db
+      .select()
+      .from(pickupRequests)
+      .where(and(...conditions))
+      .orderBy(asc(pickupRequests.createdAt));
+
+    if (pickupIds && pickups.length !== new Set(pickupIds).size) {
+      return { success: false, statusCode: 400, message: 'pickupIds must be pickups you have accepted' };
+    }
+
+    if (pickups.length > MAX_ROUTE_STOPS) {
+      return { success: false, statusCode: 400, message: `A route can have at most ${MAX_ROUTE_STOPS} stops; pass pickupIds to plan part of them` };
+    }
+
+    const profile = await db
+      .select({ vehicleType: wastePickerProfiles.vehicleType })
+      .from(wastePickerProfiles)
+      .where(eq(wastePickerProfiles.userId, wastePicker.id))
+      .limit(1);
+    const vehicle = this.getVehicleProfile(profile[0]?.vehicleType);
+
+    const startPoint = { latitude: start.latitude, longitude: start.longitude };
+    const options = { startTime: departure, vehicle };
+
+    const itemsByPickup = await pickupItemService.getItemsByPickup(pickups.map(pickup => pickup.id));
+    const unscheduled = [];
+    const stops = [];
+    for (const pickup of pickups) {
+      if (pickup.pickupLatitude == null || pickup.pickupLongitude == null) {
+        unscheduled.push({ pickupRequestId: pickup.id, reason: 'Pickup has no coordinates' });
+        continue;
+      }
+
+      stops.push({
+        pickup,
+        items: itemsByPickup.get(pickup.id) || [],
+        latitude: pickup.pickupLatitude,
+        longitude: pickup.pickupLongitude,
+        weightKg: parseFloat(pickup.estimatedWeight) || 0,
+        weightKnown: pickup.estimatedWeight != null,
+        timeWindow: this.getTimeWindow(pickup, departure)
+      });
+    }
+
+    const cost = route => this.routeCost(startPoint, route, options);
+
+    // Fit as many stops as the vehicle can carry, in route order
+    let planned = [];
+    let load = 0;
+    for (const stop of optimizeRoute(startPoint, stops, cost)) {
+      if (load + stop.weightKg > vehicle.capacityKg) {
+        unscheduled.push({
+          pickupRequestId: stop.pickup.id,
+          estimatedWeight: stop.weightKg,
+          reason: `Exceeds the remaining vehicle capacity of ${Math.round((vehicle.capacityKg - load) * 100) / 100}kg`
+        });
+        continue;
+      }
+
+      load += stop.weightKg;
+      planned.push(stop);
+    }
+
+    if (planned.length < stops.length) {
+      planned = optimizeRoute(startPoint, planned, cost);
+    }
+
+    const legs = this.simulate(startPoint, planned, options);
+    const round = value => Math.round(value * 100) / 100;
+
+    const route = legs.map((leg, index) => ({
+      sequence: index + 1,
+      pickupRequestId: leg.stop.pickup.id,
+      pickupAddress: leg.stop.pickup.pickupAddress,
+      latitude: leg.stop.latitude,
+      longitude: leg.stop.longitude,
+      wasteType: leg.stop.pickup.wasteType,
+      materials: pickupItemService.describe(leg.stop.items),
+      estimatedWeight: leg.stop.weightKnown ? leg.stop.weightKg : null,
+      distanceFromPrevious: round(leg.distance),
+      travelMinutes: Math.round(leg.travelMinutes),
+      eta: leg.arrival,
+      waitMinutes: Math.round(leg.waitMinutes),
+      departure: leg.departure,
+      timeWindow: leg.stop.timeWindow,
+      withinTimeWindow: leg.stop.timeWindow ? leg.lateByMinutes === 0 : null,
+      lateByMinutes: Math.round(leg.lateByMinutes),
+      loadAfterStop: round(leg.load)
+    }));
+
+    const totalDistance = legs.reduce((sum, leg) => sum + leg.distance, 0);
+    const totalTravelMinutes = legs.reduce((sum, leg) => sum + leg.travelMinutes, 0);
+    const finishTime = legs.length ? legs[legs.length - 1].departure : departure;
+
+    return {
+      success: true,
+      plan: {
+        startPoint,
+        startTime: departure,
+        vehicle,
+        route,
+        unscheduled,
+        summary: {
+          totalStops: route.length,
+          totalDistance: round(totalDistance),
+          totalTravelMinutes: Math.round(totalTravelMinutes),
+          totalDurationMinutes: Math.round((finishTime - departure) / MINUTE_MS),
+          finishTime,
+          totalLoad: round(load),
+          capacity: vehicle.capacityKg,
+          stopsWithoutWeight: route.filter(stop => stop.estimatedWeight === null).length,
+          lateStops: route.filter(stop => stop.withinTimeWindow === false).length,
+          feasible: unscheduled.length === 0 && route.every(stop => stop.withinTimeWindow !== false)
+        }
+      }
+    };
+  }
+}
+
+export default new RoutePlanningService();
@@ -0,0 +1,373 @@
+import db from '../database/connection.js';
+import { serviceZones, serviceZonePickers, serviceWaitlist, pickupRequests, users, wasteTypeEnum } from '../database/schema.js';
+import { eq, and, inArray, isNull, between, asc, sql } from 'drizzle-orm';
+import notificationService from './notificationService.js';
+import {
+  normalizeBoundary,
+  isPointInPolygon,
+  getBoundaryBox,
+  getBoundaryArea,
+  validateCoordinates
+} from '../utils/geoUtils.js';
+import logger from '../utils/logger.js';
+
+export const MIN_PRICING_MULTIPLIER = 0.1;
+export const MAX_PRICING_MULTIPLIER = 10;
+
+const pickerFields = {
+  id: users.id,
+  firstName: users.firstName,
+  lastName: users.lastName,
+  phone: users.phone,
+  rating: users.rating
+};
+
+// Service zones are polygons where pickups are offered. Once any zone is active, new
+// pickups must fall inside one; the zone sets the pickup's pricing multiplier, the
+// waste types it accepts and, when it has assigned pickers, who can serve it.
+class ServiceZoneService {
+  async getZone(id) {
+    const zone = await db
+      .select()
+      .from(serviceZones)
+      .where(eq(serviceZones.id, id))
+      .limit(1);
+
+    return zone[0] || null;
+  }
+
+  async hasActiveZones() {
+    const zone = await db
+      .select({ id: serviceZones.id })
+      .from(serviceZones)
+      .where(eq(serviceZones.isActive, true))
+      .limit(1);
+
+    return zone.length > 0;
+  }
+
+  // Active zones containing a point, most specific (smallest) first
+  async findZonesAt(latitude, longitude) {
+    const candidates = await db
+      .select()
+      .from(serviceZones)
+      .where(and(
+        eq(serviceZones.isActive, true),
+        sql`${latitude}::double precision between ${serviceZones.minLatitude} and ${serviceZones.maxLatitude}`,
+        sql`${longitude}::double precision between ${serviceZones.minLongitude} and ${serviceZones.maxLongitude}`
+      ));
+
+    return candidates
+      .filter(zone => isPointInPolygon(latitude, longitude, zone.boundary))
+      .sort((a, b) => getBoundaryArea(a.boundary) - getBoundaryArea(b.boundary));
+  }
+
+  async findZone(latitude, longitude) {
+    const [zone] = await this.findZonesAt(latitude, longitude);
+    return zone || null;
+  }
+
+  // Validate zone fields; name and boundary are required unless editing
+  validateZone(data = {}, { partial = false } = {}) {
+    const values = {};
+
+    if (data.name !== undefined || !partial) {
+      const name = data.name ? String(data.name).trim() : '';
+      if (!name) {
+        return { valid: false, message: 'name is required' };
+      }
+      values.name = name;
+    }
+
+    if (data.description !== undefined) {
+      values.description = data.description ? String(data.description).trim() : null;
+    }
+
+    if (data.boundary !== undefined || !partial) {
+      const boundary = normalizeBoundary(data.boundary);
+      if (!boundary.valid) {
+        return { valid: false, message: boundary.message };
+      }
+
+      const box = getBoundaryBox(boundary.boundary);
+      Object.assign(values, {
+        boundary: boundary.boundary,
+        minLatitude: box.minLat,
+        maxLatitude: box.maxLat,
+        minLongitude: box.minLon,
+        maxLongitude: box.maxLon
+      });
+    }
+
+    if (data.pricingMultiplier !== undefined) {
+      const multiplier = Number(data.pricingMultiplier);
+      if (!(multiplier >= MIN_PRICING_MULTIPLIER && multiplier <= MAX_PRICING_MULTIPLIER)) {
+        return { valid: false, message: `pricingMultiplier must be between ${MIN_PRICING_MULTIPLIER} and ${MAX_PRICING_MULTIPLIER}` };
+      }
+      values.pricingMultiplier = multiplier.toFixed(2);
+    }
+
+    if (data.wasteTypes !== undefined) {
+      const allowed = wasteTypeEnum.enumValues;
+      if (!Array.isArray(data.wasteTypes) || data.wasteTypes.some(type => !allowed.includes(type))) {
+        return { valid: false, message: `wasteTypes must be from: ${allowed.join(', ')}` };
+      }
+      values.wasteTypes = [...new Set(data.wasteTypes)];
+    }
+
+    if (data.isActive !== undefined) {
+      if (typeof data.isActive !== 'boolean') {
+        return { valid: false, message: 'isActive must be true or false' };
+      }
+      values.isActive = data.isActive;
+    }
+
+    return { valid: true, values };
+  }
+
+  async saveZone(zone, admin, data) {
+    const validation = this.validateZone(data, { partial: !!zone });
+    if (!validation.valid) {
+      return { success: false, statusCode: 400, message: validation.message };
+    }
+
+    let saved;
+    try {
+      [saved] = zone
+        ? await db
+          .update(serviceZones)
+          .set({ ...validation.values, updatedAt: new Date() })
+          .where(eq(serviceZones.id, zone.id))
+          .returning()
+        : await db
+          .insert(serviceZones)
+          .values({ ...validation.values, createdBy: admin.id })
+          .returning();
+    } catch (error) {
+      if (error.code === '23505' || error.cause?.code === '23505') {
+        return { success: false, statusCode: 409, message: 'A service zone with this name already exists' };
+      }
+      throw error;
+    }
+
+    logger.info(`Admin ${admin.id} ${zone ? 'updated' : 'created'} service zone ${saved.id}`);
+
+    if (saved.isActive) {
+      await this.notifyWaitlist(saved);
+    }
+
+    return { success: true, zone: saved };
+  }
+
+  createZone(admin, data) {
+    return this.saveZone(null, admin, data);
+  }
+
+  updateZone(zone, admin, data) {
+    return this.saveZone(zone, admin, data);
+  }
+
+  // Zones are deactivated rather than deleted; their pickups keep pointing at them
+  async deactivateZone(zone, admin) {
+    if (!zone.isActive) {
+      return { success: false, statusCode: 409, message: 'Service zone is already inactive' };
+    }
+
+    const [updated] = await db
+      .update(serviceZones)
+      .set({ isActive: false, updatedAt: new Date() })
+      .where(eq(serviceZones.id, zone.id))
+      .returning();
+
+    logger.info(`Admin ${admin.id} deactivated service zone ${zone.id}`);
+
+    return { success: true, zone: updated };
+  }
+
+  async listZones({ includeInactive = false } = {}) {
+    return db
+      .select({
+        zone: serviceZones,
+        pickerCount: sql`count(${serviceZonePickers.id})`.mapWith(Number)
+      })
+      .from(serviceZones)
+      .leftJoin(serviceZonePickers, eq(serviceZonePickers.zoneId, serviceZones.id))
+      .where(includeInactive ? undefined : eq(serviceZones.isActive, true))
+      .groupBy(serviceZones.id)
+      .orderBy(asc(serviceZones.name));
+  }
+
+  async getAssignedPickers(zoneId) {
+    return db
+      .select(pickerFields)
+      .from(serviceZonePickers)
+      .innerJoin(users, eq(serviceZonePickers.wastePickerId, users.id))
+      .where(eq(serviceZonePickers.zoneId, zoneId))
+      .orderBy(asc(users.firstName));
+  }
+
+  async getAssignedPickerIds(zoneId) {
+    const pickers = await db
+      .select({ wastePickerId: serviceZonePickers.wastePickerId })
+      .from(serviceZonePickers)
+      .where(eq(serviceZonePickers.zoneId, zoneId));
+
+    return pickers.map(picker => picker.wastePickerId);
+  }
+
+  async assignPickers(zone, admin, wastePickerIds) {
+    if (!Array.isArray(wastePickerIds) || !wastePickerIds.length) {
+      return { success: false, statusCode: 400, message: 'wastePickerIds must be a non-empty array' };
+    }
+
+    const ids = [...new Set(wastePickerIds)];
+    const pickers = await db
+      .select({ id: users.id })
+      .from(users)
+      .where(and(inArray(users.id, ids), eq(users.role, 'waste_picker')));
+
+    if (pickers.length !== ids.length) {
+      return { success: false, statusCode: 400, message: 'Every wastePickerId must belong to a waste picker' };
+    }
+
+    await db
+      .insert(serviceZonePickers)
+      .values(ids.map(wastePickerId => ({ zoneId: zone.id, wastePickerId, assignedBy: admin.id })))
+      .onConflictDoNothing();
+
+    return { success: true, pickers: await this.getAssignedPickers(zone.id) };
+  }
+
+  async removePicker(zone, wastePickerId) {
+    const removed = await db
+      .delete(serviceZonePickers)
+      .where(and(eq(serviceZonePickers.zoneId, zone.id), eq(serviceZonePickers.wastePickerId, wastePickerId)))
+      .returning();
+
+    if (!removed.length) {
+      return { success: false, statusCode: 404, message: 'Waste picker is not assigned to this zone' };
+    }
+
+    return { success: true, pickers: await this.getAssignedPickers(zone.id) };
+  }
+
+  // Condition on pickup_requests: the waste picker can serve the pickup's zone.
+  // Pickups without a zone, and zones without assigned pickers, are open to everyone.
+  pickerCanServeSql(wastePickerId) {
+    return sql`(${pickupRequests.serviceZoneId} is null
+      or not exists (select 1 from ${serviceZonePickers} where ${serviceZonePickers.zoneId} = ${pickupRequests.serviceZoneId})
+      or exists (select 1 from ${serviceZonePickers} where ${serviceZonePickers.zoneId} = ${pickupRequests.serviceZoneId} and ${serviceZonePickers.wastePickerId} = ${wastePickerId}))`;
+  }
+
+  // The zone a new pickup at a point belongs to, checking the zone collects its
+  // waste types. Without any active zone pickups are accepted everywhere.
+  async resolvePickupZone(latitude, longitude, wasteTypes) {
+    if (!await this.hasActiveZones()) {
+      return { success: true, zone: null };
+    }
+
+    const zone = await this.findZone(latitude, longitude);
+    if (!zone) {
+      return {
+        success: false,
+        statusCode: 422,
+        outsideServiceArea: true,
+        message: 'Pickups are not available at this location yet'
+      };
+    }
+
+    const zoneWasteTypes = zone.wasteTypes || [];
+    const notCollected = wasteTypes.filter(type => zoneWasteTypes.length && !zoneWasteTypes.includes(type));
+    if (notCollected.length) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `${notCollected.join(', ')} pickups are not collected in ${zone.name}`
+      };
+    }
+
+    return { success: true, zone };
+  }
+
+  // Record a household's interest in a location outside every zone
+  async joinWaitlist(user, { address, latitude, longitude, wasteTypes = [] } = {}) {
+    const coordinates = validateCoordinates(latitude, longitude);
+    if (!coordinates.valid) {
+      return { success: false, statusCode: 400, message: coordinates.message };
+    }
+
+    const [entry] = await db
+      .insert(serviceWaitlist)
+      .values({
+        userId: user.id,
+        address: address || null,
+        latitude: coordinates.latitude,
+        longitude: coordinates.longitude,
+        wasteTypes: [...new Set(wasteTypes)]
+      })
+      .returning();
+
+    return { success: true, entry };
+  }
+
+  // Tell waitlisted households when a zone now covers their location
+  async notifyWaitlist(zone) {
+    const waiting = await db
+      .select()
+      .from(serviceWaitlist)
+      .where(and(
+        isNull(serviceWaitlist.notifiedAt),
+        between(serviceWaitlist.latitude, zone.minLatitude, zone.maxLatitude),
+        between(serviceWaitlist.longitude, zone.minLongitude, zone.maxLongitude)
+      ));
+
+    const covered = waiting.filter(entry => isPointInPolygon(entry.latitude, entry.longitude, zone.boundary));
+
+    if (!covered.length) {
+      return 0;
+    }
+
+    await db
+      .update(serviceWaitlist)
+      .set({ notifiedZoneId: zone.id, notifiedAt: new Date() })
+      .where(inArray(serviceWaitlist.id, covered.map(entry => entry.id)));
+
+    for (const userId of new Set(covered.map(entry => entry.userId))) {
+      await notificationService.createNotification(
+        userId,
+        'system_update',
+        'Pickups Now Available',
+        `Good news! We now collect waste in ${zone.name}. You can request a pickup.`,
+        { serviceZoneId: zone.id }
+      );
+    }
+
+    logger.info(`Notified ${covered.length} waitlist entries about service zone ${zone.id}`);
+    return covered.length;
+  }
+
+  async getWaitlist({ notified, page = 1, limit = 20 } = {}) {
+    const conditions = [];
+    if (notified === 'true') conditions.push(sql`${serviceWaitlist.notifiedAt} is not null`);
+    if (notified === 'false') conditions.push(isNull(serviceWaitlist.notifiedAt));
+
+    return db
+      .select({
+        entry: serviceWaitlist,
+        user: {
+          id: users.id,
+          firstName: users.firstName,
+          lastName: users.lastName,
+          email: users.email
+        }
+      })
+      .from(serviceWaitlist)
+      .innerJoin(users, eq(serviceWaitlist.userId, users.id))
+      .where(conditions.length ? and(...conditions) : undefined)
+      .orderBy(asc(serviceWaitlist.createdAt))
+      .limit(parseInt(limit))
+      .offset((parseInt(page) - 1) * parseInt(limit));
+  }
+}
+
+export default new ServiceZoneService();
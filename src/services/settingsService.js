@@ -0,0 +1,53 @@
+import db from '../database/connection.js';
+import { systemSettings } from '../database/schema.js';
+import { inArray } from 'drizzle-orm';
+import logger from '../utils/logger.js';
+
+// Typed access to system_settings. Values are stored as text with a `type` of
+// string, number, boolean or json; keys that are missing or do not parse fall
+// back to the defaults given by the caller.
+class SettingsService {
+  parseValue(setting) {
+    switch (setting.type) {
+      case 'number': {
+        const value = Number(setting.value);
+        return Number.isFinite(value) ? value : undefined;
+      }
+      case 'boolean':
+        return setting.value === 'true' ? true : setting.value === 'false' ? false : undefined;
+      case 'json':
+        try {
+          return JSON.parse(setting.value);
+        } catch {
+          return undefined;
+        }
+      default:
+        return setting.value;
+    }
+  }
+
+  // Values for the keys of `defaults`, e.g. getSettings({ pickup_sla_accept_minutes: 120 })
+  async getSettings(defaults) {
+    const rows = await db
+      .select()
+      .from(systemSettings)
+      .where(inArray(systemSettings.key, Object.keys(defaults)));
+
+    const values = { ...defaults };
+    for (const setting of rows) {
+      // Numeric settings saved with the default string type still count as numbers
+      const value = typeof defaults[setting.key] === 'number'
+        ? this.parseValue({ ...setting, type: 'number' })
+        : this.parseValue(setting);
+      if (value === undefined) {
+        logger.warn(`Ignoring invalid system setting ${setting.key}=${setting.value}`);
+        continue;
+      }
+      values[setting.key] = value;
+    }
+
+    return values;
+  }
+}
+
+export default new SettingsService();
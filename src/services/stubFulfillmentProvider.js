@@ -0,0 +1,39 @@
+import logger from '../utils/logger.js';
+
+// Outcomes a redemption can ask the stub for through deliveryInfo.stubOutcome
+const STUB_OUTCOMES = ['delivered', 'retryable_failure', 'permanent_failure'];
+
+// Fulfillment provider that delivers nothing and only logs, for development and
+// tests; it is only used with REWARD_FULFILLMENT_PROVIDER=stub. It succeeds, except under NODE_ENV=test where a redemption's
+// deliveryInfo.stubOutcome can ask it to fail, so tests can exercise retries and
+// refunds. Elsewhere deliveryInfo comes from the client and is not trusted for this.
+export default class StubFulfillmentProvider {
+  constructor() {
+    this.name = 'stub';
+    this.types = ['airtime', 'data', 'voucher', 'cash'];
+  }
+
+  async deliver({ redemption, reward }) {
+    const requested = redemption.deliveryInfo?.stubOutcome;
+    const outcome = process.env.NODE_ENV === 'test' && STUB_OUTCOMES.includes(requested)
+      ? requested
+      : 'delivered';
+
+    if (outcome === 'retryable_failure') {
+      return { delivered: false, permanent: false, message: 'Stub provider is temporarily unavailable' };
+    }
+
+    if (outcome === 'permanent_failure') {
+      return { delivered: false, permanent: true, message: 'Stub provider rejected the delivery' };
+    }
+
+    // Recipients hold phone numbers and bank details, so only the redemption is logged
+    logger.info(`Stub fulfillment: ${reward.type} reward ${reward.name} delivered for redemption ${redemption.id}`);
+
+    return {
+      delivered: true,
+      reference: `STUB-${redemption.redemptionCode || redemption.id}`,
+      details: { stub: true }
+    };
+  }
+}
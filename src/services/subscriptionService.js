@@ -0,0 +1,91 @@
+import db from '../database/connection.js';
+import { subscriptions } from '../database/schema.js';
+import { eq, and, gt, inArray, desc } from 'drizzle-orm';
+
+// Plan features that the API enforces, by plan type
+export const PLAN_FEATURES = {
+  CUSTOM_PICKUP_SCHEDULES: 'custom_pickup_schedules'
+};
+
+export const SUBSCRIPTION_PLANS = [
+  {
+    id: 'basic',
+    name: 'Basic Plan',
+    type: 'basic',
+    price: 0,
+    features: [
+      'Up to 5 pickup requests per month',
+      'Basic rewards access',
+      'Email notifications',
+      'Standard support'
+    ],
+    entitlements: [],
+    popular: false
+  },
+  {
+    id: 'premium',
+    name: 'Premium Plan',
+    type: 'premium',
+    price: 2000,
+    features: [
+      'Unlimited pickup requests',
+      'Priority pickup scheduling',
+      'Premium rewards access',
+      'SMS notifications',
+      'Advanced analytics',
+      'Priority support'
+    ],
+    entitlements: [],
+    popular: true
+  },
+  {
+    id: 'enterprise',
+    name: 'Enterprise Plan',
+    type: 'enterprise',
+    price: 10000,
+    features: [
+      'Everything in Premium',
+      'Custom pickup schedules',
+      'Bulk operations',
+      'API access',
+      'Custom reporting',
+      'Dedicated support'
+    ],
+    entitlements: [PLAN_FEATURES.CUSTOM_PICKUP_SCHEDULES],
+    popular: false
+  }
+];
+
+class SubscriptionService {
+  getPlan(planType) {
+    return SUBSCRIPTION_PLANS.find(plan => plan.type === planType) || null;
+  }
+
+  // The user's current subscription, if it is active or in trial and not past its end date
+  async getActiveSubscription(userId) {
+    const subscription = await db
+      .select()
+      .from(subscriptions)
+      .where(and(
+        eq(subscriptions.userId, userId),
+        inArray(subscriptions.status, ['active', 'trial']),
+        gt(subscriptions.endDate, new Date())
+      ))
+      .orderBy(desc(subscriptions.createdAt))
+      .limit(1);
+
+    return subscription[0] || null;
+  }
+
+  async hasFeature(userId, feature) {
+    const subscription = await this.getActiveSubscription(userId);
+    if (!subscription) {
+      return false;
+    }
+
+    const plan = this.getPlan(subscription.planType);
+    return Boolean(plan?.entitlements.includes(feature));
+  }
+}
+
+export default new SubscriptionService();
@@ -0,0 +1,359 @@
+import db from '../database/connection.js';
+import { pickupTimeSlots, pickupSlotBookings, serviceZones } from '../database/schema.js';
+import { eq, and, isNull, asc, sql } from 'drizzle-orm';
+import serviceZoneService from './serviceZoneService.js';
+import { parseDate, formatDate } from '../utils/scheduleUtils.js';
+import { localDateTime, getLocalTimeParts, TIME_PATTERN } from '../utils/timeUtils.js';
+import logger from '../utils/logger.js';
+
+export const MAX_SLOT_CAPACITY = 1000;
+
+// How far ahead households can book a slot
+export const MAX_BOOKING_DAYS_AHEAD = 60;
+
+// Time slots are bookable pickup windows per service zone and weekday, each taking
+// a limited number of pickups per date. A zone's own slots replace the default
+// (zone-less) slots; where no slots are set up at all, pickups are not booked.
+// A pickup holds its slot from creation until it is cancelled.
+class TimeSlotService {
+  async getSlot(id) {
+    const slot = await db
+      .select()
+      .from(pickupTimeSlots)
+      .where(eq(pickupTimeSlots.id, id))
+      .limit(1);
+
+    return slot[0] || null;
+  }
+
+  // Validate slot fields; every field except serviceZoneId is required unless editing
+  validateSlot(data = {}, { partial = false } = {}) {
+    const values = {};
+
+    if (data.serviceZoneId !== undefined && !partial) {
+      values.serviceZoneId = data.serviceZoneId || null;
+    }
+
+    if (data.dayOfWeek !== undefined || !partial) {
+      const dayOfWeek = Number(data.dayOfWeek);
+      if (data.dayOfWeek === null || data.dayOfWeek === '' || !Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+        return { valid: false, message: 'dayOfWeek must be between 0 (Sunday) and 6 (Saturday)' };
+      }
+      values.dayOfWeek = dayOfWeek;
+    }
+
+    for (const field of ['startTime', 'endTime']) {
+      if (data[field] !== undefined || !partial) {
+        if (!TIME_PATTERN.test(data[field] || '')) {
+          return { valid: false, message: `${field} must be an HH:MM time` };
+        }
+        values[field] = data[field];
+      }
+    }
+
+    if (data.capacity !== undefined || !partial) {
+      const capacity = Number(data.capacity);
+      if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_SLOT_CAPACITY) {
+        return { valid: false, message: `capacity must be a whole number from 1 to ${MAX_SLOT_CAPACITY}` };
+      }
+      values.capacity = capacity;
+    }
+
+    if (data.isActive !== undefined) {
+      if (typeof data.isActive !== 'boolean') {
+        return { valid: false, message: 'isActive must be true or false' };
+      }
+      values.isActive = data.isActive;
+    }
+
+    return { valid: true, values };
+  }
+
+  async saveSlot(slot, admin, data) {
+    const validation = this.validateSlot(data, { partial: !!slot });
+    if (!validation.valid) {
+      return { success: false, statusCode: 400, message: validation.message };
+    }
+
+    const startTime = validation.values.startTime || slot?.startTime;
+    const endTime = validation.values.endTime || slot?.endTime;
+    if (startTime >= endTime) {
+      return { success: false, statusCode: 400, message: 'endTime must be after startTime' };
+    }
+
+    if (validation.values.serviceZoneId && !await serviceZoneService.getZone(validation.values.serviceZoneId)) {
+      return { success: false, statusCode: 404, message: 'Service zone not found' };
+    }
+
+    const [saved] = slot
+      ? await db
+        .update(pickupTimeSlots)
+        .set({ ...validation.values, updatedAt: new Date() })
+        .where(eq(pickupTimeSlots.id, slot.id))
+        .returning()
+      : await db
+        .insert(pickupTimeSlots)
+        .values({ ...validation.values, createdBy: admin.id })
+        .returning();
+
+    logger.info(`Admin ${admin.id} ${slot ? 'updated' : 'created'} pickup time slot ${saved.id}`);
+
+    return { success: true, slot: saved };
+  }
+
+  createSlot(admin, data) {
+    return this.saveSlot(null, admin, data);
+  }
+
+  updateSlot(slot, admin, data) {
+    return this.saveSlot(slot, admin, data);
+  }
+
+  // Slots are deactivated rather than deleted; pickups already booked keep their slot
+  async deactivateSlot(slot, admin) {
+    if (!slot.isActive) {
+      return { success: false, statusCode: 409, message: 'Time slot is already inactive' };
+    }
+
+    const [updated] = await db
+      .update(pickupTimeSlots)
+      .set({ isActive: false, updatedAt: new Date() })
+      .where(eq(pickupTimeSlots.id, slot.id))
+      .returning();
+
+    logger.info(`Admin ${admin.id} deactivated pickup time slot ${slot.id}`);
+
+    return { success: true, slot: updated };
+  }
+
+  // Slot definitions for admins; serviceZoneId 'default' lists the zone-less slots
+  async listSlots({ serviceZoneId, includeInactive = false } = {}) {
+    const conditions = [];
+    if (serviceZoneId === 'default') {
+      conditions.push(isNull(pickupTimeSlots.serviceZoneId));
+    } else if (serviceZoneId) {
+      conditions.push(eq(pickupTimeSlots.serviceZoneId, serviceZoneId));
+    }
+    if (!includeInactive) {
+      conditions.push(eq(pickupTimeSlots.isActive, true));
+    }
+
+    return db
+      .select({
+        slot: pickupTimeSlots,
+        zoneName: serviceZones.name
+      })
+      .from(pickupTimeSlots)
+      .leftJoin(serviceZones, eq(pickupTimeSlots.serviceZoneId, serviceZones.id))
+      .where(conditions.length ? and(...conditions) : undefined)
+      .orderBy(asc(serviceZones.name), asc(pickupTimeSlots.dayOfWeek), asc(pickupTimeSlots.startTime));
+  }
+
+  // Whose slots apply in a zone: the zone's own active slots, otherwise the default
+  // slots. Returns the zone ID to filter by (null for defaults), or undefined when
+  // no slots are set up and pickups are not booked.
+  async getSlotOwner(zoneId) {
+    const slots = await db
+      .select({ serviceZoneId: pickupTimeSlots.serviceZoneId })
+      .from(pickupTimeSlots)
+      .where(and(
+        eq(pickupTimeSlots.isActive, true),
+        zoneId
+          ? sql`(${pickupTimeSlots.serviceZoneId} = ${zoneId} or ${pickupTimeSlots.serviceZoneId} is null)`
+          : isNull(pickupTimeSlots.serviceZoneId)
+      ));
+
+    if (zoneId && slots.some(slot => slot.serviceZoneId === zoneId)) {
+      return zoneId;
+    }
+    return slots.length ? null : undefined;
+  }
+
+  // Start and end timestamps of a slot on a date
+  getSlotTimes(slot, slotDate) {
+    return {
+      startsAt: localDateTime(slotDate, slot.startTime),
+      endsAt: localDateTime(slotDate, slot.endTime)
+    };
+  }
+
+  // A booking date must be a 'YYYY-MM-DD' date from today up to MAX_BOOKING_DAYS_AHEAD
+  validateSlotDate(value) {
+    const date = parseDate(value);
+    if (!date || formatDate(date) !== String(value).slice(0, 10)) {
+      return { valid: false, message: 'date must be a YYYY-MM-DD date' };
+    }
+
+    const today = parseDate(getLocalTimeParts().date);
+    const days = Math.round((date - today) / (24 * 60 * 60 * 1000));
+    if (days < 0 || days > MAX_BOOKING_DAYS_AHEAD) {
+      return { valid: false, message: `Pickups can be booked from today up to ${MAX_BOOKING_DAYS_AHEAD} days ahead` };
+    }
+
+    return { valid: true, slotDate: formatDate(date), dayOfWeek: date.getUTCDay() };
+  }
+
+  // Slots on a date in a zone with how many pickups each can still take
+  async getSlotsForDate(zoneId, slotDate, dayOfWeek) {
+    const owner = await this.getSlotOwner(zoneId);
+    if (owner === undefined) {
+      return [];
+    }
+
+    const slots = await db
+      .select({
+        slot: pickupTimeSlots,
+        bookedCount: sql`coalesce(${pickupSlotBookings.bookedCount}, 0)`.mapWith(Number)
+      })
+      .from(pickupTimeSlots)
+      .leftJoin(pickupSlotBookings, and(
+        eq(pickupSlotBookings.timeSlotId, pickupTimeSlots.id),
+        eq(pickupSlotBookings.slotDate, slotDate)
+      ))
+      .where(and(
+        eq(pickupTimeSlots.isActive, true),
+        eq(pickupTimeSlots.dayOfWeek, dayOfWeek),
+        owner ? eq(pickupTimeSlots.serviceZoneId, owner) : isNull(pickupTimeSlots.serviceZoneId)
+      ))
+      .orderBy(asc(pickupTimeSlots.startTime));
+
+    const now = new Date();
+    return slots.map(({ slot, bookedCount }) => {
+      const { startsAt, endsAt } = this.getSlotTimes(slot, slotDate);
+      const remaining = Math.max(slot.capacity - bookedCount, 0);
+
+      return {
+        id: slot.id,
+        serviceZoneId: slot.serviceZoneId,
+        date: slotDate,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        startsAt,
+        endsAt,
+        capacity: slot.capacity,
+        booked: bookedCount,
+        remaining,
+        available: remaining > 0 && startsAt > now
+      };
+    });
+  }
+
+  // Bookable slots for a location on a date
+  async getAvailableSlots({ latitude, longitude, date }) {
+    const slotDate = this.validateSlotDate(date);
+    if (!slotDate.valid) {
+      return { success: false, statusCode: 400, message: slotDate.message };
+    }
+
+    const zoneResult = await serviceZoneService.resolvePickupZone(latitude, longitude, []);
+    if (!zoneResult.success) {
+      return zoneResult;
+    }
+
+    const zone = zoneResult.zone;
+    const owner = await this.getSlotOwner(zone?.id);
+
+    return {
+      success: true,
+      zone: zone ? { id: zone.id, name: zone.name } : null,
+      bookingRequired: owner !== undefined,
+      slots: await this.getSlotsForDate(zone?.id, slotDate.slotDate, slotDate.dayOfWeek)
+    };
+  }
+
+  // Check a requested slot for a new pickup in a zone. Returns a null booking when
+  // no slot is given and none is needed.
+  async resolvePickupSlot(zoneId, { timeSlotId, preferredDate }, { required = true } = {}) {
+    const owner = await this.getSlotOwner(zoneId);
+
+    if (!timeSlotId) {
+      if (owner !== undefined && required) {
+        return { success: false, statusCode: 400, message: 'timeSlotId is required; choose one of the available pickup slots' };
+      }
+      return { success: true, booking: null };
+    }
+
+    const slotDate = this.validateSlotDate(preferredDate);
+    if (!slotDate.valid) {
+      return { success: false, statusCode: 400, message: `preferredDate: ${slotDate.message}` };
+    }
+
+    const slot = await this.getSlot(timeSlotId);
+    if (!slot || !slot.isActive || owner === undefined || slot.serviceZoneId !== owner) {
+      return { success: false, statusCode: 400, message: 'This time slot is not available at the pickup location' };
+    }
+    if (slot.dayOfWeek !== slotDate.dayOfWeek) {
+      return { success: false, statusCode: 400, message: 'This time slot is not offered on the chosen date' };
+    }
+
+    const { startsAt, endsAt } = this.getSlotTimes(slot, slotDate.slotDate);
+    if (startsAt <= new Date()) {
+      return { success: false, statusCode: 400, message: 'This time slot has already started' };
+    }
+
+    return { success: true, booking: { slot, slotDate: slotDate.slotDate, startsAt, endsAt } };
+  }
+
+  // Pickup fields recording a booked slot
+  bookingFields(booking) {
+    return {
+      timeSlotId: booking.slot.id,
+      slotDate: booking.slotDate,
+      slotStartsAt: booking.startsAt,
+      slotEndsAt: booking.endsAt,
+      preferredDate: booking.startsAt,
+      preferredTimeSlot: `${booking.slot.startTime}-${booking.slot.endTime}`
+    };
+  }
+
+  // Make sure the slot has a bookings row for the date, so the hold can be a single update
+  async ensureBookingRow(booking) {
+    await db
+      .insert(pickupSlotBookings)
+      .values({ timeSlotId: booking.slot.id, slotDate: booking.slotDate })
+      .onConflictDoNothing();
+  }
+
+  // Statement that holds a place in the slot for a pickup while the slot has room.
+  // Statements that create the pickup go in the same batch, guarded by `appliedCondition`.
+  buildHold(booking, pickupId) {
+    const where = and(
+      eq(pickupSlotBookings.timeSlotId, booking.slot.id),
+      eq(pickupSlotBookings.slotDate, booking.slotDate)
+    );
+
+    return {
+      statement: db
+        .update(pickupSlotBookings)
+        .set({
+          bookedCount: sql`${pickupSlotBookings.bookedCount} + 1`,
+          lastHoldId: pickupId,
+          updatedAt: new Date()
+        })
+        .where(and(
+          where,
+          sql`${pickupSlotBookings.bookedCount} < (select ${pickupTimeSlots.capacity} from ${pickupTimeSlots} where ${pickupTimeSlots.id} = ${booking.slot.id} and ${pickupTimeSlots.isActive} = true)`
+        ))
+        .returning(),
+      appliedCondition: sql`exists (select 1 from ${pickupSlotBookings} where ${where} and ${pickupSlotBookings.lastHoldId} = ${pickupId})`
+    };
+  }
+
+  // Statement that frees a pickup's slot, guarded by `condition` (e.g. its cancellation applying)
+  buildRelease(pickup, condition) {
+    return db
+      .update(pickupSlotBookings)
+      .set({
+        bookedCount: sql`${pickupSlotBookings.bookedCount} - 1`,
+        updatedAt: new Date()
+      })
+      .where(and(
+        eq(pickupSlotBookings.timeSlotId, pickup.timeSlotId),
+        eq(pickupSlotBookings.slotDate, pickup.slotDate),
+        sql`${pickupSlotBookings.bookedCount} > 0`,
+        condition
+      ));
+  }
+}
+
+export default new TimeSlotService();
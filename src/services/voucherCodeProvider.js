@@ -0,0 +1,24 @@
+import voucherCodeService from './voucherCodeService.js';
+
+// Fulfillment provider for voucher rewards backed by uploaded partner codes.
+// The code is assigned when the reward is redeemed; delivering it makes it
+// visible to the user on their redemption.
+export default class VoucherCodeProvider {
+  constructor() {
+    this.name = 'voucher_codes';
+    this.types = ['voucher'];
+  }
+
+  async deliver({ redemption }) {
+    const assignment = await voucherCodeService.getAssignment(redemption.id);
+    if (!assignment) {
+      return { delivered: false, permanent: true, message: 'No voucher code is assigned to this redemption' };
+    }
+
+    return {
+      delivered: true,
+      reference: assignment.id,
+      details: { voucherCodeId: assignment.id, expiresAt: assignment.expiresAt }
+    };
+  }
+}
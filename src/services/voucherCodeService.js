@@ -0,0 +1,232 @@
+import db from '../database/connection.js';
+import { rewards, rewardVoucherCodes } from '../database/schema.js';
+import { eq, and, or, gt, lte, isNull, isNotNull, inArray, sql, asc } from 'drizzle-orm';
+import { encryptSecret, decryptSecret, hashSecret } from '../utils/cryptoUtils.js';
+import { parseCsv } from '../utils/csvUtils.js';
+
+export const MAX_CODES_PER_UPLOAD = 10000;
+const MAX_CODE_LENGTH = 255;
+
+// Rows per INSERT, to stay well under the bind parameter limit
+const INSERT_CHUNK_SIZE = 1000;
+
+const CODE_HEADERS = ['code', 'voucher_code', 'vouchercode'];
+const EXPIRY_HEADERS = ['expires_at', 'expiresat', 'expiry', 'expiry_date', 'expirydate'];
+
+// Partner voucher codes for voucher rewards. Codes are encrypted at rest and
+// deduplicated by a keyed hash. A reward with codes keeps stockQuantity equal to
+// its codes that are unassigned and unexpired, and each redemption of it takes
+// one code in the same batch that creates the redemption.
+class VoucherCodeService {
+  // Codes of a reward that can still be assigned
+  availableCondition(rewardId) {
+    return and(
+      eq(rewardVoucherCodes.rewardId, rewardId),
+      isNull(rewardVoucherCodes.redemptionId),
+      or(isNull(rewardVoucherCodes.expiresAt), gt(rewardVoucherCodes.expiresAt, new Date()))
+    );
+  }
+
+  availableCount(rewardId) {
+    return sql`(select count(*)::int from ${rewardVoucherCodes} where ${this.availableCondition(rewardId)})`;
+  }
+
+  // Condition for a redemption's stock update: the reward has a code to assign
+  hasAvailableCode(rewardId) {
+    return sql`exists (select 1 from ${rewardVoucherCodes} where ${this.availableCondition(rewardId)})`;
+  }
+
+  // Statement that sets a reward's stock to its available codes
+  buildStockSync(rewardId) {
+    return db
+      .update(rewards)
+      .set({
+        usesVoucherCodes: true,
+        stockQuantity: this.availableCount(rewardId),
+        updatedAt: new Date()
+      })
+      .where(eq(rewards.id, rewardId))
+      .returning();
+  }
+
+  // Statement that assigns the code expiring soonest to a redemption
+  buildAssign(rewardId, redemptionId, condition) {
+    const nextCode = db
+      .select({ id: rewardVoucherCodes.id })
+      .from(rewardVoucherCodes)
+      .where(this.availableCondition(rewardId))
+      .orderBy(sql`${rewardVoucherCodes.expiresAt} asc nulls last`, asc(rewardVoucherCodes.createdAt))
+      .limit(1);
+
+    return db
+      .update(rewardVoucherCodes)
+      .set({ redemptionId, assignedAt: new Date() })
+      .where(and(inArray(rewardVoucherCodes.id, nextCode), condition))
+      .returning({ id: rewardVoucherCodes.id });
+  }
+
+  // Statement that puts a redemption's code back, when its delivery fails
+  buildRelease(redemptionId, condition) {
+    return db
+      .update(rewardVoucherCodes)
+      .set({ redemptionId: null, assignedAt: null })
+      .where(and(eq(rewardVoucherCodes.redemptionId, redemptionId), condition));
+  }
+
+  // Codes from CSV text: one per row, in a `code` column when there is a header
+  // row, otherwise the first column. An optional `expires_at` column (or the
+  // second column without a header) sets when a code stops being valid.
+  parseCodes(csvText) {
+    const rows = parseCsv(csvText);
+    const header = rows[0]?.map(cell => cell.trim().toLowerCase()) || [];
+    const codeIndex = header.findIndex(cell => CODE_HEADERS.includes(cell));
+    const hasHeader = codeIndex !== -1;
+    const expiryIndex = hasHeader ? header.findIndex(cell => EXPIRY_HEADERS.includes(cell)) : 1;
+
+    const codes = [];
+    const invalid = [];
+    const seen = new Set();
+    let duplicates = 0;
+
+    rows.slice(hasHeader ? 1 : 0).forEach((row, index) => {
+      const line = index + (hasHeader ? 2 : 1);
+      const code = (row[hasHeader ? codeIndex : 0] || '').trim();
+      const expiry = expiryIndex !== -1 ? (row[expiryIndex] || '').trim() : '';
+
+      if (!code) {
+        invalid.push({ line, message: 'Code is missing' });
+        return;
+      }
+      if (code.length > MAX_CODE_LENGTH) {
+        invalid.push({ line, message: `Code is longer than ${MAX_CODE_LENGTH} characters` });
+        return;
+      }
+
+      const expiresAt = expiry ? new Date(expiry) : null;
+      if (expiresAt && isNaN(expiresAt.getTime())) {
+        invalid.push({ line, message: 'Invalid expiry date' });
+        return;
+      }
+      if (expiresAt && expiresAt <= new Date()) {
+        invalid.push({ line, message: 'Code has already expired' });
+        return;
+      }
+
+      if (seen.has(code)) {
+        duplicates++;
+        return;
+      }
+      seen.add(code);
+      codes.push({ code, expiresAt });
+    });
+
+    return { codes, invalid, duplicates };
+  }
+
+  // Add the codes in a CSV file to a voucher reward. Codes the reward already
+  // has are skipped; the reward's stock is set to its available codes.
+  async uploadCodes(reward, admin, csvText) {
+    if (reward.type !== 'voucher') {
+      return { success: false, statusCode: 400, message: 'Only voucher rewards can have voucher codes' };
+    }
+
+    const { codes, invalid, duplicates } = this.parseCodes(csvText);
+
+    if (!codes.length) {
+      return { success: false, statusCode: 400, message: 'No valid voucher codes found in the file', invalid };
+    }
+
+    if (codes.length > MAX_CODES_PER_UPLOAD) {
+      return { success: false, statusCode: 400, message: `Upload at most ${MAX_CODES_PER_UPLOAD} codes at a time` };
+    }
+
+    const values = codes.map(({ code, expiresAt }) => ({
+      rewardId: reward.id,
+      encryptedCode: encryptSecret(code),
+      codeHash: hashSecret(code),
+      expiresAt,
+      uploadedBy: admin.id
+    }));
+
+    const inserts = [];
+    for (let i = 0; i < values.length; i += INSERT_CHUNK_SIZE) {
+      inserts.push(db
+        .insert(rewardVoucherCodes)
+        .values(values.slice(i, i + INSERT_CHUNK_SIZE))
+        .onConflictDoNothing()
+        .returning({ id: rewardVoucherCodes.id }));
+    }
+
+    const results = await db.batch([...inserts, this.buildStockSync(reward.id)]);
+    const [updatedReward] = results.pop();
+    const added = results.reduce((sum, inserted) => sum + inserted.length, 0);
+
+    return {
+      success: true,
+      added,
+      duplicates: duplicates + codes.length - added,
+      invalid,
+      reward: updatedReward
+    };
+  }
+
+  async getSummary(rewardId) {
+    const now = new Date();
+
+    const [summary] = await db
+      .select({
+        total: sql`count(*)`,
+        assigned: sql`count(*) filter (where ${isNotNull(rewardVoucherCodes.redemptionId)})`,
+        expired: sql`count(*) filter (where ${and(isNull(rewardVoucherCodes.redemptionId), lte(rewardVoucherCodes.expiresAt, now))})`
+      })
+      .from(rewardVoucherCodes)
+      .where(eq(rewardVoucherCodes.rewardId, rewardId));
+
+    const total = parseInt(summary.total) || 0;
+    const assigned = parseInt(summary.assigned) || 0;
+    const expired = parseInt(summary.expired) || 0;
+
+    return { total, assigned, expired, available: total - assigned - expired };
+  }
+
+  async getAssignment(redemptionId) {
+    const code = await db
+      .select()
+      .from(rewardVoucherCodes)
+      .where(eq(rewardVoucherCodes.redemptionId, redemptionId))
+      .limit(1);
+
+    return code[0] || null;
+  }
+
+  // The plaintext code assigned to a redemption, or null
+  async revealCode(redemptionId) {
+    const assignment = await this.getAssignment(redemptionId);
+    if (!assignment) {
+      return null;
+    }
+
+    return {
+      code: decryptSecret(assignment.encryptedCode),
+      expiresAt: assignment.expiresAt
+    };
+  }
+
+  // Bring the stock of rewards with codes back in line as codes expire
+  async syncAllStock() {
+    const available = sql`(select count(*)::int from ${rewardVoucherCodes} where ${rewardVoucherCodes.rewardId} = ${rewards.id} and ${rewardVoucherCodes.redemptionId} is null and (${rewardVoucherCodes.expiresAt} is null or ${rewardVoucherCodes.expiresAt} > ${new Date()}))`;
+
+    const synced = await db
+      .update(rewards)
+      .set({ stockQuantity: available, updatedAt: new Date() })
+      .where(and(
+        eq(rewards.usesVoucherCodes, true),
+        sql`${rewards.stockQuantity} is distinct from ${available}`
+      ))
+      .returning({ id: rewards.id });
+
+    return synced.length;
+  }
+}
+
+export default new VoucherCodeService();
@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+
+// Secrets stored in the database (such as voucher codes) are encrypted with
+// AES-256-GCM under a key derived from VOUCHER_CODE_ENCRYPTION_KEY.
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 'v1';
+
+function getKey() {
+  const secret = process.env.VOUCHER_CODE_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error('VOUCHER_CODE_ENCRYPTION_KEY is not set');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+// 'v1:<iv>:<auth tag>:<ciphertext>', each part base64
+export function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [FORMAT_VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (typeof part === 'string' ? part : part.toString('base64')))
+    .join(':');
+}
+
+export function decryptSecret(encrypted) {
+  const [version, iv, authTag, ciphertext] = String(encrypted).split(':');
+  if (version !== FORMAT_VERSION || !iv || !authTag || ciphertext === undefined) {
+    throw new Error('Unrecognised encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+// Keyed hash of a secret, to find duplicates without decrypting
+export function hashSecret(plaintext) {
+  return crypto.createHmac('sha256', getKey()).update(String(plaintext)).digest('hex');
+}
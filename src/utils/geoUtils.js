@@ -1,10 +1,14 @@
 import db from '../database/connection.js';
 import { users, wastePickerProfiles } from '../database/schema.js';
 import { eq, and, sql } from 'drizzle-orm';
+import availabilityService from '../services/availabilityService.js';
+import { isWithinWorkingHours } from './timeUtils.js';
+
+const EARTH_RADIUS_KM = 6371;
 
 // Calculate distance between two points using Haversine formula
 export function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in kilometers
+  const R = EARTH_RADIUS_KM; // Earth's radius in kilometers
   const dLat = toRadians(lat2 - lat1);
   const dLon = toRadians(lon2 - lon1);
   
@@ -23,11 +27,65 @@ function toRadians(degrees) {
   return degrees * (Math.PI / 180);
 }
 
-// Find nearby waste pickers within a given radius
-export async function findNearbyWastePickers(latitude, longitude, radiusKm = 10) {
+function toDegrees(radians) {
+  return radians * (180 / Math.PI);
+}
+
+// Smallest latitude/longitude box containing every point within radiusKm of a point.
+// Near the poles or across the antimeridian the box spans all longitudes.
+export function getBoundingBox(latitude, longitude, radiusKm) {
+  const angularRadius = radiusKm / EARTH_RADIUS_KM;
+  const latDelta = toDegrees(angularRadius);
+  const minLat = latitude - latDelta;
+  const maxLat = latitude + latDelta;
+
+  if (minLat <= -90 || maxLat >= 90 || angularRadius >= Math.PI / 2) {
+    return { minLat: Math.max(minLat, -90), maxLat: Math.min(maxLat, 90), minLon: -180, maxLon: 180 };
+  }
+
+  const lonDelta = toDegrees(Math.asin(Math.sin(angularRadius) / Math.cos(toRadians(latitude))));
+  const minLon = longitude - lonDelta;
+  const maxLon = longitude + lonDelta;
+
+  if (minLon < -180 || maxLon > 180) {
+    return { minLat, maxLat, minLon: -180, maxLon: 180 };
+  }
+
+  return { minLat, maxLat, minLon, maxLon };
+}
+
+// SQL twin of calculateDistance: Haversine distance in km from a point to a
+// pair of coordinate columns
+export function distanceSql(latitudeColumn, longitudeColumn, latitude, longitude) {
+  const lat = sql`${latitude}::double precision`;
+  const lon = sql`${longitude}::double precision`;
+  const a = sql`(power(sin(radians(${latitudeColumn} - ${lat}) / 2), 2) + cos(radians(${lat})) * cos(radians(${latitudeColumn})) * power(sin(radians(${longitudeColumn} - ${lon}) / 2), 2))`;
+
+  return sql`(${EARTH_RADIUS_KM}::double precision * 2 * atan2(sqrt(${a}), sqrt(1 - ${a})))`.mapWith(Number);
+}
+
+// Condition for coordinate columns within radiusKm of a point. The bounding box
+// uses the point(longitude, latitude) GiST indexes; the distance check is exact.
+export function withinRadiusSql(latitudeColumn, longitudeColumn, latitude, longitude, radiusKm) {
+  const box = getBoundingBox(latitude, longitude, radiusKm);
+
+  return and(
+    withinBoundingBoxSql(latitudeColumn, longitudeColumn, box),
+    sql`${distanceSql(latitudeColumn, longitudeColumn, latitude, longitude)} <= ${radiusKm}`
+  );
+}
+
+export function withinBoundingBoxSql(latitudeColumn, longitudeColumn, { minLat, maxLat, minLon, maxLon }) {
+  return sql`point(${longitudeColumn}, ${latitudeColumn}) <@ box(point(${minLon}::double precision, ${minLat}::double precision), point(${maxLon}::double precision, ${maxLat}::double precision))`;
+}
+
+// Find nearby waste pickers within a given radius who are available at the given time
+export async function findNearbyWastePickers(latitude, longitude, radiusKm = 10, at = new Date()) {
   try {
-    // Get all active waste pickers with location data
-    const wastePickers = await db
+    const distance = distanceSql(users.latitude, users.longitude, latitude, longitude);
+
+    // Active, available waste pickers within the radius and their own service radius, closest first
+    const nearbyPickers = await db
       .select({
         id: users.id,
         firstName: users.firstName,
@@ -39,45 +97,23 @@ export async function findNearbyWastePickers(latitude, longitude, radiusKm = 10)
         rating: users.rating,
         serviceRadius: wastePickerProfiles.serviceRadius,
         specializations: wastePickerProfiles.specializations,
-        isVerified: wastePickerProfiles.isVerified
+        workingHours: wastePickerProfiles.workingHours,
+        maxDailyPickups: wastePickerProfiles.maxDailyPickups,
+        isVerified: wastePickerProfiles.isVerified,
+        distance
       })
       .from(users)
       .leftJoin(wastePickerProfiles, eq(users.id, wastePickerProfiles.userId))
       .where(and(
         eq(users.role, 'waste_picker'),
         eq(users.status, 'active'),
-        sql`${users.latitude} is not null`,
-        sql`${users.longitude} is not null`
-      ));
+        withinRadiusSql(users.latitude, users.longitude, latitude, longitude, radiusKm),
+        sql`${distance} <= least(${radiusKm}::double precision, coalesce(${wastePickerProfiles.serviceRadius}, 10))`,
+        availabilityService.availableSql(users.id, at)
+      ))
+      .orderBy(distance);
 
-    // Filter by distance and service radius
-    const nearbyPickers = wastePickers.filter(picker => {
-      const distance = calculateDistance(
-        latitude,
-        longitude,
-        parseFloat(picker.latitude),
-        parseFloat(picker.longitude)
-      );
-
-      const maxRadius = Math.min(radiusKm, picker.serviceRadius || 10);
-      return distance <= maxRadius;
-    });
-
-    // Add distance to each picker and sort by distance
-    const pickersWithDistance = nearbyPickers.map(picker => ({
-      ...picker,
-      distance: calculateDistance(
-        latitude,
-        longitude,
-        parseFloat(picker.latitude),
-        parseFloat(picker.longitude)
-      )
-    }));
-
-    // Sort by distance (closest first)
-    pickersWithDistance.sort((a, b) => a.distance - b.distance);
-
-    return pickersWithDistance;
+    return nearbyPickers.filter(picker => isWithinWorkingHours(picker.workingHours, at));
 
   } catch (error) {
     console.error('Error finding nearby waste pickers:', error);
@@ -136,6 +172,64 @@ export function calculateOptimizedRoute(startPoint, pickupPoints) {
   return route;
 }
 
+// Total length in km of a route through points, starting from startPoint
+export function getRouteDistance(startPoint, points) {
+  let distance = 0;
+  let previous = startPoint;
+
+  for (const point of points) {
+    distance += calculateDistance(previous.latitude, previous.longitude, point.latitude, point.longitude);
+    previous = point;
+  }
+
+  return distance;
+}
+
+// Improve a route with 2-opt: keep reversing segments while that lowers its cost.
+// The cost defaults to total distance; callers can add penalties (e.g. late arrivals).
+export function improveRouteWithTwoOpt(startPoint, points, cost = route => getRouteDistance(startPoint, route), maxPasses = 50) {
+  let route = [...points];
+  let bestCost = cost(route);
+  let improved = true;
+
+  for (let pass = 0; improved && pass < maxPasses; pass++) {
+    improved = false;
+
+    for (let i = 0; i < route.length - 1; i++) {
+      for (let k = i + 1; k < route.length; k++) {
+        const candidate = [
+          ...route.slice(0, i),
+          ...route.slice(i, k + 1).reverse(),
+          ...route.slice(k + 1)
+        ];
+        const candidateCost = cost(candidate);
+
+        if (candidateCost < bestCost - 1e-9) {
+          route = candidate;
+          bestCost = candidateCost;
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return route;
+}
+
+// Nearest-neighbour route improved with 2-opt, with the distance of each leg
+export function optimizeRoute(startPoint, points, cost) {
+  const seed = calculateOptimizedRoute(startPoint, points)
+    .map(({ distanceFromPrevious, ...point }) => point);
+  const route = improveRouteWithTwoOpt(startPoint, seed, cost);
+
+  let previous = startPoint;
+  return route.map(point => {
+    const distanceFromPrevious = calculateDistance(previous.latitude, previous.longitude, point.latitude, point.longitude);
+    previous = point;
+    return { ...point, distanceFromPrevious };
+  });
+}
+
 // Get route statistics
 export function getRouteStatistics(route) {
   if (!route || route.length === 0) {
@@ -162,46 +256,108 @@ export function getRouteStatistics(route) {
   };
 }
 
-// Check if point is within service area
-export function isWithinServiceArea(userLat, userLon, serviceAreas) {
-  // Service areas could be defined as polygons, circles, or administrative boundaries
-  // This is a simplified implementation using circular areas
-  
-  for (const area of serviceAreas) {
-    const distance = calculateDistance(
-      userLat,
-      userLon,
-      area.centerLat,
-      area.centerLon
-    );
+// Check a GeoJSON Polygon or MultiPolygon ([longitude, latitude] positions) and
+// return it as a MultiPolygon with every ring closed
+export function normalizeBoundary(boundary) {
+  if (!boundary || !['Polygon', 'MultiPolygon'].includes(boundary.type) || !Array.isArray(boundary.coordinates)) {
+    return { valid: false, message: 'boundary must be a GeoJSON Polygon or MultiPolygon' };
+  }
+
+  const polygons = boundary.type === 'Polygon' ? [boundary.coordinates] : boundary.coordinates;
+  if (!polygons.length) {
+    return { valid: false, message: 'boundary must contain at least one polygon' };
+  }
+
+  const normalized = [];
+  for (const rings of polygons) {
+    if (!Array.isArray(rings) || !rings.length) {
+      return { valid: false, message: 'Each polygon needs an outer ring' };
+    }
+
+    const closedRings = [];
+    for (const ring of rings) {
+      if (!Array.isArray(ring) || ring.some(position => !Array.isArray(position) || position.length < 2)) {
+        return { valid: false, message: 'Polygon rings must be arrays of [longitude, latitude] positions' };
+      }
+
+      const positions = [];
+      for (const [longitude, latitude] of ring) {
+        const coordinates = validateCoordinates(latitude, longitude);
+        if (!coordinates.valid) {
+          return { valid: false, message: coordinates.message };
+        }
+        positions.push([coordinates.longitude, coordinates.latitude]);
+      }
+
+      const [first] = positions;
+      const last = positions[positions.length - 1];
+      if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+        positions.push([...first]);
+      }
 
-    if (distance <= area.radius) {
-      return true;
+      if (positions.length < 4) {
+        return { valid: false, message: 'Polygon rings need at least 3 distinct positions' };
+      }
+      closedRings.push(positions);
     }
+    normalized.push(closedRings);
   }
 
-  return false;
+  return { valid: true, boundary: { type: 'MultiPolygon', coordinates: normalized } };
 }
 
-// Get location suggestions based on partial input
-export async function getLocationSuggestions(query, limit = 5) {
-  // In a real application, you'd integrate with a geocoding service
-  // like Google Places API or Mapbox Geocoding API
-  
-  // This is a mock implementation
-  const mockSuggestions = [
-    { name: 'Lagos Island, Lagos', lat: 6.4541, lon: 3.3947 },
-    { name: 'Victoria Island, Lagos', lat: 6.4281, lon: 3.4219 },
-    { name: 'Ikeja, Lagos', lat: 6.5954, lon: 3.3364 },
-    { name: 'Abuja, FCT', lat: 9.0579, lon: 7.4951 },
-    { name: 'Port Harcourt, Rivers', lat: 4.8156, lon: 7.0498 }
-  ];
-
-  return mockSuggestions
-    .filter(location => 
-      location.name.toLowerCase().includes(query.toLowerCase())
-    )
-    .slice(0, limit);
+// Ray casting test of a point against one ring
+function isPointInRing(latitude, longitude, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lonI, latI] = ring[i];
+    const [lonJ, latJ] = ring[j];
+    if ((latI > latitude) !== (latJ > latitude) &&
+      longitude < ((lonJ - lonI) * (latitude - latI)) / (latJ - latI) + lonI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function boundaryPolygons(boundary) {
+  return boundary.type === 'Polygon' ? [boundary.coordinates] : boundary.coordinates;
+}
+
+// Check if a point is inside a GeoJSON Polygon or MultiPolygon (and outside its holes)
+export function isPointInPolygon(latitude, longitude, boundary) {
+  return boundaryPolygons(boundary).some(([outer, ...holes]) =>
+    isPointInRing(latitude, longitude, outer) &&
+    !holes.some(hole => isPointInRing(latitude, longitude, hole))
+  );
+}
+
+// Bounding box of a GeoJSON Polygon or MultiPolygon
+export function getBoundaryBox(boundary) {
+  const positions = boundaryPolygons(boundary).flatMap(([outer]) => outer);
+
+  return {
+    minLat: Math.min(...positions.map(([, latitude]) => latitude)),
+    maxLat: Math.max(...positions.map(([, latitude]) => latitude)),
+    minLon: Math.min(...positions.map(([longitude]) => longitude)),
+    maxLon: Math.max(...positions.map(([longitude]) => longitude))
+  };
+}
+
+// Area of a GeoJSON Polygon or MultiPolygon in square degrees, for comparing zone sizes
+export function getBoundaryArea(boundary) {
+  const ringArea = ring => Math.abs(ring.reduce((sum, [lon, lat], i) => {
+    const [nextLon, nextLat] = ring[(i + 1) % ring.length];
+    return sum + lon * nextLat - nextLon * lat;
+  }, 0)) / 2;
+
+  return boundaryPolygons(boundary).reduce((area, [outer, ...holes]) =>
+    area + ringArea(outer) - holes.reduce((holeArea, hole) => holeArea + ringArea(hole), 0), 0);
+}
+
+// Check if point is within any of the given service zones
+export function isWithinServiceArea(latitude, longitude, zones) {
+  return zones.some(zone => isPointInPolygon(latitude, longitude, zone.boundary));
 }
 
 // Validate coordinates
@@ -224,6 +380,21 @@ export function validateCoordinates(latitude, longitude) {
   return { valid: true, latitude: lat, longitude: lon };
 }
 
+// Validate a latitude/longitude/radius search query
+export function validateLocationQuery(latitude, longitude, radius) {
+  const coordinates = validateCoordinates(latitude, longitude);
+  if (!coordinates.valid) {
+    return coordinates;
+  }
+
+  const radiusKm = parseFloat(radius);
+  if (!(radiusKm > 0)) {
+    return { valid: false, message: 'Radius must be a positive number' };
+  }
+
+  return { ...coordinates, radiusKm };
+}
+
 // Get bounds for a set of coordinates
 export function getBounds(coordinates) {
   if (!coordinates || coordinates.length === 0) {
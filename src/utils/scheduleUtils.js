@@ -0,0 +1,86 @@
+// Date helpers for recurring pickup schedules.
+// Occurrences are calendar dates in 'YYYY-MM-DD' form, computed in UTC.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+export function parseDate(value) {
+  if (value instanceof Date) {
+    return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return null;
+  }
+
+  const date = new Date(`${value.slice(0, 10)}T00:00:00Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+export function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+export function today() {
+  return parseDate(new Date());
+}
+
+// Check whether a date is an occurrence of a schedule's recurrence rule
+// (ignoring skipped dates and the schedule's status)
+export function isOccurrence(schedule, value) {
+  const date = parseDate(value);
+  const startDate = parseDate(schedule.startDate);
+  const endDate = schedule.endDate ? parseDate(schedule.endDate) : null;
+
+  if (!date || !startDate || date < startDate || (endDate && date > endDate)) {
+    return false;
+  }
+
+  switch (schedule.frequency) {
+    case 'weekly':
+      return date.getUTCDay() === schedule.dayOfWeek;
+    case 'biweekly': {
+      if (date.getUTCDay() !== schedule.dayOfWeek) {
+        return false;
+      }
+      // Every other week, counting from the first matching day on or after the start date
+      const firstOccurrence = addDays(startDate, (schedule.dayOfWeek - startDate.getUTCDay() + 7) % 7);
+      const weeks = Math.round((date - firstOccurrence) / (7 * DAY_MS));
+      return weeks % 2 === 0;
+    }
+    case 'monthly':
+      return date.getUTCDate() === schedule.dayOfMonth;
+    default:
+      return false;
+  }
+}
+
+// Occurrence dates of a schedule between two dates (inclusive)
+export function getOccurrences(schedule, from, to) {
+  const occurrences = [];
+  let date = parseDate(from);
+  const lastDate = parseDate(to);
+
+  if (!date || !lastDate) {
+    return occurrences;
+  }
+
+  while (date <= lastDate) {
+    if (isOccurrence(schedule, date)) {
+      occurrences.push(formatDate(date));
+    }
+    date = addDays(date, 1);
+  }
+
+  return occurrences;
+}
+
+// First occurrence on or after a date, looking at most a year ahead
+export function getNextOccurrence(schedule, from) {
+  const start = parseDate(from);
+  const occurrences = getOccurrences(schedule, start, addDays(start, 366));
+  return occurrences[0] || null;
+}
@@ -0,0 +1,133 @@
+// Local time helpers. Working hours and pickup time slots are local times in
+// LOCAL_TIMEZONE, while timestamps are stored in UTC.
+
+export const LOCAL_TIMEZONE = 'Africa/Lagos';
+
+// Named pickup time slots accepted in preferredTimeSlot
+export const TIME_SLOTS = {
+  morning: { start: '08:00', end: '12:00' },
+  afternoon: { start: '12:00', end: '16:00' },
+  evening: { start: '16:00', end: '19:00' }
+};
+
+const formatter = new Intl.DateTimeFormat('en-GB', {
+  timeZone: LOCAL_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  weekday: 'long',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+
+// Local calendar date ('YYYY-MM-DD'), weekday ('monday') and time ('HH:MM') of a timestamp
+export function getLocalTimeParts(at = new Date()) {
+  const parts = Object.fromEntries(formatter.formatToParts(at).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday.toLowerCase(),
+    time: `${parts.hour}:${parts.minute}`,
+    seconds: parts.second
+  };
+}
+
+// Timestamp of a local date ('YYYY-MM-DD') and time ('HH:MM')
+export function localDateTime(date, time) {
+  const guess = new Date(`${date}T${time}:00Z`);
+  const local = getLocalTimeParts(guess);
+  const offset = new Date(`${local.date}T${local.time}:${local.seconds}Z`) - guess;
+
+  return new Date(guess.getTime() - offset);
+}
+
+// Parse a preferredTimeSlot ('morning' or 'HH:MM-HH:MM') into local start and end times
+export function parseTimeSlot(slot) {
+  if (!slot) {
+    return null;
+  }
+
+  const named = TIME_SLOTS[String(slot).trim().toLowerCase()];
+  if (named) {
+    return named;
+  }
+
+  const match = String(slot).match(/^\s*([01]\d|2[0-3]):([0-5]\d)\s*-\s*([01]\d|2[0-3]):([0-5]\d)\s*$/);
+  if (!match) {
+    return null;
+  }
+
+  const start = `${match[1]}:${match[2]}`;
+  const end = `${match[3]}:${match[4]}`;
+  return start < end ? { start, end } : null;
+}
+
+export const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+export const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Timestamp of local midnight on the day of a timestamp
+export function startOfLocalDay(at = new Date()) {
+  return localDateTime(getLocalTimeParts(at).date, '00:00');
+}
+
+// A day's working hours as a list of { start, end } windows. Days saved before
+// windows existed are a single { start, end } or { closed: true }.
+function dayWindows(hours) {
+  if (Array.isArray(hours)) {
+    return hours;
+  }
+  if (!hours || hours.closed || !hours.start || !hours.end) {
+    return [];
+  }
+  return [{ start: hours.start, end: hours.end }];
+}
+
+// Validate weekly working hours and normalise them to
+// { monday: [{ start: '08:00', end: '12:00' }, { start: '14:00', end: '18:00' }], sunday: [] }.
+// Days left out are days off; an empty object means no schedule has been set.
+export function normalizeWorkingHours(workingHours) {
+  if (!workingHours || typeof workingHours !== 'object' || Array.isArray(workingHours)) {
+    return { valid: false, message: 'workingHours must be an object keyed by weekday' };
+  }
+
+  const normalized = {};
+  for (const [day, hours] of Object.entries(workingHours)) {
+    const weekday = day.toLowerCase();
+    if (!WEEKDAYS.includes(weekday)) {
+      return { valid: false, message: `Unknown weekday '${day}' in workingHours` };
+    }
+
+    const windows = dayWindows(hours)
+      .map(window => ({ start: window?.start, end: window?.end }))
+      .sort((a, b) => String(a.start).localeCompare(String(b.start)));
+
+    for (const [index, window] of windows.entries()) {
+      if (!TIME_PATTERN.test(window.start || '') || !TIME_PATTERN.test(window.end || '')) {
+        return { valid: false, message: `Working hours on ${weekday} must be HH:MM times` };
+      }
+      if (window.start >= window.end) {
+        return { valid: false, message: `Working hours on ${weekday} must end after they start` };
+      }
+      if (index > 0 && window.start < windows[index - 1].end) {
+        return { valid: false, message: `Working hours on ${weekday} overlap` };
+      }
+    }
+
+    normalized[weekday] = windows;
+  }
+
+  return { valid: true, workingHours: normalized };
+}
+
+// Whether a timestamp falls in the working hours. No schedule means always available.
+export function isWithinWorkingHours(workingHours, at = new Date()) {
+  if (!workingHours || Object.keys(workingHours).length === 0) {
+    return true;
+  }
+
+  const { weekday, time } = getLocalTimeParts(at);
+  return dayWindows(workingHours[weekday]).some(window => time >= window.start && time < window.end);
+}
@@ -0,0 +1,66 @@
+import { test, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestDatabase } from './helpers/testDatabase.js';
+import { eq } from 'drizzle-orm';
+
+const { db, schema, close } = await setupTestDatabase();
+const { default: AdminController } = await import('../src/controllers/adminController.js');
+const { default: pointsService } = await import('../src/services/pointsService.js');
+
+const { users, pointsLedger } = schema;
+const adminController = new AdminController();
+
+let admin;
+let user;
+
+before(async () => {
+  [admin, user] = await db
+    .insert(users)
+    .values([
+      { email: 'admin@example.com', password: 'hashed', firstName: 'Admin', lastName: 'Obi', role: 'admin' },
+      { email: 'ada@example.com', password: 'hashed', firstName: 'Ada', lastName: 'Obi', role: 'household' }
+    ])
+    .returning();
+
+  await pointsService.record(pointsService.earnEntry(user.id, 100, { description: 'Opening points' }));
+});
+
+after(() => close());
+
+// Call a controller action the way Express would, capturing the response
+async function call(action, req) {
+  const res = { statusCode: 200, body: null };
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = body => { res.body = body; return res; };
+  await action({ headers: {}, body: {}, query: {}, ...req }, res);
+  return res;
+}
+
+async function getAvailablePoints() {
+  const [row] = await db.select({ availablePoints: users.availablePoints }).from(users).where(eq(users.id, user.id));
+  return row.availablePoints;
+}
+
+test('rejects a deduction larger than the available balance', async () => {
+  const res = await call(adminController.adjustUserPoints, {
+    user: admin,
+    params: { id: user.id },
+    body: { points: -1000, reason: 'Typo' }
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(await getAvailablePoints(), 100);
+  assert.equal((await db.select().from(pointsLedger).where(eq(pointsLedger.entryType, 'adjust'))).length, 0);
+});
+
+test('records a deduction the balance covers', async () => {
+  const res = await call(adminController.adjustUserPoints, {
+    user: admin,
+    params: { id: user.id },
+    body: { points: -100, reason: 'Duplicate credit' }
+  });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.data.availableDelta, -100);
+  assert.equal(await getAvailablePoints(), 0);
+});
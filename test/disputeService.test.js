@@ -0,0 +1,88 @@
+import { test, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestDatabase } from './helpers/testDatabase.js';
+import { eq } from 'drizzle-orm';
+
+const { db, schema, close } = await setupTestDatabase();
+const { default: disputeService } = await import('../src/services/disputeService.js');
+const { default: pointsService } = await import('../src/services/pointsService.js');
+
+const { users, pickupRequests, pickupDisputes } = schema;
+
+let admin;
+let household;
+let picker;
+let pickup;
+
+before(async () => {
+  [admin, household, picker] = await db
+    .insert(users)
+    .values([
+      { email: 'admin@example.com', password: 'hashed', firstName: 'Admin', lastName: 'Obi', role: 'admin' },
+      { email: 'ada@example.com', password: 'hashed', firstName: 'Ada', lastName: 'Obi', role: 'household' },
+      { email: 'emeka@example.com', password: 'hashed', firstName: 'Emeka', lastName: 'Obi', role: 'waste_picker' }
+    ])
+    .returning();
+
+  await pointsService.record(pointsService.earnEntry(picker.id, 30, { description: 'Opening points' }));
+
+  [pickup] = await db
+    .insert(pickupRequests)
+    .values({
+      requesterId: household.id,
+      wastePickerId: picker.id,
+      status: 'completed',
+      wasteType: 'plastic',
+      pickupAddress: '2 Allen Avenue, Ikeja, Lagos',
+      pickupLatitude: 6.6,
+      pickupLongitude: 3.35
+    })
+    .returning();
+});
+
+after(() => close());
+
+async function openDispute() {
+  const [dispute] = await db
+    .insert(pickupDisputes)
+    .values({ pickupRequestId: pickup.id, type: 'other', openedBy: household.id, againstUserId: picker.id, reason: 'Left a mess' })
+    .returning();
+  return dispute;
+}
+
+async function getAvailablePoints(userId) {
+  const [row] = await db.select({ availablePoints: users.availablePoints }).from(users).where(eq(users.id, userId));
+  return row.availablePoints;
+}
+
+test('rejects outcomes that would take a party below zero points', async () => {
+  const dispute = await openDispute();
+
+  const result = await disputeService.resolve(dispute, admin, {
+    decision: 'upheld',
+    outcomes: [
+      { type: 'picker_penalty', points: 20 },
+      { type: 'points_adjustment', userId: picker.id, points: -20 }
+    ]
+  });
+
+  assert.equal(result.success, false);
+  assert.equal(result.statusCode, 400);
+  assert.equal(await getAvailablePoints(picker.id), 30);
+
+  const [unchanged] = await db.select().from(pickupDisputes).where(eq(pickupDisputes.id, dispute.id));
+  assert.equal(unchanged.status, 'open');
+  await db.update(pickupDisputes).set({ status: 'rejected' }).where(eq(pickupDisputes.id, dispute.id));
+});
+
+test('applies a penalty the balance covers', async () => {
+  const dispute = await openDispute();
+
+  const result = await disputeService.resolve(dispute, admin, {
+    decision: 'upheld',
+    outcomes: [{ type: 'picker_penalty', points: 30 }]
+  });
+
+  assert.equal(result.success, true);
+  assert.equal(await getAvailablePoints(picker.id), 0);
+});
@@ -0,0 +1,154 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestDatabase } from './helpers/testDatabase.js';
+import { eq } from 'drizzle-orm';
+
+const { db, schema, close } = await setupTestDatabase();
+const { default: fulfillmentService } = await import('../src/services/fulfillmentService.js');
+const { default: redemptionService } = await import('../src/services/redemptionService.js');
+const { default: pointsService } = await import('../src/services/pointsService.js');
+
+const { users, rewards, rewardRedemptions, rewardFulfillments, pointsLedger } = schema;
+
+let user;
+let reward;
+
+before(async () => {
+  [reward] = await db
+    .insert(rewards)
+    .values({ name: 'MTN Airtime', type: 'airtime', pointsCost: 100, value: '100', stockQuantity: 10 })
+    .returning();
+});
+
+after(() => close());
+
+beforeEach(async () => {
+  process.env.REWARD_FULFILLMENT_PROVIDER = 'stub';
+
+  [user] = await db
+    .insert(users)
+    .values({
+      email: `user${Date.now()}${Math.random()}@example.com`,
+      password: 'hashed',
+      firstName: 'Ada',
+      lastName: 'Obi',
+      phone: '+2348012345678',
+      role: 'household'
+    })
+    .returning();
+
+  await pointsService.record(pointsService.earnEntry(user.id, 500, { description: 'Opening points' }));
+});
+
+async function redeem(deliveryInfo) {
+  const result = await redemptionService.redeem(user, reward.id, { deliveryInfo });
+  assert.equal(result.success, true);
+  return result.redemption;
+}
+
+async function getJob(redemptionId) {
+  const [job] = await db.select().from(rewardFulfillments).where(eq(rewardFulfillments.redemptionId, redemptionId));
+  return job;
+}
+
+async function getRedemption(redemptionId) {
+  const [redemption] = await db.select().from(rewardRedemptions).where(eq(rewardRedemptions.id, redemptionId));
+  return redemption;
+}
+
+async function getAvailablePoints() {
+  const [row] = await db.select({ availablePoints: users.availablePoints }).from(users).where(eq(users.id, user.id));
+  return row.availablePoints;
+}
+
+// Claim and process the redemption's job, as the cron job does
+async function processRedemption(redemptionId) {
+  const job = await fulfillmentService.claim(await getJob(redemptionId));
+  assert.ok(job, 'job should be claimable');
+  return fulfillmentService.processJob(job);
+}
+
+test('delivers a queued redemption through the stub provider', async () => {
+  const redemption = await redeem();
+
+  assert.equal(await processRedemption(redemption.id), 'delivered');
+
+  const job = await getJob(redemption.id);
+  assert.equal(job.status, 'delivered');
+  assert.equal(job.provider, 'stub');
+  assert.match(job.providerReference, /^STUB-/);
+  assert.equal((await getRedemption(redemption.id)).status, 'completed');
+  assert.equal(await getAvailablePoints(), 400);
+});
+
+test('retries a temporary failure, then delivers', async () => {
+  const redemption = await redeem({ stubOutcome: 'retryable_failure' });
+
+  assert.equal(await processRedemption(redemption.id), 'retried');
+
+  let job = await getJob(redemption.id);
+  assert.equal(job.status, 'queued');
+  assert.equal(job.attempts, 1);
+  assert.ok(job.nextAttemptAt > new Date(), 'retry should be scheduled later');
+  assert.equal((await getRedemption(redemption.id)).status, 'pending');
+
+  // The provider recovers before the retry
+  await db
+    .update(rewardRedemptions)
+    .set({ deliveryInfo: {} })
+    .where(eq(rewardRedemptions.id, redemption.id));
+
+  assert.equal(await processRedemption(redemption.id), 'delivered');
+
+  job = await getJob(redemption.id);
+  assert.equal(job.status, 'delivered');
+  assert.equal(job.attempts, 2);
+  assert.equal((await getRedemption(redemption.id)).status, 'completed');
+  assert.equal(await getAvailablePoints(), 400);
+});
+
+test('fails a permanent failure for good and refunds the points through the ledger', async () => {
+  const [{ stockQuantity }] = await db.select().from(rewards).where(eq(rewards.id, reward.id));
+  const redemption = await redeem({ stubOutcome: 'permanent_failure' });
+  assert.equal(await getAvailablePoints(), 400);
+
+  assert.equal(await processRedemption(redemption.id), 'failed');
+
+  assert.equal((await getJob(redemption.id)).status, 'failed');
+  assert.equal((await getRedemption(redemption.id)).status, 'failed');
+  assert.equal(await getAvailablePoints(), 500);
+
+  const [redeemEntry] = await db.select().from(pointsLedger).where(eq(pointsLedger.redemptionId, redemption.id)).orderBy(pointsLedger.createdAt);
+  const [refund] = await db.select().from(pointsLedger).where(eq(pointsLedger.reversesEntryId, redeemEntry.id));
+  assert.equal(refund.entryType, 'reverse');
+  assert.equal(refund.availableDelta, 100);
+
+  const [restocked] = await db.select().from(rewards).where(eq(rewards.id, reward.id));
+  assert.equal(restocked.stockQuantity, stockQuantity);
+});
+
+test('parks a redemption for manual handling when no provider is configured', async () => {
+  delete process.env.REWARD_FULFILLMENT_PROVIDER;
+  const redemption = await redeem();
+
+  const job = await getJob(redemption.id);
+  assert.equal(job.status, 'manual');
+  assert.equal(job.nextAttemptAt, null);
+  assert.equal((await getRedemption(redemption.id)).status, 'pending');
+  assert.equal(await getAvailablePoints(), 400);
+});
+
+test('skips a redemption an admin already settled, without counting a failure', async () => {
+  const redemption = await redeem();
+  await db
+    .update(rewardRedemptions)
+    .set({ status: 'completed' })
+    .where(eq(rewardRedemptions.id, redemption.id));
+
+  assert.equal(await processRedemption(redemption.id), 'skipped');
+
+  const job = await getJob(redemption.id);
+  assert.equal(job.status, 'skipped');
+  assert.equal(job.failedAt, null);
+  assert.equal(await getAvailablePoints(), 400);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import geocodingService from '../src/services/geocodingService.js';
+
+test('accepts addresses whose street names mention other states', async () => {
+  const addresses = [
+    { address: '5 Benue Crescent, Ikoyi', latitude: 6.45, longitude: 3.435 },
+    { address: '12 Niger Road, Old GRA, Port Harcourt', latitude: 4.777, longitude: 7.013 },
+    { address: '14 Kano Street, Ebute Metta', latitude: 6.485, longitude: 3.38 },
+    { address: '3 Delta Close, Wuse 2', latitude: 9.08, longitude: 7.47 }
+  ];
+
+  for (const address of addresses) {
+    const result = await geocodingService.verifyAddress(address);
+    assert.equal(result.valid, true, `${address.address}: ${result.message}`);
+  }
+});
+
+test('rejects an address that ends with a state far from the coordinates', async () => {
+  const result = await geocodingService.verifyAddress({ address: '2 Allen Avenue, Ikeja, Kano', latitude: 6.6, longitude: 3.35 });
+
+  assert.equal(result.valid, false);
+  assert.equal(result.message, 'The address is in Kano but the coordinates are in Lagos');
+});
+
+test('reads the state before a trailing "Nigeria"', async () => {
+  const result = await geocodingService.verifyAddress({ address: '2 Allen Avenue, Ikeja, Lagos State, Nigeria', latitude: 6.6, longitude: 3.35 });
+
+  assert.equal(result.valid, true);
+  assert.equal(result.location.state, 'Lagos');
+});
+
+test('rejects a given state far from the coordinates', async () => {
+  const result = await geocodingService.verifyAddress({ address: '5 Benue Crescent, Ikoyi', state: 'Kano', latitude: 6.45, longitude: 3.435 });
+
+  assert.equal(result.valid, false);
+});
@@ -0,0 +1,47 @@
+// Runs the services against an in-memory Postgres (PGlite) with every migration
+// applied. Import this before any module that imports the database connection.
+import { PGlite } from '@electric-sql/pglite';
+import { drizzle } from 'drizzle-orm/pglite';
+import { migrate } from 'drizzle-orm/pglite/migrator';
+import { fileURLToPath } from 'url';
+
+// An empty DATABASE_URL makes the connection module fall back to its mock database
+process.env.DATABASE_URL = '';
+process.env.NODE_ENV = 'test';
+
+const schema = await import('../../src/database/schema.js');
+const { default: db } = await import('../../src/database/connection.js');
+
+const migrationsFolder = fileURLToPath(new URL('../../drizzle', import.meta.url));
+
+export async function setupTestDatabase() {
+  const client = new PGlite();
+  const testDb = drizzle(client, { schema });
+  await migrate(testDb, { migrationsFolder });
+
+  // neon-http runs a batch as one transaction. PGlite has a single connection,
+  // so concurrent batches take turns rather than sharing one transaction.
+  let pending = Promise.resolve();
+  testDb.batch = (queries) => {
+    const run = pending.then(async () => {
+      await client.exec('BEGIN');
+      try {
+        const results = [];
+        for (const query of queries) results.push(await query);
+        await client.exec('COMMIT');
+        return results;
+      } catch (error) {
+        await client.exec('ROLLBACK');
+        throw error;
+      }
+    });
+    pending = run.catch(() => {});
+    return run;
+  };
+
+  // Point the shared connection at the test database
+  for (const key of Object.keys(db)) delete db[key];
+  Object.setPrototypeOf(db, testDb);
+
+  return { db, schema, close: () => client.close() };
+}
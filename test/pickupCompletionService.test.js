@@ -0,0 +1,77 @@
+import { test, after, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestDatabase } from './helpers/testDatabase.js';
+import { eq } from 'drizzle-orm';
+
+const { db, schema, close } = await setupTestDatabase();
+const { default: pickupCompletionService } = await import('../src/services/pickupCompletionService.js');
+
+const { users, pickupRequests, pointsLedger } = schema;
+
+let household;
+let picker;
+let pickup;
+
+function createUser(role, firstName) {
+  return db
+    .insert(users)
+    .values({ email: `${firstName.toLowerCase()}@example.com`, password: 'hashed', firstName, lastName: 'Obi', role, status: 'active' })
+    .returning()
+    .then(([user]) => user);
+}
+
+before(async () => {
+  household = await createUser('household', 'Household');
+  picker = await createUser('waste_picker', 'Emeka');
+
+  [pickup] = await db
+    .insert(pickupRequests)
+    .values({
+      requesterId: household.id,
+      wastePickerId: picker.id,
+      status: 'in_progress',
+      wasteType: 'plastic',
+      estimatedWeight: '10.00',
+      pickupAddress: '2 Allen Avenue, Ikeja, Lagos',
+      pickupLatitude: 6.6,
+      pickupLongitude: 3.35
+    })
+    .returning();
+
+  const result = await pickupCompletionService.completePickup(pickup, picker, { idempotencyKey: 'complete-1', actualWeight: '10.00' });
+  assert.equal(result.success, true);
+  assert.equal(result.replayed, false);
+  pickup = result.pickup;
+});
+
+after(() => close());
+
+// The pickup's own credit; badges earned on completion add entries of their own
+async function getEarnEntries() {
+  return db.select().from(pointsLedger).where(eq(pointsLedger.idempotencyKey, `pickup:${pickup.id}:earn`));
+}
+
+test('a retry with the same idempotency key replays the completion', async () => {
+  const result = await pickupCompletionService.completePickup(pickup, picker, { idempotencyKey: 'complete-1' });
+
+  assert.equal(result.success, true);
+  assert.equal(result.replayed, true);
+  assert.equal((await getEarnEntries()).length, 1);
+});
+
+test('a different idempotency key is a conflict', async () => {
+  const result = await pickupCompletionService.completePickup(pickup, picker, { idempotencyKey: 'complete-2' });
+
+  assert.equal(result.success, false);
+  assert.equal(result.statusCode, 409);
+  assert.equal((await getEarnEntries()).length, 1);
+});
+
+test('someone who could not have completed the pickup gets no replay', async () => {
+  const stranger = await createUser('household', 'Stranger');
+
+  const result = await pickupCompletionService.completePickup(pickup, stranger, { idempotencyKey: 'complete-1' });
+
+  assert.equal(result.success, false);
+  assert.equal(result.statusCode, 403);
+});
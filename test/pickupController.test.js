@@ -0,0 +1,64 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestDatabase } from './helpers/testDatabase.js';
+import { eq } from 'drizzle-orm';
+
+const { db, schema, close } = await setupTestDatabase();
+const { default: PickupController } = await import('../src/controllers/pickupController.js');
+const { default: emailService } = await import('../src/services/emailService.js');
+
+const { users, pickupRequests, pickupStatusHistory } = schema;
+const pickupController = new PickupController();
+
+// No mail server in tests
+emailService.sendPickupAcceptedEmail = async () => true;
+
+after(() => close());
+
+function createUser(role, firstName) {
+  return db
+    .insert(users)
+    .values({ email: `${firstName.toLowerCase()}@example.com`, password: 'hashed', firstName, lastName: 'Obi', role, status: 'active' })
+    .returning()
+    .then(([user]) => user);
+}
+
+// Call a controller action the way Express would, capturing the response
+async function call(action, req) {
+  const res = { statusCode: 200, body: null };
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = body => { res.body = body; return res; };
+  await action({ headers: {}, body: {}, query: {}, ...req }, res);
+  return res;
+}
+
+test('only one of two pickers accepting a pickup at once gets it', async () => {
+  const household = await createUser('household', 'Household');
+  const pickers = [await createUser('waste_picker', 'Emeka'), await createUser('waste_picker', 'Chidi')];
+
+  const [pickup] = await db
+    .insert(pickupRequests)
+    .values({
+      requesterId: household.id,
+      wasteType: 'plastic',
+      pickupAddress: '5 Benue Crescent, Ikoyi, Lagos',
+      pickupLatitude: 6.45,
+      pickupLongitude: 3.435
+    })
+    .returning();
+
+  const responses = await Promise.all(pickers.map(picker =>
+    call(pickupController.acceptPickupRequest, { user: picker, params: { id: pickup.id } })
+  ));
+
+  assert.deepEqual(responses.map(res => res.statusCode).sort(), [200, 409]);
+  const winner = pickers[responses.findIndex(res => res.statusCode === 200)];
+  assert.equal(responses.find(res => res.statusCode === 409).body.message, 'Pickup request has already been accepted by another waste picker');
+
+  const [accepted] = await db.select().from(pickupRequests).where(eq(pickupRequests.id, pickup.id));
+  assert.equal(accepted.status, 'accepted');
+  assert.equal(accepted.wastePickerId, winner.id);
+
+  const history = await db.select().from(pickupStatusHistory).where(eq(pickupStatusHistory.pickupRequestId, pickup.id));
+  assert.equal(history.filter(entry => entry.toStatus === 'accepted').length, 1);
+});
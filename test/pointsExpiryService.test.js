@@ -0,0 +1,84 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestDatabase } from './helpers/testDatabase.js';
+import { eq } from 'drizzle-orm';
+
+const { db, schema, close } = await setupTestDatabase();
+const { default: pointsExpiryService } = await import('../src/services/pointsExpiryService.js');
+
+const { users, pointsLedger, systemSettings } = schema;
+
+after(() => close());
+
+function entry(id, entryType, availableDelta, extra = {}) {
+  return { id, entryType, availableDelta, expiresAt: null, metadata: {}, reversesEntryId: null, ...extra };
+}
+
+function remaining(lots) {
+  return Object.fromEntries(lots.map(lot => [lot.entry.id, lot.remaining]));
+}
+
+test('a refunded redemption puts its points back in the lots it used', () => {
+  const lots = pointsExpiryService.replay([
+    entry('a', 'earn', 100),
+    entry('b', 'earn', 50),
+    entry('redeem', 'redeem', -120),
+    entry('refund', 'reverse', 120, { reversesEntryId: 'redeem' })
+  ]);
+
+  assert.deepEqual(remaining(lots), { a: 100, b: 50 });
+});
+
+test('a reversed earn cancels its own lot, not the oldest one', () => {
+  const lots = pointsExpiryService.replay([
+    entry('a', 'earn', 100),
+    entry('b', 'earn', 50),
+    entry('undo', 'reverse', -50, { reversesEntryId: 'b' })
+  ]);
+
+  assert.deepEqual(remaining(lots), { a: 100 });
+});
+
+test('a reversed earn that was partly spent takes the rest from the oldest lots', () => {
+  const lots = pointsExpiryService.replay([
+    entry('a', 'earn', 100),
+    entry('b', 'earn', 50),
+    entry('redeem', 'redeem', -130),
+    entry('undo', 'reverse', -50, { reversesEntryId: 'b' })
+  ]);
+
+  assert.deepEqual(remaining(lots), {});
+});
+
+test('opening balances get an expiry once the policy is on', async () => {
+  const [user] = await db
+    .insert(users)
+    .values({ email: 'opening@example.com', password: 'hashed', firstName: 'Ada', lastName: 'Obi', availablePoints: 300, totalPoints: 300 })
+    .returning();
+
+  // As migrated from the cached totals before the ledger existed
+  const [opening] = await db
+    .insert(pointsLedger)
+    .values({
+      userId: user.id,
+      entryType: 'adjust',
+      availableDelta: 300,
+      totalDelta: 300,
+      idempotencyKey: `opening-balance:${user.id}`,
+      metadata: { migration: true }
+    })
+    .returning();
+
+  await pointsExpiryService.processExpiries();
+  let [seeded] = await db.select().from(pointsLedger).where(eq(pointsLedger.id, opening.id));
+  assert.equal(seeded.expiresAt, null, 'no expiry while the policy is off');
+
+  await db.insert(systemSettings).values({ key: 'points_expiry_months', value: '12', type: 'number' });
+  await pointsExpiryService.processExpiries();
+
+  [seeded] = await db.select().from(pointsLedger).where(eq(pointsLedger.id, opening.id));
+  assert.ok(seeded.expiresAt > new Date(Date.now() + 300 * 24 * 60 * 60 * 1000), 'expires about 12 months from now');
+
+  const lots = await pointsExpiryService.getLots(user.id);
+  assert.deepEqual(remaining(lots), { [opening.id]: 300 });
+});
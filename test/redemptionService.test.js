@@ -0,0 +1,88 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupTestDatabase } from './helpers/testDatabase.js';
+import { eq, and } from 'drizzle-orm';
+
+const { db, schema, close } = await setupTestDatabase();
+const { default: redemptionService } = await import('../src/services/redemptionService.js');
+const { default: pointsService } = await import('../src/services/pointsService.js');
+
+const { users, rewards, pointsLedger } = schema;
+
+let user;
+let reward;
+
+after(() => close());
+
+beforeEach(async () => {
+  process.env.REWARD_FULFILLMENT_PROVIDER = 'stub';
+
+  [user] = await db
+    .insert(users)
+    .values({
+      email: `user${Date.now()}${Math.random()}@example.com`,
+      password: 'hashed',
+      firstName: 'Ada',
+      lastName: 'Obi',
+      phone: '+2348012345678',
+      role: 'household'
+    })
+    .returning();
+
+  [reward] = await db
+    .insert(rewards)
+    .values({ name: 'MTN Airtime', type: 'airtime', pointsCost: 100, value: '100', stockQuantity: 10 })
+    .returning();
+
+  // Enough for one redemption, not two
+  await pointsService.record(pointsService.earnEntry(user.id, 150, { description: 'Opening points' }));
+});
+
+async function getRedeemEntries() {
+  return db
+    .select()
+    .from(pointsLedger)
+    .where(and(eq(pointsLedger.userId, user.id), eq(pointsLedger.entryType, 'redeem')));
+}
+
+async function getUser() {
+  const [row] = await db.select().from(users).where(eq(users.id, user.id));
+  return row;
+}
+
+test('only one of two concurrent redemptions is paid for when the balance covers one', async () => {
+  const results = await Promise.all([
+    redemptionService.redeem(user, reward.id, { idempotencyKey: 'first' }),
+    redemptionService.redeem(user, reward.id, { idempotencyKey: 'second' })
+  ]);
+
+  assert.equal(results.filter(result => result.success).length, 1);
+  const failure = results.find(result => !result.success);
+  assert.equal(failure.statusCode, 400);
+
+  assert.equal((await getRedeemEntries()).length, 1);
+  const current = await getUser();
+  assert.equal(current.availablePoints, 50);
+  assert.ok(current.availablePoints >= 0);
+
+  const [stocked] = await db.select().from(rewards).where(eq(rewards.id, reward.id));
+  assert.equal(stocked.stockQuantity, 9);
+});
+
+test('concurrent requests with the same idempotency key redeem once', async () => {
+  const results = await Promise.all([
+    redemptionService.redeem(user, reward.id, { idempotencyKey: 'same-key' }),
+    redemptionService.redeem(user, reward.id, { idempotencyKey: 'same-key' })
+  ]);
+
+  assert.ok(results.every(result => result.success));
+  assert.equal(results[0].redemption.id, results[1].redemption.id);
+
+  const replay = await redemptionService.redeem(user, reward.id, { idempotencyKey: 'same-key' });
+  assert.equal(replay.success, true);
+  assert.equal(replay.replayed, true);
+  assert.equal(replay.redemption.id, results[0].redemption.id);
+
+  assert.equal((await getRedeemEntries()).length, 1);
+  assert.equal((await getUser()).availablePoints, 50);
+});